@@ -1,5 +1,5 @@
 /**
- * Backup Command - Create, list, and restore OpenClaw config backups
+ * Backup Command - Create, list, restore, export and import OpenClaw config backups
  * @module commands/backup
  */
 
@@ -7,20 +7,28 @@ import chalk from 'chalk';
 import boxen from 'boxen';
 import inquirer from 'inquirer';
 import backupManager from '../core/backup-manager.js';
+import backupScheduler, { describeSchedule } from '../core/backup-schedule.js';
+import { BACKUP_PASSPHRASE_ENV } from '../core/backup-crypto.js';
+import changePreview from '../core/change-preview.js';
+import { colorizeDiff } from '../core/diff.js';
 import logger from '../core/logger.js';
+import { formatBytes } from '../core/utils.js';
 
 /**
  * Execute backup command
- * @param {string} [action] - Action: create, list, restore
+ * @param {string} [action] - Action: create, list, restore, export, import, prune, pin, unpin, verify, diff, stats, push, pull, schedule
+ * @param {string[]} [args] - restore: [name]; export: <name> <file>; import: <file>; pin/unpin: <name>; verify: [name]; diff: <a> [b]; push: [name]; pull: <name>; schedule: [status|remove|run]
  * @param {Object} options - Command options
  */
-export async function backupCommand(action, options) {
+export async function backupCommand(action, args = [], options = {}) {
   try {
-    console.log(boxen(chalk.bold.blue('OpenClaw EasySet - Backup Manager'), {
-      padding: 1,
-      margin: 1,
-      borderStyle: 'round',
-    }));
+    if (!options.json) {
+      console.log(boxen(chalk.bold.blue('OpenClaw EasySet - Backup Manager'), {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+      }));
+    }
 
     // If no action, show interactive menu
     if (!action) {
@@ -32,26 +40,77 @@ export async function backupCommand(action, options) {
           { name: 'Create a new backup', value: 'create' },
           { name: 'List existing backups', value: 'list' },
           { name: 'Restore a backup', value: 'restore' },
+          { name: 'Export a backup to a file', value: 'export' },
+          { name: 'Import a backup file', value: 'import' },
+          { name: 'Verify backups', value: 'verify' },
+          { name: 'Compare a backup with the current files', value: 'diff' },
+          { name: 'Prune old backups', value: 'prune' },
+          { name: 'Show backup disk usage', value: 'stats' },
+          { name: 'Push backups to a destination', value: 'push' },
+          { name: 'Pull a backup from a destination', value: 'pull' },
+          { name: 'Show scheduled backups', value: 'schedule status' },
           new inquirer.Separator(),
           { name: 'Cancel', value: 'cancel' },
         ],
       }]);
 
       if (choice === 'cancel') return;
-      action = choice;
+      [action, ...args] = choice.split(' ');
     }
 
     if (action === 'create') {
       const label = options.label || null;
-      const result = backupManager.createBackup(label);
+      const encrypt = await encryptionFor(options);
+      const result = backupManager.createBackup(label, {
+        compression: options.compression,
+        encrypt,
+        prune: options.prune,
+        scopes: options.scope,
+        store: options.store,
+      });
 
       if (result.success) {
         console.log(chalk.green(`\n  Backup saved: ${result.name}`));
         console.log(chalk.gray(`  Path: ${result.path}`));
+        if (result.newBytes !== undefined) {
+          console.log(chalk.gray(`  New data in the chunk store: ${formatBytes(result.newBytes)}`));
+        }
+        if (encrypt?.keyFile) {
+          console.log(chalk.gray(`  Encrypted with ${encrypt.keyFile}; restore with --key-file ${encrypt.keyFile}`));
+        }
+        if (result.pruned?.length) {
+          console.log(chalk.gray(`  Pruned ${result.pruned.length} old backup(s): ${result.pruned.join(', ')}`));
+        }
+      } else {
+        console.log(chalk.red(`  ${result.error}`));
+        process.exitCode = 1;
       }
 
     } else if (action === 'list') {
-      backupManager.printBackupList();
+      if (options.remote) {
+        await printRemoteBackups(typeof options.remote === 'string' ? options.remote : options.destination, options);
+      } else {
+        backupManager.printBackupList();
+      }
+
+    } else if (action === 'push') {
+      await pushBackups(args[0], options);
+
+    } else if (action === 'schedule') {
+      await scheduleBackups(args[0], options);
+
+    } else if (action === 'pull') {
+      const [backupName] = await promptMissing(args, [{
+        name: 'backupName',
+        message: 'Backup to pull:',
+        choices: (await backupManager.listRemoteBackups(options.destination)).backups
+          .filter(backup => !backup.local)
+          .map(backup => backup.name),
+      }]);
+      const result = await backupManager.pullBackup(backupName, options.destination);
+      const resumed = result.resumedFrom ? ` (resumed at ${formatBytes(result.resumedFrom)})` : '';
+      console.log(chalk.green(`\n  Pulled ${result.name} (${result.files} files) from ${result.destination}${resumed}`));
+      console.log(chalk.gray(`  Restore it with: openclaw-easyset backup restore ${result.name}`));
 
     } else if (action === 'restore') {
       const backups = backupManager.listBackups();
@@ -61,7 +120,7 @@ export async function backupCommand(action, options) {
         return;
       }
 
-      let backupName = options.name;
+      let backupName = args[0] || options.name;
 
       if (!backupName) {
         const { selected } = await inquirer.prompt([{
@@ -76,32 +135,503 @@ export async function backupCommand(action, options) {
         backupName = selected;
       }
 
+      const selection = {
+        only: splitList(options.only),
+        exclude: splitList(options.exclude),
+        scopes: splitList(options.scope),
+        merge: splitList(options.merge),
+      };
+
       // Confirm restore
-      const { confirm } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'confirm',
-        message: `Restore from "${backupName}"? A safety backup of current config will be created first.`,
-        default: false,
-      }]);
+      if (!options.dryRun) {
+        const { confirm } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'confirm',
+          message: `Restore from "${backupName}"? The current openclaw.json can be brought back with "openclaw-easyset undo".`,
+          default: false,
+        }]);
 
-      if (!confirm) {
-        console.log(chalk.gray('  Restore cancelled'));
-        return;
+        if (!confirm) {
+          console.log(chalk.gray('  Restore cancelled'));
+          return;
+        }
       }
 
-      const result = backupManager.restoreBackup(backupName);
-      if (result.success) {
+      const key = await decryptionFor(backupManager.readBackupMeta(backupName), options);
+      const result = backupManager.restoreBackup(backupName, {
+        key, force: options.force, dryRun: options.dryRun, ...selection,
+      });
+      if (result.success && result.simulated) {
+        printRestorePlan(result.files);
+        changePreview.print({ format: options.diffFormat });
+      } else if (result.success) {
         console.log(chalk.green(`\n  Restored ${result.restored} files`));
+        if (result.safetyBackup) {
+          console.log(chalk.gray(`  The previous files were saved as ${result.safetyBackup}`));
+        }
         console.log(chalk.gray('  Restart OpenClaw services for changes to take effect'));
+      } else {
+        console.log(chalk.red(`  ${result.error}`));
+        process.exitCode = 1;
+      }
+
+    } else if (action === 'export') {
+      const [backupName, file] = await promptMissing(args, [
+        { name: 'backupName', message: 'Backup to export:', choices: backupManager.listBackups().map(b => b.name) },
+        { name: 'file', message: 'Export to (.tar.gz or .tar.zst):' },
+      ]);
+      const result = backupManager.exportBackup(backupName, file);
+      console.log(chalk.green(`\n  Exported ${backupName} (${result.files} files) to ${result.path}`));
+
+    } else if (action === 'import') {
+      const [file] = await promptMissing(args, [
+        { name: 'file', message: 'Backup file to import:' },
+      ]);
+      const result = backupManager.importBackup(file);
+      console.log(chalk.green(`\n  Imported ${result.name} (${result.files} files)`));
+      console.log(chalk.gray(`  Restore it with: openclaw-easyset backup restore ${result.name}`));
+
+    } else if (action === 'prune') {
+      pruneBackups(options);
+
+    } else if (action === 'verify') {
+      verifyBackups(args[0], options);
+
+    } else if (action === 'stats') {
+      printBackupStats(options);
+
+    } else if (action === 'diff') {
+      const [fromName, toName] = await promptMissing(args, [
+        { name: 'fromName', message: 'Backup to compare:', choices: backupManager.listBackups().map(b => b.name) },
+      ]);
+      const metas = [fromName, toName].filter(Boolean).map(name => backupManager.readBackupMeta(name));
+      const key = await decryptionFor(metas.find(meta => meta.encryption) || {}, options);
+      const result = backupManager.diffBackups(fromName, toName || null, { key });
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        printBackupDiff(result);
       }
 
+    } else if (action === 'pin' || action === 'unpin') {
+      const [backupName] = await promptMissing(args, [
+        { name: 'backupName', message: `Backup to ${action}:`, choices: backupManager.listBackups().map(b => b.name) },
+      ]);
+      const changed = backupManager.setPinned(backupName, action === 'pin');
+      const state = action === 'pin' ? 'pinned' : 'unpinned';
+      console.log(changed
+        ? chalk.green(`\n  ${backupName} ${state}`)
+        : chalk.gray(`\n  ${backupName} was already ${state}`));
+
     } else {
       console.log(chalk.red(`  Unknown action: ${action}`));
-      console.log(chalk.gray('  Valid actions: create, list, restore'));
+      console.log(chalk.gray('  Valid actions: create, list, restore, export, import, prune, pin, unpin, verify, diff, stats, push, pull, schedule'));
+      process.exitCode = 1;
     }
 
   } catch (error) {
     logger.error('Backup operation failed', error);
     console.log(chalk.red(`\nBackup operation failed: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * List what a dry-run restore would do; binary files have no diff
+ * @param {Array<Object>} files - From restoreBackup
+ */
+function printRestorePlan(files) {
+  if (files.length === 0) {
+    console.log(chalk.gray('  No files selected'));
+    return;
+  }
+  for (const file of files) {
+    const merged = file.merged ? chalk.gray(` (only ${file.merged.join(', ')})`) : '';
+    const binary = file.text === null && file.action !== 'unchanged' ? chalk.gray(' (binary)') : '';
+    const color = { create: chalk.green, overwrite: chalk.yellow, unchanged: chalk.gray }[file.action];
+    console.log(`  ${color(file.action.padEnd(10))} ${file.path}${merged}${binary}`);
+    if (file.masked) {
+      if (file.masked.length === 0) console.log(chalk.gray('             (contents hidden)'));
+      printValueChanges(file.masked, '             ');
+    }
+  }
+}
+
+/**
+ * Print added, removed and changed files; secrets are already masked
+ * @param {Object} result - From diffBackups
+ */
+function printBackupDiff(result) {
+  console.log(chalk.bold(`  ${result.from} → ${result.to}\n`));
+  for (const path of result.added) console.log(chalk.green(`  + ${path}`));
+  for (const path of result.removed) console.log(chalk.red(`  - ${path}`));
+
+  for (const file of result.changed) {
+    console.log(chalk.yellow(`  ~ ${file.path}`));
+    if (file.kind === 'text') {
+      console.log(colorizeDiff(file.diff).replace(/^/gm, '      '));
+    } else if (file.kind === 'binary') {
+      console.log(chalk.gray('      (binary)'));
+    } else if (file.changes.length === 0) {
+      console.log(chalk.gray('      (contents differ)'));
+    } else {
+      printValueChanges(file.changes, '      ');
+    }
+  }
+
+  const total = result.added.length + result.removed.length + result.changed.length;
+  console.log(total === 0
+    ? chalk.green(`\n  No differences (${result.unchanged} file(s) identical)`)
+    : chalk.gray(`\n  ${result.added.length} added, ${result.removed.length} removed, ${result.changed.length} changed, ${result.unchanged} unchanged`));
+}
+
+function printValueChanges(changes, indent) {
+  for (const change of changes) {
+    const from = formatValue(change.from);
+    const to = formatValue(change.to);
+    if (change.op === 'add') console.log(chalk.green(`${indent}+ ${change.path}: ${to}`));
+    if (change.op === 'remove') console.log(chalk.red(`${indent}- ${change.path}`) + (from ? chalk.gray(` (was ${from})`) : ''));
+    if (change.op === 'replace') console.log(`${indent}~ ${change.path}: ${chalk.red(from)} → ${chalk.green(to)}`);
+  }
+}
+
+function formatValue(value) {
+  return value === undefined ? '' : JSON.stringify(value);
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Check one backup, or every backup with --all (the default without a name)
+ * @param {string} [backupName]
+ * @param {Object} options - all, keyFile, json
+ */
+function verifyBackups(backupName, options) {
+  const names = backupName && !options.all
+    ? [backupName]
+    : backupManager.listBackups().map(backup => backup.name);
+  const key = options.keyFile
+    ? { keyFile: options.keyFile }
+    : { passphrase: process.env[BACKUP_PASSPHRASE_ENV] };
+  const results = names.map(name => backupManager.verifyBackup(name, { key }));
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) process.exitCode = 1;
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  if (results.length === 0) {
+    console.log(chalk.gray('  No backups found'));
+    return;
+  }
+
+  for (const result of results) {
+    const note = result.note ? chalk.gray(` (${result.note})`) : '';
+    if (result.status === 'ok') {
+      const matched = result.scope === 'payload' ? 'encrypted payload matches' : `${result.checked} file(s) match`;
+      console.log(chalk.green(`  ✓ ${result.name}: ${matched}`) + note);
+    } else if (result.status === 'unchecked') {
+      console.log(chalk.yellow(`  ? ${result.name}: no checksums`) + note);
+    } else {
+      console.log(chalk.red(`  ✗ ${result.name}:`));
+      for (const problem of result.problems) {
+        console.log(chalk.red(`      ${problem.path}: ${problem.problem}`));
+      }
+    }
+  }
+  console.log(failed.length > 0
+    ? chalk.red(`\n  ${failed.length} of ${results.length} backup(s) failed verification`)
+    : chalk.green(`\n  ${results.length} backup(s) verified`));
+}
+
+/**
+ * Apply the retention policy, or with --dry-run show what it would delete
+ * @param {Object} options - dryRun, json
+ */
+function pruneBackups(options) {
+  const policy = backupManager.getRetentionPolicy();
+  const { decisions, deleted, chunks } = backupManager.pruneBackups({ dryRun: options.dryRun });
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      dryRun: Boolean(options.dryRun),
+      policy,
+      backups: decisions.map(({ backup, keep, reasons }) => ({ name: backup.name, keep, reasons })),
+      deleted,
+      chunks,
+    }, null, 2));
+    return;
+  }
+
+  const rules = ['keepLast', 'keepDaily', 'keepWeekly', 'keepMonthly'].map(rule => `${rule}=${policy[rule]}`);
+  console.log(chalk.gray(`  Policy: ${rules.join(' ')} (backup.retention)\n`));
+
+  for (const { backup, keep, reasons } of decisions) {
+    const mark = keep ? chalk.green('keep'.padEnd(12)) : chalk.red((options.dryRun ? 'would delete' : 'deleted').padEnd(12));
+    console.log(`  ${mark} ${backup.name}${keep ? chalk.gray(` (${reasons.join(', ')})`) : ''}`);
+  }
+
+  if (deleted.length === 0) {
+    console.log(chalk.gray('\n  Nothing to prune'));
+  } else if (options.dryRun) {
+    console.log(chalk.yellow(`\n  [DRY-RUN] Would delete ${deleted.length} backup(s)`));
+  } else {
+    console.log(chalk.green(`\n  ✓ Deleted ${deleted.length} backup(s)`));
+  }
+  if (chunks.deleted > 0) {
+    const verb = options.dryRun ? 'Would free' : 'Freed';
+    console.log(chalk.gray(`  ${verb} ${chunks.deleted} unused chunk(s), ${formatBytes(chunks.freedBytes)}`));
+  }
+}
+
+/**
+ * Push one backup (default: the newest), or with --all every backup the
+ * destination does not have yet
+ * @param {string} [backupName]
+ * @param {Object} options - all, destination, json
+ */
+async function pushBackups(backupName, options) {
+  const local = backupManager.listBackups();
+  const names = options.all ? local.map(backup => backup.name).reverse() : [backupName || local[0]?.name].filter(Boolean);
+  if (names.length === 0) {
+    console.log(chalk.gray('  No backups to push'));
+    return;
+  }
+
+  const results = [];
+  for (const name of names) {
+    const result = await backupManager.pushBackup(name, options.destination);
+    results.push(result);
+    if (options.json) continue;
+    if (result.skipped) {
+      console.log(chalk.gray(`  = ${name} is already on ${result.destination}`));
+    } else {
+      const resumed = result.resumedFrom ? chalk.gray(` (resumed at ${formatBytes(result.resumedFrom)})`) : '';
+      console.log(chalk.green(`  ✓ ${name} → ${result.destination} (${formatBytes(result.size)})`) + resumed);
+    }
+  }
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+}
+
+/** How each service manager's scheduled jobs are called */
+const SCHEDULER_NAMES = {
+  systemd: 'systemd timer',
+  launchd: 'launchd job',
+  'task-scheduler': 'Task Scheduler task',
+};
+
+/**
+ * Install, show, remove or run the backup schedule
+ * @param {string} [subaction] - status, remove or run; default: install
+ * @param {Object} options - every, at, scope, dryRun, diffFormat, json
+ */
+async function scheduleBackups(subaction = 'install', options) {
+  if (subaction === 'install') {
+    const result = await backupScheduler.install({
+      every: options.every, at: options.at, scopes: options.scope, dryRun: options.dryRun,
+    });
+    if (result.simulated) {
+      changePreview.print({ format: options.diffFormat });
+      return;
+    }
+    console.log(chalk.green(`\n  Backups scheduled ${describeSchedule(result.schedule)} (scopes: ${result.schedule.scopes.join(', ')})`));
+    console.log(chalk.gray(`  ${SCHEDULER_NAMES[result.type]}: ${result.name}`));
+    console.log(chalk.gray(`  Next run: ${result.nextRun.toLocaleString()}`));
+
+  } else if (subaction === 'status') {
+    const status = await backupScheduler.status();
+    if (options.json) {
+      console.log(JSON.stringify(status, null, 2));
+      return;
+    }
+    printScheduleStatus(status);
+
+  } else if (subaction === 'remove') {
+    const { removed } = await backupScheduler.remove({ dryRun: options.dryRun });
+    console.log(removed ? chalk.green('\n  Scheduled backups removed') : chalk.gray('\n  No backups are scheduled'));
+
+  } else if (subaction === 'run') {
+    const run = backupScheduler.run({ scopes: options.scope });
+    if (options.json) {
+      console.log(JSON.stringify(run, null, 2));
+    } else if (run.ok) {
+      console.log(chalk.green(`\n  Backup saved: ${run.backup}`));
+    } else {
+      console.log(chalk.red(`\n  Scheduled backup failed: ${run.error}`));
+    }
+    // A non-zero exit marks the run as failed in the service manager too
+    if (!run.ok) process.exitCode = 1;
+
+  } else {
+    console.log(chalk.red(`  Unknown schedule action: ${subaction}`));
+    console.log(chalk.gray('  Valid actions: status, remove, run (none installs the schedule)'));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * @param {Object} status - From backupScheduler.status()
+ */
+function printScheduleStatus(status) {
+  if (!status.schedule && !status.installed) {
+    console.log(chalk.gray('\n  No backups are scheduled; set them up with: openclaw-easyset backup schedule --every daily'));
+  } else {
+    const schedule = status.schedule
+      ? `${describeSchedule(status.schedule)} (scopes: ${status.schedule.scopes.join(', ')})`
+      : 'unknown (installed outside EasySet)';
+    const state = !status.installed
+      ? chalk.red('not installed')
+      : status.active ? chalk.green('active') : chalk.yellow('inactive');
+    console.log(chalk.bold('\n  Scheduled backups\n'));
+    console.log(`  Schedule:  ${schedule}`);
+    console.log(`  Scheduler: ${SCHEDULER_NAMES[status.type]} ${status.name} (${state})`);
+    console.log(`  Next run:  ${status.nextRun ? status.nextRun.toLocaleString() : chalk.gray('-')}`);
+  }
+
+  const { lastRun } = status;
+  if (!lastRun) {
+    console.log(`  Last run:  ${chalk.gray('never')}`);
+    return;
+  }
+  const when = new Date(lastRun.startedAt).toLocaleString();
+  console.log(`  Last run:  ${when} ${lastRun.ok ? chalk.green(`✓ ${lastRun.backup}`) : chalk.red(`✗ ${lastRun.error}`)}`);
+  if (!lastRun.ok && status.lastSuccess) {
+    console.log(`  Last good: ${new Date(status.lastSuccess.startedAt).toLocaleString()} (${status.lastSuccess.backup})`);
+  }
+  if (status.consecutiveFailures > 1) {
+    console.log(chalk.red(`  ${status.consecutiveFailures} runs in a row have failed`));
+  }
+  if (status.failures.length > 0 && lastRun.ok) {
+    const last = status.failures.at(-1);
+    console.log(chalk.gray(`  Last failure: ${new Date(last.startedAt).toLocaleString()}: ${last.error}`));
+  }
+}
+
+/**
+ * List the backups at a destination
+ * @param {string} [destinationName]
+ * @param {Object} options - json
+ */
+async function printRemoteBackups(destinationName, options) {
+  const remote = await backupManager.listRemoteBackups(destinationName);
+  if (options.json) {
+    console.log(JSON.stringify(remote, null, 2));
+    return;
+  }
+
+  console.log(chalk.bold(`\n  Backups at ${remote.destination} (${remote.location}):\n`));
+  if (remote.backups.length === 0) {
+    console.log(chalk.gray('  None yet; copy one with: openclaw-easyset backup push'));
+    return;
+  }
+  for (const backup of remote.backups) {
+    const date = backup.modified ? backup.modified.toLocaleString() : '';
+    const local = backup.local ? chalk.gray(' (also local)') : chalk.cyan(' (remote only)');
+    console.log(`  ${chalk.bold(backup.name)}${local}`);
+    console.log(chalk.gray(`    ${[date, formatBytes(backup.size)].filter(Boolean).join(' | ')}`));
+  }
+}
+
+/**
+ * Logical vs physical size of the backups, and how much the chunk store saves
+ * @param {Object} options - json
+ */
+function printBackupStats(options) {
+  const stats = backupManager.backupStats();
+  if (options.json) {
+    console.log(JSON.stringify(stats, null, 2));
+    return;
+  }
+  if (stats.backups.length === 0) {
+    console.log(chalk.gray('  No backups found'));
+    return;
+  }
+
+  console.log(chalk.bold(`  ${'Backup'.padEnd(36)} ${'Kind'.padEnd(9)} ${'Logical'.padStart(10)} ${'Stored'.padStart(10)}`));
+  for (const backup of stats.backups) {
+    console.log(`  ${backup.name.padEnd(36)} ${backup.kind.padEnd(9)} ${formatBytes(backup.logicalSize).padStart(10)} ${formatBytes(backup.storedSize).padStart(10)}`);
+  }
+
+  const ratio = stats.physicalSize > 0 ? (stats.logicalSize / stats.physicalSize).toFixed(1) : '-';
+  console.log(`\n  Logical size:  ${formatBytes(stats.logicalSize)} (what the backups hold)`);
+  console.log(`  Physical size: ${formatBytes(stats.physicalSize)} on disk (${ratio}x)`);
+  console.log(chalk.gray(`  Chunk store:   ${stats.chunks.count} chunk(s), ${formatBytes(stats.chunks.size)}`
+    + (stats.chunks.unreferenced > 0 ? `, ${stats.chunks.unreferenced} unused (removed by the next prune)` : '')));
+  console.log(chalk.gray('  Stored is the space only that backup uses; shared chunks are counted in the total only'));
+}
+
+/**
+ * Key for `create --encrypt` / `create --key-file`: the key file, else the
+ * passphrase from the environment, else one typed twice
+ * @param {Object} options
+ * @returns {Promise<Object|undefined>} BackupKeySource, or undefined for a plain backup
+ */
+async function encryptionFor(options) {
+  if (options.keyFile) return { keyFile: options.keyFile };
+  if (!options.encrypt) return undefined;
+  if (process.env[BACKUP_PASSPHRASE_ENV]) return { passphrase: process.env[BACKUP_PASSPHRASE_ENV] };
+
+  const { passphrase } = await inquirer.prompt([{
+    type: 'password',
+    name: 'passphrase',
+    mask: '*',
+    message: 'Backup passphrase:',
+    validate: (input) => input.length >= 8 || 'Use at least 8 characters',
+  }]);
+  await inquirer.prompt([{
+    type: 'password',
+    name: 'confirm',
+    mask: '*',
+    message: 'Repeat passphrase:',
+    validate: (input) => input === passphrase || 'Passphrases do not match',
+  }]);
+  return { passphrase };
+}
+
+/**
+ * Key for restoring a backup, asking for the passphrase when needed
+ * @param {Object} meta - The backup's manifest
+ * @param {Object} options
+ * @returns {Promise<Object>} BackupKeySource
+ */
+async function decryptionFor(meta, options) {
+  if (!meta.encryption) return {};
+  if (meta.encryption.kdf === 'keyfile' || options.keyFile) return { keyFile: options.keyFile };
+  if (process.env[BACKUP_PASSPHRASE_ENV]) return { passphrase: process.env[BACKUP_PASSPHRASE_ENV] };
+
+  const { passphrase } = await inquirer.prompt([{
+    type: 'password',
+    name: 'passphrase',
+    mask: '*',
+    message: 'Backup passphrase:',
+  }]);
+  return { passphrase };
+}
+
+/**
+ * Fill positional arguments that were left out by asking for them
+ * @param {string[]} args
+ * @param {Array<{name: string, message: string, choices?: string[]}>} questions - One per position
+ * @returns {Promise<string[]>}
+ */
+async function promptMissing(args, questions) {
+  const values = [...args];
+  for (const [index, question] of questions.entries()) {
+    if (values[index]) continue;
+    const answer = await inquirer.prompt([{
+      type: question.choices ? 'list' : 'input',
+      name: question.name,
+      message: question.message,
+      choices: question.choices,
+      validate: question.choices ? undefined : (input) => input.trim() !== '' || 'Required',
+    }]);
+    values[index] = answer[question.name];
   }
+  return values;
 }
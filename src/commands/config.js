@@ -0,0 +1,494 @@
+/**
+ * Config Command - Read and change individual openclaw.json keys
+ * @module commands/config
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join, relative, extname } from 'path';
+import { tmpdir, platform } from 'os';
+import YAML from 'yaml';
+import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
+import { ConfigValidationError } from '../core/config-schema.js';
+import { FileChangedError, FileLockError, atomicWriteFileSync } from '../core/file-lock.js';
+import instances from '../core/instances.js';
+import {
+  loadEffectiveConfig, saveRendered, explainPath, FragmentError,
+} from '../core/config-fragments.js';
+import {
+  planMigrations,
+  migrateConfig,
+  targetGeneration,
+  LATEST_GENERATION,
+} from '../core/config-migrations.js';
+import {
+  loadOpenClawConfig,
+  updateOpenClawConfig,
+  saveOpenClawConfig,
+  saveOpenClawConfigText,
+  getOpenClawConfigPath,
+  parseConfigValue,
+  getPath,
+  splitPath,
+} from '../core/openclaw-config.js';
+
+const ACTIONS = ['get', 'set', 'unset', 'push', 'edit', 'migrate', 'render'];
+
+/**
+ * Execute config command
+ * @param {string} action - Action: get, set, unset, push, edit, migrate, render
+ * @param {string} [path] - Dotted config path (e.g. gateway.port)
+ * @param {string} [value] - Value for set/push
+ * @param {Object} options - Command options
+ */
+export async function configCommand(action, path, value, options = {}) {
+  try {
+    switch (action) {
+      case 'get':
+        return getValue(path, options);
+      case 'set':
+        return setValue(path, value, options);
+      case 'unset':
+        return unsetValue(path, options);
+      case 'push':
+        return pushValue(path, value, options);
+      case 'edit':
+        return editConfig(options);
+      case 'migrate':
+        return migrate(options);
+      case 'render':
+        return render(options);
+      default:
+        return fail(`Unknown action: ${action} (valid actions: ${ACTIONS.join(', ')})`, options);
+    }
+  } catch (error) {
+    if (error instanceof ConfigValidationError) {
+      return fail(error.message, options, { errors: error.errors });
+    }
+    if (error instanceof FileChangedError || error instanceof FileLockError || error instanceof FragmentError) {
+      return fail(error.message, options);
+    }
+    logger.debug(`Config operation failed: ${error.stack}`);
+    return fail(`Config operation failed: ${error.message}`, options);
+  }
+}
+
+/**
+ * Print a single value of the effective config (openclaw.json + conf.d);
+ * --explain also shows which file set it
+ * @param {string} path
+ * @param {Object} options
+ */
+function getValue(path, options) {
+  requirePath(path);
+  const { config, provenance } = loadEffectiveConfig({ optional: false });
+  const value = getPath(config, path);
+
+  if (value === undefined) {
+    return fail(`${path} is not set`, options);
+  }
+
+  if (options.explain) {
+    return explainValue(path, value, explainPath(provenance, path), options);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(value, null, 2));
+  } else if (typeof value === 'string') {
+    console.log(value);
+  } else {
+    console.log(JSON.stringify(value, null, 2));
+  }
+  return { success: true, path, value };
+}
+
+/**
+ * Print a value together with the file behind each key
+ * @param {string} path
+ * @param {*} value
+ * @param {Array<{path: string, file: string}>} sources
+ * @param {Object} options
+ */
+function explainValue(path, value, sources, options) {
+  if (options.json) {
+    console.log(JSON.stringify({ path, value, sources }, null, 2));
+    return { success: true, path, value, sources };
+  }
+
+  const shown = typeof value === 'string' ? value : JSON.stringify(value);
+  console.log(`  ${chalk.bold(path)} = ${shown}`);
+  if (sources.length === 1 && sources[0].path === splitPath(path).join('.')) {
+    console.log(chalk.gray(`    set by ${displayFile(sources[0].file)}`));
+  } else {
+    for (const source of sources) {
+      console.log(`    ${source.path} ${chalk.gray(`← ${displayFile(source.file)}`)}`);
+    }
+  }
+  return { success: true, path, value, sources };
+}
+
+/**
+ * Set a value
+ * @param {string} path
+ * @param {string} raw - Value as typed on the command line
+ * @param {Object} options
+ */
+function setValue(path, raw, options) {
+  requirePath(path);
+  requireValue(raw);
+  const value = parseConfigValue(raw, options);
+
+  const result = updateOpenClawConfig((_, tools) => {
+    tools.set(path, value);
+  }, writeOptions(options));
+
+  return report('set', path, value, result, options);
+}
+
+/**
+ * Remove a key
+ * @param {string} path
+ * @param {Object} options
+ */
+function unsetValue(path, options) {
+  requirePath(path);
+  const { config } = loadOpenClawConfig({ optional: false, staged: options.dryRun });
+  if (getPath(config, path) === undefined) {
+    return fail(`${path} is not set`, options);
+  }
+
+  const result = updateOpenClawConfig((_, tools) => {
+    tools.remove(path);
+  }, writeOptions(options));
+
+  return report('unset', path, undefined, result, options);
+}
+
+/**
+ * Append a value to an array (no-op if already present)
+ * @param {string} path
+ * @param {string} raw - Value as typed on the command line
+ * @param {Object} options
+ */
+function pushValue(path, raw, options) {
+  requirePath(path);
+  requireValue(raw);
+  const value = parseConfigValue(raw, options);
+
+  const { config } = loadOpenClawConfig({ staged: options.dryRun });
+  const existing = config ? getPath(config, path) : undefined;
+  if (existing !== undefined && !Array.isArray(existing)) {
+    return fail(`${path} is not an array`, options);
+  }
+
+  const result = updateOpenClawConfig((_, tools) => {
+    tools.pushUnique(path, value);
+  }, writeOptions(options));
+
+  return report('push', path, value, result, options);
+}
+
+/**
+ * Open $EDITOR on a temp copy and save it only if it parses and validates
+ * @param {Object} options
+ */
+function editConfig(options) {
+  const { raw, hash } = loadOpenClawConfig({ optional: false });
+  const tempDir = mkdtempSync(join(tmpdir(), 'openclaw-config-'));
+  const tempPath = join(tempDir, 'openclaw.json');
+  writeFileSync(tempPath, raw, { encoding: 'utf-8', mode: 0o600 });
+
+  const editor = process.env.VISUAL || process.env.EDITOR || (platform() === 'win32' ? 'notepad' : 'vi');
+  const editorResult = spawnSync(`${editor} "${tempPath}"`, { stdio: 'inherit', shell: true });
+
+  if (editorResult.error || editorResult.status !== 0) {
+    rmSync(tempDir, { recursive: true, force: true });
+    const reason = editorResult.error ? editorResult.error.message : `exit code ${editorResult.status}`;
+    return fail(`Editor "${editor}" failed (${reason}); openclaw.json was not changed`, options);
+  }
+
+  const edited = readFileSync(tempPath, 'utf-8');
+  if (edited === raw) {
+    rmSync(tempDir, { recursive: true, force: true });
+    if (options.json) {
+      console.log(JSON.stringify({ success: true, action: 'edit', changed: false }));
+    } else {
+      console.log(chalk.gray('  No changes made'));
+    }
+    return { success: true, changed: false };
+  }
+
+  let result;
+  try {
+    // Refuse to overwrite changes made to openclaw.json while the editor was open
+    result = saveOpenClawConfigText(edited, { ...writeOptions(options), expectedHash: hash });
+  } catch (error) {
+    // Keep the edited copy so the user can fix it instead of starting over
+    if (!options.json) {
+      console.log(chalk.yellow(`  Your edits were kept in ${tempPath}`));
+    }
+    if (error instanceof SyntaxError) {
+      return fail(`Edited config does not parse: ${error.message}`, options, { tempPath });
+    }
+    if (error instanceof ConfigValidationError) {
+      return fail(error.message, options, { errors: error.errors, tempPath });
+    }
+    if (error instanceof FileChangedError) {
+      return fail(error.message, options, { tempPath });
+    }
+    throw error;
+  }
+
+  rmSync(tempDir, { recursive: true, force: true });
+  return report('edit', null, undefined, result, options);
+}
+
+/**
+ * Move openclaw.json to the key layout the installed OpenClaw expects
+ * (or the generation / OpenClaw version given with --to)
+ * @param {Object} options
+ */
+async function migrate(options) {
+  const { config } = loadOpenClawConfig({ optional: false, staged: options.dryRun });
+  const to = parseTarget(options.to);
+  const plan = planMigrations(config, { to });
+
+  if (!options.json) {
+    const version = config.meta?.lastTouchedVersion;
+    console.log(chalk.bold(`\n  Config generation ${plan.from} of ${LATEST_GENERATION}`));
+    console.log(chalk.gray(options.to !== undefined
+      ? `  Target: generation ${plan.to} (--to ${options.to})`
+      : `  Target: generation ${plan.to} (last touched by OpenClaw ${version || 'unknown'})`));
+  }
+
+  if (plan.steps.length === 0) {
+    if (options.json) {
+      console.log(JSON.stringify({ success: true, action: 'migrate', ...plan, changed: false }, null, 2));
+    } else {
+      console.log(chalk.green('  ✓ openclaw.json is up to date'));
+    }
+    return { success: true, changed: false, ...plan };
+  }
+
+  if (!options.json) {
+    console.log('');
+    for (const step of plan.steps) {
+      const arrow = step.direction === 'up' ? chalk.green('↑') : chalk.yellow('↓');
+      console.log(`  ${arrow} ${chalk.bold(step.id)} ${chalk.gray(`(OpenClaw ${step.version})`)}`);
+      for (const change of step.changes) {
+        console.log(chalk.gray(`      ${change}`));
+      }
+    }
+    console.log('');
+  }
+
+  if (!options.dryRun && !options.yes && !options.json) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Apply ${plan.steps.length} migration(s) to openclaw.json?`,
+      default: true,
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('  Migration cancelled'));
+      return { success: false, cancelled: true };
+    }
+  }
+
+  // Re-plan under the config lock in case the file changed while we asked
+  const result = updateOpenClawConfig((current) => {
+    migrateConfig(current, { to: plan.to });
+  }, writeOptions(options));
+
+  if (options.dryRun) {
+    changePreview.print({ format: options.diffFormat });
+    return { success: true, simulated: true, ...plan };
+  }
+
+  const output = { success: true, action: 'migrate', ...plan, journalId: result.journalId };
+  if (options.json) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    console.log(chalk.green(`  ✓ Migrated openclaw.json to generation ${plan.to}`));
+    if (result.journalId) {
+      console.log(chalk.gray(`  Recorded as ${result.journalId} (revert with: openclaw-easyset undo)`));
+    }
+    console.log(chalk.gray('  Restart OpenClaw gateway for changes to take effect'));
+  }
+  return output;
+}
+
+/**
+ * Write the effective config (openclaw.json with the conf.d fragments merged
+ * over it) to openclaw.json, or to --output (`-` for stdout). Rendering into
+ * openclaw.json records the fragment keys, so they do not become base values.
+ * @param {Object} options
+ */
+function render(options) {
+  const effective = loadEffectiveConfig({ optional: false, staged: options.dryRun });
+  const count = effective.fragments.length;
+
+  if (options.output === '-') {
+    console.log(JSON.stringify(effective.config, null, 2));
+    return { success: true, fragments: effective.fragments };
+  }
+
+  if (options.output) {
+    const text = /^\.ya?ml$/i.test(extname(options.output))
+      ? YAML.stringify(effective.config)
+      : `${JSON.stringify(effective.config, null, 2)}\n`;
+    if (options.dryRun) {
+      changePreview.recordFile(options.output, text);
+      changePreview.print({ format: options.diffFormat });
+      return { success: true, simulated: true };
+    }
+    atomicWriteFileSync(options.output, text, { mode: 0o600 });
+    return reportRender(options.output, effective.fragments, null, options);
+  }
+
+  if (count === 0 && !options.json) {
+    console.log(chalk.gray(`  No fragments in ${displayFile(join(instances.current().home, 'conf.d'))}; nothing to merge`));
+  }
+
+  const result = saveOpenClawConfig(effective.config, {
+    ...writeOptions(options),
+    format: effective.format || 'json',
+    expectedHash: effective.hash,
+  });
+
+  if (options.dryRun) {
+    changePreview.print({ format: options.diffFormat });
+    return { success: true, simulated: true };
+  }
+  // Lets the next render drop keys of fragments removed in the meantime
+  saveRendered(effective);
+  return reportRender(result.path, effective.fragments, result.journalId, options);
+}
+
+function reportRender(target, fragments, journalId, options) {
+  const output = { success: true, action: 'render', path: target, fragments, journalId };
+  if (options.json) {
+    console.log(JSON.stringify(output, null, 2));
+    return output;
+  }
+
+  console.log(chalk.green(`  ✓ Rendered ${fragments.length} fragment(s) into ${target}`));
+  for (const fragment of fragments) {
+    console.log(chalk.gray(`    ${displayFile(fragment)}`));
+  }
+  if (journalId) {
+    console.log(chalk.gray(`  Recorded as ${journalId} (revert with: openclaw-easyset undo)`));
+  }
+  return output;
+}
+
+/**
+ * conf.d fragments that override a path openclaw.json was just changed at
+ * @param {string} path
+ * @returns {string[]}
+ */
+function fragmentOverrides(path) {
+  const configPath = getOpenClawConfigPath();
+  const { provenance } = loadEffectiveConfig();
+  const files = explainPath(provenance, path)
+    .map(source => source.file)
+    .filter(file => file !== configPath);
+  return [...new Set(files)];
+}
+
+/**
+ * Paths under the instance home are shown relative to it
+ * @param {string} file
+ * @returns {string}
+ */
+function displayFile(file) {
+  const rel = relative(instances.current().home, file);
+  return rel.startsWith('..') ? file : rel;
+}
+
+/**
+ * --to accepts a generation number or an OpenClaw version (e.g. 2026.1.2)
+ * @param {string} [value]
+ * @returns {number|undefined}
+ */
+function parseTarget(value) {
+  if (value === undefined) return undefined;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (/^v?\d+(\.\d+)+/.test(value)) {
+    return targetGeneration({ meta: { lastTouchedVersion: value } });
+  }
+  throw new Error(`--to expects a generation (0-${LATEST_GENERATION}) or an OpenClaw version, got "${value}"`);
+}
+
+/**
+ * Options shared by every write
+ * @param {Object} options - Command options
+ * @returns {Object}
+ */
+function writeOptions(options) {
+  return {
+    backup: true,
+    create: true,
+    force: options.force,
+    dryRun: options.dryRun,
+  };
+}
+
+/**
+ * Print the outcome of a write
+ */
+function report(action, path, value, result, options) {
+  if (options.dryRun) {
+    changePreview.print({ format: options.diffFormat });
+    return { success: true, simulated: true };
+  }
+
+  const output = { success: true, action, path, journalId: result.journalId };
+  if (value !== undefined) output.value = value;
+  const overrides = path ? fragmentOverrides(path) : [];
+  if (overrides.length > 0) output.overriddenBy = overrides;
+
+  if (options.json) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    const verbs = { set: 'Set', unset: 'Removed', push: 'Updated', edit: 'Saved' };
+    console.log(chalk.green(`  ✓ ${verbs[action]} ${path || result.path}`));
+    if (result.journalId) {
+      console.log(chalk.gray(`  Recorded as ${result.journalId} (revert with: openclaw-easyset undo)`));
+    }
+    if (overrides.length > 0) {
+      console.log(chalk.yellow(`  ${path} is also set in ${overrides.map(displayFile).join(', ')}, which takes precedence`));
+    }
+  }
+  return output;
+}
+
+/**
+ * Report a failure and set a non-zero exit code
+ */
+function fail(message, options, extra = {}) {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, error: message, ...extra }, null, 2));
+  } else {
+    console.log(chalk.red(`  ${message.split('\n').join('\n  ')}`));
+  }
+  process.exitCode = 1;
+  return { success: false, error: message, ...extra };
+}
+
+function requirePath(path) {
+  if (splitPath(path).length === 0) {
+    throw new Error('A config path is required (e.g. gateway.port)');
+  }
+}
+
+function requireValue(value) {
+  if (value === undefined) {
+    throw new Error('A value is required');
+  }
+}
+
+export default configCommand;
@@ -13,6 +13,7 @@ import channelSetup from '../core/channel-setup.js';
 import { securityCommand } from './security.js';
 import platformDetector from '../core/platform-detector.js';
 import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
 
 /**
  * Execute configure command
@@ -75,6 +76,12 @@ export async function configureCommand(section, options) {
       return;
     }
 
+    // Security prints its own preview, covering everything staged before it
+    const previewPrinted = section === 'security' || section === 'all';
+    if (options.dryRun && (!previewPrinted || changePreview.hasChanges())) {
+      changePreview.print({ format: options.diffFormat });
+    }
+
     logger.success('Configuration complete');
   } catch (error) {
     logger.error('Configuration failed', error);
@@ -115,6 +122,8 @@ async function configurePlugins(options) {
   await pluginManager.runPluginWizard({
     yes: options.yes,
     dryRun: options.dryRun,
+    diffFormat: options.diffFormat,
+    force: options.force,
   });
 }
 
@@ -128,6 +137,8 @@ async function configureChannels(options) {
   await channelSetup.runSetup({
     yes: options.yes,
     dryRun: options.dryRun,
+    diffFormat: options.diffFormat,
+    force: options.force,
   });
 }
 
@@ -170,5 +181,7 @@ async function configureSecurity(options) {
   await securityCommand({
     audit: false,
     dryRun: options.dryRun,
+    diffFormat: options.diffFormat,
+    force: options.force,
   });
 }
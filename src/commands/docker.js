@@ -8,6 +8,7 @@ import boxen from 'boxen';
 import inquirer from 'inquirer';
 import dockerManager from '../core/docker-manager.js';
 import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
 
 /**
  * Execute docker command
@@ -138,7 +139,9 @@ async function installDocker(options) {
   }
 
   const result = await dockerManager.install(options);
-  if (result.success) {
+  if (result.simulated) {
+    changePreview.print({ format: options.diffFormat });
+  } else if (result.success) {
     console.log(chalk.green('  OpenClaw Docker installation complete'));
     if (result.ports) {
       console.log(chalk.gray(`  Gateway: http://localhost:${result.ports.gateway}`));
@@ -7,7 +7,17 @@ import chalk from 'chalk';
 import boxen from 'boxen';
 import inquirer from 'inquirer';
 import healthChecker from '../core/health-checker.js';
+import fixLog, { FIX_RISKS, FixError } from '../core/fixes.js';
 import logger from '../core/logger.js';
+import instances from '../core/instances.js';
+import configManager from '../core/config.js';
+import { resolveFormat, writeReport, shouldFail } from '../core/reporters.js';
+import {
+  CheckMonitor, MonitorError, MONITOR_DEFAULTS, parseInterval,
+} from '../core/check-monitor.js';
+import {
+  AlertError, createSink, sendAlerts, formatAlert,
+} from '../core/alerts.js';
 
 /**
  * Execute doctor command
@@ -15,56 +25,72 @@ import logger from '../core/logger.js';
  */
 export async function doctorCommand(options) {
   try {
-    console.log(boxen(chalk.bold.blue('OpenClaw EasySet - Health Check'), {
-      padding: 1,
-      margin: 1,
-      borderStyle: 'round',
-    }));
-
-    console.log(chalk.gray('  Running diagnostics...\n'));
-
-    // Run all checks
-    const results = await healthChecker.runAll();
-    const summary = healthChecker.printResults();
-
-    // Auto-fix mode
-    if (options.fix) {
-      const fixableResults = results.filter(
-        r => (r.status === 'fail' || r.status === 'warn') && r.fix
-      );
-
-      if (fixableResults.length === 0) {
-        console.log(chalk.green('\n  No auto-fixable issues found.'));
-        return;
-      }
+    if (options.listChecks) {
+      await listChecks(options);
+      return;
+    }
+    if (options.fixLog) {
+      showFixLog(options);
+      return;
+    }
+    if (options.revertFix) {
+      await revertFix(options.revertFix);
+      return;
+    }
+    if (options.watch) {
+      await watch(options);
+      return;
+    }
 
-      console.log(chalk.bold(`\n  Auto-fixing ${fixableResults.length} issue(s)...\n`));
+    const format = resolveFormat(options);
+    // A report on stdout replaces the console output
+    const quiet = Boolean(format && !options.output);
+    if (format) logger.useStderr();
 
-      const fixes = await healthChecker.autoFix();
-      for (const fix of fixes) {
-        const icon = fix.success ? chalk.green('✓') : chalk.red('✗');
-        console.log(`  ${icon} ${fix.check}: ${fix.action}`);
-      }
+    if (!quiet) {
+      console.log(boxen(chalk.bold.blue('OpenClaw EasySet - Health Check'), {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+      }));
+    }
 
-      const fixedCount = fixes.filter(f => f.success).length;
-      console.log(chalk.bold(`\n  Fixed ${fixedCount}/${fixes.length} issues`));
+    const targets = options.allInstances ? instances.list() : [instances.current()];
+    const reports = [];
 
-      if (fixedCount > 0) {
-        console.log(chalk.gray('  Run "openclaw-easyset doctor" again to verify'));
+    for (const instance of targets) {
+      if (!quiet && (options.allInstances || !instance.isDefault)) {
+        console.log(chalk.bold.blue(`  Instance: ${instance.name}`) + chalk.gray(` (${instance.home}, port ${instance.port})\n`));
       }
-    } else if (summary.failCount > 0 || summary.warnCount > 0) {
-      const fixable = results.filter(
-        r => (r.status === 'fail' || r.status === 'warn') && r.fix
-      );
+      const report = options.allInstances
+        ? await instances.withInstance(instance.name, () => diagnose(options, quiet))
+        : await diagnose(options, quiet);
+      reports.push({ instance: instance.name, ...report });
+    }
 
-      if (fixable.length > 0) {
-        console.log(chalk.gray(`\n  ${fixable.length} issue(s) can be auto-fixed. Run with --fix to attempt repairs.`));
-      }
+    const report = {
+      tool: 'doctor',
+      title: 'OpenClaw EasySet Health Check',
+      generatedAt: new Date().toISOString(),
+      suites: reports.map(({ instance, items, summary }) => ({
+        name: instance,
+        items,
+        summary: {
+          pass: summary.passCount, warn: summary.warnCount, fail: summary.failCount, score: summary.score,
+        },
+      })),
+    };
+    if (format) {
+      writeReport(report, { format, output: options.output, failOn: options.failOn });
+      if (!quiet) console.log(chalk.gray(`\n  Report written to ${options.output}`));
+    }
+    if (shouldFail(report, options.failOn)) {
+      process.exitCode = 1;
     }
 
     // JSON output
-    if (options.json) {
-      console.log('\n' + JSON.stringify({
+    if (options.json && !format) {
+      const toJson = ({ results, summary }) => ({
         results,
         summary: {
           pass: summary.passCount,
@@ -72,11 +98,289 @@ export async function doctorCommand(options) {
           fail: summary.failCount,
           score: summary.score,
         },
-      }, null, 2));
+      });
+      const output = options.allInstances
+        ? reports.map(report => ({ instance: report.instance, ...toJson(report) }))
+        : toJson(reports[0]);
+      console.log('\n' + JSON.stringify(output, null, 2));
     }
 
   } catch (error) {
     logger.error('Health check failed', error);
     console.log(chalk.red(`\nHealth check failed: ${error.message}`));
+    process.exitCode = 1;
   }
 }
+
+/**
+ * Run the health checks (and --fix) for the active instance
+ * @param {Object} options - Command options
+ * @param {boolean} [quiet] - Do not print the results
+ * @returns {Promise<{results: Array<Object>, summary: Object, items: Array<Object>}>} After --fix,
+ *   the results of the re-run checks replace the original ones
+ */
+async function diagnose(options, quiet = false) {
+  if (!quiet) console.log(chalk.gray('  Running diagnostics...\n'));
+
+  // Run the selected checks (default: all)
+  const results = await healthChecker.runAll({
+    only: splitList(options.only),
+    skip: splitList(options.skip),
+    category: splitList(options.category),
+  });
+  const summary = quiet ? healthChecker.summarize() : healthChecker.printResults();
+
+  // Auto-fix mode
+  if (options.fix) {
+    await fix(options, quiet);
+  } else if (!quiet && (summary.failCount > 0 || summary.warnCount > 0)) {
+    const fixable = results.filter(r => healthChecker.isFixable(r));
+
+    if (fixable.length > 0) {
+      console.log(chalk.gray(`\n  ${fixable.length} issue(s) can be auto-fixed. Run with --fix to attempt repairs.`));
+    }
+  }
+
+  return { results: healthChecker.results, summary: healthChecker.summarize(), items: healthChecker.toReportItems() };
+}
+
+/**
+ * Show the fix plan, confirm each risk level, apply the approved fixes and
+ * report what the re-run checks say
+ * @param {Object} options - yes
+ * @param {boolean} [quiet] - A report goes to stdout: plan, prompts and outcome go to stderr
+ */
+async function fix(options, quiet = false) {
+  const print = quiet ? console.error : console.log;
+  const prompt = quiet ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+  const plan = healthChecker.planFixes();
+  if (plan.length === 0) {
+    print(chalk.green('\n  No auto-fixable issues found.'));
+    return;
+  }
+
+  print(chalk.bold('\n  Fix plan'));
+  const approved = [];
+  for (const risk of FIX_RISKS) {
+    const steps = plan.filter(step => step.fix.risk === risk);
+    if (steps.length === 0) continue;
+
+    print(chalk.bold(`\n    ${risk} risk`));
+    for (const step of steps) {
+      print(`      • ${step.result.name}: ${step.fix.description}`);
+    }
+
+    let apply = options.yes;
+    if (!apply) {
+      ({ apply } = await prompt([{
+        type: 'confirm',
+        name: 'apply',
+        message: `Apply ${steps.length} ${risk}-risk fix(es)?`,
+        default: risk === 'low',
+      }]));
+    }
+    if (apply) approved.push(...steps);
+  }
+
+  if (approved.length === 0) {
+    print(chalk.gray('\n  No fixes applied.'));
+    return;
+  }
+
+  print(chalk.bold(`\n  Applying ${approved.length} fix(es)...\n`));
+  const entries = await healthChecker.applyFixes(approved);
+  for (const entry of entries) {
+    const fixed = entry.status === 'applied' && entry.verified && entry.recheck === 'pass';
+    const icon = fixed ? chalk.green('✓') : chalk.red('✗');
+    let note = '';
+    if (entry.status === 'failed') note = chalk.red(` (failed: ${entry.error})`);
+    else if (!entry.verified) note = chalk.yellow(' (applied, but not verified)');
+    else if (entry.recheck !== 'pass') note = chalk.yellow(` (applied, but the check still reports ${entry.recheck})`);
+    print(`  ${icon} ${entry.name}: ${entry.fix.description}${note} ${chalk.gray(`[${entry.id}]`)}`);
+  }
+
+  const fixedCount = entries.filter(e => e.status === 'applied' && e.verified && e.recheck === 'pass').length;
+  print(chalk.bold(`\n  Fixed ${fixedCount}/${entries.length} issues`));
+  if (entries.some(e => e.status === 'applied')) {
+    print(chalk.gray('  Undo a fix with: openclaw-easyset doctor --revert-fix <id>'));
+  }
+}
+
+/**
+ * Re-run the selected checks every --interval and alert on confirmed status
+ * changes until interrupted
+ * @param {Object} options - interval, alert, alertCommand, alertWebhook, alertChannel, only, skip, category
+ */
+async function watch(options) {
+  let interval;
+  let sinks;
+  try {
+    const conflict = ['fix', 'allInstances', 'format', 'output', 'json'].find(option => options[option]);
+    if (conflict) {
+      throw new MonitorError(`--watch cannot be combined with --${conflict.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`);
+    }
+    interval = parseInterval(options.interval || configManager.get('monitor.interval', MONITOR_DEFAULTS.interval));
+    sinks = alertSinks(options);
+  } catch (error) {
+    if (!(error instanceof MonitorError || error instanceof AlertError)) throw error;
+    console.log(chalk.red(`\n  ✗ ${error.message}\n`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const instance = instances.current();
+  const monitor = new CheckMonitor({
+    confirmRuns: configManager.get('monitor.confirmRuns', MONITOR_DEFAULTS.confirmRuns),
+    flapThreshold: configManager.get('monitor.flapThreshold', MONITOR_DEFAULTS.flapThreshold),
+    flapWindow: configManager.get('monitor.flapWindow', MONITOR_DEFAULTS.flapWindow),
+  });
+  const selection = {
+    only: splitList(options.only),
+    skip: splitList(options.skip),
+    category: splitList(options.category),
+  };
+
+  console.log(boxen(chalk.bold.blue('OpenClaw EasySet - Health Watch'), {
+    padding: 1,
+    margin: 1,
+    borderStyle: 'round',
+  }));
+  console.log(chalk.gray(`  Instance ${instance.name}, every ${interval / 1000}s, alerting via ${sinks.length ? sinks.map(sink => sink.label).join(', ') : 'nothing (console only)'}`));
+  console.log(chalk.gray('  Press Ctrl+C to stop.\n'));
+
+  // Stop between runs; a run in progress finishes first
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    stopping = true;
+    wake?.();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  try {
+    while (!stopping) {
+      await healthChecker.runAll(selection);
+      const events = monitor.observe(healthChecker.results, healthChecker.ranChecks)
+        .map(event => ({ instance: instance.name, ...event }));
+
+      const { passCount, warnCount, failCount } = healthChecker.summarize();
+      const time = new Date().toTimeString().slice(0, 8);
+      // Confirmed state, which lags the counts by up to confirmRuns runs
+      const problems = monitor.problems().map(entry => `${entry.name} (${entry.flapping ? 'flapping' : entry.status})`);
+      const known = problems.length ? chalk.gray(` · known problems: ${problems.join(', ')}`) : '';
+      console.log(`  ${chalk.gray(time)}  ${chalk.green(`${passCount} passed`)}, ${chalk.yellow(`${warnCount} warnings`)}, ${chalk.red(`${failCount} failed`)}${known}`);
+      for (const event of events) {
+        console.log(`    ${formatAlert(event)}`);
+      }
+      await sendAlerts(sinks, events);
+
+      if (stopping) break;
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, interval);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+  }
+  console.log(chalk.gray('\n  Watch stopped.\n'));
+}
+
+/**
+ * The alert sinks for --watch: the configured ones (or those named with
+ * --alert) plus any given with --alert-command, --alert-webhook, --alert-channel
+ * @param {Object} options
+ * @returns {Array<Object>}
+ * @throws {AlertError}
+ */
+function alertSinks(options) {
+  const configured = configManager.get('monitor.alerts', {}) || {};
+  const names = options.alert ? splitList(options.alert) : Object.keys(configured);
+  const definitions = names.map((name) => {
+    if (!configured[name]) {
+      throw new AlertError(`No alert "${name}" in monitor.alerts (configured: ${Object.keys(configured).join(', ') || 'none'})`);
+    }
+    return configured[name];
+  });
+
+  if (options.alertCommand) definitions.push({ type: 'command', command: options.alertCommand });
+  if (options.alertWebhook) definitions.push({ type: 'webhook', url: options.alertWebhook });
+  if (options.alertChannel) definitions.push({ type: 'channel', channel: options.alertChannel });
+  return definitions.map(createSink);
+}
+
+/**
+ * Print the fixes doctor has applied to the active instance
+ * @param {Object} options - json
+ */
+function showFixLog(options) {
+  const entries = fixLog.list();
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log(chalk.gray('\n  No fixes applied yet.\n'));
+    return;
+  }
+
+  console.log();
+  for (const entry of entries.slice().reverse()) {
+    const status = {
+      applied: chalk.green('applied'), failed: chalk.red('failed'), reverted: chalk.gray('reverted'),
+    }[entry.status] || entry.status;
+    console.log(`  ${chalk.cyan(entry.id)} ${chalk.gray(entry.at)} ${status} ${chalk.gray(`(${entry.fix.risk})`)}`);
+    console.log(`    ${entry.name}: ${entry.fix.description}`);
+    if (entry.error) console.log(chalk.red(`    ${entry.error}`));
+    else if (entry.recheck && entry.recheck !== 'pass') console.log(chalk.yellow(`    Check still reported ${entry.recheck} afterwards`));
+  }
+  console.log();
+}
+
+/**
+ * Undo a fix from the fix log
+ * @param {string} id
+ */
+async function revertFix(id) {
+  try {
+    const entry = await fixLog.revert(id);
+    console.log(chalk.green(`\n  ✓ Reverted ${entry.id}: ${entry.fix.description}\n`));
+  } catch (error) {
+    if (!(error instanceof FixError)) throw error;
+    console.log(chalk.red(`\n  ✗ ${error.message}\n`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Print the registered checks
+ * @param {Object} options - json
+ */
+async function listChecks(options) {
+  const checks = await healthChecker.listChecks();
+  if (options.json) {
+    console.log(JSON.stringify(checks, null, 2));
+    return;
+  }
+
+  for (const category of [...new Set(checks.map(check => check.category))]) {
+    console.log(chalk.bold(`\n  ${category}`));
+    for (const check of checks.filter(c => c.category === category)) {
+      const notes = [
+        check.platforms && check.platforms.join('/'),
+        check.source !== 'built-in' && check.source,
+      ].filter(Boolean);
+      console.log(`    ${chalk.cyan(check.id.padEnd(28))} ${check.description}${notes.length ? chalk.gray(` (${notes.join(', ')})`) : ''}`);
+    }
+  }
+  console.log();
+}
+
+function splitList(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
@@ -6,8 +6,6 @@
 import chalk from 'chalk';
 import boxen from 'boxen';
 import { existsSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
 import platformDetector from '../core/platform-detector.js';
 import pluginManager from '../core/plugin-manager.js';
 import skillManager from '../core/skill-manager.js';
@@ -15,9 +13,9 @@ import gogSetup from '../core/gog-setup.js';
 import channelSetup from '../core/channel-setup.js';
 import { commandExists, createSpinner, executeCommand, executeInteractiveCommand, printStatus } from '../core/utils.js';
 import logger from '../core/logger.js';
-import { loadOpenClawConfig } from '../core/openclaw-config.js';
+import changePreview from '../core/change-preview.js';
+import { loadOpenClawConfig, getOpenClawConfigPath } from '../core/openclaw-config.js';
 
-const OPENCLAW_CONFIG = join(homedir(), '.openclaw', 'openclaw.json');
 const TOTAL_STEPS = 9;
 
 /**
@@ -56,7 +54,7 @@ export async function installCommand(options) {
     console.log(chalk.bold.underline(`\nStep 2/${TOTAL_STEPS}: Check Existing Installation\n`));
     const checkResult = await runStep('Check Existing', async () => {
       const openclawInstalled = await commandExists('openclaw');
-      const configExists = existsSync(OPENCLAW_CONFIG);
+      const configExists = existsSync(getOpenClawConfigPath());
 
       if (openclawInstalled) {
         printStatus('success', 'OpenClaw CLI is installed');
@@ -107,7 +105,7 @@ export async function installCommand(options) {
     console.log(chalk.bold.underline(`\nStep 4/${TOTAL_STEPS}: OpenClaw Onboarding\n`));
     const onboardResult = await runStep('Onboarding', async () => {
       const openclawReady = await commandExists('openclaw');
-      const configExists = existsSync(OPENCLAW_CONFIG);
+      const configExists = existsSync(getOpenClawConfigPath());
 
       if (!openclawReady) {
         console.log(chalk.yellow('  OpenClaw CLI not available, skipping onboarding'));
@@ -148,6 +146,7 @@ export async function installCommand(options) {
       const wizardResult = await pluginManager.runPluginWizard({
         yes: options.yes,
         dryRun: options.dryRun,
+        force: options.force,
       });
       return { status: 'success', ...wizardResult };
     });
@@ -170,6 +169,7 @@ export async function installCommand(options) {
       const setupResult = await channelSetup.runSetup({
         yes: options.yes,
         dryRun: options.dryRun,
+        force: options.force,
       });
       return { status: 'success', ...setupResult };
     });
@@ -192,7 +192,7 @@ export async function installCommand(options) {
       const checks = [];
 
       // Verify config is valid JSON
-      if (existsSync(OPENCLAW_CONFIG) && !options.dryRun) {
+      if (existsSync(getOpenClawConfigPath()) && !options.dryRun) {
         try {
           loadOpenClawConfig({ optional: false });
           checks.push({ name: 'Config valid JSON', passed: true });
@@ -226,6 +226,10 @@ export async function installCommand(options) {
     // Print final summary
     printFinalSummary(results, options);
 
+    if (options.dryRun) {
+      changePreview.print({ format: options.diffFormat });
+    }
+
   } catch (error) {
     logger.error('Installation failed', error);
     console.log(chalk.red(`\nInstallation failed: ${error.message}`));
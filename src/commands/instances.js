@@ -0,0 +1,160 @@
+/**
+ * Instances Command - List, register and remove the OpenClaw instances
+ * EasySet manages on this host (selected with --instance or OPENCLAW_HOME)
+ * @module commands/instances
+ */
+
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { platform } from 'os';
+import chalk from 'chalk';
+import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
+import instances from '../core/instances.js';
+import { getWorkspaceTemplates } from '../templates/workspace.js';
+
+const ACTIONS = ['list', 'add', 'remove'];
+
+/**
+ * Execute instances command
+ * @param {string} [action] - Action: list, add, remove
+ * @param {string} [name] - Instance name (add, remove)
+ * @param {Object} options - Command options
+ */
+export async function instancesCommand(action = 'list', name, options = {}) {
+  try {
+    switch (action) {
+      case 'list':
+        return listInstances(options);
+      case 'add':
+        return addInstance(requireName(name, action), options);
+      case 'remove':
+        return removeInstance(requireName(name, action));
+      default:
+        console.log(chalk.red(`  Unknown action: ${action} (valid actions: ${ACTIONS.join(', ')})`));
+        process.exitCode = 1;
+        return null;
+    }
+  } catch (error) {
+    logger.error('Instances command failed', error);
+    console.log(chalk.red(`\nInstances command failed: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+function requireName(name, action) {
+  if (!name) {
+    throw new Error(`Usage: openclaw-easyset instances ${action} <name>`);
+  }
+  return name;
+}
+
+/**
+ * Show every instance with its home, port and service names
+ * @param {Object} options
+ */
+function listInstances(options) {
+  const all = instances.list();
+  const current = instances.current().name;
+
+  if (options.json) {
+    console.log(JSON.stringify(all.map(instance => ({ ...instance, active: instance.name === current })), null, 2));
+    return all;
+  }
+
+  console.log(chalk.bold(`\n  OpenClaw instances (${all.length}):\n`));
+  for (const instance of all) {
+    const marker = instance.name === current ? chalk.green('●') : chalk.gray('○');
+    const state = existsSync(instance.configPath) ? '' : chalk.yellow(' (not set up)');
+    const source = instance.registered ? '' : chalk.gray(' [OPENCLAW_HOME]');
+    console.log(`  ${marker} ${chalk.bold(instance.name)}${source}${state}`);
+    console.log(chalk.gray(`      ${instance.home}  port ${instance.port}  ${instance.serviceName}`));
+  }
+  console.log('');
+  return all;
+}
+
+/**
+ * Register an instance and optionally scaffold its workspace files
+ * @param {string} name
+ * @param {Object} options - home, port, scaffold, emoji, dryRun, diffFormat
+ */
+function addInstance(name, options) {
+  const port = options.port !== undefined ? Number.parseInt(options.port, 10) : undefined;
+  if (port !== undefined && !(port > 0 && port < 65536)) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+
+  if (options.dryRun) {
+    // Resolve without registering so the preview shows the real paths
+    const instance = instances.resolveInstance(name, { home: options.home, port });
+    console.log(chalk.gray(`  [DRY-RUN] Would register ${name} at ${instance.home}`));
+    if (options.scaffold) {
+      scaffoldWorkspace(instance, options);
+      changePreview.print({ format: options.diffFormat });
+    }
+    return { success: true, simulated: true };
+  }
+
+  const instance = instances.add(name, { home: options.home, port });
+  console.log(chalk.green(`  ✓ Registered instance ${name}`));
+  console.log(chalk.gray(`    Home: ${instance.home}`));
+  console.log(chalk.gray(`    Gateway port: ${instance.port}`));
+  console.log(chalk.gray(`    Service: ${instance.serviceName} / ${instance.serviceLabel}`));
+
+  if (options.scaffold) {
+    const written = scaffoldWorkspace(instance, options);
+    console.log(chalk.green(`  ✓ Wrote ${written} workspace file(s) to ${instance.workspaceDir}`));
+  }
+
+  if (!existsSync(instance.configPath)) {
+    console.log(chalk.gray(`\n  After setup, give its gateway the port: openclaw-easyset --instance ${name} config set gateway.port ${instance.port}`));
+  }
+  console.log(chalk.gray(`\n  Use it with: openclaw-easyset --instance ${name} <command>`));
+  return { success: true, instance };
+}
+
+/**
+ * Write IDENTITY.md and friends into the workspace, keeping existing files
+ * @param {Object} instance - Resolved instance
+ * @param {Object} options - emoji, dryRun
+ * @returns {number} Files written
+ */
+function scaffoldWorkspace(instance, options) {
+  const templates = getWorkspaceTemplates(instance.name, options.emoji || '🦞', platform() === 'win32');
+  let written = 0;
+
+  for (const [file, content] of Object.entries(templates)) {
+    const target = join(instance.workspaceDir, file);
+    if (existsSync(target)) {
+      logger.debug(`Keeping existing ${target}`);
+      continue;
+    }
+    if (options.dryRun) {
+      changePreview.recordFile(target, content);
+    } else {
+      mkdirSync(instance.workspaceDir, { recursive: true });
+      writeFileSync(target, content, 'utf-8');
+    }
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Unregister an instance; its files are kept
+ * @param {string} name
+ */
+function removeInstance(name) {
+  const instance = instances.get(name);
+  if (!instances.remove(name)) {
+    console.log(chalk.yellow(`  ${name} is not registered (set through OPENCLAW_HOME?)`));
+    return { success: false };
+  }
+  console.log(chalk.green(`  ✓ Removed instance ${name}`));
+  console.log(chalk.gray(`    Its files in ${instance.home} were left in place`));
+  return { success: true };
+}
+
+export default instancesCommand;
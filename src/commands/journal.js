@@ -0,0 +1,120 @@
+/**
+ * Journal Commands - undo, redo and history of openclaw.json changes
+ * @module commands/journal
+ */
+
+import chalk from 'chalk';
+import configJournal, { JournalConflictError } from '../core/config-journal.js';
+import changePreview from '../core/change-preview.js';
+import { FileChangedError, FileLockError } from '../core/file-lock.js';
+import { colorizeDiff } from '../core/diff.js';
+import logger from '../core/logger.js';
+
+/**
+ * Revert the most recent recorded change
+ * @param {Object} options - Command options (force, dryRun, diffFormat)
+ */
+export async function undoCommand(options = {}) {
+  return step('undo', options);
+}
+
+/**
+ * Re-apply the most recently undone change
+ * @param {Object} options - Command options (force, dryRun, diffFormat)
+ */
+export async function redoCommand(options = {}) {
+  return step('redo', options);
+}
+
+/**
+ * List recorded changes, or show one entry's diff
+ * @param {string} [id] - Entry id to show
+ * @param {Object} options - Command options (limit, json)
+ */
+export async function historyCommand(id, options = {}) {
+  try {
+    if (id) {
+      const entry = configJournal.getEntry(id);
+      if (!entry) {
+        console.log(chalk.red(`  No journal entry ${id}`));
+        process.exitCode = 1;
+        return null;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(entry, null, 2));
+      } else {
+        console.log(chalk.bold(`\n  Entry ${entry.id}`));
+        console.log(chalk.gray(`  ${new Date(entry.timestamp).toLocaleString()} | ${entry.command}\n`));
+        console.log(entry.diff ? colorizeDiff(entry.diff) : chalk.gray('  (no textual changes)'));
+      }
+      return entry;
+    }
+
+    const limit = options.limit ? parseInt(options.limit, 10) : undefined;
+    const entries = configJournal.history({ limit });
+
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return entries;
+    }
+
+    if (entries.length === 0) {
+      console.log(chalk.gray('  No recorded config changes'));
+      return entries;
+    }
+
+    console.log(chalk.bold(`\n  Config history (${entries.length}):\n`));
+    for (const entry of entries) {
+      const marker = entry.applied ? chalk.green('●') : chalk.gray('○');
+      const status = entry.applied ? '' : chalk.gray(' (undone)');
+      console.log(`  ${marker} ${chalk.bold(entry.id)}  ${new Date(entry.timestamp).toLocaleString()}${status}`);
+      console.log(chalk.gray(`      ${entry.command}`));
+    }
+    console.log(chalk.gray('\n  Show a change with: openclaw-easyset history <id>'));
+    return entries;
+  } catch (error) {
+    logger.error('Failed to read config history', error);
+    console.log(chalk.red(`\nFailed to read config history: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Shared undo/redo flow
+ * @param {'undo'|'redo'} direction
+ * @param {Object} options
+ */
+async function step(direction, options) {
+  try {
+    const entry = direction === 'undo'
+      ? configJournal.undo({ force: options.force, dryRun: options.dryRun })
+      : configJournal.redo({ force: options.force, dryRun: options.dryRun });
+
+    if (!entry) {
+      console.log(chalk.gray(`  Nothing to ${direction}`));
+      return null;
+    }
+
+    if (options.dryRun) {
+      changePreview.recordFile(entry.file, direction === 'undo' ? entry.before : entry.after);
+      changePreview.print({ format: options.diffFormat });
+      return entry;
+    }
+
+    const verb = direction === 'undo' ? 'Undid' : 'Redid';
+    console.log(chalk.green(`  ✓ ${verb} ${entry.id}: ${entry.command}`));
+    console.log(chalk.gray('  Restart OpenClaw gateway for changes to take effect'));
+    return entry;
+  } catch (error) {
+    if (error instanceof JournalConflictError || error instanceof FileChangedError || error instanceof FileLockError) {
+      console.log(chalk.red(`  ${error.message.split('\n').join('\n  ')}`));
+      process.exitCode = 1;
+      return null;
+    }
+    logger.error(`Config ${direction} failed`, error);
+    console.log(chalk.red(`\nConfig ${direction} failed: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Secrets Command - List secrets in openclaw.json and move plaintext ones
+ * into ~/.openclaw/.env, secret files or the encrypted vault
+ * @module commands/secrets
+ */
+
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import logger from '../core/logger.js';
+import configManager from '../core/config.js';
+import configJournal from '../core/config-journal.js';
+import changePreview from '../core/change-preview.js';
+import { loadOpenClawConfig, updateOpenClawConfig } from '../core/openclaw-config.js';
+import {
+  findSecrets,
+  findInlineSecrets,
+  isSecretRef,
+  resolveSecret,
+  storeSecret,
+  secretNameFor,
+  SECRET_STORES,
+} from '../core/secrets.js';
+
+const ACTIONS = ['list', 'migrate'];
+
+/**
+ * Execute secrets command
+ * @param {string} [action] - Action: list, migrate
+ * @param {Object} options - Command options
+ */
+export async function secretsCommand(action = 'list', options = {}) {
+  try {
+    switch (action) {
+      case 'list':
+        return listSecrets(options);
+      case 'migrate':
+        return await migrateSecrets(options);
+      default:
+        console.log(chalk.red(`  Unknown action: ${action} (valid actions: ${ACTIONS.join(', ')})`));
+        process.exitCode = 1;
+        return null;
+    }
+  } catch (error) {
+    logger.error('Secrets command failed', error);
+    console.log(chalk.red(`\nSecrets command failed: ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+/**
+ * Show every secret-looking value and whether it is inline or a working reference
+ * @param {Object} options
+ */
+function listSecrets(options) {
+  const { config } = loadOpenClawConfig({ optional: false });
+  const secrets = findSecrets(config).map(({ path, value }) => {
+    if (!isSecretRef(value)) {
+      return { path, storage: 'inline', ok: false };
+    }
+    try {
+      resolveSecret(value);
+      return { path, storage: value, ok: true };
+    } catch (error) {
+      return { path, storage: value, ok: false, error: error.message };
+    }
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(secrets, null, 2));
+    return secrets;
+  }
+
+  if (secrets.length === 0) {
+    console.log(chalk.gray('  No secrets found in openclaw.json'));
+    return secrets;
+  }
+
+  console.log(chalk.bold(`\n  Secrets in openclaw.json (${secrets.length}):\n`));
+  for (const secret of secrets) {
+    if (secret.storage === 'inline') {
+      console.log(`  ${chalk.yellow('!')} ${secret.path} ${chalk.yellow('plaintext')}`);
+    } else if (secret.ok) {
+      console.log(`  ${chalk.green('✓')} ${secret.path} ${chalk.gray(secret.storage)}`);
+    } else {
+      console.log(`  ${chalk.red('✗')} ${secret.path} ${chalk.red(secret.error)}`);
+    }
+  }
+
+  if (secrets.some(s => s.storage === 'inline')) {
+    console.log(chalk.gray('\n  Move plaintext secrets out with: openclaw-easyset secrets migrate'));
+  }
+  return secrets;
+}
+
+/**
+ * Move inline secrets into a store and replace them with references
+ * @param {Object} options - store, dryRun, diffFormat, yes, force
+ */
+async function migrateSecrets(options) {
+  const store = options.store || configManager.get('secrets.defaultStore', 'env');
+  if (!SECRET_STORES.includes(store) || store === 'inline') {
+    throw new Error(`--store must be one of: ${SECRET_STORES.filter(s => s !== 'inline').join(', ')}`);
+  }
+
+  const { config, hash } = loadOpenClawConfig({ optional: false });
+  const inline = findInlineSecrets(config);
+
+  if (inline.length === 0) {
+    console.log(chalk.green('  ✓ No plaintext secrets in openclaw.json'));
+    return { success: true, migrated: [] };
+  }
+
+  console.log(chalk.bold(`\n  ${inline.length} plaintext secret(s) will be moved to ${store}:\n`));
+  for (const secret of inline) {
+    console.log(`  ${secret.path}`);
+  }
+  console.log('');
+
+  if (!options.dryRun && !options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: 'Move these secrets out of openclaw.json?',
+      default: true,
+    }]);
+    if (!confirm) {
+      console.log(chalk.gray('  Cancelled'));
+      return { success: false, cancelled: true };
+    }
+  }
+
+  const migrated = inline.map(({ path, value }) => ({
+    path,
+    value,
+    ref: storeSecret(store, secretNameFor(path), value, { dryRun: options.dryRun }),
+  }));
+
+  const result = updateOpenClawConfig((current, tools) => {
+    for (const { path, value, ref } of migrated) {
+      // Only replace values that are still the plaintext we stored
+      if (tools.get(path) === value) {
+        tools.set(path, ref);
+      }
+    }
+  }, {
+    backup: true,
+    force: options.force,
+    dryRun: options.dryRun,
+    expectedHash: hash,
+  });
+
+  if (options.dryRun) {
+    changePreview.print({ format: options.diffFormat });
+    return { success: true, simulated: true };
+  }
+
+  // Earlier journal entries still hold the plaintext; swap in the references
+  const redacted = configJournal.redact(migrated);
+
+  for (const { path, ref } of migrated) {
+    console.log(chalk.green(`  ✓ ${path} → ${ref}`));
+  }
+  if (result.journalId) {
+    console.log(chalk.gray(`  Recorded as ${result.journalId}`));
+  }
+  if (redacted > 0) {
+    console.log(chalk.gray(`  Removed the plaintext values from ${redacted} config history entr${redacted === 1 ? 'y' : 'ies'}`));
+  }
+  console.log(chalk.yellow('  Existing backups still contain the old plaintext values; rotate these secrets if backups were shared.'));
+  console.log(chalk.gray('  Restart OpenClaw gateway for changes to take effect'));
+
+  return { success: true, migrated: migrated.map(({ path, ref }) => ({ path, ref })) };
+}
+
+export default secretsCommand;
@@ -9,10 +9,17 @@ import ora from 'ora';
 import inquirer from 'inquirer';
 import { existsSync, chmodSync } from 'fs';
 import { join } from 'path';
-import { homedir, platform } from 'os';
+import { platform } from 'os';
 import logger from '../core/logger.js';
 import { executeCommand } from '../core/utils.js';
-import { loadOpenClawConfig, updateOpenClawConfig } from '../core/openclaw-config.js';
+import { updateOpenClawConfig } from '../core/openclaw-config.js';
+import { loadEffectiveConfig } from '../core/config-fragments.js';
+import { ConfigValidationError } from '../core/config-schema.js';
+import changePreview from '../core/change-preview.js';
+import instances from '../core/instances.js';
+import {
+  resolveFormat, writeReport, shouldFail, countStatuses,
+} from '../core/reporters.js';
 
 /**
  * Security profiles with predefined settings
@@ -62,16 +69,24 @@ const SECURITY_PROFILES = {
 export async function securityCommand(options) {
   const { profile, audit, fix, dryRun } = options;
 
-  if (audit) {
-    return await runSecurityAudit(options);
-  }
+  try {
+    if (audit) {
+      return await runSecurityAudit(options);
+    }
 
-  if (profile) {
-    return await applySecurityProfile(profile, options);
-  }
+    if (profile) {
+      return await applySecurityProfile(profile, options);
+    }
 
-  // Interactive mode
-  return await interactiveSecuritySetup(options);
+    // Interactive mode
+    return await interactiveSecuritySetup(options);
+  } catch (error) {
+    if (error instanceof ConfigValidationError) {
+      console.log(chalk.red(`\n${error.message}`));
+      return { success: false, errors: error.errors };
+    }
+    throw error;
+  }
 }
 
 /**
@@ -80,6 +95,8 @@ export async function securityCommand(options) {
  * @returns {Promise<Object>} Audit results
  */
 async function runSecurityAudit(options) {
+  const reportFormat = resolveFormat(options);
+  if (reportFormat) logger.useStderr();
   const spinner = ora('Running security audit...').start();
   const { fix = false, dryRun = false } = options;
 
@@ -92,11 +109,11 @@ async function runSecurityAudit(options) {
   };
 
   try {
-    const configPath = join(homedir(), '.openclaw', 'openclaw.json');
+    const configPath = instances.current().configPath;
     let config = {};
 
     if (existsSync(configPath)) {
-      config = loadOpenClawConfig({ optional: false }).config;
+      config = loadEffectiveConfig({ optional: false, normalize: true }).config;
     }
 
     // Check 1: Pairing/allowlist mode
@@ -105,9 +122,11 @@ async function runSecurityAudit(options) {
     const openPolicies = dmPolicies.filter(p => p.policy === 'open');
     if (openPolicies.length === 0) {
       results.score += 20;
-      results.passed.push('DM policies are not publicly open');
+      results.passed.push({ id: 'audit.dm-policy', title: 'DM policies are not publicly open' });
     } else {
       results.issues.push({
+        id: 'audit.dm-policy',
+        target: configPath,
         severity: 'high',
         title: 'Open DM policy detected',
         description: `Public DM access enabled for: ${openPolicies.map(p => p.channel).join(', ')}`,
@@ -119,9 +138,11 @@ async function runSecurityAudit(options) {
     results.maxScore += 15;
     if (config.gateway?.auth?.token || config.gateway?.auth?.password) {
       results.score += 15;
-      results.passed.push('Gateway auth secret configured');
+      results.passed.push({ id: 'audit.gateway-auth', title: 'Gateway auth secret configured' });
     } else {
       results.issues.push({
+        id: 'audit.gateway-auth',
+        target: configPath,
         severity: 'high',
         title: 'Gateway auth not configured',
         description: 'Gateway token/password is missing',
@@ -135,13 +156,15 @@ async function runSecurityAudit(options) {
       const configStats = await checkFilePermissions(configPath);
       if (configStats.secure) {
         results.score += 15;
-        results.passed.push('Config file permissions are secure');
+        results.passed.push({ id: 'audit.config-permissions', title: 'Config file permissions are secure' });
       } else {
         results.issues.push({
+          id: 'audit.config-permissions',
+          target: configPath,
           severity: 'high',
           title: 'Insecure file permissions',
           description: `Config file readable by others (${configStats.mode})`,
-          fix: 'Run: chmod 600 ~/.openclaw/openclaw.json',
+          fix: `Run: chmod 600 ${configPath}`,
           autoFix: async () => {
             chmodSync(configPath, 0o600);
           }
@@ -155,9 +178,11 @@ async function runSecurityAudit(options) {
     const hasEnvApiKey = !!process.env.ANTHROPIC_API_KEY || !!process.env.OPENAI_API_KEY;
     if (hasAuthProfiles || hasEnvApiKey) {
       results.score += 10;
-      results.passed.push('Model authentication source configured');
+      results.passed.push({ id: 'audit.model-auth', title: 'Model authentication source configured' });
     } else if (config.anthropic?.apiKey || config.openai?.apiKey) {
       results.warnings.push({
+        id: 'audit.model-auth',
+        target: configPath,
         severity: 'low',
         title: 'API key in config file',
         description: 'Recommended to use environment variables for API keys',
@@ -171,10 +196,12 @@ async function runSecurityAudit(options) {
     const bindAddress = config.gateway?.bind || 'loopback';
     if (bindAddress === 'loopback' || bindAddress === '127.0.0.1') {
       results.score += 15;
-      results.passed.push('Gateway bound to loopback only');
+      results.passed.push({ id: 'audit.gateway-bind', title: 'Gateway bound to loopback only' });
     } else if (bindAddress === 'lan') {
       results.score += 10;
       results.warnings.push({
+        id: 'audit.gateway-bind',
+        target: configPath,
         severity: 'medium',
         title: 'Gateway accessible on LAN',
         description: 'Gateway is accessible from local network',
@@ -182,6 +209,8 @@ async function runSecurityAudit(options) {
       });
     } else {
       results.issues.push({
+        id: 'audit.gateway-bind',
+        target: configPath,
         severity: 'high',
         title: 'Gateway publicly accessible',
         description: `Gateway bound to ${bindAddress}`,
@@ -194,9 +223,11 @@ async function runSecurityAudit(options) {
     const trustedProxies = config.gateway?.trustedProxies || config.security?.trustedProxies || [];
     if (Array.isArray(trustedProxies) && trustedProxies.length > 0) {
       results.score += 10;
-      results.passed.push('Trusted proxies configured');
+      results.passed.push({ id: 'audit.trusted-proxies', title: 'Trusted proxies configured' });
     } else if (bindAddress !== 'loopback') {
       results.issues.push({
+        id: 'audit.trusted-proxies',
+        target: configPath,
         severity: 'medium',
         title: 'No trusted proxies configured',
         description: 'IP-based access control not configured',
@@ -208,6 +239,8 @@ async function runSecurityAudit(options) {
     results.maxScore += 10;
     if (config.gateway?.controlUi?.dangerouslyDisableDeviceAuth) {
       results.issues.push({
+        id: 'audit.control-ui-auth',
+        target: configPath,
         severity: 'high',
         title: 'Control UI device auth disabled',
         description: 'dangerouslyDisableDeviceAuth is enabled',
@@ -215,24 +248,26 @@ async function runSecurityAudit(options) {
       });
     } else {
       results.score += 10;
-      results.passed.push('Control UI device auth guard is enabled');
+      results.passed.push({ id: 'audit.control-ui-auth', title: 'Control UI device auth guard is enabled' });
     }
 
     // Check 8: Log directory permissions
     if (platform() !== 'win32') {
       results.maxScore += 10;
-      const logDir = join(homedir(), '.openclaw', 'logs');
+      const logDir = instances.current().logsDir;
       if (existsSync(logDir)) {
         const logStats = await checkFilePermissions(logDir);
         if (logStats.secure) {
           results.score += 10;
-          results.passed.push('Log directory permissions are secure');
+          results.passed.push({ id: 'audit.log-permissions', title: 'Log directory permissions are secure' });
         } else {
           results.issues.push({
+            id: 'audit.log-permissions',
+            target: logDir,
             severity: 'medium',
             title: 'Insecure log directory permissions',
             description: 'Log files may be readable by other users',
-            fix: 'Run: chmod 700 ~/.openclaw/logs',
+            fix: `Run: chmod 700 ${logDir}`,
             autoFix: async () => {
               chmodSync(logDir, 0o700);
             }
@@ -244,18 +279,20 @@ async function runSecurityAudit(options) {
     // Check 9: Workspace permissions
     if (platform() !== 'win32') {
       results.maxScore += 5;
-      const workspaceDir = join(homedir(), '.openclaw', 'workspace');
+      const workspaceDir = instances.current().workspaceDir;
       if (existsSync(workspaceDir)) {
         const wsStats = await checkFilePermissions(workspaceDir);
         if (wsStats.ownerOnly) {
           results.score += 5;
-          results.passed.push('Workspace directory permissions are secure');
+          results.passed.push({ id: 'audit.workspace-permissions', title: 'Workspace directory permissions are secure' });
         } else {
           results.warnings.push({
+            id: 'audit.workspace-permissions',
+            target: workspaceDir,
             severity: 'low',
             title: 'Workspace directory readable by others',
             description: 'Consider restricting workspace permissions',
-            fix: 'Run: chmod 700 ~/.openclaw/workspace'
+            fix: `Run: chmod 700 ${workspaceDir}`
           });
         }
       }
@@ -283,35 +320,12 @@ async function runSecurityAudit(options) {
       gradeColor = chalk.red;
     }
 
-    // Print results
-    console.log(chalk.bold('\n🔒 Security Audit Results\n'));
-    console.log(`Score: ${gradeColor(`${results.score}/${results.maxScore} (${grade})`)}\n`);
-
-    if (results.passed.length > 0) {
-      console.log(chalk.green.bold('✓ Passed Checks:'));
-      results.passed.forEach(p => console.log(chalk.green(`  ✓ ${p}`)));
-      console.log();
-    }
-
-    if (results.warnings.length > 0) {
-      console.log(chalk.yellow.bold('⚠ Warnings:'));
-      results.warnings.forEach(w => {
-        console.log(chalk.yellow(`  ⚠ ${w.title}`));
-        console.log(chalk.gray(`    ${w.description}`));
-        if (w.fix) console.log(chalk.gray(`    Fix: ${w.fix}`));
-      });
-      console.log();
-    }
+    results.grade = grade;
+    results.percentage = Math.round(percentage);
 
-    if (results.issues.length > 0) {
-      console.log(chalk.red.bold('✗ Issues Found:'));
-      results.issues.forEach(i => {
-        const severityColor = i.severity === 'high' ? chalk.red : i.severity === 'medium' ? chalk.yellow : chalk.gray;
-        console.log(severityColor(`  ✗ [${i.severity.toUpperCase()}] ${i.title}`));
-        console.log(chalk.gray(`    ${i.description}`));
-        if (i.fix) console.log(chalk.gray(`    Fix: ${i.fix}`));
-      });
-      console.log();
+    // A report on stdout replaces the console output
+    if (!reportFormat || options.output) {
+      printAuditResults(results, gradeColor);
     }
 
     // Auto-fix if requested
@@ -334,6 +348,15 @@ async function runSecurityAudit(options) {
       }
     }
 
+    const report = auditReport(results);
+    if (reportFormat) {
+      writeReport(report, { format: reportFormat, output: options.output, failOn: options.failOn });
+      if (options.output) console.log(chalk.gray(`Report written to ${options.output}`));
+    }
+    if (shouldFail(report, options.failOn)) {
+      process.exitCode = 1;
+    }
+
     return results;
   } catch (error) {
     spinner.fail('Security audit failed');
@@ -342,6 +365,77 @@ async function runSecurityAudit(options) {
   }
 }
 
+/**
+ * Print the audit results
+ * @param {Object} results - From runSecurityAudit
+ * @param {Function} gradeColor - chalk color of the grade
+ */
+function printAuditResults(results, gradeColor) {
+  console.log(chalk.bold('\n🔒 Security Audit Results\n'));
+  console.log(`Score: ${gradeColor(`${results.score}/${results.maxScore} (${results.grade})`)}\n`);
+
+  if (results.passed.length > 0) {
+    console.log(chalk.green.bold('✓ Passed Checks:'));
+    results.passed.forEach(p => console.log(chalk.green(`  ✓ ${p.title}`)));
+    console.log();
+  }
+
+  if (results.warnings.length > 0) {
+    console.log(chalk.yellow.bold('⚠ Warnings:'));
+    results.warnings.forEach(w => {
+      console.log(chalk.yellow(`  ⚠ ${w.title}`));
+      console.log(chalk.gray(`    ${w.description}`));
+      if (w.fix) console.log(chalk.gray(`    Fix: ${w.fix}`));
+    });
+    console.log();
+  }
+
+  if (results.issues.length > 0) {
+    console.log(chalk.red.bold('✗ Issues Found:'));
+    results.issues.forEach(i => {
+      const severityColor = i.severity === 'high' ? chalk.red : i.severity === 'medium' ? chalk.yellow : chalk.gray;
+      console.log(severityColor(`  ✗ [${i.severity.toUpperCase()}] ${i.title}`));
+      console.log(chalk.gray(`    ${i.description}`));
+      if (i.fix) console.log(chalk.gray(`    Fix: ${i.fix}`));
+    });
+    console.log();
+  }
+}
+
+/**
+ * Audit results as a report for the shared reporters
+ * @param {Object} results - From runSecurityAudit
+ * @returns {import('../core/reporters.js').Report}
+ */
+function auditReport(results) {
+  const item = (status, entry) => ({
+    id: entry.id,
+    name: entry.title,
+    category: 'security',
+    status,
+    message: entry.description || entry.title,
+    fix: entry.fix || null,
+    target: entry.target || null,
+    ...(entry.severity && { severity: entry.severity }),
+  });
+  const items = [
+    ...results.issues.map(issue => item('fail', issue)),
+    ...results.warnings.map(warning => item('warn', warning)),
+    ...results.passed.map(passed => item('pass', passed)),
+  ];
+
+  return {
+    tool: 'security-audit',
+    title: 'OpenClaw EasySet Security Audit',
+    generatedAt: new Date().toISOString(),
+    suites: [{
+      name: instances.current().name,
+      items,
+      summary: { ...countStatuses(items), score: results.percentage, grade: results.grade },
+    }],
+  };
+}
+
 /**
  * Check file permissions
  * @param {string} filePath - Path to check
@@ -385,13 +479,7 @@ async function applySecurityProfile(profileName, options) {
   console.log(chalk.gray(profile.description));
   console.log();
 
-  const configPath = join(homedir(), '.openclaw', 'openclaw.json');
-
-  if (dryRun) {
-    console.log(chalk.cyan('[DRY-RUN] Would apply settings:'));
-    console.log(JSON.stringify(profile.settings, null, 2));
-    return { success: true, simulated: true };
-  }
+  const configPath = instances.current().configPath;
 
   updateOpenClawConfig((_, tools) => {
     tools.merge('security', profile.settings);
@@ -425,7 +513,14 @@ async function applySecurityProfile(profileName, options) {
         }
       }
     }
-  }, { backup: true, create: true });
+  }, {
+    backup: true, create: true, force: options.force, dryRun, normalized: true,
+  });
+
+  if (dryRun) {
+    changePreview.print({ format: options.diffFormat });
+    return { success: true, simulated: true };
+  }
 
   // Fix file permissions on Unix
   if (platform() !== 'win32') {
@@ -498,7 +593,7 @@ async function interactiveSecuritySetup(options) {
     }
   ]);
 
-  const configPath = join(homedir(), '.openclaw', 'openclaw.json');
+  const configPath = instances.current().configPath;
 
   const plannedSecurityConfig = {
     pairing: customAnswers.pairing,
@@ -507,12 +602,6 @@ async function interactiveSecuritySetup(options) {
     trustedProxies: customAnswers.trustedProxies,
   };
 
-  if (options.dryRun) {
-    console.log(chalk.cyan('\n[DRY-RUN] Would save settings:'));
-    console.log(JSON.stringify(plannedSecurityConfig, null, 2));
-    return { success: true, simulated: true };
-  }
-
   updateOpenClawConfig((_, tools) => {
     tools.merge('security', plannedSecurityConfig);
     tools.set('gateway.trustedProxies', customAnswers.trustedProxies);
@@ -527,7 +616,14 @@ async function interactiveSecuritySetup(options) {
         tools.set(`channels.${channel}.dmPolicy`, customAnswers.pairing ? 'pairing' : 'open');
       }
     }
-  }, { backup: true, create: true });
+  }, {
+    backup: true, create: true, force: options.force, dryRun: options.dryRun, normalized: true,
+  });
+
+  if (options.dryRun) {
+    changePreview.print({ format: options.diffFormat });
+    return { success: true, simulated: true };
+  }
 
   if (platform() !== 'win32') {
     chmodSync(configPath, 0o600);
@@ -554,7 +650,7 @@ function getDmPolicies(config) {
   for (const channel of channels) {
     const value = config.channels?.[channel];
     if (!value) continue;
-    const policy = value.dmPolicy || value.dm?.policy;
+    const policy = value.dmPolicy;
     if (policy) {
       policies.push({ channel, policy });
     }
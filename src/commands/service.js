@@ -8,6 +8,7 @@ import boxen from 'boxen';
 import inquirer from 'inquirer';
 import crossPlatformServiceManager from '../services/service-manager.js';
 import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
 
 /**
  * Execute service command
@@ -102,7 +103,9 @@ async function installService(options) {
 
   const result = await crossPlatformServiceManager.install({ dryRun: options.dryRun });
 
-  if (result.success) {
+  if (result.simulated) {
+    changePreview.print({ format: options.diffFormat });
+  } else if (result.success) {
     console.log(chalk.green(`  Service installed (${result.type || paths.type})`));
     console.log(chalk.gray('  The gateway will start automatically on login'));
   }
@@ -8,6 +8,7 @@ import boxen from 'boxen';
 import inquirer from 'inquirer';
 import marketplace from '../skills/marketplace.js';
 import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
 
 /**
  * Execute skills command
@@ -177,7 +178,9 @@ async function installSkill(options) {
     force: options.force,
   });
 
-  if (result.success) {
+  if (result.simulated) {
+    changePreview.print({ format: options.diffFormat });
+  } else if (result.success) {
     console.log(chalk.green(`  Skill "${skillName}" installed at ${result.path}`));
   } else {
     console.log(chalk.red(`  Failed: ${result.error}`));
@@ -214,7 +217,9 @@ async function uninstallSkill(options) {
 
   const result = await marketplace.uninstall(skillName, { dryRun: options.dryRun });
 
-  if (result.success) {
+  if (result.simulated) {
+    changePreview.print({ format: options.diffFormat });
+  } else if (result.success) {
     console.log(chalk.green(`  Skill "${skillName}" uninstalled`));
   } else {
     console.log(chalk.red(`  Failed: ${result.error}`));
@@ -5,19 +5,13 @@
 
 import { existsSync, readFileSync, statSync, readdirSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import { commandExists, getCommandVersion, formatBytes } from '../core/utils.js';
 import serviceManager from '../core/service-manager.js';
 import logger from '../core/logger.js';
-import { loadOpenClawConfig } from '../core/openclaw-config.js';
-
-const OPENCLAW_DIR = join(homedir(), '.openclaw');
-const OPENCLAW_CONFIG = join(OPENCLAW_DIR, 'openclaw.json');
-const CRON_FILE = join(OPENCLAW_DIR, 'cron', 'jobs.json');
-const MEMORY_DB = join(OPENCLAW_DIR, 'memory', 'main.sqlite');
-const SKILLS_DIR = join(OPENCLAW_DIR, 'workspace', 'skills');
+import { loadEffectiveConfig } from '../core/config-fragments.js';
+import instances from '../core/instances.js';
 
 /**
  * Execute status command
@@ -31,183 +25,17 @@ export async function statusCommand(options) {
       borderStyle: 'round',
     }));
 
-    const status = {};
-
-    // --- OpenClaw Version ---
-    console.log(chalk.bold('\n  OpenClaw'));
-    const clawInstalled = await commandExists('openclaw');
-    if (clawInstalled) {
-      const version = await getCommandVersion('openclaw');
-      const ver = version ? version.split('\n')[0].trim() : 'unknown';
-      console.log(`    Version: ${chalk.green(ver)}`);
-      status.version = ver;
-    } else {
-      console.log(`    ${chalk.red('Not installed')}`);
-      status.version = null;
-    }
-
-    // Config status
-    if (existsSync(OPENCLAW_CONFIG)) {
-      try {
-        const { config } = loadOpenClawConfig({ optional: false });
-        const lastVersion = config.meta?.lastTouchedVersion || 'unknown';
-        console.log(`    Config Version: ${chalk.gray(lastVersion)}`);
-
-        if (config.meta?.lastTouchedAt) {
-          const touched = new Date(config.meta.lastTouchedAt);
-          console.log(`    Last Modified: ${chalk.gray(touched.toLocaleString())}`);
-        }
-
-        status.config = { exists: true, lastVersion };
-
-        // --- Agent ---
-        if (config.agents?.defaults) {
-          console.log(chalk.bold('\n  Agent'));
-          const agentModel = config.agents.defaults.model;
-          const modelStr = typeof agentModel === 'object' ? agentModel.primary : agentModel;
-          console.log(`    Model: ${chalk.cyan(modelStr || 'not set')}`);
-          const fallbacks = typeof agentModel === 'object' && agentModel.fallbacks;
-          if (fallbacks && fallbacks.length > 0) {
-            console.log(`    Fallback: ${chalk.gray(fallbacks.join(', '))}`);
-          } else if (config.agents.defaults.fallbackModel) {
-            console.log(`    Fallback: ${chalk.gray(config.agents.defaults.fallbackModel)}`);
-          }
-          console.log(`    Max Concurrent: ${config.agents.defaults.maxConcurrent || 'default'}`);
-        }
-
-        // --- Channels ---
-        console.log(chalk.bold('\n  Channels'));
-        const channelRows = buildChannelRows(config);
-        if (channelRows.length === 0) {
-          console.log(chalk.gray('    No channels enabled'));
-        } else {
-          for (const row of channelRows) {
-            const policyLabel = row.dmPolicy ? ` ${chalk.gray(`(${row.dmPolicy})`)}` : '';
-            console.log(`    ${chalk.green('●')} ${row.name}: ${chalk.green('Enabled')}${policyLabel}`);
-          }
-        }
-        status.channels = channelRows;
-
-        // --- Plugins ---
-        console.log(chalk.bold('\n  Plugins'));
-        const entries = config.plugins?.entries || {};
-        const enabledPlugins = [];
-        for (const [name, entry] of Object.entries(entries)) {
-          if (entry.enabled) {
-            enabledPlugins.push(name);
-            let detail = '';
-            if (name === 'memory-lancedb' && entry.config?.embedding?.model) {
-              detail = chalk.gray(` (${entry.config.embedding.model})`);
-            } else if (name === 'llm-task' && entry.config?.defaultModel) {
-              detail = chalk.gray(` (${entry.config.defaultProvider}/${entry.config.defaultModel})`);
-            } else if (name === 'voice-call' && entry.config?.provider) {
-              detail = chalk.gray(` (${entry.config.provider})`);
-            }
-            console.log(`    ${chalk.green('●')} ${name}${detail}`);
-          }
-        }
-        if (enabledPlugins.length === 0) {
-          console.log(chalk.gray('    No plugins enabled'));
-        }
-        status.plugins = enabledPlugins;
-
-        // --- Gateway ---
-        console.log(chalk.bold('\n  Gateway'));
-        if (config.gateway) {
-          console.log(`    Port: ${config.gateway.port || 18789}`);
-          console.log(`    Mode: ${config.gateway.mode || 'local'}`);
-          console.log(`    Auth: ${config.gateway.auth?.mode || 'none'}`);
-          if (config.gateway.tailscale?.mode) {
-            console.log(`    Tailscale: ${chalk.green('Enabled')} (${config.gateway.tailscale.mode})`);
-          }
-        }
-
-      } catch (error) {
-        console.log(chalk.red(`    Config error: ${error.message}`));
-        status.config = { exists: true, error: error.message };
-      }
-    } else {
-      console.log(chalk.yellow('    Config: Not found'));
-      status.config = { exists: false };
-    }
-
-    // --- Services ---
-    console.log(chalk.bold('\n  Services'));
-    await serviceManager.printStatus();
-
-    // --- Cron Jobs ---
-    console.log(chalk.bold('\n  Cron Jobs'));
-    if (existsSync(CRON_FILE)) {
-      try {
-        const cronData = JSON.parse(readFileSync(CRON_FILE, 'utf-8'));
-        const jobList = Array.isArray(cronData) ? cronData : (cronData.jobs || []);
-        const activeJobs = jobList.filter(j => j.enabled !== false);
-        status.cronJobs = activeJobs.length;
-
-        for (const job of activeJobs) {
-          const name = job.name || job.id || 'unnamed';
-          const schedule = job.schedule?.expr || job.cron || 'no schedule';
-          const tz = job.schedule?.tz ? ` ${job.schedule.tz}` : '';
-          const lastStatus = job.state?.lastStatus || 'never';
-          const statusIcon = lastStatus === 'ok' ? chalk.green('●')
-            : lastStatus === 'never' ? chalk.gray('○')
-            : chalk.yellow('●');
-          console.log(`    ${statusIcon} ${chalk.bold(name)} ${chalk.gray(`[${schedule}${tz}]`)} - last: ${lastStatus}`);
-        }
-
-        if (activeJobs.length === 0) {
-          console.log(chalk.gray('    No active cron jobs'));
-        }
-      } catch {
-        console.log(chalk.yellow('    Failed to read cron jobs'));
-      }
-    } else {
-      console.log(chalk.gray('    No cron jobs configured'));
-      status.cronJobs = 0;
-    }
-
-    // --- Storage ---
-    console.log(chalk.bold('\n  Storage'));
-    if (existsSync(MEMORY_DB)) {
-      try {
-        const dbStat = statSync(MEMORY_DB);
-        console.log(`    Memory DB: ${chalk.cyan(formatBytes(dbStat.size))}`);
-      } catch {
-        console.log(chalk.gray('    Memory DB: exists'));
-      }
-    } else {
-      console.log(chalk.gray('    Memory DB: not initialized'));
-    }
-
-    // LanceDB
-    const lanceDir = join(OPENCLAW_DIR, 'memory', 'lancedb');
-    if (existsSync(lanceDir)) {
-      console.log(`    Vector Store: ${chalk.green('Active')}`);
-    } else {
-      console.log(chalk.gray('    Vector Store: not initialized'));
-    }
+    const targets = options.allInstances ? instances.list() : [instances.current()];
+    const results = [];
 
-    // Skills count
-    if (existsSync(SKILLS_DIR)) {
-      try {
-        const skillCount = readdirSync(SKILLS_DIR, { withFileTypes: true })
-          .filter(e => e.isDirectory()).length;
-        console.log(`    Skills: ${chalk.cyan(skillCount)} installed`);
-        status.skills = skillCount;
-      } catch {
-        console.log(chalk.gray('    Skills: unknown'));
+    for (const instance of targets) {
+      if (options.allInstances || !instance.isDefault) {
+        console.log(chalk.bold.blue(`\n  Instance: ${instance.name}`) + chalk.gray(` (${instance.home}, port ${instance.port})`));
       }
-    }
-
-    // Session count
-    const sessionsDir = join(OPENCLAW_DIR, 'agents', 'main', 'sessions');
-    if (existsSync(sessionsDir)) {
-      try {
-        const sessionCount = readdirSync(sessionsDir, { withFileTypes: true })
-          .filter(e => e.isDirectory()).length;
-        console.log(`    Sessions: ${chalk.cyan(sessionCount)} total`);
-        status.sessions = sessionCount;
-      } catch { /* skip */ }
+      const status = options.allInstances
+        ? await instances.withInstance(instance.name, () => showInstanceStatus(instance))
+        : await showInstanceStatus(instance);
+      results.push(status);
     }
 
     // --- Tools ---
@@ -231,7 +59,7 @@ export async function statusCommand(options) {
 
     // JSON output
     if (options.json) {
-      console.log(JSON.stringify(status, null, 2));
+      console.log(JSON.stringify(options.allInstances ? results : results[0], null, 2));
     }
 
   } catch (error) {
@@ -240,6 +68,193 @@ export async function statusCommand(options) {
   }
 }
 
+/**
+ * Print the dashboard sections of one instance
+ * @param {Object} instance - Resolved instance (active while this runs)
+ * @returns {Promise<Object>} Status summary for --json
+ */
+async function showInstanceStatus(instance) {
+  const status = { instance: instance.name };
+
+  // --- OpenClaw Version ---
+  console.log(chalk.bold('\n  OpenClaw'));
+  const clawInstalled = await commandExists('openclaw');
+  if (clawInstalled) {
+    const version = await getCommandVersion('openclaw');
+    const ver = version ? version.split('\n')[0].trim() : 'unknown';
+    console.log(`    Version: ${chalk.green(ver)}`);
+    status.version = ver;
+  } else {
+    console.log(`    ${chalk.red('Not installed')}`);
+    status.version = null;
+  }
+
+  // Config status
+  if (existsSync(instance.configPath)) {
+    try {
+      const { config } = loadEffectiveConfig({ optional: false, normalize: true });
+      const lastVersion = config.meta?.lastTouchedVersion || 'unknown';
+      console.log(`    Config Version: ${chalk.gray(lastVersion)}`);
+
+      if (config.meta?.lastTouchedAt) {
+        const touched = new Date(config.meta.lastTouchedAt);
+        console.log(`    Last Modified: ${chalk.gray(touched.toLocaleString())}`);
+      }
+
+      status.config = { exists: true, lastVersion };
+
+      // --- Agent ---
+      if (config.agents?.defaults) {
+        console.log(chalk.bold('\n  Agent'));
+        const agentModel = config.agents.defaults.model;
+        const modelStr = typeof agentModel === 'object' ? agentModel.primary : agentModel;
+        console.log(`    Model: ${chalk.cyan(modelStr || 'not set')}`);
+        const fallbacks = typeof agentModel === 'object' && agentModel.fallbacks;
+        if (fallbacks && fallbacks.length > 0) {
+          console.log(`    Fallback: ${chalk.gray(fallbacks.join(', '))}`);
+        }
+        console.log(`    Max Concurrent: ${config.agents.defaults.maxConcurrent || 'default'}`);
+      }
+
+      // --- Channels ---
+      console.log(chalk.bold('\n  Channels'));
+      const channelRows = buildChannelRows(config);
+      if (channelRows.length === 0) {
+        console.log(chalk.gray('    No channels enabled'));
+      } else {
+        for (const row of channelRows) {
+          const policyLabel = row.dmPolicy ? ` ${chalk.gray(`(${row.dmPolicy})`)}` : '';
+          console.log(`    ${chalk.green('●')} ${row.name}: ${chalk.green('Enabled')}${policyLabel}`);
+        }
+      }
+      status.channels = channelRows;
+
+      // --- Plugins ---
+      console.log(chalk.bold('\n  Plugins'));
+      const entries = config.plugins?.entries || {};
+      const enabledPlugins = [];
+      for (const [name, entry] of Object.entries(entries)) {
+        if (entry.enabled) {
+          enabledPlugins.push(name);
+          let detail = '';
+          if (name === 'memory-lancedb' && entry.config?.embedding?.model) {
+            detail = chalk.gray(` (${entry.config.embedding.model})`);
+          } else if (name === 'llm-task' && entry.config?.defaultModel) {
+            detail = chalk.gray(` (${entry.config.defaultProvider}/${entry.config.defaultModel})`);
+          } else if (name === 'voice-call' && entry.config?.provider) {
+            detail = chalk.gray(` (${entry.config.provider})`);
+          }
+          console.log(`    ${chalk.green('●')} ${name}${detail}`);
+        }
+      }
+      if (enabledPlugins.length === 0) {
+        console.log(chalk.gray('    No plugins enabled'));
+      }
+      status.plugins = enabledPlugins;
+
+      // --- Gateway ---
+      console.log(chalk.bold('\n  Gateway'));
+      if (config.gateway) {
+        console.log(`    Port: ${config.gateway.port || instance.port}`);
+        console.log(`    Mode: ${config.gateway.mode || 'local'}`);
+        console.log(`    Auth: ${config.gateway.auth?.mode || 'none'}`);
+        if (config.gateway.tailscale?.mode) {
+          console.log(`    Tailscale: ${chalk.green('Enabled')} (${config.gateway.tailscale.mode})`);
+        }
+      }
+
+    } catch (error) {
+      console.log(chalk.red(`    Config error: ${error.message}`));
+      status.config = { exists: true, error: error.message };
+    }
+  } else {
+    console.log(chalk.yellow('    Config: Not found'));
+    status.config = { exists: false };
+  }
+
+  // --- Services ---
+  console.log(chalk.bold('\n  Services'));
+  await serviceManager.printStatus();
+
+  // --- Cron Jobs ---
+  console.log(chalk.bold('\n  Cron Jobs'));
+  if (existsSync(instance.cronFile)) {
+    try {
+      const cronData = JSON.parse(readFileSync(instance.cronFile, 'utf-8'));
+      const jobList = Array.isArray(cronData) ? cronData : (cronData.jobs || []);
+      const activeJobs = jobList.filter(j => j.enabled !== false);
+      status.cronJobs = activeJobs.length;
+
+      for (const job of activeJobs) {
+        const name = job.name || job.id || 'unnamed';
+        const schedule = job.schedule?.expr || job.cron || 'no schedule';
+        const tz = job.schedule?.tz ? ` ${job.schedule.tz}` : '';
+        const lastStatus = job.state?.lastStatus || 'never';
+        const statusIcon = lastStatus === 'ok' ? chalk.green('●')
+          : lastStatus === 'never' ? chalk.gray('○')
+          : chalk.yellow('●');
+        console.log(`    ${statusIcon} ${chalk.bold(name)} ${chalk.gray(`[${schedule}${tz}]`)} - last: ${lastStatus}`);
+      }
+
+      if (activeJobs.length === 0) {
+        console.log(chalk.gray('    No active cron jobs'));
+      }
+    } catch {
+      console.log(chalk.yellow('    Failed to read cron jobs'));
+    }
+  } else {
+    console.log(chalk.gray('    No cron jobs configured'));
+    status.cronJobs = 0;
+  }
+
+  // --- Storage ---
+  console.log(chalk.bold('\n  Storage'));
+  const memoryDb = join(instance.home, 'memory', 'main.sqlite');
+  if (existsSync(memoryDb)) {
+    try {
+      const dbStat = statSync(memoryDb);
+      console.log(`    Memory DB: ${chalk.cyan(formatBytes(dbStat.size))}`);
+    } catch {
+      console.log(chalk.gray('    Memory DB: exists'));
+    }
+  } else {
+    console.log(chalk.gray('    Memory DB: not initialized'));
+  }
+
+  // LanceDB
+  const lanceDir = join(instance.home, 'memory', 'lancedb');
+  if (existsSync(lanceDir)) {
+    console.log(`    Vector Store: ${chalk.green('Active')}`);
+  } else {
+    console.log(chalk.gray('    Vector Store: not initialized'));
+  }
+
+  // Skills count
+  if (existsSync(instance.skillsDir)) {
+    try {
+      const skillCount = readdirSync(instance.skillsDir, { withFileTypes: true })
+        .filter(e => e.isDirectory()).length;
+      console.log(`    Skills: ${chalk.cyan(skillCount)} installed`);
+      status.skills = skillCount;
+    } catch {
+      console.log(chalk.gray('    Skills: unknown'));
+    }
+  }
+
+  // Session count
+  const sessionsDir = join(instance.home, 'agents', 'main', 'sessions');
+  if (existsSync(sessionsDir)) {
+    try {
+      const sessionCount = readdirSync(sessionsDir, { withFileTypes: true })
+        .filter(e => e.isDirectory()).length;
+      console.log(`    Sessions: ${chalk.cyan(sessionCount)} total`);
+      status.sessions = sessionCount;
+    } catch { /* skip */ }
+  }
+
+  return status;
+}
+
 function buildChannelRows(config) {
   const rows = [];
   const channels = config.channels || {};
@@ -262,7 +277,7 @@ function buildChannelRows(config) {
       key: item.key,
       name: item.name,
       status: 'enabled',
-      dmPolicy: channel.dmPolicy || channel.dm?.policy || null,
+      dmPolicy: channel.dmPolicy || null,
     });
   }
 
@@ -272,7 +287,6 @@ function buildChannelRows(config) {
 function isChannelEnabled(channelConfig) {
   if (!channelConfig || typeof channelConfig !== 'object') return false;
   if (channelConfig.enabled === true) return true;
-  if (channelConfig.watchEnabled === true) return true;
   if (channelConfig.botToken) return true;
   return false;
 }
@@ -0,0 +1,183 @@
+/**
+ * Alerts
+ * Delivers `doctor --watch` events to alert sinks: a shell command, a generic
+ * webhook, or a message through a channel OpenClaw is already configured
+ * with (Telegram). Sinks come from the monitor.alerts section of the
+ * EasySet config or from --alert-* options.
+ * @module core/alerts
+ */
+
+import { spawn } from 'child_process';
+import { loadEffectiveConfig } from './config-fragments.js';
+import { resolveSecret } from './secrets.js';
+import logger from './logger.js';
+
+export const ALERT_SINK_TYPES = ['command', 'webhook', 'channel'];
+
+/** Channels an alert can be sent through */
+export const ALERT_CHANNELS = ['telegram'];
+
+/** How long a sink may take before it counts as failed */
+const SINK_TIMEOUT_MS = 30000;
+
+const EVENT_ICONS = { fail: '❌', warn: '⚠️', pass: '✅' };
+
+/**
+ * Thrown for invalid sink definitions and failed deliveries.
+ */
+export class AlertError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'AlertError';
+  }
+}
+
+/**
+ * An alert sink definition, as stored in monitor.alerts
+ * @typedef {Object} AlertSinkDefinition
+ * @property {'command'|'webhook'|'channel'} type
+ * @property {string} [command] - command: run with sh/cmd; the event is on stdin as JSON
+ * @property {string} [url] - webhook: receives a POST with {text, event}
+ * @property {Object<string, string>} [headers] - webhook: extra headers, values may be secret refs
+ * @property {string} [channel] - channel: telegram
+ * @property {string} [to] - channel: chat id, default channels.telegram.chatId
+ */
+
+/**
+ * One line describing an event
+ * @param {import('./check-monitor.js').MonitorEvent & {instance?: string}} event
+ * @returns {string}
+ */
+export function formatAlert(event) {
+  const where = `${event.instance ? `[${event.instance}] ` : ''}${event.name}${event.target ? ` (${event.target})` : ''}`;
+  switch (event.kind) {
+    case 'flapping':
+      return `🔀 ${where} is flapping (${event.changes} status changes); alerts paused until it settles — ${event.message}`;
+    case 'settled':
+      return `${EVENT_ICONS[event.to] || ''} ${where} settled at ${event.to} — ${event.message}`.trim();
+    default:
+      return `${EVENT_ICONS[event.to] || ''} ${where}: ${event.from} → ${event.to} — ${event.message}`.trim();
+  }
+}
+
+/**
+ * Validate a sink definition and bind its send function
+ * @param {AlertSinkDefinition} definition
+ * @returns {{type: string, label: string, send: (event: Object) => Promise<void>}}
+ * @throws {AlertError}
+ */
+export function createSink(definition) {
+  switch (definition?.type) {
+    case 'command':
+      if (!definition.command) throw new AlertError('A command alert needs a command');
+      return { type: 'command', label: `command ${definition.command}`, send: event => runCommand(definition.command, event) };
+    case 'webhook': {
+      let url;
+      try {
+        url = new URL(definition.url);
+      } catch {
+        throw new AlertError(`A webhook alert needs an http(s) url, got ${JSON.stringify(definition.url)}`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new AlertError(`A webhook alert needs an http(s) url, got ${definition.url}`);
+      }
+      return { type: 'webhook', label: `webhook ${url.origin}`, send: event => postWebhook(url, definition.headers || {}, event) };
+    }
+    case 'channel':
+      if (!ALERT_CHANNELS.includes(definition.channel)) {
+        throw new AlertError(`Cannot alert through channel ${JSON.stringify(definition.channel)} (supported: ${ALERT_CHANNELS.join(', ')})`);
+      }
+      return { type: 'channel', label: `${definition.channel} channel`, send: event => sendTelegram(definition, event) };
+    default:
+      throw new AlertError(`Unknown alert type ${JSON.stringify(definition?.type)} (use ${ALERT_SINK_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Send every event to every sink. Failures are logged, not thrown, so one
+ * broken sink does not stop the watcher or the other sinks.
+ * @param {Array<ReturnType<typeof createSink>>} sinks
+ * @param {Object[]} events
+ * @returns {Promise<Array<{sink: string, event: Object, error: string}>>} Failed deliveries
+ */
+export async function sendAlerts(sinks, events) {
+  const failures = [];
+  for (const event of events) {
+    await Promise.all(sinks.map(async (sink) => {
+      try {
+        await sink.send(event);
+      } catch (error) {
+        logger.warn(`Alert via ${sink.label} failed: ${error.message}`);
+        failures.push({ sink: sink.label, event, error: error.message });
+      }
+    }));
+  }
+  return failures;
+}
+
+function runCommand(command, event) {
+  const env = {
+    ...process.env,
+    EASYSET_ALERT_KIND: event.kind,
+    EASYSET_ALERT_INSTANCE: event.instance || '',
+    EASYSET_ALERT_CHECK: event.check,
+    EASYSET_ALERT_NAME: event.name,
+    EASYSET_ALERT_TARGET: event.target || '',
+    EASYSET_ALERT_FROM: event.from,
+    EASYSET_ALERT_TO: event.to,
+    EASYSET_ALERT_MESSAGE: event.message,
+    EASYSET_ALERT_TEXT: formatAlert(event),
+  };
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, env, stdio: ['pipe', 'ignore', 'pipe'], timeout: SINK_TIMEOUT_MS });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) resolve();
+      else reject(new AlertError(`${signal ? `killed by ${signal}` : `exited with ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+    });
+    // A command that does not read stdin closes it early; that is fine
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${JSON.stringify(event)}\n`);
+  });
+}
+
+async function postWebhook(url, headers, event) {
+  const resolved = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, resolveSecret(value)]));
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...resolved },
+    body: JSON.stringify({ text: formatAlert(event), event }),
+    signal: AbortSignal.timeout(SINK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new AlertError(`HTTP ${response.status} ${response.statusText}`);
+  }
+}
+
+async function sendTelegram(definition, event) {
+  const telegram = loadEffectiveConfig({ normalize: true }).config?.channels?.telegram;
+  if (!telegram?.botToken) {
+    throw new AlertError('Telegram is not configured (run: openclaw-easyset configure channels)');
+  }
+  const chatId = definition.to || telegram.chatId;
+  if (!chatId) throw new AlertError('No Telegram chat id: set channels.telegram.chatId or "to" on the alert');
+
+  // apiUrl points tests at a fake Bot API
+  const apiUrl = definition.apiUrl || 'https://api.telegram.org';
+  const response = await fetch(`${apiUrl}/bot${resolveSecret(telegram.botToken)}/sendMessage`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ chat_id: chatId, text: formatAlert(event), disable_web_page_preview: true }),
+    signal: AbortSignal.timeout(SINK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new AlertError(`Telegram API: ${body.description || `HTTP ${response.status}`}`);
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * Backup archives
+ * Minimal ustar reader/writer plus gzip/zstd compression, so a backup is a
+ * single `.tar.gz` or `.tar.zst` file that plain `tar` can also open.
+ * zstd uses node:zlib where available (Node 22.15+) and the `zstd` command
+ * otherwise.
+ * @module core/archive
+ */
+
+import { readFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import zlib from 'zlib';
+import { atomicWriteFileSync } from './file-lock.js';
+
+/** Compression name -> archive extension */
+export const ARCHIVE_EXTENSIONS = {
+  gzip: '.tar.gz',
+  zstd: '.tar.zst',
+};
+
+export const DEFAULT_COMPRESSION = 'gzip';
+
+const BLOCK = 512;
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+/**
+ * Thrown for archives that cannot be read or written.
+ */
+export class ArchiveError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+/**
+ * An archive member
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - Relative POSIX path
+ * @property {Buffer} data
+ * @property {number} [mode] - Permission bits (default 0o644)
+ * @property {Date} [mtime]
+ */
+
+/**
+ * Compression implied by a file name, or null if it is not an archive name.
+ * @param {string} file
+ * @returns {'gzip'|'zstd'|null}
+ */
+export function compressionFor(file) {
+  if (/\.(tar\.gz|tgz)$/i.test(file)) return 'gzip';
+  if (/\.(tar\.zst|tzst)$/i.test(file)) return 'zstd';
+  return null;
+}
+
+/**
+ * File name without its archive extension.
+ * @param {string} file
+ * @returns {string}
+ */
+export function stripArchiveExtension(file) {
+  return file.replace(/\.(tar\.gz|tgz|tar\.zst|tzst)$/i, '');
+}
+
+/**
+ * Build an uncompressed tar stream.
+ * @param {Array<ArchiveEntry>} entries
+ * @returns {Buffer}
+ */
+export function packTar(entries) {
+  const blocks = [];
+
+  for (const entry of entries) {
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data);
+    const mtime = entry.mtime || new Date();
+
+    if (Buffer.byteLength(entry.path) > 100) {
+      // Long names go into a pax extended header
+      const record = paxRecord('path', entry.path);
+      blocks.push(header({ path: 'PaxHeader', size: record.length, mode: 0o644, mtime, type: 'x' }));
+      blocks.push(padded(record));
+    }
+
+    blocks.push(header({ path: entry.path.slice(0, 100), size: data.length, mode: entry.mode ?? 0o644, mtime, type: '0' }));
+    blocks.push(padded(data));
+  }
+
+  blocks.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Read the regular files of a tar stream.
+ * @param {Buffer} buffer
+ * @returns {Array<ArchiveEntry>}
+ * @throws {ArchiveError}
+ */
+export function unpackTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  let longPath = null;
+
+  while (offset + BLOCK <= buffer.length) {
+    const block = buffer.subarray(offset, offset + BLOCK);
+    if (block.every(byte => byte === 0)) break;
+
+    if (readOctal(block, 148, 8) !== checksum(block)) {
+      throw new ArchiveError(`Corrupt tar header at offset ${offset}`);
+    }
+
+    const size = readOctal(block, 124, 12);
+    const type = String.fromCharCode(block[156] || 0x30);
+    const start = offset + BLOCK;
+    if (start + size > buffer.length) {
+      throw new ArchiveError('Archive is truncated');
+    }
+    const data = Buffer.from(buffer.subarray(start, start + size));
+    offset = start + Math.ceil(size / BLOCK) * BLOCK;
+
+    if (type === 'x') {
+      longPath = parsePax(data).path || null;
+      continue;
+    }
+    if (type === 'L') {
+      longPath = readString(data, 0, data.length);
+      continue;
+    }
+    if (type !== '0' && type !== '\0') {
+      // Directories, links and global headers carry no file content
+      longPath = null;
+      continue;
+    }
+
+    const prefix = readString(block, 345, 155);
+    const name = readString(block, 0, 100);
+    entries.push({
+      path: (longPath || (prefix ? `${prefix}/${name}` : name)).replace(/^\.\//, ''),
+      data,
+      mode: readOctal(block, 100, 8) & 0o777,
+      mtime: new Date(readOctal(block, 136, 12) * 1000),
+    });
+    longPath = null;
+  }
+
+  return entries;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {'gzip'|'zstd'} compression
+ * @returns {Buffer}
+ */
+export function compress(buffer, compression) {
+  switch (compression) {
+    case 'gzip':
+      return zlib.gzipSync(buffer, { level: 9 });
+    case 'zstd':
+      return typeof zlib.zstdCompressSync === 'function'
+        ? zlib.zstdCompressSync(buffer)
+        : runZstd(['-q', '-c', '-19'], buffer);
+    default:
+      throw new ArchiveError(`Unknown compression: ${compression} (use ${Object.keys(ARCHIVE_EXTENSIONS).join(' or ')})`);
+  }
+}
+
+/**
+ * Decompress, detecting gzip or zstd from the magic bytes.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ * @throws {ArchiveError}
+ */
+export function decompress(buffer) {
+  try {
+    if (buffer.subarray(0, 2).equals(GZIP_MAGIC)) {
+      return zlib.gunzipSync(buffer);
+    }
+    if (buffer.subarray(0, 4).equals(ZSTD_MAGIC)) {
+      return typeof zlib.zstdDecompressSync === 'function'
+        ? zlib.zstdDecompressSync(buffer)
+        : runZstd(['-q', '-d', '-c'], buffer);
+    }
+  } catch (error) {
+    if (error instanceof ArchiveError) throw error;
+    throw new ArchiveError(`Cannot decompress archive: ${error.message}`);
+  }
+  throw new ArchiveError('Not a .tar.gz or .tar.zst archive');
+}
+
+/**
+ * Write entries to a compressed archive (atomically, mode 0600: backups hold secrets).
+ * @param {string} file
+ * @param {Array<ArchiveEntry>} entries
+ * @param {'gzip'|'zstd'} [compression] - Defaults to the one the file name implies
+ */
+export function writeArchive(file, entries, compression = compressionFor(file) || DEFAULT_COMPRESSION) {
+  atomicWriteFileSync(file, compress(packTar(entries), compression), { mode: 0o600 });
+}
+
+/**
+ * @param {string} file
+ * @returns {Array<ArchiveEntry>}
+ * @throws {ArchiveError}
+ */
+export function readArchive(file) {
+  return unpackTar(decompress(readFileSync(file)));
+}
+
+function runZstd(args, input) {
+  const result = spawnSync('zstd', args, { input, maxBuffer: 1024 * 1024 * 1024 });
+  if (result.error) {
+    throw new ArchiveError(result.error.code === 'ENOENT'
+      ? 'zstd archives need Node 22.15+ or the zstd command'
+      : `zstd failed: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new ArchiveError(`zstd failed: ${result.stderr.toString().trim()}`);
+  }
+  return result.stdout;
+}
+
+function header({ path, size, mode, mtime, type }) {
+  const block = Buffer.alloc(BLOCK);
+  block.write(path, 0, 100, 'utf-8');
+  writeOctal(block, mode, 100, 8);
+  writeOctal(block, 0, 108, 8);
+  writeOctal(block, 0, 116, 8);
+  writeOctal(block, size, 124, 12);
+  writeOctal(block, Math.floor(mtime.getTime() / 1000), 136, 12);
+  block.write(type, 156, 1, 'ascii');
+  block.write('ustar\0', 257, 6, 'ascii');
+  block.write('00', 263, 2, 'ascii');
+  block.write(`${checksum(block).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return block;
+}
+
+/** Sum of the header bytes with the checksum field counted as spaces */
+function checksum(block) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum;
+}
+
+function writeOctal(block, value, offset, length) {
+  block.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+function readOctal(block, offset, length) {
+  const text = readString(block, offset, length).trim();
+  return text ? Number.parseInt(text, 8) : 0;
+}
+
+function readString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf-8');
+}
+
+function padded(data) {
+  const remainder = data.length % BLOCK;
+  return remainder === 0 ? data : Buffer.concat([data, Buffer.alloc(BLOCK - remainder)]);
+}
+
+/** A pax record is "<length> <key>=<value>\n", where length counts itself */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + String(bodyLength).length;
+  while (bodyLength + String(length).length !== length) {
+    length = bodyLength + String(length).length;
+  }
+  return Buffer.from(`${length}${body}`, 'utf-8');
+}
+
+function parsePax(data) {
+  const fields = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = Number.parseInt(data.subarray(offset, space).toString('ascii'), 10);
+    if (!(length > 0)) break;
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf-8');
+    const equals = record.indexOf('=');
+    fields[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return fields;
+}
@@ -0,0 +1,149 @@
+/**
+ * Backup encryption
+ * Encrypted backups keep their manifest readable and store the files as one
+ * AES-256-GCM payload. The key is derived with scrypt from a passphrase or
+ * read from a key file (a base64 32-byte key, the same format as vault.key);
+ * the cipher parameters are recorded in `.backup-meta.json` under `encryption`.
+ * @module core/backup-crypto
+ */
+
+import { existsSync, readFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+import {
+  CIPHER, KEY_LENGTH, SCRYPT_PARAMS, deriveKey, encrypt, decrypt, generateKey,
+} from './encryption.js';
+import { atomicWriteFileSync } from './file-lock.js';
+
+/** Passphrase for non-interactive encrypted backups and restores */
+export const BACKUP_PASSPHRASE_ENV = 'OPENCLAW_BACKUP_PASSPHRASE';
+
+/** Name of the encrypted payload inside a backup archive */
+export const PAYLOAD_FILE = 'payload.tar.enc';
+
+/**
+ * Thrown when an encrypted backup is opened without a usable key.
+ */
+export class BackupKeyError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'BackupKeyError';
+  }
+}
+
+/**
+ * Where the key comes from
+ * @typedef {Object} BackupKeySource
+ * @property {string} [passphrase]
+ * @property {string} [keyFile]
+ */
+
+/**
+ * Read a key file.
+ * @param {string} file
+ * @returns {Buffer}
+ * @throws {BackupKeyError}
+ */
+export function readKeyFile(file) {
+  if (!existsSync(file)) {
+    throw new BackupKeyError(`Key file not found: ${file}`);
+  }
+  const key = Buffer.from(readFileSync(file, 'utf-8').trim(), 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new BackupKeyError(`${file} is not a backup key (expected ${KEY_LENGTH} bytes, base64)`);
+  }
+  return key;
+}
+
+/**
+ * Create a key file with a random key.
+ * @param {string} file
+ * @returns {Buffer}
+ */
+export function createKeyFile(file) {
+  const key = generateKey();
+  mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+  atomicWriteFileSync(file, `${key.toString('base64')}\n`, { mode: 0o600, expectedHash: null });
+  return key;
+}
+
+/**
+ * Short fingerprint that tells key files apart without revealing them
+ * @param {Buffer} key
+ * @returns {string}
+ */
+export function keyFingerprint(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Encrypt a backup payload.
+ * @param {Buffer} payload
+ * @param {BackupKeySource} source - A passphrase, or a key file that must exist
+ * @returns {{encryption: Object, data: Buffer}} encryption is stored in the manifest
+ */
+export function encryptPayload(payload, source) {
+  let key;
+  let params;
+
+  if (source.keyFile) {
+    key = readKeyFile(source.keyFile);
+    params = { kdf: 'keyfile', keyFingerprint: keyFingerprint(key) };
+  } else if (source.passphrase) {
+    const salt = generateKey();
+    key = deriveKey(source.passphrase, salt, SCRYPT_PARAMS);
+    params = { kdf: 'scrypt', salt: salt.toString('base64'), scrypt: SCRYPT_PARAMS };
+  } else {
+    throw new BackupKeyError('Encrypted backups need a passphrase or a key file');
+  }
+
+  const box = encrypt(payload, key);
+  return {
+    encryption: {
+      cipher: CIPHER,
+      ...params,
+      iv: box.iv.toString('base64'),
+      tag: box.tag.toString('base64'),
+    },
+    data: box.data,
+  };
+}
+
+/**
+ * Decrypt a backup payload.
+ * @param {Buffer} data
+ * @param {Object} encryption - The manifest's encryption block
+ * @param {BackupKeySource} source
+ * @returns {Buffer}
+ * @throws {BackupKeyError|import('./encryption.js').DecryptionError}
+ */
+export function decryptPayload(data, encryption, source) {
+  if (encryption.cipher !== CIPHER) {
+    throw new BackupKeyError(`Unsupported backup cipher: ${encryption.cipher}`);
+  }
+
+  let key;
+  if (encryption.kdf === 'keyfile') {
+    if (!source.keyFile) {
+      throw new BackupKeyError('This backup is encrypted with a key file; pass --key-file');
+    }
+    key = readKeyFile(source.keyFile);
+    if (encryption.keyFingerprint && keyFingerprint(key) !== encryption.keyFingerprint) {
+      throw new BackupKeyError(`${source.keyFile} is not the key this backup was encrypted with`);
+    }
+  } else {
+    if (!source.passphrase) {
+      throw new BackupKeyError(`This backup is passphrase-protected; enter it or set ${BACKUP_PASSPHRASE_ENV}`);
+    }
+    key = deriveKey(source.passphrase, Buffer.from(encryption.salt, 'base64'), encryption.scrypt);
+  }
+
+  return decrypt({
+    iv: Buffer.from(encryption.iv, 'base64'),
+    tag: Buffer.from(encryption.tag, 'base64'),
+    data,
+  }, key);
+}
@@ -0,0 +1,466 @@
+/**
+ * Backup Destinations
+ * Places backups are copied to so they survive the loss of this disk,
+ * configured under backup.destinations in ~/.openclaw-easyset/config.json:
+ *
+ *   local  { path }                                  a directory, e.g. a NAS mount
+ *   rsync  { target, port?, sshKey? }                host:/path over ssh (or any rsync target)
+ *   sftp   { host, path, port?, sshKey? }            user@host and a remote directory
+ *   s3     { bucket, prefix?, region?, endpoint?,    AWS or an S3-compatible store (MinIO)
+ *            accessKeyId?, secretAccessKey? }       keys may be secret references
+ *
+ * Backups travel as single archives (see BackupManager.exportBackup). Every
+ * driver resumes an interrupted transfer and only shows a file under its
+ * final name once it is complete.
+ * @module core/backup-destinations
+ */
+
+import {
+  existsSync, statSync, openSync, readSync, writeSync, fsyncSync, closeSync,
+  readdirSync, renameSync, rmSync, mkdirSync, readFileSync, truncateSync,
+} from 'fs';
+import { join, dirname, basename } from 'path';
+import { spawnSync } from 'child_process';
+import { compressionFor } from './archive.js';
+import { atomicWriteFileSync } from './file-lock.js';
+import { resolveSecret } from './secrets.js';
+import { retry } from './utils.js';
+import { S3Client, S3Error } from './s3-client.js';
+
+export const DESTINATION_TYPES = ['local', 'rsync', 'sftp', 's3'];
+
+/** Suffix of files still being transferred */
+export const PARTIAL_SUFFIX = '.partial';
+
+const COPY_BLOCK = 4 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Thrown for misconfigured destinations and failed transfers.
+ */
+export class DestinationError extends Error {
+  /**
+   * @param {string} destination - Destination name
+   * @param {string} message
+   */
+  constructor(destination, message) {
+    super(`${destination}: ${message}`);
+    this.name = 'DestinationError';
+    this.destination = destination;
+  }
+}
+
+/**
+ * A backup archive at a destination
+ * @typedef {Object} RemoteBackup
+ * @property {string} file - Archive file name
+ * @property {number} size
+ * @property {Date|null} modified
+ */
+
+/**
+ * Build the driver for a configured destination.
+ * @param {string} name
+ * @param {Object} config - Its entry in backup.destinations
+ * @returns {LocalDestination|RsyncDestination|SftpDestination|S3Destination}
+ * @throws {DestinationError}
+ */
+export function createDestination(name, config) {
+  if (!config || typeof config !== 'object') {
+    throw new DestinationError(name, 'not configured (see backup.destinations)');
+  }
+  const require = (...keys) => {
+    const missing = keys.filter(key => !config[key]);
+    if (missing.length > 0) {
+      throw new DestinationError(name, `${config.type} destinations need ${missing.join(' and ')}`);
+    }
+  };
+
+  switch (config.type) {
+    case 'local':
+      require('path');
+      return new LocalDestination(name, config);
+    case 'rsync':
+      require('target');
+      return new RsyncDestination(name, config);
+    case 'sftp':
+      require('host', 'path');
+      return new SftpDestination(name, config);
+    case 's3':
+      require('bucket');
+      return new S3Destination(name, config);
+    default:
+      throw new DestinationError(name, `unknown type "${config.type}" (use ${DESTINATION_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Directory on this machine or a mounted share
+ */
+export class LocalDestination {
+  constructor(name, config) {
+    this.name = name;
+    this.type = 'local';
+    this.path = config.path;
+  }
+
+  describe() {
+    return this.path;
+  }
+
+  /** @returns {Promise<Array<RemoteBackup>>} */
+  async list() {
+    if (!existsSync(this.path)) return [];
+    return readdirSync(this.path)
+      .filter(isBackupFile)
+      .map((file) => {
+        const stat = statSync(join(this.path, file));
+        return { file, size: stat.size, modified: stat.mtime };
+      });
+  }
+
+  /**
+   * @param {string} localFile
+   * @param {string} remoteName
+   * @returns {Promise<{resumedFrom: number}>}
+   */
+  async upload(localFile, remoteName) {
+    mkdirSync(this.path, { recursive: true });
+    return copyResumable(localFile, join(this.path, remoteName));
+  }
+
+  /**
+   * @param {string} remoteName
+   * @param {string} localFile
+   * @returns {Promise<{resumedFrom: number}>}
+   */
+  async download(remoteName, localFile) {
+    const source = join(this.path, remoteName);
+    if (!existsSync(source)) throw new DestinationError(this.name, `${remoteName} not found`);
+    return copyResumable(source, localFile);
+  }
+}
+
+/**
+ * rsync target (host:/path over ssh, rsync://, or a path). rsync keeps
+ * interrupted files in a partial directory and continues from them.
+ */
+export class RsyncDestination {
+  constructor(name, config) {
+    this.name = name;
+    this.type = 'rsync';
+    this.target = config.target.replace(/\/+$/, '');
+    this.ssh = sshCommand(config);
+  }
+
+  describe() {
+    return this.target;
+  }
+
+  async list() {
+    const result = this.rsync(['--list-only', `${this.target}/`], { allowMissing: true });
+    if (result === null) return [];
+    return result.split('\n')
+      .map(line => /^-\S+\s+([\d,.]+)\s+(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2})\s+(.+)$/.exec(line))
+      .filter(match => match && isBackupFile(match[3]))
+      .map(match => ({
+        file: match[3],
+        size: Number(match[1].replace(/[,.]/g, '')),
+        modified: new Date(match[2].replace(/\//g, '-').replace(' ', 'T')),
+      }));
+  }
+
+  async upload(localFile, remoteName) {
+    this.rsync(['--partial-dir=.easyset-partial', '--chmod=F600', localFile, `${this.target}/${remoteName}`]);
+    return { resumedFrom: null };
+  }
+
+  async download(remoteName, localFile) {
+    mkdirSync(dirname(localFile), { recursive: true });
+    this.rsync(['--partial-dir=.easyset-partial', `${this.target}/${remoteName}`, localFile]);
+    return { resumedFrom: null };
+  }
+
+  rsync(args, options = {}) {
+    const sshArgs = this.target.includes(':') && !this.target.startsWith('rsync://') ? ['-e', this.ssh.join(' ')] : [];
+    const result = spawnSync('rsync', ['--timeout=120', ...sshArgs, ...args], { encoding: 'utf-8' });
+    if (result.error) {
+      throw new DestinationError(this.name, result.error.code === 'ENOENT' ? 'rsync is not installed' : result.error.message);
+    }
+    // 23: partial transfer, e.g. the directory does not exist yet
+    if (options.allowMissing && result.status === 23) return null;
+    if (result.status !== 0) {
+      throw new DestinationError(this.name, `rsync failed: ${(result.stderr || '').trim()}`);
+    }
+    return result.stdout;
+  }
+}
+
+/**
+ * SFTP server, driven through the sftp command in batch mode; reput and
+ * reget continue interrupted transfers.
+ */
+export class SftpDestination {
+  constructor(name, config) {
+    this.name = name;
+    this.type = 'sftp';
+    this.host = config.host;
+    this.path = config.path.replace(/\/+$/, '') || '/';
+    this.options = [
+      ...(config.port ? ['-P', String(config.port)] : []),
+      ...(config.sshKey ? ['-i', config.sshKey] : []),
+      '-o', 'BatchMode=yes',
+    ];
+  }
+
+  describe() {
+    return `sftp://${this.host}${this.path}`;
+  }
+
+  async list() {
+    return this.listFiles().filter(entry => isBackupFile(entry.file));
+  }
+
+  async upload(localFile, remoteName) {
+    const partial = `${remoteName}${PARTIAL_SUFFIX}`;
+    const existing = this.listFiles().find(entry => entry.file === partial);
+    this.sftp([
+      `-mkdir ${quote(this.path)}`,
+      `cd ${quote(this.path)}`,
+      `${existing ? 'reput' : 'put'} ${quote(localFile)} ${quote(partial)}`,
+      `rename ${quote(partial)} ${quote(remoteName)}`,
+    ]);
+    return { resumedFrom: existing ? existing.size : 0 };
+  }
+
+  async download(remoteName, localFile) {
+    const partial = `${localFile}${PARTIAL_SUFFIX}`;
+    const resumedFrom = existsSync(partial) ? statSync(partial).size : 0;
+    mkdirSync(dirname(localFile), { recursive: true });
+    this.sftp([
+      `cd ${quote(this.path)}`,
+      `${resumedFrom > 0 ? 'reget' : 'get'} ${quote(remoteName)} ${quote(partial)}`,
+    ]);
+    renameSync(partial, localFile);
+    return { resumedFrom };
+  }
+
+  listFiles() {
+    const output = this.sftp([`-ls -ln ${quote(this.path)}`]);
+    return output.split('\n')
+      .map(line => /^-\S+\s+\d+\s+\S+\s+\S+\s+(\d+)\s+\w{3}\s+\d+\s+[\d:]+\s+(.+)$/.exec(line.trim()))
+      .filter(Boolean)
+      .map(match => ({ file: basename(match[2]), size: Number(match[1]), modified: null }));
+  }
+
+  sftp(commands) {
+    const result = spawnSync('sftp', [...this.options, '-b', '-', this.host], {
+      input: `${commands.join('\n')}\n`,
+      encoding: 'utf-8',
+    });
+    if (result.error) {
+      throw new DestinationError(this.name, result.error.code === 'ENOENT' ? 'sftp is not installed' : result.error.message);
+    }
+    if (result.status !== 0) {
+      throw new DestinationError(this.name, `sftp failed: ${(result.stderr || '').trim()}`);
+    }
+    return result.stdout;
+  }
+}
+
+/**
+ * S3 bucket (or S3-compatible store). Large files go up as multipart
+ * uploads whose progress is kept next to the local file, so a rerun only
+ * sends the parts the store does not have yet.
+ */
+export class S3Destination {
+  constructor(name, config) {
+    this.name = name;
+    this.type = 's3';
+    this.config = config;
+    this.prefix = config.prefix ? `${config.prefix.replace(/\/+$/, '')}/` : '';
+    this.partSize = config.partSize || DEFAULT_PART_SIZE;
+    this.retries = config.retries ?? 3;
+  }
+
+  describe() {
+    return `s3://${this.config.bucket}/${this.prefix}${this.config.endpoint ? ` (${this.config.endpoint})` : ''}`;
+  }
+
+  get client() {
+    if (!this._client) {
+      const accessKeyId = resolveSecret(this.config.accessKeyId) || process.env.AWS_ACCESS_KEY_ID;
+      const secretAccessKey = resolveSecret(this.config.secretAccessKey) || process.env.AWS_SECRET_ACCESS_KEY;
+      if (!accessKeyId || !secretAccessKey) {
+        throw new DestinationError(this.name, 'no credentials (set accessKeyId/secretAccessKey or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY)');
+      }
+      this._client = new S3Client({
+        ...this.config,
+        accessKeyId,
+        secretAccessKey,
+        sessionToken: process.env.AWS_SESSION_TOKEN,
+      });
+    }
+    return this._client;
+  }
+
+  async list() {
+    return (await this.client.listObjects(this.prefix))
+      .map(object => ({ file: object.key.slice(this.prefix.length), size: object.size, modified: object.modified }))
+      .filter(entry => !entry.file.includes('/') && isBackupFile(entry.file));
+  }
+
+  async upload(localFile, remoteName) {
+    const key = `${this.prefix}${remoteName}`;
+    const size = statSync(localFile).size;
+    if (size <= this.partSize) {
+      await retry(() => this.client.putObject(key, readFileSync(localFile)), this.retries);
+      return { resumedFrom: 0 };
+    }
+
+    const stateFile = `${localFile}.upload.json`;
+    let state = readJson(stateFile);
+    let parts = [];
+    if (state && state.key === key && state.size === size && state.partSize === this.partSize) {
+      try {
+        parts = await this.client.listParts(key, state.uploadId);
+      } catch (error) {
+        // The store dropped the upload (expired or aborted): start over
+        if (!(error instanceof S3Error && error.code === 'NoSuchUpload')) throw error;
+        state = null;
+      }
+    } else {
+      state = null;
+    }
+    if (!state) {
+      state = { key, size, partSize: this.partSize, uploadId: await this.client.createMultipartUpload(key) };
+      atomicWriteFileSync(stateFile, JSON.stringify(state), { mode: 0o600 });
+    }
+
+    const done = new Map(parts.map(part => [part.partNumber, part]));
+    const count = Math.ceil(size / this.partSize);
+    const fd = openSync(localFile, 'r');
+    try {
+      for (let number = 1; number <= count; number++) {
+        const length = Math.min(this.partSize, size - (number - 1) * this.partSize);
+        if (done.get(number)?.size === length) continue;
+        const body = Buffer.alloc(length);
+        readSync(fd, body, 0, length, (number - 1) * this.partSize);
+        const etag = await retry(() => this.client.uploadPart(key, state.uploadId, number, body), this.retries);
+        done.set(number, { partNumber: number, etag, size: length });
+      }
+    } finally {
+      closeSync(fd);
+    }
+
+    await this.client.completeMultipartUpload(key, state.uploadId, [...done.values()]);
+    rmSync(stateFile, { force: true });
+    const resumedFrom = parts.reduce((sum, part) => sum + part.size, 0);
+    return { resumedFrom };
+  }
+
+  async download(remoteName, localFile) {
+    const partial = `${localFile}${PARTIAL_SUFFIX}`;
+    mkdirSync(dirname(localFile), { recursive: true });
+    let resumedFrom = existsSync(partial) ? statSync(partial).size : 0;
+    try {
+      // Each attempt continues from whatever the previous one wrote
+      await retry(async () => {
+        const size = existsSync(partial) ? statSync(partial).size : 0;
+        const { body, start } = await this.client.getObject(`${this.prefix}${remoteName}`, { start: size });
+        // The store sent the whole object: start over
+        if (start !== size) resumedFrom = 0;
+        await writeStream(partial, body, start === size ? 'a' : 'w');
+      }, this.retries);
+    } catch (error) {
+      // 416: the partial file already holds everything
+      if (!(error instanceof S3Error && error.status === 416)) throw error;
+    }
+    renameSync(partial, localFile);
+    return { resumedFrom };
+  }
+}
+
+/**
+ * Whether a file name is a backup archive
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function isBackupFile(file) {
+  return compressionFor(file) !== null;
+}
+
+/**
+ * Copy a file through `<target>.partial`, continuing where an interrupted
+ * copy stopped, and rename it into place when complete.
+ * @param {string} source
+ * @param {string} target
+ * @returns {{resumedFrom: number}}
+ */
+export function copyResumable(source, target) {
+  const partial = `${target}${PARTIAL_SUFFIX}`;
+  const size = statSync(source).size;
+  let resumedFrom = existsSync(partial) ? statSync(partial).size : 0;
+  if (resumedFrom > size) {
+    truncateSync(partial, 0);
+    resumedFrom = 0;
+  }
+
+  const input = openSync(source, 'r');
+  const output = openSync(partial, 'a', 0o600);
+  try {
+    const block = Buffer.alloc(COPY_BLOCK);
+    for (let offset = resumedFrom; offset < size;) {
+      const read = readSync(input, block, 0, Math.min(COPY_BLOCK, size - offset), offset);
+      if (read === 0) break;
+      writeSync(output, block, 0, read);
+      offset += read;
+    }
+    fsyncSync(output);
+  } finally {
+    closeSync(input);
+    closeSync(output);
+  }
+  renameSync(partial, target);
+  return { resumedFrom };
+}
+
+/**
+ * Write a stream to a file as it arrives, so an interrupted transfer keeps
+ * what it received.
+ * @param {string} file
+ * @param {AsyncIterable<Uint8Array>} body
+ * @param {'a'|'w'} flags - Append, or truncate first
+ */
+async function writeStream(file, body, flags) {
+  const fd = openSync(file, flags, 0o600);
+  try {
+    for await (const chunk of body) {
+      writeSync(fd, chunk);
+    }
+  } finally {
+    fsyncSync(fd);
+    closeSync(fd);
+  }
+}
+
+function sshCommand(config) {
+  return [
+    'ssh',
+    ...(config.port ? ['-p', String(config.port)] : []),
+    ...(config.sshKey ? ['-i', config.sshKey] : []),
+    '-o', 'BatchMode=yes',
+  ];
+}
+
+function quote(value) {
+  return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
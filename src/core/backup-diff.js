@@ -0,0 +1,184 @@
+/**
+ * Backup Diff
+ * Compares two sets of backed-up files (two backups, or a backup and the
+ * live instance home). Config files get a semantic JSON diff, `.env` and
+ * credentials only show which keys changed, and secret-looking values are
+ * never printed.
+ * @module core/backup-diff
+ */
+
+import JSON5 from 'json5';
+import { createJsonPatch, createUnifiedDiff } from './diff.js';
+import { isSecretKey, parseEnv } from './secrets.js';
+
+/** Files compared key by key instead of line by line */
+export const SEMANTIC_FILES = ['openclaw.json', 'cron/jobs.json', 'exec-approvals.json'];
+
+export const MASK = '********';
+
+/**
+ * One changed value inside a file
+ * @typedef {Object} ValueChange
+ * @property {'add'|'remove'|'replace'} op
+ * @property {string} path - JSON Pointer, or the variable name for .env files
+ * @property {*} [from]
+ * @property {*} [to]
+ */
+
+/**
+ * A changed file
+ * @typedef {Object} FileChange
+ * @property {string} path
+ * @property {'json'|'env'|'masked'|'text'|'binary'} kind
+ * @property {Array<ValueChange>} [changes] - json, env, masked
+ * @property {string} [diff] - text: unified diff
+ */
+
+/**
+ * Compare two file sets.
+ * @param {Map<string, Buffer>} before
+ * @param {Map<string, Buffer>} after
+ * @returns {{added: string[], removed: string[], changed: Array<FileChange>, unchanged: number}}
+ */
+export function diffFileSets(before, after) {
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+  const paths = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+  for (const path of paths) {
+    const a = before.get(path);
+    const b = after.get(path);
+    if (a === undefined) {
+      result.added.push(path);
+    } else if (b === undefined) {
+      result.removed.push(path);
+    } else if (a.equals(b)) {
+      result.unchanged++;
+    } else {
+      result.changed.push(diffFile(path, a, b));
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {string} path
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {FileChange}
+ */
+export function diffFile(path, a, b) {
+  if (isEnvFile(path)) {
+    return { path, kind: 'env', changes: diffEnv(a.toString('utf-8'), b.toString('utf-8')) };
+  }
+
+  if (SEMANTIC_FILES.includes(path) || isCredential(path)) {
+    const before = parseJson(a);
+    const after = parseJson(b);
+    if (before !== undefined && after !== undefined) {
+      const mask = isCredential(path) ? () => MASK : maskSecrets;
+      return { path, kind: isCredential(path) ? 'masked' : 'json', changes: diffJson(before, after, mask) };
+    }
+    if (isCredential(path)) {
+      return { path, kind: 'masked', changes: [] };
+    }
+  }
+
+  if (isBinary(a) || isBinary(b)) {
+    return { path, kind: 'binary' };
+  }
+  return {
+    path,
+    kind: 'text',
+    diff: createUnifiedDiff(a.toString('utf-8'), b.toString('utf-8'), { fromFile: `a/${path}`, toFile: `b/${path}` }),
+  };
+}
+
+/**
+ * Replace secret-looking values (by key name) with the mask.
+ * @param {*} value
+ * @param {string} [key] - Key the value is stored under
+ * @returns {*}
+ */
+export function maskSecrets(value, key = '') {
+  if (typeof value === 'string' && isSecretKey(key)) return MASK;
+  if (Array.isArray(value)) return value.map(item => maskSecrets(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskSecrets(v, k)]));
+  }
+  return value;
+}
+
+function diffJson(before, after, mask) {
+  return createJsonPatch(before, after).map(({ op, path, value }) => {
+    const key = lastKey(path);
+    const change = { op, path };
+    if (op !== 'add') change.from = mask(resolvePointer(before, path), key);
+    if (op !== 'remove') change.to = mask(value, key);
+    return change;
+  });
+}
+
+/** Variable names only: .env values are secrets */
+function diffEnv(a, b) {
+  const before = parseEnv(a);
+  const after = parseEnv(b);
+  const changes = [];
+
+  for (const name of Object.keys(before)) {
+    if (!(name in after)) changes.push({ op: 'remove', path: name });
+  }
+  for (const [name, value] of Object.entries(after)) {
+    if (!(name in before)) {
+      changes.push({ op: 'add', path: name, to: MASK });
+    } else if (before[name] !== value) {
+      changes.push({ op: 'replace', path: name, from: MASK, to: MASK });
+    }
+  }
+  return changes;
+}
+
+function resolvePointer(target, pointer) {
+  let current = target;
+  for (const key of pointer.split('/').slice(1).map(unescapePointer)) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+function lastKey(pointer) {
+  return unescapePointer(pointer.split('/').pop() || '');
+}
+
+function unescapePointer(key) {
+  return key.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function parseJson(data) {
+  try {
+    return JSON5.parse(data.toString('utf-8'));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Files whose values are secrets: .env files and credentials/
+ * @param {string} path - Relative to the instance home, with forward slashes
+ * @returns {boolean}
+ */
+export function isSensitivePath(path) {
+  return isEnvFile(path) || isCredential(path);
+}
+
+function isEnvFile(path) {
+  return path === '.env' || path.endsWith('/.env');
+}
+
+function isCredential(path) {
+  return path.startsWith('credentials/');
+}
+
+function isBinary(data) {
+  return data.includes(0);
+}
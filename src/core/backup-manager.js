@@ -5,154 +5,360 @@
  */
 
 import {
-  existsSync, readFileSync, writeFileSync, mkdirSync,
-  readdirSync, copyFileSync, statSync,
+  existsSync, readFileSync, mkdirSync, readdirSync, copyFileSync, statSync, rmSync, renameSync,
 } from 'fs';
-import { join, basename } from 'path';
-import { homedir } from 'os';
+import { join, basename, dirname, relative, sep } from 'path';
 import chalk from 'chalk';
 import { formatBytes, createSpinner } from './utils.js';
 import logger from './logger.js';
-
-const OPENCLAW_DIR = join(homedir(), '.openclaw');
-const BACKUP_DIR = join(homedir(), '.openclaw-easyset', 'backups');
+import configJournal from './config-journal.js';
+import configManager from './config.js';
+import { withFileLock, atomicWriteFileSync, hashContent } from './file-lock.js';
+import instances from './instances.js';
+import changePreview from './change-preview.js';
+import {
+  parseOpenClawConfig, serializeOpenClawConfig, assertValidConfig, getPath, setPath, removePath,
+} from './openclaw-config.js';
+import { normalizeOpenClawConfig, layoutGeneration, restoreLayout } from './config-migrations.js';
+import {
+  ARCHIVE_EXTENSIONS, DEFAULT_COMPRESSION, compressionFor, stripArchiveExtension,
+  readArchive, writeArchive, packTar, unpackTar, compress, decompress,
+} from './archive.js';
+import {
+  PAYLOAD_FILE, encryptPayload, decryptPayload, createKeyFile,
+} from './backup-crypto.js';
+import {
+  DEFAULT_BACKUP_RETENTION, DEFAULT_PROTECTED_LABELS, planRetention,
+} from './backup-retention.js';
+import { diffFileSets, diffFile, isSensitivePath } from './backup-diff.js';
+import { createDestination, DestinationError } from './backup-destinations.js';
+import {
+  DEFAULT_BACKUP_SCOPES, IGNORE_FILE, resolveScopes, scopeOf, loadIgnore,
+} from './backup-scopes.js';
+import {
+  putChunks, getChunks, listChunks, collectGarbage, ChunkError,
+} from './chunk-store.js';
+import {
+  SQLITE_COMPANION_PATTERN, isSqliteFile, isSqliteData, snapshotSqlite,
+} from './sqlite-snapshot.js';
 
 /**
- * Files to include in backup
+ * Files and directories to include in backup, by scope; `match` filters
+ * the files of a directory by their path below it
  */
 const BACKUP_TARGETS = [
-  { path: 'openclaw.json', required: true, description: 'Main configuration' },
-  { path: '.env', required: false, description: 'Environment variables' },
-  { path: '.env.template', required: false, description: 'Env template' },
-  { path: 'cron/jobs.json', required: false, description: 'Cron jobs' },
-  { path: 'exec-approvals.json', required: false, description: 'Exec approvals' },
-  { path: 'settings/tts.json', required: false, description: 'TTS settings' },
+  { path: 'openclaw.json', scope: 'config', description: 'Main configuration' },
+  { path: '.env', scope: 'config', description: 'Environment variables' },
+  { path: '.env.template', scope: 'config', description: 'Env template' },
+  { path: 'cron/jobs.json', scope: 'config', description: 'Cron jobs' },
+  { path: 'exec-approvals.json', scope: 'config', description: 'Exec approvals' },
+  { path: IGNORE_FILE, scope: 'config', description: 'Backup excludes' },
+  { path: 'settings', scope: 'config', directory: true, description: 'Settings' },
+  { path: 'credentials', scope: 'credentials', directory: true, match: /^[^/]+\.json$/, description: 'Channel credentials' },
+  { path: 'memory', scope: 'memory', directory: true, description: 'Memory databases' },
+  { path: 'workspace', scope: 'workspace', directory: true, description: 'Skills and identity files' },
 ];
 
+/** Manifest stored in every backup */
+export const META_FILE = '.backup-meta.json';
+
+/** Label of the backup taken automatically before a restore */
+export const PRE_RESTORE_LABEL = 'pre-restore';
+
+/** Extension of snapshot manifests, the backups kept in the chunk store */
+export const SNAPSHOT_EXTENSION = '.snapshot.json';
+
+/** How backups are stored unless backup.store or --store says otherwise */
+export const DEFAULT_BACKUP_STORE = 'chunks';
+
+const BACKUP_STORES = ['chunks', 'archive'];
+
+/** Directory of the chunk store inside the backup directory */
+const STORE_DIR = 'store';
+
+/** Archives being pushed to or pulled from a destination, kept until the transfer completes */
+const TRANSFER_DIR = 'transfer';
+
+const INTERNAL_DIRS = [STORE_DIR, TRANSFER_DIR];
+
 /**
- * Credential files to include
+ * Thrown when a backup's files do not match its manifest.
+ */
+export class BackupIntegrityError extends Error {
+  /**
+   * @param {string} name - Backup name
+   * @param {Array<{path: string, problem: string}>} problems
+   */
+  constructor(name, problems) {
+    const shown = problems.slice(0, 3).map(p => `${p.path}: ${p.problem}`).join('; ');
+    const more = problems.length > 3 ? ` (+${problems.length - 3} more)` : '';
+    super(`Backup ${name} failed verification: ${shown}${more}`);
+    this.name = 'BackupIntegrityError';
+    this.backup = name;
+    this.problems = problems;
+  }
+}
+
+/**
+ * A backup opened for reading: a snapshot, an archive or a legacy directory
+ * @typedef {Object} OpenedBackup
+ * @property {string} name
+ * @property {string} path - Snapshot manifest, archive file or directory
+ * @property {'snapshot'|'archive'|'directory'} kind
+ * @property {Object} meta - Parsed .backup-meta.json ({} if missing)
+ * @property {Array<{path: string, data: Buffer, mode: number}>} entries - Backed-up files, without the manifest
+ * @property {Array<{path: string, problem: string}>} unreadable - Snapshot files with missing or corrupt
+ *   chunks, left out of `entries`
+ */
+
+/**
+ * Key for encrypted backups; see core/backup-crypto
+ * @typedef {import('./backup-crypto.js').BackupKeySource} BackupKeySource
  */
-const CREDENTIAL_PATTERNS = [
-  'credentials/*.json',
-];
 
 class BackupManager {
   constructor() {
     this.ensureBackupDir();
   }
 
+  /**
+   * Backups of the active instance
+   * @returns {string}
+   */
+  get backupDir() {
+    return instances.current().backupDir;
+  }
+
+  /**
+   * Chunk store shared by the snapshots of the active instance
+   * @returns {string}
+   */
+  get storeDir() {
+    return join(this.backupDir, STORE_DIR);
+  }
+
+  /**
+   * Names of pinned backups, kept in the backup directory
+   * @returns {string}
+   */
+  get pinsFile() {
+    return join(this.backupDir, '.pins.json');
+  }
+
   ensureBackupDir() {
-    if (!existsSync(BACKUP_DIR)) {
-      mkdirSync(BACKUP_DIR, { recursive: true });
+    if (!existsSync(this.backupDir)) {
+      mkdirSync(this.backupDir, { recursive: true });
     }
   }
 
   /**
-   * Create a full backup
+   * Create a backup: by default a snapshot in the chunk store, which only
+   * writes the chunks earlier snapshots do not already hold; with
+   * `store: 'archive'` (and always when encrypted) a single compressed archive
    * @param {string} [label] - Optional label for the backup
-   * @returns {{success: boolean, path: string|null, files: number}}
+   * @param {Object} [options]
+   * @param {'chunks'|'archive'} [options.store] - Defaults to backup.store in the EasySet config
+   * @param {'gzip'|'zstd'} [options.compression] - Defaults to backup.compression in the EasySet config
+   * @param {BackupKeySource} [options.encrypt] - Encrypt the files; a missing key file is created
+   * @param {boolean} [options.prune] - Apply the retention policy afterwards (default: backup.retention.pruneOnCreate)
+   * @param {string[]|string} [options.scopes] - config, credentials, memory, workspace or full (default: backup.scopes)
+   * @returns {{success: boolean, path: string|null, name: string|null, files: number, newBytes?: number, pruned?: string[], error?: string}}
    */
-  createBackup(label = null) {
+  createBackup(label = null, options = {}) {
     const spinner = createSpinner('Creating backup...');
     spinner.start();
 
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
     const backupName = label ? `${timestamp}_${label}` : timestamp;
-    const backupPath = join(BACKUP_DIR, backupName);
+    const instance = instances.current();
+    const compression = options.compression || configManager.get('backup.compression', DEFAULT_COMPRESSION);
+    const store = options.encrypt ? 'archive' : (options.store || configManager.get('backup.store', DEFAULT_BACKUP_STORE));
+    const extension = store === 'chunks' ? SNAPSHOT_EXTENSION : (ARCHIVE_EXTENSIONS[compression] || '');
+    const backupPath = join(instance.backupDir, `${backupName}${extension}`);
 
     try {
-      mkdirSync(backupPath, { recursive: true });
-      let fileCount = 0;
-
-      // Copy config files
-      for (const target of BACKUP_TARGETS) {
-        const srcPath = join(OPENCLAW_DIR, target.path);
-        if (existsSync(srcPath)) {
-          const destDir = join(backupPath, target.path.includes('/') ? target.path.split('/').slice(0, -1).join('/') : '');
-          if (destDir !== backupPath) {
-            mkdirSync(destDir, { recursive: true });
-          }
-          copyFileSync(srcPath, join(backupPath, target.path));
-          fileCount++;
-          logger.debug(`Backed up: ${target.path}`);
-        } else if (target.required) {
-          logger.warn(`Required file not found: ${target.path}`);
-        }
+      if (!BACKUP_STORES.includes(store)) {
+        throw new Error(`Unknown backup store: ${store} (use ${BACKUP_STORES.join(' or ')})`);
       }
-
-      // Copy credential files
-      const credDir = join(OPENCLAW_DIR, 'credentials');
-      if (existsSync(credDir)) {
-        const destCredDir = join(backupPath, 'credentials');
-        mkdirSync(destCredDir, { recursive: true });
-
-        const credFiles = readdirSync(credDir).filter(f => f.endsWith('.json'));
-        for (const file of credFiles) {
-          copyFileSync(join(credDir, file), join(destCredDir, file));
-          fileCount++;
-        }
+      const scopes = resolveScopes(options.scopes || configManager.get('backup.scopes', DEFAULT_BACKUP_SCOPES));
+      const entries = this.collectFiles(instance, scopes);
+      if (scopes.includes('config') && !entries.some(entry => entry.path === 'openclaw.json')) {
+        logger.warn('Required file not found: openclaw.json');
       }
 
-      // Write backup metadata
       const metadata = {
         created: new Date().toISOString(),
         label: label || null,
-        files: fileCount,
-        openclawDir: OPENCLAW_DIR,
+        files: entries.length,
+        openclawDir: instance.home,
+        instance: instance.name,
+        compression,
+        scopes,
+        manifest: entries.map(entry => ({ path: entry.path, size: entry.data.length, sha256: hashContent(entry.data) })),
         easyset: 'openclaw-easyset',
       };
-      writeFileSync(join(backupPath, '.backup-meta.json'), JSON.stringify(metadata, null, 2));
 
-      spinner.succeed(`Backup created: ${backupName} (${fileCount} files)`);
-      return { success: true, path: backupPath, name: backupName, files: fileCount };
+      let newBytes;
+      if (store === 'chunks') {
+        metadata.store = 'chunks';
+        mkdirSync(instance.backupDir, { recursive: true });
+        // Garbage collection takes the same lock, so it never sees chunks without their snapshot
+        newBytes = withFileLock(this.storeDir, () => {
+          let written = 0;
+          metadata.manifest = entries.map((entry, index) => {
+            const stored = putChunks(this.storeDir, entry.data, compression);
+            written += stored.writtenBytes;
+            return { ...metadata.manifest[index], mode: entry.mode, chunks: stored.chunks };
+          });
+          atomicWriteFileSync(backupPath, `${JSON.stringify(metadata, null, 2)}\n`, { mode: 0o600 });
+          return written;
+        });
+        spinner.succeed(`Backup created: ${backupName} (${entries.length} files, ${formatBytes(newBytes)} new)`);
+      } else {
+        this.writeArchiveBackup(backupPath, metadata, entries, compression, options.encrypt);
+        const encrypted = options.encrypt ? ', encrypted' : '';
+        spinner.succeed(`Backup created: ${backupName} (${entries.length} files${encrypted})`);
+      }
+
+      const result = { success: true, path: backupPath, name: backupName, files: entries.length };
+      if (newBytes !== undefined) result.newBytes = newBytes;
+      if (options.prune ?? this.getRetentionPolicy().pruneOnCreate) {
+        result.pruned = this.pruneBackups().deleted;
+      }
+      return result;
     } catch (error) {
       spinner.fail('Backup failed');
       logger.error('Backup creation failed', error);
-      return { success: false, path: null, name: null, files: 0 };
+      return { success: false, path: null, name: null, files: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Write a single-archive backup, encrypting the files if asked to
+   * @param {string} backupPath
+   * @param {Object} metadata - Manifest
+   * @param {Array<{path: string, data: Buffer, mode: number}>} entries
+   * @param {'gzip'|'zstd'} compression
+   * @param {BackupKeySource} [encrypt]
+   */
+  writeArchiveBackup(backupPath, metadata, entries, compression, encrypt) {
+    let contents = entries;
+    if (encrypt) {
+      const keyFile = encrypt.keyFile;
+      if (keyFile && !existsSync(keyFile)) {
+        createKeyFile(keyFile);
+        logger.info(`Created backup key ${keyFile}; keep a copy, encrypted backups cannot be restored without it`);
+      }
+      const { encryption, data } = encryptPayload(compress(packTar(entries), compression), encrypt);
+      metadata.encryption = encryption;
+      metadata.payload = { size: data.length, sha256: hashContent(data) };
+      contents = [{ path: PAYLOAD_FILE, data, mode: 0o600 }];
+    }
+
+    mkdirSync(dirname(backupPath), { recursive: true });
+    writeArchive(backupPath, [
+      { path: META_FILE, data: Buffer.from(JSON.stringify(metadata, null, 2)), mode: 0o600 },
+      ...contents,
+    ], compression);
+  }
+
+  /**
+   * Read the files a backup covers from the instance home, leaving out what
+   * .easysetignore excludes. SQLite databases are snapshotted, not copied.
+   * @param {Object} instance - Resolved instance
+   * @param {string[]} [scopes] - Resolved scope names
+   * @returns {Array<{path: string, data: Buffer, mode: number}>}
+   */
+  collectFiles(instance, scopes = DEFAULT_BACKUP_SCOPES) {
+    const entries = [];
+    const ignored = loadIgnore(instance.home);
+    const add = (path, file) => {
+      if (ignored(path)) {
+        logger.debug(`Excluded: ${path}`);
+        return;
+      }
+      const data = isSqliteFile(file) ? snapshotSqlite(file) : readFileSync(file);
+      entries.push({ path, data, mode: statSync(file).mode & 0o777 });
+      logger.debug(`Backed up: ${path}`);
+    };
+
+    for (const target of BACKUP_TARGETS.filter(target => scopes.includes(target.scope))) {
+      const srcPath = join(instance.home, target.path);
+      if (!existsSync(srcPath)) continue;
+
+      if (!target.directory) {
+        add(target.path, srcPath);
+        continue;
+      }
+      const files = this.listFilesRecursive(srcPath)
+        .map(file => ({ file, below: relative(srcPath, file).split(sep).join('/') }))
+        .filter(({ file, below }) => (!target.match || target.match.test(below))
+          && !SQLITE_COMPANION_PATTERN.test(below)
+          && statSync(file).isFile())
+        .sort((a, b) => a.below.localeCompare(b.below));
+      for (const { file, below } of files) {
+        add(`${target.path}/${below}`, file);
+      }
     }
+    return entries;
   }
 
   /**
-   * List all available backups
+   * List all available backups (archives and legacy directories)
    * @returns {Array<Object>} Backup info objects
    */
   listBackups() {
-    if (!existsSync(BACKUP_DIR)) return [];
+    const backupDir = this.backupDir;
+    if (!existsSync(backupDir)) return [];
 
     try {
-      const entries = readdirSync(BACKUP_DIR, { withFileTypes: true });
       const backups = [];
+      const pins = this.readPins();
 
-      for (const entry of entries) {
-        if (!entry.isDirectory()) continue;
-
-        const metaPath = join(BACKUP_DIR, entry.name, '.backup-meta.json');
+      for (const entry of readdirSync(backupDir, { withFileTypes: true })) {
+        const backupPath = join(backupDir, entry.name);
         let meta = {};
-
-        if (existsSync(metaPath)) {
-          try {
-            meta = JSON.parse(readFileSync(metaPath, 'utf-8'));
-          } catch { /* skip */ }
-        }
-
-        // Calculate total size
         let totalSize = 0;
-        const backupPath = join(BACKUP_DIR, entry.name);
-        try {
-          const files = this.listFilesRecursive(backupPath);
-          for (const file of files) {
+        let kind;
+
+        if (entry.isDirectory() && INTERNAL_DIRS.includes(entry.name)) {
+          continue;
+        } else if (entry.isFile() && entry.name.endsWith(SNAPSHOT_EXTENSION)) {
+          // Chunks are shared, so a snapshot's size is that of the files it holds
+          kind = 'snapshot';
+          meta = this.readSnapshotMeta(backupPath);
+          totalSize = (meta.manifest || []).reduce((sum, file) => sum + (file.size || 0), 0);
+        } else if (entry.isDirectory()) {
+          kind = 'directory';
+          meta = this.readDirectoryMeta(backupPath);
+          for (const file of this.listFilesRecursive(backupPath)) {
             try {
               totalSize += statSync(file).size;
             } catch { /* skip */ }
           }
-        } catch { /* skip */ }
+        } else if (entry.isFile() && compressionFor(entry.name)) {
+          kind = 'archive';
+          totalSize = statSync(backupPath).size;
+          try {
+            meta = this.readArchiveMeta(readArchive(backupPath));
+          } catch (error) {
+            logger.warn(`Unreadable backup ${entry.name}: ${error.message}`);
+          }
+        } else {
+          continue;
+        }
 
+        const name = backupNameOf(entry.name);
         backups.push({
-          name: entry.name,
+          name,
           path: backupPath,
+          kind,
+          pinned: pins.includes(name),
           created: meta.created || null,
           label: meta.label || null,
           files: meta.files || 0,
+          scopes: meta.scopes || DEFAULT_BACKUP_SCOPES,
+          encrypted: Boolean(meta.encryption),
           size: totalSize,
           sizeFormatted: formatBytes(totalSize),
         });
@@ -185,86 +391,702 @@ class BackupManager {
   }
 
   /**
-   * Restore a backup
+   * @returns {string[]} Names of pinned backups
+   */
+  readPins() {
+    try {
+      return JSON.parse(readFileSync(this.pinsFile, 'utf-8')).pinned || [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Pin a backup so pruning never removes it, or unpin it
+   * @param {string} backupName
+   * @param {boolean} pinned
+   * @returns {boolean} True if the pin state changed
+   */
+  setPinned(backupName, pinned) {
+    const backupPath = this.findBackup(backupName);
+    if (!backupPath) {
+      throw new Error(`Backup not found: ${backupName}`);
+    }
+    const name = backupNameOf(basename(backupPath));
+
+    this.ensureBackupDir();
+    return withFileLock(this.pinsFile, () => {
+      const pins = this.readPins();
+      if (pins.includes(name) === pinned) return false;
+      const next = pinned ? [...pins, name].sort() : pins.filter(pin => pin !== name);
+      atomicWriteFileSync(this.pinsFile, `${JSON.stringify({ pinned: next }, null, 2)}\n`);
+      return true;
+    });
+  }
+
+  /**
+   * @returns {Object} backup.retention from the EasySet config over the defaults
+   */
+  getRetentionPolicy() {
+    return { ...DEFAULT_BACKUP_RETENTION, ...configManager.get('backup.retention', {}) };
+  }
+
+  /**
+   * Delete the backups the retention policy does not keep, then the chunks
+   * no remaining snapshot needs
+   * @param {{dryRun?: boolean, policy?: Object}} [options]
+   * @returns {{decisions: Array<import('./backup-retention.js').RetentionDecision>, deleted: string[], chunks: {deleted: number, freedBytes: number}}}
+   */
+  pruneBackups(options = {}) {
+    const policy = options.policy || this.getRetentionPolicy();
+    const protectedLabels = configManager.get('backup.protectedLabels', DEFAULT_PROTECTED_LABELS);
+    const decisions = planRetention(this.listBackups(), policy, { protectedLabels });
+    const deleted = [];
+
+    for (const decision of decisions) {
+      if (decision.keep) continue;
+      if (!options.dryRun) {
+        rmSync(decision.backup.path, { recursive: true, force: true });
+        logger.debug(`Pruned backup ${decision.backup.name}`);
+      }
+      deleted.push(decision.backup.name);
+    }
+
+    const chunks = this.collectGarbage({ dryRun: options.dryRun, without: deleted });
+    return { decisions, deleted, chunks };
+  }
+
+  /**
+   * Delete the chunks no snapshot refers to
+   * @param {{dryRun?: boolean, without?: string[]}} [options] - without: snapshots to treat as deleted
+   * @returns {{deleted: number, freedBytes: number}}
+   */
+  collectGarbage(options = {}) {
+    if (!existsSync(this.storeDir)) return { deleted: 0, freedBytes: 0 };
+    return withFileLock(this.storeDir, () => {
+      const referenced = new Set();
+      for (const snapshot of this.listSnapshots()) {
+        if ((options.without || []).includes(snapshot.name)) continue;
+        for (const file of snapshot.meta.manifest || []) {
+          for (const hash of file.chunks || []) referenced.add(hash);
+        }
+      }
+      const result = collectGarbage(this.storeDir, referenced, { dryRun: options.dryRun });
+      if (result.deleted > 0 && !options.dryRun) {
+        logger.debug(`Removed ${result.deleted} unused chunks (${formatBytes(result.freedBytes)})`);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Snapshot manifests in the backup directory
+   * @returns {Array<{name: string, path: string, meta: Object}>}
+   */
+  listSnapshots() {
+    if (!existsSync(this.backupDir)) return [];
+    return readdirSync(this.backupDir)
+      .filter(file => file.endsWith(SNAPSHOT_EXTENSION))
+      .map(file => ({
+        name: backupNameOf(file),
+        path: join(this.backupDir, file),
+        meta: this.readSnapshotMeta(join(this.backupDir, file)),
+      }));
+  }
+
+  /**
+   * Logical size (the files backed up) against physical size (the disk
+   * used) of every backup. A snapshot's stored size is what only it holds:
+   * the chunks no other snapshot shares, which deleting it would free.
+   * @returns {{backups: Array<{name: string, kind: string, files: number, logicalSize: number, storedSize: number}>, logicalSize: number, physicalSize: number, chunks: {count: number, size: number, unreferenced: number}}}
+   */
+  backupStats() {
+    const storeChunks = listChunks(this.storeDir);
+    const users = new Map();
+    const snapshots = new Map(this.listSnapshots().map(snapshot => [snapshot.name, snapshot]));
+    for (const snapshot of snapshots.values()) {
+      const hashes = new Set((snapshot.meta.manifest || []).flatMap(file => file.chunks || []));
+      for (const hash of hashes) users.set(hash, (users.get(hash) || 0) + 1);
+    }
+
+    const backups = this.listBackups().map((backup) => {
+      const manifest = backup.kind === 'snapshot'
+        ? snapshots.get(backup.name)?.meta.manifest || []
+        : null;
+      let storedSize = backup.size;
+      let logicalSize = backup.size;
+      if (manifest) {
+        const hashes = new Set(manifest.flatMap(file => file.chunks || []));
+        storedSize = statSync(backup.path).size + [...hashes]
+          .filter(hash => users.get(hash) === 1)
+          .reduce((sum, hash) => sum + (storeChunks.get(hash) || 0), 0);
+      } else if (backup.kind === 'archive') {
+        const meta = this.readBackupMeta(backup.name);
+        if (meta.manifest && !meta.encryption) {
+          logicalSize = meta.manifest.reduce((sum, file) => sum + (file.size || 0), 0);
+        }
+      }
+      return { name: backup.name, kind: backup.kind, files: backup.files, logicalSize, storedSize };
+    });
+
+    const chunkBytes = [...storeChunks.values()].reduce((sum, size) => sum + size, 0);
+    const manifestBytes = [...snapshots.values()].reduce((sum, snapshot) => sum + statSync(snapshot.path).size, 0);
+    return {
+      backups,
+      logicalSize: backups.reduce((sum, backup) => sum + backup.logicalSize, 0),
+      physicalSize: chunkBytes + manifestBytes
+        + backups.filter(backup => backup.kind !== 'snapshot').reduce((sum, backup) => sum + backup.storedSize, 0),
+      chunks: {
+        count: storeChunks.size,
+        size: chunkBytes,
+        unreferenced: [...storeChunks.keys()].filter(hash => !users.has(hash)).length,
+      },
+    };
+  }
+
+  /**
+   * Locate a backup by name: a snapshot or an archive in the backup directory, or a legacy directory
+   * @param {string} backupName - Name as shown by `backup list` (an archive extension is accepted)
+   * @returns {string|null} Path, or null if there is no such backup
+   */
+  findBackup(backupName) {
+    const name = backupNameOf(basename(backupName));
+    if (INTERNAL_DIRS.includes(name)) return null;
+    const candidates = [
+      join(this.backupDir, `${name}${SNAPSHOT_EXTENSION}`),
+      ...Object.values(ARCHIVE_EXTENSIONS).map(extension => join(this.backupDir, `${name}${extension}`)),
+      join(this.backupDir, name),
+    ];
+    return candidates.find(candidate => existsSync(candidate)) || null;
+  }
+
+  /**
+   * Read only a backup's manifest (no key needed)
+   * @param {string} backupName
+   * @returns {Object} Parsed .backup-meta.json
+   */
+  readBackupMeta(backupName) {
+    const backupPath = this.findBackup(backupName);
+    if (!backupPath) {
+      throw new Error(`Backup not found: ${backupName}`);
+    }
+    if (backupPath.endsWith(SNAPSHOT_EXTENSION)) return this.readSnapshotMeta(backupPath);
+    return statSync(backupPath).isDirectory()
+      ? this.readDirectoryMeta(backupPath)
+      : this.readArchiveMeta(readArchive(backupPath));
+  }
+
+  /**
+   * Read a backup's manifest and files, decrypting them if needed. Snapshot
+   * files whose chunks are missing or corrupt are listed in `unreadable`
+   * rather than thrown, so a forced restore can still take the others.
+   * @param {string} backupName
+   * @param {BackupKeySource} [key] - For encrypted backups
+   * @returns {OpenedBackup}
+   */
+  openBackup(backupName, key = {}) {
+    const backupPath = this.findBackup(backupName);
+    if (!backupPath) {
+      throw new Error(`Backup not found: ${backupName}`);
+    }
+    const name = backupNameOf(basename(backupPath));
+
+    if (backupPath.endsWith(SNAPSHOT_EXTENSION)) {
+      const meta = this.readSnapshotMeta(backupPath);
+      const problems = [];
+      const entries = [];
+      for (const file of meta.manifest || []) {
+        try {
+          entries.push({ path: file.path, data: getChunks(this.storeDir, file.chunks || []), mode: file.mode ?? 0o600 });
+        } catch (error) {
+          if (!(error instanceof ChunkError)) throw error;
+          problems.push({ path: file.path, problem: `chunk ${error.hash.slice(0, 12)} ${error.problem}` });
+        }
+      }
+      return {
+        name, path: backupPath, kind: 'snapshot', meta, entries, unreadable: problems,
+      };
+    }
+
+    if (statSync(backupPath).isDirectory()) {
+      const entries = this.listFilesRecursive(backupPath)
+        .map(file => ({ path: relative(backupPath, file).split(sep).join('/'), file }))
+        .filter(entry => entry.path !== META_FILE)
+        .map(({ path, file }) => ({ path, data: readFileSync(file), mode: statSync(file).mode & 0o777 }));
+      return {
+        name, path: backupPath, kind: 'directory', meta: this.readDirectoryMeta(backupPath), entries, unreadable: [],
+      };
+    }
+
+    const archived = readArchive(backupPath);
+    const meta = this.readArchiveMeta(archived);
+    let entries = archived.filter(entry => entry.path !== META_FILE);
+
+    if (meta.encryption) {
+      const payload = entries.find(entry => entry.path === PAYLOAD_FILE);
+      if (!payload) {
+        throw new Error(`Backup ${name} is marked encrypted but has no ${PAYLOAD_FILE}`);
+      }
+      const problems = checkPayload(meta, payload);
+      if (problems.length > 0) {
+        throw new BackupIntegrityError(name, problems);
+      }
+      entries = unpackTar(decompress(decryptPayload(payload.data, meta.encryption, key)));
+    }
+
+    return {
+      name, path: backupPath, kind: 'archive', meta, entries, unreadable: [],
+    };
+  }
+
+  /**
+   * openBackup, throwing when any file cannot be read
+   * @param {string} backupName
+   * @param {BackupKeySource} [key]
+   * @returns {OpenedBackup}
+   * @throws {BackupIntegrityError}
+   */
+  openIntactBackup(backupName, key = {}) {
+    const backup = this.openBackup(backupName, key);
+    if (backup.unreadable.length > 0) {
+      throw new BackupIntegrityError(backup.name, backup.unreadable);
+    }
+    return backup;
+  }
+
+  readSnapshotMeta(backupPath) {
+    try {
+      return JSON.parse(readFileSync(backupPath, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  readDirectoryMeta(backupPath) {
+    try {
+      return JSON.parse(readFileSync(join(backupPath, META_FILE), 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  readArchiveMeta(entries) {
+    const meta = entries.find(entry => entry.path === META_FILE);
+    if (!meta) return {};
+    try {
+      return JSON.parse(meta.data.toString('utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Check a backup against the sizes and SHA-256 hashes in its manifest.
+   * Without a key, encrypted backups are checked as a whole (the payload hash).
+   * @param {string} backupName
+   * @param {{key?: BackupKeySource}} [options]
+   * @returns {{name: string, status: 'ok'|'failed'|'unchecked', scope: 'files'|'payload', checked: number, problems: Array<{path: string, problem: string}>, note?: string}}
+   */
+  verifyBackup(backupName, options = {}) {
+    const key = options.key || {};
+    const result = { name: backupName, status: 'ok', scope: 'files', checked: 0, problems: [] };
+
+    try {
+      const meta = this.readBackupMeta(backupName);
+      if (!(meta.manifest || []).some(file => file.sha256)) {
+        return { ...result, status: 'unchecked', note: 'made before checksums were recorded' };
+      }
+
+      if (meta.encryption && !key.passphrase && !key.keyFile) {
+        const payload = readArchive(this.findBackup(backupName)).find(entry => entry.path === PAYLOAD_FILE);
+        result.problems = payload ? checkPayload(meta, payload) : [{ path: PAYLOAD_FILE, problem: 'missing' }];
+        result.scope = 'payload';
+        result.checked = 1;
+        result.note = 'pass the key to check every file';
+      } else {
+        const backup = this.openBackup(backupName, key);
+        result.problems = integrityProblems(backup);
+        result.checked = meta.manifest.length;
+      }
+    } catch (error) {
+      result.problems = error instanceof BackupIntegrityError
+        ? error.problems
+        : [{ path: backupName, problem: error.message }];
+    }
+
+    if (result.problems.length > 0) result.status = 'failed';
+    return result;
+  }
+
+  /**
+   * Restore a backup. The current files are first saved as a `pre-restore`
+   * backup, which pruning keeps. Backups whose files do not match their
+   * manifest are refused unless `force` is set.
+   *
+   * `only` and `exclude` select files by path or directory (`credentials`),
+   * `scopes` by scope (`memory`). `merge` takes just the given config paths (e.g. `channels`) from the
+   * backup's openclaw.json and keeps the rest of the current one; without
+   * `only` it restores nothing else. `dryRun` writes nothing and stages text
+   * files in the change preview.
    * @param {string} backupName - Name of backup to restore
-   * @returns {{success: boolean, restored: number}}
+   * @param {Object} [options]
+   * @param {BackupKeySource} [options.key]
+   * @param {boolean} [options.safetyBackup=true]
+   * @param {boolean} [options.force]
+   * @param {string[]} [options.only]
+   * @param {string[]} [options.exclude]
+   * @param {string[]|string} [options.scopes]
+   * @param {string[]} [options.merge]
+   * @param {boolean} [options.dryRun]
+   * @returns {{success: boolean, restored: number, files?: Array<Object>, simulated?: boolean, safetyBackup?: string|null, error?: string}}
    */
-  restoreBackup(backupName) {
-    const backupPath = join(BACKUP_DIR, backupName);
+  restoreBackup(backupName, options = {}) {
+    const instance = instances.current();
 
-    if (!existsSync(backupPath)) {
+    if (!this.findBackup(backupName)) {
       logger.error(`Backup not found: ${backupName}`);
       return { success: false, restored: 0 };
     }
 
+    let backup;
+    try {
+      backup = this.openBackup(backupName, options.key);
+      const problems = integrityProblems(backup);
+      if (problems.length > 0) {
+        const error = new BackupIntegrityError(backup.name, problems);
+        if (!options.force) throw error;
+        logger.warn(`${error.message}; restoring anyway (--force)`);
+      }
+    } catch (error) {
+      logger.error('Backup restore failed', error);
+      const hint = error instanceof BackupIntegrityError ? ' (use --force to restore anyway)' : '';
+      return { success: false, restored: 0, error: `${error.message}${hint}` };
+    }
+
+    let plan;
+    try {
+      plan = this.planRestore(backup, instance, options);
+    } catch (error) {
+      logger.error('Backup restore failed', error);
+      return { success: false, restored: 0, error: error.message };
+    }
+    const writes = plan.filter(file => file.action !== 'unchanged');
+
+    if (options.dryRun) {
+      this.previewRestore(writes);
+      return { success: true, simulated: true, restored: 0, files: plan };
+    }
+
+    let safetyBackup = null;
+    if (options.safetyBackup !== false && existsSync(instance.configPath)) {
+      const safety = this.createBackup(PRE_RESTORE_LABEL, {
+        prune: false,
+        scopes: [...new Set(writes.map(file => scopeOf(file.path)))],
+      });
+      if (!safety.success) {
+        return { success: false, restored: 0, error: `Could not back up the current files first: ${safety.error}` };
+      }
+      safetyBackup = safety.name;
+    }
+
     const spinner = createSpinner('Restoring backup...');
     spinner.start();
 
     try {
-      // First, create a safety backup of current state
-      const safetyBackup = this.createQuickBackup('pre-restore');
-      logger.debug(`Safety backup created: ${safetyBackup}`);
-
-      let restored = 0;
-
-      // Restore each config target
-      for (const target of BACKUP_TARGETS) {
-        const srcPath = join(backupPath, target.path);
-        if (existsSync(srcPath)) {
-          const destPath = join(OPENCLAW_DIR, target.path);
-          const destDir = join(destPath, '..');
-          if (!existsSync(destDir)) {
-            mkdirSync(destDir, { recursive: true });
+      // Hold the config lock so no other EasySet write interleaves with the restore
+      const configPath = instance.configPath;
+      mkdirSync(instance.home, { recursive: true });
+      const restored = withFileLock(configPath, () => {
+        // Remember the current config so the restore can be undone
+        const previousConfig = existsSync(configPath) ? readFileSync(configPath, 'utf-8') : null;
+
+        for (const file of writes) {
+          mkdirSync(dirname(file.dest), { recursive: true });
+          if (isSqliteData(file.data)) {
+            // A journal left from the replaced database would be replayed into the restored one
+            for (const suffix of ['-wal', '-shm', '-journal']) {
+              rmSync(`${file.dest}${suffix}`, { force: true });
+            }
           }
-          copyFileSync(srcPath, destPath);
-          restored++;
-          logger.debug(`Restored: ${target.path}`);
+          atomicWriteFileSync(file.dest, file.data, { mode: file.mode });
+          logger.debug(`Restored: ${file.path}`);
         }
-      }
 
-      // Restore credentials
-      const credBackupDir = join(backupPath, 'credentials');
-      if (existsSync(credBackupDir)) {
-        const destCredDir = join(OPENCLAW_DIR, 'credentials');
-        if (!existsSync(destCredDir)) {
-          mkdirSync(destCredDir, { recursive: true });
+        const restoredConfig = existsSync(configPath) ? readFileSync(configPath, 'utf-8') : null;
+        if (restoredConfig !== previousConfig) {
+          configJournal.record({ file: configPath, before: previousConfig, after: restoredConfig });
         }
 
-        const files = readdirSync(credBackupDir).filter(f => f.endsWith('.json'));
-        for (const file of files) {
-          copyFileSync(join(credBackupDir, file), join(destCredDir, file));
-          restored++;
-        }
-      }
+        return writes.length;
+      });
 
-      spinner.succeed(`Restored ${restored} files from ${backupName}`);
-      return { success: true, restored };
+      spinner.succeed(`Restored ${restored} files from ${backup.name}`);
+      return { success: true, restored, files: plan, safetyBackup };
     } catch (error) {
       spinner.fail('Restore failed');
       logger.error('Backup restore failed', error);
-      return { success: false, restored: 0 };
+      return { success: false, restored: 0, error: error.message };
     }
   }
 
   /**
-   * Quick backup of just openclaw.json (for internal use before modifications)
-   * @param {string} label
-   * @returns {string|null} Backup path
+   * Stage the text files of a restore plan in the change preview. .env and
+   * credential files are not staged; they get `masked`, the changed keys
+   * with their values masked.
+   * @param {Array<Object>} files - From planRestore, without unchanged files
    */
-  createQuickBackup(label) {
-    if (!existsSync(OPENCLAW_DIR)) return null;
+  previewRestore(files) {
+    for (const file of files) {
+      if (isSensitivePath(file.path)) {
+        const current = existsSync(file.dest) ? readFileSync(file.dest) : Buffer.alloc(0);
+        file.masked = diffFile(file.path, current, file.data).changes || [];
+      } else if (file.text !== null) {
+        changePreview.recordFile(file.dest, file.text);
+      }
+    }
+  }
 
-    const timestamp = Date.now();
-    const backupFile = join(OPENCLAW_DIR, `openclaw.json.easyset-backup.${label}.${timestamp}`);
+  /**
+   * What a restore would write: the selected files with their new content
+   * and whether they create, overwrite or leave a file unchanged
+   * @param {OpenedBackup} backup
+   * @param {Object} instance - Resolved instance
+   * @param {{only?: string[], exclude?: string[], scopes?: string[]|string, merge?: string[]}} options
+   * @returns {Array<{path: string, dest: string, data: Buffer, text: string|null, mode: number, action: 'create'|'overwrite'|'unchanged', merged?: string[]}>}
+   */
+  planRestore(backup, instance, options = {}) {
+    const merge = (options.merge || []).map(path => path.replace(/\.\*$/, '')).filter(Boolean);
+    const only = options.only?.length ? options.only : (merge.length > 0 ? ['openclaw.json'] : null);
+    const scopes = options.scopes?.length ? resolveScopes(options.scopes) : null;
 
-    try {
-      if (existsSync(join(OPENCLAW_DIR, 'openclaw.json'))) {
-        copyFileSync(join(OPENCLAW_DIR, 'openclaw.json'), backupFile);
-        return backupFile;
+    return backup.entries
+      .filter(entry => isRestorable(entry.path))
+      .filter(entry => !scopes || scopes.includes(scopeOf(entry.path)))
+      .filter(entry => !only || only.some(pattern => matchesPath(entry.path, pattern)))
+      .filter(entry => !(options.exclude || []).some(pattern => matchesPath(entry.path, pattern)))
+      .map((entry) => {
+        const dest = join(instance.home, ...entry.path.split('/'));
+        const current = existsSync(dest) ? readFileSync(dest) : null;
+        let data = entry.data;
+        let mergedPaths;
+
+        if (entry.path === 'openclaw.json' && merge.length > 0) {
+          data = Buffer.from(mergeConfigPaths(current?.toString('utf-8') ?? null, entry.data.toString('utf-8'), merge, options.force));
+          mergedPaths = merge;
+        }
+
+        const action = current === null ? 'create' : (current.equals(data) ? 'unchanged' : 'overwrite');
+        return {
+          path: entry.path,
+          dest,
+          data,
+          text: isText(data) ? data.toString('utf-8') : null,
+          mode: entry.mode,
+          action,
+          ...(mergedPaths ? { merged: mergedPaths } : {}),
+        };
+      });
+  }
+
+  /**
+   * Write a backup to a single archive file, e.g. to move it to another machine.
+   * Legacy directory backups are packed on the way out; encrypted backups stay encrypted.
+   * @param {string} backupName
+   * @param {string} file - Target; its extension (.tar.gz or .tar.zst) picks the compression
+   * @returns {{path: string, files: number}}
+   */
+  exportBackup(backupName, file) {
+    const compression = compressionFor(file);
+    if (!compression) {
+      throw new Error(`Export file must end in ${Object.values(ARCHIVE_EXTENSIONS).join(' or ')}: ${file}`);
+    }
+
+    const backupPath = this.findBackup(backupName);
+    if (!backupPath) {
+      throw new Error(`Backup not found: ${backupName}`);
+    }
+
+    let meta;
+    let entries;
+    if (backupPath.endsWith(SNAPSHOT_EXTENSION)) {
+      // The archive carries the files themselves, not references into this machine's store
+      ({ meta, entries } = this.openIntactBackup(backupName));
+      const { store, ...archived } = meta;
+      meta = { ...archived, manifest: meta.manifest.map(({ path, size, sha256 }) => ({ path, size, sha256 })) };
+    } else if (statSync(backupPath).isDirectory()) {
+      ({ meta, entries } = this.openBackup(backupName));
+    } else {
+      const archived = readArchive(backupPath);
+      meta = this.readArchiveMeta(archived);
+      entries = archived.filter(entry => entry.path !== META_FILE);
+      if (compressionFor(backupPath) === compression) {
+        copyFileSync(backupPath, file);
+        return { path: file, files: meta.files ?? entries.length };
       }
-    } catch { /* skip */ }
+    }
+
+    writeArchive(file, [
+      { path: META_FILE, data: Buffer.from(JSON.stringify({ ...meta, compression }, null, 2)), mode: 0o600 },
+      ...entries,
+    ], compression);
+    return { path: file, files: meta.files ?? entries.length };
+  }
+
+  /**
+   * Add an exported archive to the active instance's backups
+   * @param {string} file - .tar.gz or .tar.zst written by exportBackup or createBackup
+   * @returns {{name: string, path: string, files: number}}
+   */
+  importBackup(file) {
+    if (!existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+    const compression = compressionFor(file);
+    if (!compression) {
+      throw new Error(`Not a backup archive (expected ${Object.values(ARCHIVE_EXTENSIONS).join(' or ')}): ${file}`);
+    }
+
+    const entries = readArchive(file);
+    if (!entries.some(entry => entry.path === META_FILE)) {
+      throw new Error(`${file} is not an EasySet backup (no ${META_FILE})`);
+    }
+    const meta = this.readArchiveMeta(entries);
 
-    return null;
+    const name = stripArchiveExtension(basename(file));
+    if (this.findBackup(name)) {
+      throw new Error(`A backup named ${name} already exists`);
+    }
+
+    this.ensureBackupDir();
+    const target = join(this.backupDir, `${name}${ARCHIVE_EXTENSIONS[compression]}`);
+    atomicWriteFileSync(target, readFileSync(file), { mode: 0o600 });
+    return { name, path: target, files: meta.files ?? entries.length - 1 };
+  }
+
+  /**
+   * Compare a backup with another backup, or with the live instance home
+   * @param {string} fromName - Older side
+   * @param {string|null} toName - Newer side; null compares against the live files
+   * @param {{key?: BackupKeySource}} [options] - Used for whichever side is encrypted
+   * @returns {{from: string, to: string, added: string[], removed: string[], changed: Array<Object>, unchanged: number}}
+   */
+  diffBackups(fromName, toName = null, options = {}) {
+    const filesOf = entries => new Map(entries.map(entry => [entry.path, entry.data]));
+    const from = this.openIntactBackup(fromName, options.key);
+    const before = filesOf(from.entries);
+    const after = toName
+      ? filesOf(this.openIntactBackup(toName, options.key).entries)
+      : filesOf(this.collectFiles(instances.current(), from.meta.scopes || DEFAULT_BACKUP_SCOPES));
+
+    return { from: fromName, to: toName || 'live', ...diffFileSets(before, after) };
+  }
+
+  /**
+   * Configured destinations (backup.destinations)
+   * @returns {Object<string, Object>}
+   */
+  getDestinations() {
+    return configManager.get('backup.destinations', {}) || {};
+  }
+
+  /**
+   * The driver for a destination: the named one, else backup.defaultDestination,
+   * else the only one configured
+   * @param {string} [name]
+   * @returns {Object} See core/backup-destinations
+   * @throws {DestinationError}
+   */
+  getDestination(name) {
+    const destinations = this.getDestinations();
+    const names = Object.keys(destinations);
+    const chosen = name || configManager.get('backup.defaultDestination', null) || (names.length === 1 ? names[0] : null);
+    if (!chosen) {
+      throw new DestinationError('backup', names.length === 0
+        ? 'no destinations configured (add one under backup.destinations)'
+        : `pick a destination with --destination (${names.join(', ')})`);
+    }
+    return createDestination(chosen, destinations[chosen]);
+  }
+
+  /**
+   * Backups stored at a destination, marked with whether they also exist here
+   * @param {string} [destinationName]
+   * @returns {Promise<{destination: string, location: string, backups: Array<{name: string, file: string, size: number, modified: Date|null, local: boolean}>}>}
+   */
+  async listRemoteBackups(destinationName) {
+    const destination = this.getDestination(destinationName);
+    const backups = (await destination.list())
+      .map(entry => ({ name: backupNameOf(entry.file), ...entry, local: Boolean(this.findBackup(backupNameOf(entry.file))) }))
+      .sort((a, b) => b.name.localeCompare(a.name));
+    return { destination: destination.name, location: destination.describe(), backups };
+  }
+
+  /**
+   * Copy a backup to a destination as a single archive. The archive is
+   * staged under the backup directory until the upload completes, so a
+   * rerun after an interruption resumes it instead of starting over.
+   * @param {string} backupName
+   * @param {string} [destinationName]
+   * @returns {Promise<{name: string, destination: string, file: string, size: number, skipped: boolean, resumedFrom?: number|null}>}
+   */
+  async pushBackup(backupName, destinationName) {
+    const backupPath = this.findBackup(backupName);
+    if (!backupPath) {
+      throw new Error(`Backup not found: ${backupName}`);
+    }
+    const name = backupNameOf(basename(backupPath));
+    const destination = this.getDestination(destinationName);
+    const compression = compressionFor(backupPath) || configManager.get('backup.compression', DEFAULT_COMPRESSION);
+    const file = `${name}${ARCHIVE_EXTENSIONS[compression]}`;
+
+    // Destinations only show complete files under their final name
+    const remote = (await destination.list()).find(entry => entry.file === file);
+    if (remote) {
+      return { name, destination: destination.name, file, size: remote.size, skipped: true };
+    }
+
+    const staged = join(this.backupDir, TRANSFER_DIR, file);
+    if (!existsSync(staged)) {
+      const temp = `${staged}.tmp${ARCHIVE_EXTENSIONS[compression]}`;
+      mkdirSync(dirname(staged), { recursive: true, mode: 0o700 });
+      this.exportBackup(name, temp);
+      renameSync(temp, staged);
+    }
+    const size = statSync(staged).size;
+
+    const { resumedFrom } = await destination.upload(staged, file);
+    rmSync(staged, { force: true });
+    logger.info(`Pushed ${name} to ${destination.name}`);
+    return { name, destination: destination.name, file, size, skipped: false, resumedFrom };
+  }
+
+  /**
+   * Fetch a backup from a destination and import it; an interrupted
+   * download resumes on the next pull.
+   * @param {string} backupName
+   * @param {string} [destinationName]
+   * @returns {Promise<{name: string, destination: string, files: number, resumedFrom?: number|null}>}
+   */
+  async pullBackup(backupName, destinationName) {
+    const destination = this.getDestination(destinationName);
+    const name = backupNameOf(basename(backupName));
+    if (this.findBackup(name)) {
+      throw new Error(`A backup named ${name} already exists`);
+    }
+    const remote = (await destination.list()).find(entry => backupNameOf(entry.file) === name);
+    if (!remote) {
+      throw new DestinationError(destination.name, `no backup named ${name}`);
+    }
+
+    const incoming = join(this.backupDir, TRANSFER_DIR, remote.file);
+    mkdirSync(dirname(incoming), { recursive: true, mode: 0o700 });
+    const { resumedFrom } = await destination.download(remote.file, incoming);
+    try {
+      const imported = this.importBackup(incoming);
+      return { name: imported.name, destination: destination.name, files: imported.files, resumedFrom };
+    } finally {
+      rmSync(incoming, { force: true });
+    }
   }
 
   /**
@@ -286,11 +1108,136 @@ class BackupManager {
         ? new Date(backup.created).toLocaleString()
         : backup.name;
       const label = backup.label ? chalk.cyan(` [${backup.label}]`) : '';
+      const encrypted = backup.encrypted ? chalk.yellow(' (encrypted)') : '';
+      const pinned = backup.pinned ? chalk.green(' 📌 pinned') : '';
+
+      console.log(`  ${chalk.bold(backup.name)}${label}${encrypted}${pinned}`);
+      console.log(chalk.gray(`    Created: ${date} | Files: ${backup.files} | Size: ${backup.sizeFormatted} | Scopes: ${backup.scopes.join(', ')}`));
+    }
+  }
+}
+
+/**
+ * Compare files with manifest entries; manifests without hashes (older
+ * backups) only have their sizes checked, and none at all check nothing
+ * @param {Array<{path: string, size?: number, sha256?: string}>|undefined} manifest
+ * @param {Array<{path: string, data: Buffer}>} entries
+ * @returns {Array<{path: string, problem: string}>}
+ */
+/**
+ * Unreadable files plus manifest mismatches of the readable ones
+ * @param {OpenedBackup} backup
+ * @returns {Array<{path: string, problem: string}>}
+ */
+function integrityProblems(backup) {
+  const unreadable = new Set(backup.unreadable.map(problem => problem.path));
+  return [
+    ...backup.unreadable,
+    ...checkManifest(backup.meta.manifest, backup.entries).filter(problem => !unreadable.has(problem.path)),
+  ];
+}
+
+function checkManifest(manifest, entries) {
+  if (!manifest) return [];
+  const problems = [];
+  const byPath = new Map(entries.map(entry => [entry.path, entry]));
+
+  for (const file of manifest) {
+    const entry = byPath.get(file.path);
+    if (!entry) {
+      problems.push({ path: file.path, problem: 'missing' });
+    } else if (file.size !== undefined && entry.data.length !== file.size) {
+      problems.push({ path: file.path, problem: `size ${entry.data.length}, expected ${file.size}` });
+    } else if (file.sha256 && hashContent(entry.data) !== file.sha256) {
+      problems.push({ path: file.path, problem: 'checksum mismatch' });
+    }
+    byPath.delete(file.path);
+  }
+  for (const path of byPath.keys()) {
+    problems.push({ path, problem: 'not in the manifest' });
+  }
+  return problems;
+}
+
+function checkPayload(meta, payload) {
+  if (!meta.payload) return [];
+  if (payload.data.length !== meta.payload.size) {
+    return [{ path: PAYLOAD_FILE, problem: `size ${payload.data.length}, expected ${meta.payload.size}` }];
+  }
+  return hashContent(payload.data) === meta.payload.sha256
+    ? []
+    : [{ path: PAYLOAD_FILE, problem: 'checksum mismatch' }];
+}
+
+/**
+ * `credentials` matches credentials/x.json; `openclaw.json` only itself
+ * @param {string} path
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesPath(path, pattern) {
+  const prefix = pattern.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+  return path === prefix || path.startsWith(`${prefix}/`);
+}
 
-      console.log(`  ${chalk.bold(backup.name)}${label}`);
-      console.log(chalk.gray(`    Created: ${date} | Files: ${backup.files} | Size: ${backup.sizeFormatted}`));
+/**
+ * The current openclaw.json with the given paths taken from the backup's
+ * copy (paths the backup lacks are removed), formatting kept. Both sides
+ * are merged in the newest layout and written back in the current file's,
+ * so an older backup cannot mix key layouts; the result must validate
+ * unless forced.
+ * @param {string|null} currentRaw
+ * @param {string} backupRaw
+ * @param {string[]} paths
+ * @param {boolean} [force]
+ * @returns {string}
+ * @throws {import('./config-schema.js').ConfigValidationError}
+ */
+function mergeConfigPaths(currentRaw, backupRaw, paths, force = false) {
+  const backupConfig = normalizeOpenClawConfig(parseOpenClawConfig(backupRaw).config || {});
+  const current = currentRaw === null ? { config: {}, format: 'json' } : parseOpenClawConfig(currentRaw);
+  const generation = layoutGeneration(current.config || {});
+  const merged = normalizeOpenClawConfig(current.config || {});
+
+  for (const path of paths) {
+    const value = getPath(backupConfig, path);
+    if (value === undefined) {
+      removePath(merged, path);
+    } else {
+      setPath(merged, path, structuredClone(value));
     }
   }
+  restoreLayout(merged, generation);
+  assertValidConfig(merged, force);
+  return serializeOpenClawConfig(merged, currentRaw, current.format);
+}
+
+function isText(data) {
+  return !data.includes(0) && Buffer.from(data.toString('utf-8'), 'utf-8').equals(data);
+}
+
+/**
+ * Backup name of a snapshot, archive or directory in the backup directory
+ * @param {string} file - Base name
+ * @returns {string}
+ */
+function backupNameOf(file) {
+  return file.endsWith(SNAPSHOT_EXTENSION)
+    ? file.slice(0, -SNAPSHOT_EXTENSION.length)
+    : stripArchiveExtension(file);
+}
+
+/**
+ * Only the files a backup is made of are restored, whatever else an
+ * (imported) archive contains
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isRestorable(path) {
+  if (path.startsWith('/') || path.split('/').some(part => part === '..' || part === '')) return false;
+  return BACKUP_TARGETS.some(target => (target.directory
+    ? path.startsWith(`${target.path}/`) && (!target.match || target.match.test(path.slice(target.path.length + 1)))
+    : target.path === path));
 }
 
 export default new BackupManager();
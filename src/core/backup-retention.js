@@ -0,0 +1,112 @@
+/**
+ * Backup Retention
+ * Decides which backups a retention policy keeps: the newest `keepLast`,
+ * plus the newest backup of each of the last `keepDaily` days, `keepWeekly`
+ * ISO weeks and `keepMonthly` months that have one. Pinned backups and
+ * backups with a protected label are never pruned and do not count toward
+ * the policy.
+ * @module core/backup-retention
+ */
+
+/**
+ * Defaults, overridable via backup.retention in ~/.openclaw-easyset/config.json
+ */
+export const DEFAULT_BACKUP_RETENTION = {
+  keepLast: 10,
+  keepDaily: 7,
+  keepWeekly: 4,
+  keepMonthly: 6,
+  pruneOnCreate: false,
+};
+
+/** Labels kept regardless of the policy (backup.protectedLabels) */
+export const DEFAULT_PROTECTED_LABELS = ['pre-restore'];
+
+const BUCKETS = [
+  { rule: 'daily', option: 'keepDaily', key: dayKey },
+  { rule: 'weekly', option: 'keepWeekly', key: weekKey },
+  { rule: 'monthly', option: 'keepMonthly', key: monthKey },
+];
+
+/**
+ * A retention decision for one backup
+ * @typedef {Object} RetentionDecision
+ * @property {Object} backup - As returned by listBackups (plus `pinned`)
+ * @property {boolean} keep
+ * @property {string[]} reasons - pinned, protected, last, daily, weekly, monthly or undated
+ */
+
+/**
+ * When a backup was made: its manifest's `created`, else the timestamp its
+ * name starts with.
+ * @param {{name: string, created?: string|null}} backup
+ * @returns {Date|null}
+ */
+export function backupDate(backup) {
+  if (backup.created) {
+    const created = new Date(backup.created);
+    if (!Number.isNaN(created.getTime())) return created;
+  }
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/.exec(backup.name);
+  return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`) : null;
+}
+
+/**
+ * Apply a retention policy.
+ * @param {Array<Object>} backups - listBackups() output; `pinned` marks pinned ones
+ * @param {Object} policy - keepLast/keepDaily/keepWeekly/keepMonthly
+ * @param {{protectedLabels?: string[]}} [options]
+ * @returns {Array<RetentionDecision>} Newest first
+ */
+export function planRetention(backups, policy, options = {}) {
+  const protectedLabels = options.protectedLabels || DEFAULT_PROTECTED_LABELS;
+  const decisions = backups
+    .map(backup => ({ backup, date: backupDate(backup), keep: false, reasons: [] }))
+    .sort((a, b) => (b.date?.getTime() ?? Infinity) - (a.date?.getTime() ?? Infinity));
+
+  const candidates = [];
+  for (const decision of decisions) {
+    if (decision.backup.pinned) {
+      decision.reasons.push('pinned');
+    } else if (decision.backup.label && protectedLabels.includes(decision.backup.label)) {
+      decision.reasons.push('protected');
+    } else if (!decision.date) {
+      // Never delete what cannot be dated
+      decision.reasons.push('undated');
+    } else {
+      candidates.push(decision);
+    }
+  }
+
+  candidates.slice(0, Math.max(0, policy.keepLast || 0)).forEach(decision => decision.reasons.push('last'));
+
+  for (const { rule, option, key } of BUCKETS) {
+    const limit = Math.max(0, policy[option] || 0);
+    const seen = new Set();
+    for (const decision of candidates) {
+      if (seen.size >= limit) break;
+      const bucket = key(decision.date);
+      if (seen.has(bucket)) continue;
+      seen.add(bucket);
+      decision.reasons.push(rule);
+    }
+  }
+
+  return decisions.map(({ backup, reasons }) => ({ backup, keep: reasons.length > 0, reasons }));
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+/** ISO 8601 week: weeks start on Monday and belong to the year of their Thursday */
+function weekKey(date) {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+  return `${thursday.getFullYear()}-W${week}`;
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}`;
+}
@@ -0,0 +1,277 @@
+/**
+ * Backup Schedule
+ * Automatic backups run by the platform's service manager: a systemd timer
+ * on Linux, a launchd StartCalendarInterval job on macOS, a Task Scheduler
+ * trigger on Windows. The job runs `backup schedule run`, which creates the
+ * backup and records the outcome in backup-schedule.json in the EasySet
+ * state directory, where `backup schedule status` reads it back.
+ * @module core/backup-schedule
+ */
+
+import { existsSync, readFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import serviceManager from '../services/service-manager.js';
+import backupManager from './backup-manager.js';
+import { DEFAULT_BACKUP_SCOPES, resolveScopes } from './backup-scopes.js';
+import configManager from './config.js';
+import { atomicWriteFileSync, withFileLock } from './file-lock.js';
+import instances from './instances.js';
+import logger from './logger.js';
+
+export const SCHEDULE_INTERVALS = ['hourly', 'daily', 'weekly'];
+
+/** Day names accepted in --at, by Date#getDay() */
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Label of the backups the schedule creates */
+export const SCHEDULED_LABEL = 'scheduled';
+
+/** Job name given to the service manager */
+const JOB_ID = 'backup';
+
+/** Runs kept in the history */
+const MAX_RECORDED_RUNS = 20;
+
+const CLI_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+/**
+ * Thrown for invalid schedules.
+ */
+export class ScheduleError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+/**
+ * Parse --every and --at. `at` is HH:MM; hourly schedules use only the
+ * minutes (`:15` works too) and weekly ones take a day first (`mon 03:00`,
+ * Sunday by default).
+ * @param {string} [every='daily']
+ * @param {string} [at] - Default 03:00 (hourly: on the hour)
+ * @returns {import('../services/service-manager.js').CalendarSchedule}
+ * @throws {ScheduleError}
+ */
+export function parseSchedule(every = 'daily', at) {
+  if (!SCHEDULE_INTERVALS.includes(every)) {
+    throw new ScheduleError(`Unknown interval "${every}" (use ${SCHEDULE_INTERVALS.join(', ')})`);
+  }
+
+  const match = /^(?:([a-z]+)\s+)?(\d{1,2})?:(\d{2})$/i.exec(String(at ?? (every === 'hourly' ? ':00' : '03:00')).trim());
+  const day = match?.[1]?.slice(0, 3).toLowerCase();
+  const hour = match?.[2] === undefined ? null : Number(match[2]);
+  const minute = match ? Number(match[3]) : NaN;
+  if (!match || minute > 59 || hour > 23 || (hour === null && every !== 'hourly')) {
+    throw new ScheduleError(`Invalid time "${at}" (use HH:MM${every === 'weekly' ? ', optionally after a day such as mon' : ''})`);
+  }
+  if (day && (every !== 'weekly' || !WEEKDAYS.includes(day))) {
+    throw new ScheduleError(every === 'weekly' ? `Unknown day "${match[1]}"` : `A day only applies to weekly schedules, not "${every}"`);
+  }
+
+  if (every === 'hourly') return { every, minute };
+  const schedule = { every, hour, minute };
+  if (every === 'weekly') schedule.weekday = WEEKDAYS.indexOf(day || 'sun');
+  return schedule;
+}
+
+/**
+ * @param {import('../services/service-manager.js').CalendarSchedule} schedule
+ * @returns {string} e.g. "daily at 03:00"
+ */
+export function describeSchedule(schedule) {
+  const minute = String(schedule.minute).padStart(2, '0');
+  if (schedule.every === 'hourly') return `hourly at :${minute}`;
+  const time = `${String(schedule.hour).padStart(2, '0')}:${minute}`;
+  return schedule.every === 'weekly' ? `weekly on ${WEEKDAYS[schedule.weekday]} at ${time}` : `daily at ${time}`;
+}
+
+/**
+ * When the schedule next fires, in local time
+ * @param {import('../services/service-manager.js').CalendarSchedule} schedule
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export function nextRun(schedule, from = new Date()) {
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+  if (schedule.every === 'hourly') {
+    next.setMinutes(schedule.minute);
+    if (next <= from) next.setHours(next.getHours() + 1);
+    return next;
+  }
+
+  next.setHours(schedule.hour, schedule.minute);
+  if (schedule.every === 'weekly') {
+    next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+  }
+  if (next <= from) next.setDate(next.getDate() + (schedule.every === 'weekly' ? 7 : 1));
+  return next;
+}
+
+/**
+ * Last run, last success and the current run of failures
+ * @param {Array<{startedAt: string, ok: boolean}>} runs - Oldest first
+ * @returns {{lastRun: Object|null, lastSuccess: Object|null, consecutiveFailures: number, failures: Object[]}}
+ */
+export function summarizeRuns(runs) {
+  let consecutiveFailures = 0;
+  for (let index = runs.length - 1; index >= 0 && !runs[index].ok; index--) {
+    consecutiveFailures++;
+  }
+  return {
+    lastRun: runs.at(-1) || null,
+    lastSuccess: runs.findLast(run => run.ok) || null,
+    consecutiveFailures,
+    failures: runs.filter(run => !run.ok).slice(-5),
+  };
+}
+
+class BackupScheduler {
+  /** Schedule and run history of the active instance */
+  get file() {
+    return join(instances.current().stateDir, 'backup-schedule.json');
+  }
+
+  /**
+   * @returns {{schedule: Object|null, runs: Object[]}}
+   */
+  read() {
+    if (!existsSync(this.file)) return { schedule: null, runs: [] };
+    try {
+      const data = JSON.parse(readFileSync(this.file, 'utf-8'));
+      return { schedule: data.schedule || null, runs: Array.isArray(data.runs) ? data.runs : [] };
+    } catch (error) {
+      logger.warn(`Ignoring unreadable ${this.file}: ${error.message}`);
+      return { schedule: null, runs: [] };
+    }
+  }
+
+  update(fn) {
+    mkdirSync(dirname(this.file), { recursive: true });
+    return withFileLock(this.file, () => {
+      const data = this.read();
+      const result = fn(data);
+      atomicWriteFileSync(this.file, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+      return result;
+    });
+  }
+
+  /**
+   * The job the service manager runs
+   * @param {Object} schedule - CalendarSchedule plus scopes
+   * @returns {import('../services/service-manager.js').ScheduledJob}
+   */
+  jobFor(schedule) {
+    const instance = instances.current();
+    return {
+      id: JOB_ID,
+      description: `OpenClaw EasySet scheduled backup${instance.isDefault ? '' : ` (${instance.name})`}`,
+      argv: [process.execPath, CLI_PATH, 'backup', 'schedule', 'run', '--scope', schedule.scopes.join(',')],
+      schedule,
+    };
+  }
+
+  /**
+   * Install or replace the schedule.
+   * @param {Object} [options]
+   * @param {string} [options.every] - hourly, daily or weekly
+   * @param {string} [options.at] - See parseSchedule
+   * @param {string[]|string} [options.scopes] - Default: backup.scopes
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<{schedule: Object, type: string, name: string, nextRun: Date, simulated?: boolean}>}
+   * @throws {ScheduleError}
+   */
+  async install(options = {}) {
+    const schedule = {
+      ...parseSchedule(options.every, options.at),
+      scopes: resolveScopes(options.scopes || configManager.get('backup.scopes', DEFAULT_BACKUP_SCOPES)),
+    };
+    const result = await serviceManager.installScheduledJob(this.jobFor(schedule), { dryRun: options.dryRun });
+    if (!options.dryRun) {
+      this.update((data) => {
+        data.schedule = { ...schedule, installedAt: new Date().toISOString() };
+      });
+    }
+    return {
+      schedule, type: result.type, name: result.name, nextRun: nextRun(schedule), simulated: result.simulated,
+    };
+  }
+
+  /**
+   * Remove the schedule; the run history is kept.
+   * @param {{dryRun?: boolean}} [options]
+   * @returns {Promise<{removed: boolean}>}
+   */
+  async remove(options = {}) {
+    const status = await serviceManager.getScheduledJobStatus(JOB_ID);
+    const { schedule } = this.read();
+    if (!status.installed && !schedule) return { removed: false };
+
+    await serviceManager.uninstallScheduledJob(JOB_ID, { dryRun: options.dryRun });
+    if (!options.dryRun) {
+      this.update((data) => {
+        data.schedule = null;
+      });
+    }
+    return { removed: true };
+  }
+
+  /**
+   * What is scheduled, when it last ran and how that went.
+   * @returns {Promise<Object>}
+   */
+  async status() {
+    const { schedule, runs } = this.read();
+    const job = await serviceManager.getScheduledJobStatus(JOB_ID);
+    return {
+      installed: job.installed,
+      active: job.active,
+      type: job.type,
+      name: job.name,
+      schedule,
+      nextRun: schedule && job.installed ? nextRun(schedule) : null,
+      ...summarizeRuns(runs),
+    };
+  }
+
+  /**
+   * Create a scheduled backup and record the outcome.
+   * @param {{scopes?: string[]|string}} [options] - Default: the scheduled scopes
+   * @returns {{startedAt: string, finishedAt: string, ok: boolean, backup: string|null, error?: string}}
+   */
+  run(options = {}) {
+    const startedAt = new Date().toISOString();
+    let result;
+    try {
+      const scopes = options.scopes || this.read().schedule?.scopes;
+      result = backupManager.createBackup(SCHEDULED_LABEL, { scopes });
+    } catch (error) {
+      result = { success: false, name: null, error: error.message };
+    }
+
+    const run = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      ok: result.success,
+      backup: result.name,
+    };
+    if (!result.success) run.error = result.error;
+
+    this.update((data) => {
+      data.runs = [...data.runs, run].slice(-MAX_RECORDED_RUNS);
+    });
+    if (run.ok) {
+      logger.info(`Scheduled backup ${run.backup} created`);
+    } else {
+      logger.error(`Scheduled backup failed: ${run.error}`);
+    }
+    return run;
+  }
+}
+
+export default new BackupScheduler();
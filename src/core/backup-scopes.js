@@ -0,0 +1,132 @@
+/**
+ * Backup Scopes
+ * A backup covers one or more scopes of the instance home: `config`
+ * (openclaw.json, .env, cron, exec approvals, settings/), `credentials`,
+ * `memory` (memory/, SQLite databases included) and `workspace` (skills and
+ * identity files); `full` means all of them. Paths matching `.easysetignore`
+ * in the instance home are left out.
+ * @module core/backup-scopes
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+/** Scope name -> description */
+export const BACKUP_SCOPES = {
+  config: 'openclaw.json, .env, cron jobs, exec approvals and settings/',
+  credentials: 'credentials/*.json',
+  memory: 'memory/ (SQLite databases are snapshotted online)',
+  workspace: 'workspace/ (skills, IDENTITY.md, MEMORY.md, ...)',
+};
+
+/** What a backup covers unless backup.scopes or --scope says otherwise */
+export const DEFAULT_BACKUP_SCOPES = ['config', 'credentials'];
+
+/** Exclude file in the instance home, gitignore syntax */
+export const IGNORE_FILE = '.easysetignore';
+
+/** Always excluded, before the rules of .easysetignore (which can re-include them with `!`) */
+export const DEFAULT_IGNORE_RULES = ['node_modules/', '.git/'];
+
+/**
+ * Expand and check a scope list.
+ * @param {string[]|string} [scopes] - Names or a comma-separated list; `full` means all
+ * @returns {string[]} In canonical order
+ * @throws {Error} For unknown scopes
+ */
+export function resolveScopes(scopes = DEFAULT_BACKUP_SCOPES) {
+  const names = (Array.isArray(scopes) ? scopes : String(scopes).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  for (const name of names) {
+    if (name !== 'full' && !BACKUP_SCOPES[name]) {
+      throw new Error(`Unknown backup scope: ${name} (use ${Object.keys(BACKUP_SCOPES).join(', ')} or full)`);
+    }
+  }
+  if (names.length === 0) return [...DEFAULT_BACKUP_SCOPES];
+  return Object.keys(BACKUP_SCOPES).filter(scope => names.includes('full') || names.includes(scope));
+}
+
+/**
+ * Scope a backed-up path belongs to.
+ * @param {string} path - Relative POSIX path
+ * @returns {string}
+ */
+export function scopeOf(path) {
+  const top = path.split('/')[0];
+  return ['credentials', 'memory', 'workspace'].includes(top) ? top : 'config';
+}
+
+/**
+ * Build a matcher from gitignore-style rules: `#` comments, `!` negation,
+ * a trailing `/` for directories, a leading or inner `/` to anchor the
+ * pattern to the instance home, and `*`, `**` and `?` wildcards. The last
+ * matching rule wins.
+ * @param {string[]} lines
+ * @returns {(path: string) => boolean} True for paths to leave out
+ */
+export function compileIgnore(lines) {
+  const rules = lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(parseRule);
+
+  return (path) => {
+    const parts = path.split('/');
+    let ignored = false;
+    for (const rule of rules) {
+      // A rule matches the file itself, or any directory above it
+      const matched = parts.some((_, index) => {
+        const isDir = index < parts.length - 1;
+        return (isDir || !rule.dirOnly) && rule.regex.test(parts.slice(0, index + 1).join('/'));
+      });
+      if (matched) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+}
+
+/**
+ * The default rules plus those of the instance's .easysetignore.
+ * @param {string} home - Instance home
+ * @returns {(path: string) => boolean}
+ */
+export function loadIgnore(home) {
+  const file = join(home, IGNORE_FILE);
+  const lines = existsSync(file) ? readFileSync(file, 'utf-8').split(/\r?\n/) : [];
+  return compileIgnore([...DEFAULT_IGNORE_RULES, ...lines]);
+}
+
+function parseRule(line) {
+  let pattern = line;
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.slice(0, -1);
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" everything below
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return {
+    negate,
+    dirOnly,
+    regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`),
+  };
+}
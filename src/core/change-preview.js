@@ -0,0 +1,170 @@
+/**
+ * Change Preview
+ * Collects the files a --dry-run would write and prints them as a unified
+ * diff or an RFC 6902 JSON Patch instead of touching the disk.
+ * @module core/change-preview
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { extname } from 'path';
+import chalk from 'chalk';
+import JSON5 from 'json5';
+import YAML from 'yaml';
+import { createUnifiedDiff, colorizeDiff, createJsonPatch } from './diff.js';
+
+export const DIFF_FORMATS = ['unified', 'json'];
+
+class ChangePreview {
+  constructor() {
+    this.changes = new Map();
+  }
+
+  /**
+   * Record a file write that was skipped because of --dry-run.
+   * Repeated writes to the same path stack on top of each other.
+   * @param {string} path
+   * @param {string|null} content - New content (null when the file would be deleted)
+   */
+  recordFile(path, content) {
+    const existing = this.changes.get(path);
+    const before = existing
+      ? existing.before
+      : (existsSync(path) ? readFileSync(path, 'utf-8') : null);
+
+    this.changes.set(path, { kind: 'file', path, before, after: content });
+  }
+
+  /**
+   * Record a directory that would be created or removed.
+   * @param {string} path
+   * @param {{action: 'create'|'remove', files?: string[], source?: string}} details
+   */
+  recordDirectory(path, details) {
+    this.changes.set(path, { kind: 'directory', path, ...details });
+  }
+
+  /**
+   * Content a dry-run has already staged for `path`, if any.
+   * @param {string} path
+   * @returns {string|null|undefined} undefined when nothing is staged
+   */
+  pendingContent(path) {
+    const change = this.changes.get(path);
+    return change && change.kind === 'file' ? change.after : undefined;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  hasChanges() {
+    return [...this.changes.values()].some(change =>
+      change.kind === 'directory' || change.before !== change.after);
+  }
+
+  reset() {
+    this.changes.clear();
+  }
+
+  /**
+   * Build a machine-readable description of every staged change.
+   * Structured files (JSON, JSON5, YAML) get a semantic patch; other files
+   * are patched as a whole document.
+   * @returns {{version: number, changes: Array<Object>}}
+   */
+  toJson() {
+    const changes = [];
+
+    for (const change of this.changes.values()) {
+      if (change.kind === 'directory') {
+        changes.push({
+          path: change.path,
+          type: 'directory',
+          action: change.action,
+          ...(change.source ? { source: change.source } : {}),
+          files: change.files || [],
+        });
+        continue;
+      }
+
+      if (change.before === change.after) continue;
+
+      const action = change.before === null ? 'create' : change.after === null ? 'delete' : 'modify';
+      const before = parseStructured(change.path, change.before);
+      const after = parseStructured(change.path, change.after);
+      let patch;
+
+      if (action === 'modify' && before !== undefined && after !== undefined) {
+        patch = createJsonPatch(before, after);
+      } else if (action === 'delete') {
+        patch = [{ op: 'remove', path: '' }];
+      } else {
+        patch = [{ op: action === 'create' ? 'add' : 'replace', path: '', value: after !== undefined ? after : change.after }];
+      }
+
+      changes.push({ path: change.path, type: 'file', action, patch });
+    }
+
+    return { version: 1, changes };
+  }
+
+  /**
+   * Print staged changes and clear them.
+   * @param {{format?: 'unified'|'json'}} [options]
+   */
+  print(options = {}) {
+    const { format = 'unified' } = options;
+
+    if (format === 'json') {
+      console.log(JSON.stringify(this.toJson(), null, 2));
+      this.reset();
+      return;
+    }
+
+    console.log(chalk.cyan('\n📝 Dry-run changes:\n'));
+
+    if (!this.hasChanges()) {
+      console.log(chalk.gray('  No files would change.\n'));
+      this.reset();
+      return;
+    }
+
+    for (const change of this.changes.values()) {
+      if (change.kind === 'directory') {
+        const sign = change.action === 'remove' ? '-' : '+';
+        const color = change.action === 'remove' ? chalk.red : chalk.green;
+        const verb = change.action === 'remove' ? 'remove' : 'create';
+        console.log(chalk.bold(`${verb} directory ${change.path}/`) + (change.source ? chalk.gray(` (from ${change.source})`) : ''));
+        for (const file of change.files || []) {
+          console.log(color(`${sign} ${file}`));
+        }
+        console.log();
+        continue;
+      }
+
+      const displayPath = change.path.replace(/\\/g, '/').replace(/^\/+/, '');
+      const diff = createUnifiedDiff(change.before, change.after, {
+        fromFile: `a/${displayPath}`,
+        toFile: `b/${displayPath}`,
+      });
+      if (diff) {
+        console.log(colorizeDiff(diff));
+      }
+    }
+
+    this.reset();
+  }
+}
+
+function parseStructured(path, content) {
+  if (content === null) return undefined;
+  const ext = extname(path).toLowerCase();
+  try {
+    if (ext === '.json' || ext === '.json5') return JSON5.parse(content);
+    if (ext === '.yml' || ext === '.yaml') return YAML.parse(content);
+  } catch {
+    return undefined;
+  }
+  return undefined;
+}
+
+export default new ChangePreview();
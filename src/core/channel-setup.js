@@ -10,7 +10,9 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { commandExists, executeCommand, createSpinner } from './utils.js';
 import logger from './logger.js';
-import { loadOpenClawConfig, saveOpenClawConfig, updateOpenClawConfig } from './openclaw-config.js';
+import { saveOpenClawConfig, updateOpenClawConfig } from './openclaw-config.js';
+import { loadEffectiveConfig } from './config-fragments.js';
+import { promptSecretStorage } from './secrets.js';
 
 /**
  * Channel definitions with setup requirements
@@ -52,7 +54,7 @@ class ChannelSetup {
    */
   loadConfig() {
     try {
-      const { config } = loadOpenClawConfig({ optional: true });
+      const { config } = loadEffectiveConfig({ optional: true, normalize: true });
       return config;
     } catch (error) {
       logger.warn(`Failed to load config: ${error.message}`);
@@ -63,19 +65,25 @@ class ChannelSetup {
   /**
    * Save config back to disk
    * @param {Object} config - Config to save
+   * @param {Object} [options] - Options (force, dryRun)
    */
-  saveConfig(config) {
-    saveOpenClawConfig(config, { backup: true });
+  saveConfig(config, options = {}) {
+    saveOpenClawConfig(config, { backup: true, force: options.force, dryRun: options.dryRun });
   }
 
   /**
-   * Apply a targeted patch to OpenClaw config for channel updates.
+   * Apply a targeted patch to OpenClaw config for channel updates. The
+   * mutator uses the newest key names; they are written in the layout the
+   * installed OpenClaw reads.
    * @param {(tools: Object) => void} mutator
+   * @param {Object} [options] - Options (force, dryRun)
    */
-  patchConfig(mutator) {
+  patchConfig(mutator, options = {}) {
     updateOpenClawConfig((config, tools) => {
       mutator(tools);
-    }, { backup: true, create: true });
+    }, {
+      backup: true, create: true, force: options.force, dryRun: options.dryRun, normalized: true,
+    });
   }
 
   /**
@@ -102,10 +110,10 @@ class ChannelSetup {
         enabled: channels.imessage.enabled,
       };
     }
-    if (channels.gmail?.enabled !== undefined || channels.gmail?.watchEnabled !== undefined) {
+    if (channels.gmail?.enabled !== undefined) {
       result.gmail = {
         configured: true,
-        watchEnabled: channels.gmail.watchEnabled || channels.gmail.enabled || false,
+        enabled: channels.gmail.enabled,
       };
     }
     if (channels.webchat?.enabled !== undefined) {
@@ -162,11 +170,6 @@ class ChannelSetup {
       return !ch.platforms || ch.platforms.includes(currentPlatform);
     });
 
-    if (options.dryRun) {
-      console.log(chalk.gray('  [dry-run] Would prompt for channel configuration'));
-      return result;
-    }
-
     // Build channel choices
     const choices = available.map(([key, ch]) => {
       const status = configured[key]?.configured
@@ -279,14 +282,15 @@ class ChannelSetup {
       },
     ]);
 
-    if (options.dryRun) {
-      console.log(chalk.gray('  [dry-run] Would save Telegram config'));
-      return { configured: true, simulated: true };
-    }
+    const botToken = await promptSecretStorage(answers.botToken.trim(), {
+      path: 'channels.telegram.botToken',
+      yes: options.yes,
+      dryRun: options.dryRun,
+    });
 
     const normalizedChatId = answers.chatId.trim();
     this.patchConfig((tools) => {
-      tools.set('channels.telegram.botToken', answers.botToken.trim());
+      tools.set('channels.telegram.botToken', botToken);
       tools.set('channels.telegram.chatId', normalizedChatId);
       tools.set('channels.telegram.enabled', true);
 
@@ -299,7 +303,11 @@ class ChannelSetup {
       if (!normalizedChatId.startsWith('tg:')) {
         tools.pushUnique('channels.telegram.allowFrom', `tg:${normalizedChatId}`);
       }
-    });
+    }, options);
+
+    if (options.dryRun) {
+      return { configured: true, simulated: true };
+    }
 
     console.log(chalk.green('  Telegram channel configured'));
     return { configured: true };
@@ -363,18 +371,17 @@ class ChannelSetup {
       return { configured: false, reason: 'permissions not granted' };
     }
 
-    if (options.dryRun) {
-      console.log(chalk.gray('  [dry-run] Would enable iMessage channel'));
-      return { configured: true, simulated: true };
-    }
-
     this.patchConfig((tools) => {
       tools.set('channels.imessage.enabled', true);
       const currentPolicy = tools.get('channels.imessage.dmPolicy');
       if (!currentPolicy) {
         tools.set('channels.imessage.dmPolicy', 'pairing');
       }
-    });
+    }, options);
+
+    if (options.dryRun) {
+      return { configured: true, simulated: true };
+    }
 
     console.log(chalk.green('  iMessage channel configured'));
     return { configured: true };
@@ -422,15 +429,15 @@ class ChannelSetup {
       return { configured: false, reason: 'user declined' };
     }
 
-    if (options.dryRun) {
-      console.log(chalk.gray('  [dry-run] Would enable Gmail Pub/Sub'));
-      return { configured: true, simulated: true };
-    }
-
     this.patchConfig((tools) => {
       tools.set('channels.gmail.enabled', true);
+      // OpenClaw before 2026.2.1 reads watchEnabled
       tools.set('channels.gmail.watchEnabled', true);
-    });
+    }, options);
+
+    if (options.dryRun) {
+      return { configured: true, simulated: true };
+    }
 
     console.log(chalk.green('  Gmail Pub/Sub channel configured'));
     console.log(chalk.gray('  The gmail-watch service will monitor your inbox'));
@@ -459,15 +466,14 @@ class ChannelSetup {
       },
     }]);
 
-    if (options.dryRun) {
-      console.log(chalk.gray(`  [dry-run] Would enable webchat on port ${port}`));
-      return { configured: true, simulated: true };
-    }
-
     this.patchConfig((tools) => {
       tools.set('channels.webchat.enabled', true);
       tools.set('channels.webchat.port', parseInt(port, 10));
-    });
+    }, options);
+
+    if (options.dryRun) {
+      return { configured: true, simulated: true };
+    }
 
     console.log(chalk.green(`  Webchat configured on port ${port}`));
     return { configured: true };
@@ -0,0 +1,223 @@
+/**
+ * Check Monitor
+ * State behind `doctor --watch`: the confirmed status of every check result
+ * across runs, persisted per instance so a restarted watcher does not alert
+ * again. A new status is confirmed (and alerted) once it has been seen in
+ * `confirmRuns` consecutive runs; a result that keeps changing is marked
+ * flapping, alerted once, and stays quiet until it settles.
+ * @module core/check-monitor
+ */
+
+import { existsSync, readFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { withFileLock, atomicWriteFileSync } from './file-lock.js';
+import instances from './instances.js';
+import logger from './logger.js';
+
+/** Shortest --interval, so a watcher cannot hammer the gateway */
+const MIN_INTERVAL_MS = 5000;
+
+const INTERVAL_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+export const MONITOR_DEFAULTS = {
+  interval: '60s',
+  confirmRuns: 2,
+  flapThreshold: 4,
+  flapWindow: 10,
+};
+
+/**
+ * Thrown for invalid watch settings.
+ */
+export class MonitorError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MonitorError';
+  }
+}
+
+/**
+ * Parse --interval: a number with an optional unit (ms, s, m, h; default s)
+ * @param {string|number} value - e.g. 60s, 5m, 90
+ * @returns {number} Milliseconds
+ * @throws {MonitorError}
+ */
+export function parseInterval(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i.exec(String(value).trim());
+  if (!match) throw new MonitorError(`Invalid interval "${value}" (use e.g. 30s, 5m or 1h)`);
+  const ms = Number(match[1]) * INTERVAL_UNITS[(match[2] || 's').toLowerCase()];
+  if (ms < MIN_INTERVAL_MS) throw new MonitorError(`Interval ${value} is too short (minimum ${MIN_INTERVAL_MS / 1000}s)`);
+  return ms;
+}
+
+/**
+ * A change worth alerting about
+ * @typedef {Object} MonitorEvent
+ * @property {'transition'|'flapping'|'settled'} kind
+ * @property {string} check - Check id
+ * @property {string} name
+ * @property {string|null} target
+ * @property {string} from - Confirmed status before
+ * @property {string} to - Status now
+ * @property {string} message - Latest result message
+ * @property {string} at - ISO timestamp
+ * @property {number} [changes] - flapping: status changes within the window
+ */
+
+export class CheckMonitor {
+  /**
+   * Without an explicit file the state follows the active instance.
+   * @param {Object} [options]
+   * @param {string} [options.file]
+   * @param {number} [options.confirmRuns] - Consecutive runs before a new status is alerted
+   * @param {number} [options.flapThreshold] - Changes within the window that count as flapping
+   * @param {number} [options.flapWindow] - Runs remembered per result
+   */
+  constructor(options = {}) {
+    this.fixedFile = options.file || null;
+    this.confirmRuns = options.confirmRuns ?? MONITOR_DEFAULTS.confirmRuns;
+    this.flapThreshold = options.flapThreshold ?? MONITOR_DEFAULTS.flapThreshold;
+    this.flapWindow = options.flapWindow ?? MONITOR_DEFAULTS.flapWindow;
+    this.state = null;
+  }
+
+  get file() {
+    return this.fixedFile || join(instances.current().stateDir, 'doctor-watch.json');
+  }
+
+  /**
+   * @returns {{runs: number, results: Object<string, Object>}}
+   */
+  load() {
+    if (!this.state) {
+      this.state = { runs: 0, results: {} };
+      if (existsSync(this.file)) {
+        try {
+          const data = JSON.parse(readFileSync(this.file, 'utf-8'));
+          this.state = { runs: data.runs || 0, results: data.results || {} };
+        } catch (error) {
+          logger.warn(`Ignoring unreadable ${this.file}: ${error.message}`);
+        }
+      }
+    }
+    return this.state;
+  }
+
+  save() {
+    mkdirSync(dirname(this.file), { recursive: true });
+    withFileLock(this.file, () => {
+      atomicWriteFileSync(this.file, `${JSON.stringify(this.state, null, 2)}\n`, { mode: 0o600 });
+    });
+  }
+
+  /**
+   * Record one run and return what changed.
+   * @param {Array<Object>} results - From HealthChecker.runAll
+   * @param {string[]} ran - Ids of the checks that ran; a known result of one of
+   *   them that is no longer reported counts as pass
+   * @param {Date} [at]
+   * @returns {MonitorEvent[]}
+   */
+  observe(results, ran, at = new Date()) {
+    const state = this.load();
+    const timestamp = at.toISOString();
+    const events = [];
+    const seen = new Set();
+
+    for (const result of results) {
+      const key = resultKey(result);
+      seen.add(key);
+      if (!state.results[key]) {
+        // Results of the first run are the baseline; later newcomers start as pass
+        state.results[key] = {
+          check: result.check,
+          name: result.name,
+          target: result.target || null,
+          status: state.runs === 0 ? result.status : 'pass',
+          since: timestamp,
+          history: [],
+          pending: null,
+          flapping: false,
+        };
+      }
+      const event = this.update(state.results[key], result.status, result.message, timestamp);
+      if (event) events.push(event);
+    }
+
+    for (const [key, entry] of Object.entries(state.results)) {
+      if (seen.has(key) || !ran.includes(entry.check)) continue;
+      const event = this.update(entry, 'pass', 'No longer reported', timestamp);
+      if (event) events.push(event);
+    }
+
+    state.runs++;
+    this.save();
+    return events;
+  }
+
+  /**
+   * Results whose confirmed status is not pass, or that are flapping, for
+   * the watch summary line
+   * @returns {Array<Object>}
+   */
+  problems() {
+    return Object.values(this.load().results).filter(entry => entry.status !== 'pass' || entry.flapping);
+  }
+
+  update(entry, status, message, timestamp) {
+    entry.message = message;
+    entry.history = [...entry.history, status].slice(-this.flapWindow);
+    const event = (kind, extra = {}) => ({
+      kind,
+      check: entry.check,
+      name: entry.name,
+      target: entry.target,
+      from: entry.status,
+      to: status,
+      message,
+      at: timestamp,
+      ...extra,
+    });
+
+    if (entry.flapping) {
+      const settle = Math.max(this.confirmRuns, Math.ceil(this.flapWindow / 2));
+      const recent = entry.history.slice(-settle);
+      if (recent.length < settle || recent.some(s => s !== status)) return null;
+
+      const settled = event('settled');
+      Object.assign(entry, {
+        flapping: false, history: recent, pending: null,
+      });
+      if (entry.status !== status) Object.assign(entry, { status, since: timestamp });
+      return settled;
+    }
+
+    const changes = entry.history.filter((s, index) => index > 0 && s !== entry.history[index - 1]).length;
+    if (changes >= this.flapThreshold) {
+      entry.flapping = true;
+      entry.pending = null;
+      return event('flapping', { changes });
+    }
+
+    if (status === entry.status) {
+      entry.pending = null;
+      return null;
+    }
+    const count = entry.pending?.status === status ? entry.pending.count + 1 : 1;
+    if (count < this.confirmRuns) {
+      entry.pending = { status, count };
+      return null;
+    }
+
+    const transition = event('transition');
+    Object.assign(entry, { status, since: timestamp, pending: null });
+    return transition;
+  }
+}
+
+function resultKey(result) {
+  return [result.check, result.name, result.target || ''].join('|');
+}
@@ -0,0 +1,275 @@
+/**
+ * Check Registry
+ * Health checks as declarations: each has an id, a category, the checks it
+ * depends on, the platforms it applies to and optionally a fixer. Checks come from the
+ * built-ins and from `~/.openclaw-easyset/checks/*.js`, can be selected by
+ * id or category, and run in parallel as soon as the checks they depend on
+ * have passed.
+ * @module core/check-registry
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { EASYSET_DIR } from './instances.js';
+import { FIX_BUILDERS, manualFix } from './fixes.js';
+
+/** Directory of site-specific checks */
+export const USER_CHECKS_DIR = join(EASYSET_DIR, 'checks');
+
+/** Built-in categories, in report order; checks may add their own */
+export const CHECK_CATEGORIES = ['config', 'services', 'connectivity', 'storage', 'security', 'tools', 'logs'];
+
+const PLATFORMS = ['linux', 'darwin', 'win32'];
+
+/**
+ * Thrown for invalid check definitions and unknown check ids.
+ */
+export class CheckDefinitionError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'CheckDefinitionError';
+  }
+}
+
+/**
+ * A registered check
+ * @typedef {Object} CheckDefinition
+ * @property {string} id - Unique, e.g. storage.workspace
+ * @property {string} category
+ * @property {string} [description]
+ * @property {string[]} [dependsOn] - Ids of checks that must pass first
+ * @property {string[]} [platforms] - linux, darwin, win32 (default: all)
+ * @property {(ctx: CheckContext) => Promise<void>|void} run - Reports through ctx.pass/warn/fail
+ * @property {(result: Object, ctx: CheckContext) => Promise<void>|void} [fixer] - Repairs a failing
+ *   result; `doctor --fix` offers it (risk medium, not undoable) for results without an applicable fix
+ */
+
+/**
+ * What a check's run() gets. A fix is built with ctx.fix; a plain string is
+ * shorthand for ctx.fix.manual(string).
+ * @typedef {Object} CheckContext
+ * @property {Object} instance - Active instance
+ * @property {string} platform
+ * @property {() => Object} config - openclaw.json, loaded once per run (throws if unreadable)
+ * @property {(name: string, message: string, fix?: Fix|string|null, target?: string) => void} pass
+ * @property {(name: string, message: string, fix?: Fix|string|null, target?: string) => void} warn
+ * @property {(name: string, message: string, fix?: Fix|string|null, target?: string) => void} fail
+ * @property {typeof FIX_BUILDERS} fix - chmod, mkdir, command and manual fix builders
+ */
+
+/** @typedef {import('./fixes.js').Fix} Fix */
+
+export class CheckRegistry {
+  constructor() {
+    /** @type {Map<string, CheckDefinition>} */
+    this.checks = new Map();
+  }
+
+  /**
+   * @param {CheckDefinition} definition
+   * @param {string} [source] - Where it came from, for error messages
+   * @throws {CheckDefinitionError}
+   */
+  register(definition, source = 'built-in') {
+    const problem = validateDefinition(definition);
+    if (problem) throw new CheckDefinitionError(`${source}: ${problem}`);
+    if (this.checks.has(definition.id)) {
+      throw new CheckDefinitionError(`${source}: a check with id "${definition.id}" already exists`);
+    }
+    this.checks.set(definition.id, { dependsOn: [], ...definition, source });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {CheckDefinition|undefined}
+   */
+  get(id) {
+    return this.checks.get(id);
+  }
+
+  /**
+   * @returns {CheckDefinition[]} In registration order
+   */
+  list() {
+    return [...this.checks.values()];
+  }
+
+  /**
+   * Checks that depend on ids nobody registered; select() leaves them out,
+   * so they would otherwise never run without a word.
+   * @returns {Array<{id: string, source: string, missing: string[]}>}
+   */
+  unresolvedDependencies() {
+    return this.list()
+      .map(check => ({ id: check.id, source: check.source, missing: check.dependsOn.filter(id => !this.checks.has(id)) }))
+      .filter(check => check.missing.length > 0);
+  }
+
+  /**
+   * Register the checks of every *.js module in a directory. A module
+   * default-exports one definition or an array of them.
+   * @param {string} [dir]
+   * @returns {Promise<{loaded: string[], errors: Array<{file: string, message: string}>}>}
+   */
+  async loadDirectory(dir = USER_CHECKS_DIR) {
+    const loaded = [];
+    const errors = [];
+    if (!existsSync(dir)) return { loaded, errors };
+
+    for (const name of readdirSync(dir).filter(file => /\.m?js$/.test(file)).sort()) {
+      const file = join(dir, name);
+      try {
+        const module = await import(pathToFileURL(file).href);
+        const definitions = [module.default ?? module.checks].flat().filter(Boolean);
+        if (definitions.length === 0) throw new CheckDefinitionError('exports no checks');
+        for (const definition of definitions) {
+          this.register(definition, name);
+          loaded.push(definition.id);
+        }
+      } catch (error) {
+        errors.push({ file, message: error.message });
+      }
+    }
+    return { loaded, errors };
+  }
+
+  /**
+   * Pick the checks to run, dependencies included.
+   * @param {Object} [options]
+   * @param {string[]} [options.only] - Check ids
+   * @param {string[]} [options.skip] - Check ids; checks depending on them are skipped too
+   * @param {string[]} [options.category] - Categories
+   * @param {string} [options.platform] - Leave out checks for other platforms
+   * @returns {CheckDefinition[]} In registration order
+   * @throws {CheckDefinitionError} For unknown ids
+   */
+  select(options = {}) {
+    for (const id of [...(options.only || []), ...(options.skip || [])]) {
+      if (!this.checks.has(id)) {
+        throw new CheckDefinitionError(`Unknown check "${id}" (see doctor --list-checks)`);
+      }
+    }
+
+    const wanted = new Set(this.list()
+      .filter(check => !options.only?.length || options.only.includes(check.id))
+      .filter(check => !options.category?.length || options.category.includes(check.category))
+      .map(check => check.id));
+
+    const skipped = new Set(options.skip || []);
+    const selected = new Set();
+    const add = (id) => {
+      const check = this.checks.get(id);
+      if (!check || selected.has(id) || skipped.has(id)) return;
+      if (options.platform && check.platforms && !check.platforms.includes(options.platform)) return;
+      selected.add(id);
+      check.dependsOn.forEach(add);
+    };
+    wanted.forEach(add);
+
+    // Drop checks whose dependencies cannot run
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const id of selected) {
+        if (this.checks.get(id).dependsOn.some(dependency => !selected.has(dependency))) {
+          selected.delete(id);
+          changed = true;
+        }
+      }
+    }
+
+    // A cycle would leave its checks waiting for each other forever
+    const done = new Set();
+    const visit = (id, path) => {
+      if (done.has(id)) return;
+      if (path.includes(id)) {
+        throw new CheckDefinitionError(`Checks depend on each other: ${[...path, id].join(' → ')}`);
+      }
+      for (const dependency of this.checks.get(id).dependsOn) {
+        visit(dependency, [...path, id]);
+      }
+      done.add(id);
+    };
+    selected.forEach(id => visit(id, []));
+
+    return this.list().filter(check => selected.has(check.id));
+  }
+
+  /**
+   * Run checks concurrently; each starts once its dependencies are done and
+   * is skipped if one of them failed. A check that throws fails.
+   * @param {CheckDefinition[]} checks - From select()
+   * @param {Object} context - instance, platform, config()
+   * @param {Object} [options]
+   * @param {Set<string>} [options.skipped] - Collects the ids of skipped checks
+   * @returns {Promise<Array<Object>>} Results in check order
+   */
+  async run(checks, context, options = {}) {
+    const byId = new Map(checks.map(check => [check.id, check]));
+    const outcomes = new Map();
+
+    const runCheck = (check) => {
+      if (!outcomes.has(check.id)) {
+        outcomes.set(check.id, (async () => {
+          const dependencies = await Promise.all(check.dependsOn
+            .filter(id => byId.has(id))
+            .map(id => runCheck(byId.get(id))));
+          if (dependencies.some(outcome => !outcome.ok)) {
+            options.skipped?.add(check.id);
+            return { ok: false, skipped: true, results: [] };
+          }
+
+          const results = [];
+          const report = status => (name, message, fix = null, target) => {
+            const result = {
+              check: check.id,
+              name,
+              category: check.category,
+              status,
+              message,
+              fix: typeof fix === 'string' ? manualFix(fix) : fix,
+            };
+            if (target) result.target = target;
+            results.push(result);
+          };
+          try {
+            await check.run({
+              ...context, pass: report('pass'), warn: report('warn'), fail: report('fail'), fix: FIX_BUILDERS,
+            });
+          } catch (error) {
+            report('fail')(check.description || check.id, `Check failed to run: ${error.message}`);
+          }
+          return { ok: !results.some(result => result.status === 'fail'), results };
+        })());
+      }
+      return outcomes.get(check.id);
+    };
+
+    const done = await Promise.all(checks.map(runCheck));
+    return done.flatMap(outcome => outcome.results);
+  }
+}
+
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== 'object') return 'a check must be an object';
+  const {
+    id, category, run, dependsOn, platforms, fixer,
+  } = definition;
+  if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(id)) {
+    return `invalid check id ${JSON.stringify(id)} (lowercase letters, digits, ".", "_" and "-")`;
+  }
+  if (typeof category !== 'string' || !category) return `check ${id} needs a category`;
+  if (typeof run !== 'function') return `check ${id} needs a run() function`;
+  if (fixer !== undefined && typeof fixer !== 'function') return `fixer of check ${id} must be a function`;
+  if (dependsOn !== undefined && (!Array.isArray(dependsOn) || dependsOn.some(dep => typeof dep !== 'string'))) {
+    return `dependsOn of check ${id} must be a list of check ids`;
+  }
+  if (platforms !== undefined && (!Array.isArray(platforms) || platforms.some(p => !PLATFORMS.includes(p)))) {
+    return `platforms of check ${id} must be a list of ${PLATFORMS.join(', ')}`;
+  }
+  return null;
+}
@@ -0,0 +1,139 @@
+/**
+ * Chunk Store
+ * Content-addressed storage for incremental backups. Files are split into
+ * fixed-size chunks named by the SHA-256 of their content and stored
+ * compressed under `chunks/<first two hex digits>/<hash>`, so a chunk that
+ * several snapshots share (an unchanged file, or the untouched pages of a
+ * SQLite database) is kept once. Chunks no snapshot refers to are removed
+ * by garbage collection.
+ * @module core/chunk-store
+ */
+
+import {
+  existsSync, readFileSync, readdirSync, statSync, mkdirSync, rmSync,
+} from 'fs';
+import { join, dirname } from 'path';
+import { compress, decompress } from './archive.js';
+import { atomicWriteFileSync, hashContent } from './file-lock.js';
+
+/** Chunk size; SQLite pages (4 KiB) align with it, so page updates touch few chunks */
+export const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Thrown when a chunk is missing or does not match its hash.
+ */
+export class ChunkError extends Error {
+  /**
+   * @param {string} hash
+   * @param {string} problem
+   */
+  constructor(hash, problem) {
+    super(`Chunk ${hash.slice(0, 12)} is ${problem}`);
+    this.name = 'ChunkError';
+    this.hash = hash;
+    this.problem = problem;
+  }
+}
+
+/**
+ * Path of a chunk in the store
+ * @param {string} dir - Store directory
+ * @param {string} hash
+ * @returns {string}
+ */
+export function chunkPath(dir, hash) {
+  return join(dir, 'chunks', hash.slice(0, 2), hash);
+}
+
+/**
+ * Store a file's content, writing only the chunks the store lacks.
+ * @param {string} dir - Store directory
+ * @param {Buffer} data
+ * @param {'gzip'|'zstd'} compression - For new chunks
+ * @returns {{chunks: string[], written: number, writtenBytes: number}} Chunk hashes in order; what was new
+ */
+export function putChunks(dir, data, compression) {
+  const chunks = [];
+  let written = 0;
+  let writtenBytes = 0;
+
+  // An empty file is one empty chunk
+  const count = Math.max(1, Math.ceil(data.length / CHUNK_SIZE));
+  for (let index = 0; index < count; index++) {
+    const chunk = data.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+    const hash = hashContent(chunk);
+    const file = chunkPath(dir, hash);
+    if (!existsSync(file)) {
+      const stored = compress(chunk, compression);
+      mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+      atomicWriteFileSync(file, stored, { mode: 0o600 });
+      written++;
+      writtenBytes += stored.length;
+    }
+    chunks.push(hash);
+  }
+  return { chunks, written, writtenBytes };
+}
+
+/**
+ * Reassemble a file from its chunks, checking each one.
+ * @param {string} dir - Store directory
+ * @param {string[]} hashes
+ * @returns {Buffer}
+ * @throws {ChunkError}
+ */
+export function getChunks(dir, hashes) {
+  return Buffer.concat(hashes.map((hash) => {
+    const file = chunkPath(dir, hash);
+    if (!existsSync(file)) throw new ChunkError(hash, 'missing');
+    let chunk;
+    try {
+      chunk = decompress(readFileSync(file));
+    } catch {
+      throw new ChunkError(hash, 'unreadable');
+    }
+    if (hashContent(chunk) !== hash) throw new ChunkError(hash, 'corrupt');
+    return chunk;
+  }));
+}
+
+/**
+ * Every chunk in the store with its size on disk
+ * @param {string} dir - Store directory
+ * @returns {Map<string, number>}
+ */
+export function listChunks(dir) {
+  const chunks = new Map();
+  const root = join(dir, 'chunks');
+  if (!existsSync(root)) return chunks;
+
+  for (const prefix of readdirSync(root)) {
+    const prefixDir = join(root, prefix);
+    if (!statSync(prefixDir).isDirectory()) continue;
+    for (const name of readdirSync(prefixDir)) {
+      if (/^[0-9a-f]{64}$/.test(name)) {
+        chunks.set(name, statSync(join(prefixDir, name)).size);
+      }
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Delete the chunks no snapshot refers to.
+ * @param {string} dir - Store directory
+ * @param {Set<string>} referenced - Hashes still in use
+ * @param {{dryRun?: boolean}} [options]
+ * @returns {{deleted: number, freedBytes: number}}
+ */
+export function collectGarbage(dir, referenced, options = {}) {
+  let deleted = 0;
+  let freedBytes = 0;
+  for (const [hash, size] of listChunks(dir)) {
+    if (referenced.has(hash)) continue;
+    if (!options.dryRun) rmSync(chunkPath(dir, hash), { force: true });
+    deleted++;
+    freedBytes += size;
+  }
+  return { deleted, freedBytes };
+}
@@ -0,0 +1,265 @@
+/**
+ * Config Fragments
+ * Parts of the config can live in <instance home>/conf.d/*.json5|yaml instead
+ * of everyone editing openclaw.json. Fragments are deep-merged over
+ * openclaw.json in lexical file order into the effective config, and every
+ * key remembers which file set it. OpenClaw itself only reads openclaw.json,
+ * so `config render` writes the effective config back there, and records in
+ * conf.d/.rendered.json which keys came from fragments and what openclaw.json
+ * held there before. Those keys are taken out of the base layer again when
+ * merging, so removing a fragment removes its keys on the next render.
+ * @module core/config-fragments
+ */
+
+import {
+  existsSync, readdirSync, readFileSync, rmSync,
+} from 'fs';
+import { join, extname } from 'path';
+import { isDeepStrictEqual } from 'util';
+import JSON5 from 'json5';
+import YAML from 'yaml';
+import instances from './instances.js';
+import { normalizeOpenClawConfig } from './config-migrations.js';
+import {
+  loadOpenClawConfig, getOpenClawConfigPath, deepMerge, splitPath, getPath, setPath, removePath,
+} from './openclaw-config.js';
+import { atomicWriteFileSync } from './file-lock.js';
+
+export const FRAGMENT_EXTENSIONS = ['.json', '.json5', '.yaml', '.yml'];
+
+/** Keys the last `config render` took from fragments (a dotfile, so not a fragment itself) */
+export const RENDERED_FILE = '.rendered.json';
+
+/**
+ * Thrown for fragments that do not parse or are not an object.
+ */
+export class FragmentError extends Error {
+  /**
+   * @param {string} file
+   * @param {string} message
+   */
+  constructor(file, message) {
+    super(`Invalid config fragment ${file}: ${message}`);
+    this.name = 'FragmentError';
+    this.file = file;
+  }
+}
+
+/**
+ * conf.d directory of the active instance
+ * @returns {string}
+ */
+export function getConfDir() {
+  return join(instances.current().home, 'conf.d');
+}
+
+/**
+ * Fragment files in merge order (lexical; dotfiles are skipped).
+ * @param {string} [dir]
+ * @returns {string[]} Absolute paths
+ */
+export function listFragments(dir = getConfDir()) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .filter(entry => FRAGMENT_EXTENSIONS.includes(extname(entry.name).toLowerCase()))
+    .map(entry => entry.name)
+    .sort()
+    .map(name => join(dir, name));
+}
+
+/**
+ * Parse one fragment; .yaml/.yml as YAML, everything else as JSON5.
+ * @param {string} file
+ * @param {string} text
+ * @returns {Object}
+ * @throws {FragmentError}
+ */
+export function parseFragment(file, text) {
+  let config;
+  try {
+    config = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON5.parse(text);
+  } catch (error) {
+    throw new FragmentError(file, error.message);
+  }
+  // An empty YAML file parses to null
+  if (config === null || config === undefined) return {};
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new FragmentError(file, 'the top level must be an object');
+  }
+  return config;
+}
+
+/**
+ * @param {string} [dir]
+ * @returns {Array<{file: string, config: Object}>}
+ */
+export function loadFragments(dir = getConfDir()) {
+  return listFragments(dir).map(file => ({ file, config: parseFragment(file, readFileSync(file, 'utf-8')) }));
+}
+
+/**
+ * Merge sources in order (lowest precedence first) and record which source
+ * set each leaf key. Provenance follows deepMerge: an array or scalar
+ * replaces everything below it, objects merge key by key.
+ * @param {Array<{file: string, config: Object}>} sources
+ * @returns {{config: Object, provenance: Object<string, string>}} provenance maps dotted paths to files
+ */
+export function mergeConfigSources(sources) {
+  let config = {};
+  const provenance = {};
+
+  for (const { file, config: source } of sources) {
+    config = deepMerge(config, source);
+    recordProvenance(provenance, source, '', file);
+  }
+  return { config, provenance };
+}
+
+/**
+ * The provenance entries at or below a path.
+ * @param {Object<string, string>} provenance
+ * @param {string} path
+ * @returns {Array<{path: string, file: string}>}
+ */
+export function explainPath(provenance, path) {
+  const key = splitPath(path).join('.');
+  return Object.entries(provenance)
+    .filter(([entry]) => entry === key || entry.startsWith(`${key}.`))
+    .map(([entry, file]) => ({ path: entry, file }));
+}
+
+/**
+ * openclaw.json with the conf.d fragments merged over it. Takes the
+ * loadOpenClawConfig options; `normalize` applies to the merged result.
+ * Read-only: write single keys with updateOpenClawConfig and the whole
+ * result with `config render`.
+ * @param {{optional?: boolean, staged?: boolean, normalize?: boolean}} [options]
+ * @returns {{config: Object|null, raw: string|null, format: string|null, exists: boolean, hash: string|null, base: Object|null, provenance: Object<string, string>, fragments: string[]}}
+ *   `base` is openclaw.json without the keys earlier renders merged into it
+ */
+export function loadEffectiveConfig(options = {}) {
+  const { optional = true, normalize = false, staged = false } = options;
+  const base = loadOpenClawConfig({ optional: true, staged });
+  const fragments = loadFragments();
+
+  if (!base.exists && fragments.length === 0) {
+    if (!optional) {
+      throw new Error(`OpenClaw config not found at ${getOpenClawConfigPath()}`);
+    }
+    return { ...base, base: null, provenance: {}, fragments: [] };
+  }
+
+  const baseConfig = base.exists ? baseLayer(base.config, loadRendered()) : null;
+  const sources = base.exists ? [{ file: getOpenClawConfigPath(), config: baseConfig }] : [];
+  const { config, provenance } = mergeConfigSources([...sources, ...fragments]);
+
+  return {
+    ...base,
+    config: normalize ? normalizeOpenClawConfig(config) : config,
+    base: baseConfig,
+    provenance,
+    fragments: fragments.map(fragment => fragment.file),
+  };
+}
+
+/**
+ * What the last render took from fragments
+ * @param {string} [dir]
+ * @returns {{keys: Object<string, {value: *, base?: *}>, created: string[]}}
+ */
+export function loadRendered(dir = getConfDir()) {
+  const file = join(dir, RENDERED_FILE);
+  if (!existsSync(file)) return { keys: {}, created: [] };
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    return { keys: data.keys || {}, created: data.created || [] };
+  } catch {
+    return { keys: {}, created: [] };
+  }
+}
+
+/**
+ * openclaw.json without what earlier renders merged into it: each rendered
+ * key still holding the rendered value gets its previous value back (or is
+ * removed), and objects a render created are dropped once empty. Keys edited
+ * since the render stay as edited.
+ * @param {Object} config - openclaw.json as read
+ * @param {{keys: Object<string, {value: *, base?: *}>, created: string[]}} rendered
+ * @returns {Object}
+ */
+export function baseLayer(config, rendered) {
+  const base = structuredClone(config || {});
+  for (const [path, entry] of Object.entries(rendered.keys)) {
+    if (!isDeepStrictEqual(getPath(base, path), entry.value)) continue;
+    if ('base' in entry) {
+      setPath(base, path, structuredClone(entry.base));
+    } else {
+      removePath(base, path);
+    }
+  }
+  // Deepest first, so a created parent is checked after its created children
+  for (const path of [...rendered.created].sort((a, b) => b.length - a.length)) {
+    const value = getPath(base, path);
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
+      removePath(base, path);
+    }
+  }
+  return base;
+}
+
+/**
+ * Record which keys of a render came from fragments, for baseLayer
+ * @param {{config: Object, base: Object|null, provenance: Object<string, string>}} effective - From loadEffectiveConfig
+ * @param {string} [dir]
+ */
+export function saveRendered(effective, dir = getConfDir()) {
+  const file = join(dir, RENDERED_FILE);
+  const configPath = getOpenClawConfigPath();
+  const base = effective.base || {};
+  const keys = {};
+  const created = new Set();
+
+  for (const [path, source] of Object.entries(effective.provenance)) {
+    if (source === configPath) continue;
+    const entry = { value: getPath(effective.config, path) };
+    const previous = getPath(base, path);
+    if (previous !== undefined) entry.base = previous;
+    keys[path] = entry;
+
+    const parts = splitPath(path);
+    for (let i = 1; i < parts.length; i++) {
+      const parent = parts.slice(0, i).join('.');
+      if (getPath(base, parent) === undefined) created.add(parent);
+    }
+  }
+
+  if (Object.keys(keys).length === 0) {
+    rmSync(file, { force: true });
+    return;
+  }
+  atomicWriteFileSync(file, `${JSON.stringify({ keys, created: [...created].sort() }, null, 2)}\n`, { mode: 0o600 });
+}
+
+function recordProvenance(provenance, source, prefix, file) {
+  for (const [key, value] of Object.entries(source)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      // An object over a scalar replaces it; an empty object still sets the key
+      delete provenance[path];
+      if (Object.keys(value).length === 0 && !hasEntriesBelow(provenance, path)) {
+        provenance[path] = file;
+      }
+      recordProvenance(provenance, value, path, file);
+    } else {
+      for (const entry of Object.keys(provenance)) {
+        if (entry.startsWith(`${path}.`)) delete provenance[entry];
+      }
+      provenance[path] = file;
+    }
+  }
+}
+
+function hasEntriesBelow(provenance, path) {
+  return Object.keys(provenance).some(entry => entry.startsWith(`${path}.`));
+}
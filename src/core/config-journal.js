@@ -0,0 +1,487 @@
+/**
+ * Config Journal
+ * Records every EasySet write to openclaw.json (command, time, diff and
+ * previous content) so changes can be listed, undone and redone.
+ * Replaces the loose openclaw.json.easyset-backup.* files of older versions.
+ * @module core/config-journal
+ */
+
+import {
+  existsSync, readFileSync, mkdirSync, readdirSync, rmSync,
+} from 'fs';
+import { join, basename } from 'path';
+import JSON5 from 'json5';
+import logger from './logger.js';
+import configManager from './config.js';
+import { createUnifiedDiff } from './diff.js';
+import { updateConfigText } from './json5-editor.js';
+import { withFileLock, atomicWriteFileSync, hashContent } from './file-lock.js';
+import instances from './instances.js';
+
+const LOOSE_BACKUP_PATTERN = /^openclaw\.json\.easyset-backup\.(?:(.+)\.)?(\d{10,})$/;
+
+/**
+ * Default retention, overridable via journal.maxEntries / journal.maxAgeDays
+ * in ~/.openclaw-easyset/config.json
+ */
+export const DEFAULT_RETENTION = {
+  maxEntries: 100,
+  maxAgeDays: 90,
+};
+
+/**
+ * Thrown when openclaw.json changed outside the journal since the entry
+ * being undone or redone was recorded.
+ */
+export class JournalConflictError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(`${message}\nRe-run with --force to overwrite it anyway.`);
+    this.name = 'JournalConflictError';
+  }
+}
+
+/**
+ * Config Journal Class
+ */
+export class ConfigJournal {
+  /**
+   * Without explicit directories the journal follows the active instance.
+   * @param {{journalDir?: string, openclawDir?: string, retention?: Object}} [options]
+   */
+  constructor(options = {}) {
+    this.fixedJournalDir = options.journalDir || null;
+    this.fixedOpenclawDir = options.openclawDir || null;
+    this.retention = options.retention || null;
+  }
+
+  get journalDir() {
+    return this.fixedJournalDir || instances.current().journalDir;
+  }
+
+  get openclawDir() {
+    return this.fixedOpenclawDir || instances.current().home;
+  }
+
+  get indexPath() {
+    return join(this.journalDir, 'index.json');
+  }
+
+  get entriesDir() {
+    return join(this.journalDir, 'entries');
+  }
+
+  /**
+   * Record a write. Entries after the current position (undone changes)
+   * are discarded, like a new edit after undo in a text editor.
+   * @param {{file: string, before: string|null, after: string, command?: string}} change
+   * @returns {Object} The stored entry
+   */
+  record(change) {
+    const index = this.loadIndex();
+    const { file, before, after, command = describeCommand() } = change;
+
+    for (const stale of index.entries.splice(index.position)) {
+      this.removeEntryFile(stale.id);
+    }
+
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: this.nextId(index, Date.now()),
+      timestamp,
+      command,
+      file,
+      source: 'write',
+      before,
+      after,
+      diff: createUnifiedDiff(before, after, diffLabels(file)),
+    };
+
+    this.writeEntry(entry);
+    index.entries.push(summarize(entry));
+    index.position = index.entries.length;
+
+    this.applyRetention(index);
+    this.saveIndex(index);
+    logger.debug(`Journal entry ${entry.id} recorded for ${file}`);
+    return entry;
+  }
+
+  /**
+   * Revert the most recent applied change.
+   * @param {{force?: boolean, dryRun?: boolean}} [options]
+   * @returns {Object|null} The undone entry, or null if nothing to undo
+   */
+  undo(options = {}) {
+    const index = this.loadIndex();
+    if (index.position === 0) return null;
+
+    const entry = this.readEntry(index.entries[index.position - 1].id);
+    return this.apply(entry, entry.after, entry.before, options, () => {
+      index.position -= 1;
+      this.saveIndex(index);
+    }, 'recorded');
+  }
+
+  /**
+   * Re-apply the most recently undone change.
+   * @param {{force?: boolean, dryRun?: boolean}} [options]
+   * @returns {Object|null} The redone entry, or null if nothing to redo
+   */
+  redo(options = {}) {
+    const index = this.loadIndex();
+    if (index.position >= index.entries.length) return null;
+
+    const entry = this.readEntry(index.entries[index.position].id);
+    return this.apply(entry, entry.before, entry.after, options, () => {
+      index.position += 1;
+      this.saveIndex(index);
+    }, 'undone');
+  }
+
+  /**
+   * Swap the entry's file from `expected` to `content` under the file lock
+   * (shared with openclaw-config writes), then move the journal position.
+   */
+  apply(entry, expected, content, options, advance, when) {
+    const conflict = `${basename(entry.file)} changed since entry ${entry.id} was ${when}`;
+    if (options.dryRun) {
+      this.assertUnchanged(entry.file, expected, conflict, options);
+      return entry;
+    }
+
+    return withFileLock(entry.file, () => {
+      const current = this.assertUnchanged(entry.file, expected, conflict, options);
+      writeContent(entry.file, content, hashContent(current));
+      advance();
+      return entry;
+    });
+  }
+
+  /**
+   * List journal entries, newest first.
+   * @param {{limit?: number}} [options]
+   * @returns {Array<Object>} Summaries with an `applied` flag
+   */
+  history(options = {}) {
+    const index = this.loadIndex();
+    const entries = index.entries
+      .map((entry, i) => ({ ...entry, applied: i < index.position }))
+      .reverse();
+    return options.limit ? entries.slice(0, options.limit) : entries;
+  }
+
+  /**
+   * Load a full entry (including before/after content and diff).
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getEntry(id) {
+    const index = this.loadIndex();
+    if (!index.entries.some(e => e.id === id)) return null;
+    return this.readEntry(id);
+  }
+
+  /**
+   * Replace values at config paths in every stored entry, e.g. plaintext
+   * secrets that were moved out of the config (`secrets migrate`). Contents
+   * are edited structurally and the diff is rebuilt; command-line arguments
+   * equal to a value are replaced too. Undo/redo then restore the replacement
+   * instead of the original value.
+   * @param {Array<{path: string, value: string, ref: string}>} secrets - Dotted path, old value, replacement
+   * @returns {number} Number of entries rewritten
+   */
+  redact(secrets) {
+    const index = this.loadIndex();
+    let rewritten = 0;
+
+    for (const summary of index.entries) {
+      const entry = this.readEntry(summary.id);
+      const before = redactContent(entry.before, secrets);
+      const after = redactContent(entry.after, secrets);
+      // The command line can hold secrets too (config set ... <token>)
+      const command = typeof entry.command === 'string' ? redactCommand(entry.command, secrets) : entry.command;
+      if (before === entry.before && after === entry.after && command === entry.command) continue;
+
+      Object.assign(entry, { before, after, command });
+      if (typeof entry.diff === 'string') {
+        entry.diff = createUnifiedDiff(before, after, diffLabels(entry.file));
+      }
+      this.writeEntry(entry);
+      summary.command = entry.command;
+      rewritten++;
+    }
+
+    if (rewritten > 0) this.saveIndex(index);
+    return rewritten;
+  }
+
+  /**
+   * Move loose openclaw.json.easyset-backup.* files into the journal.
+   * Each backup holds the state before a write, so consecutive backups
+   * (and finally the current file) give each entry its `after` content.
+   * @returns {number} Number of files migrated
+   */
+  migrateLooseBackups() {
+    if (!existsSync(this.openclawDir)) return 0;
+
+    const backups = readdirSync(this.openclawDir)
+      .map((name) => {
+        const match = name.match(LOOSE_BACKUP_PATTERN);
+        return match ? { name, label: match[1] || null, time: Number(match[2]) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.time - b.time);
+
+    if (backups.length === 0) return 0;
+
+    const index = this.readIndexFile();
+    const file = join(this.openclawDir, 'openclaw.json');
+    const migrated = [];
+
+    backups.forEach((backup, i) => {
+      const before = readFileSync(join(this.openclawDir, backup.name), 'utf-8');
+      const next = backups[i + 1];
+      const laterEntry = index.entries.find(e => Date.parse(e.timestamp) > backup.time);
+      let after;
+      if (next) {
+        after = readFileSync(join(this.openclawDir, next.name), 'utf-8');
+      } else if (laterEntry) {
+        after = this.readEntry(laterEntry.id).before;
+      } else {
+        after = existsSync(file) ? readFileSync(file, 'utf-8') : null;
+      }
+
+      const entry = {
+        id: this.nextId(index, backup.time, migrated),
+        timestamp: new Date(backup.time).toISOString(),
+        command: backup.label ? `(migrated ${backup.label} backup)` : '(migrated backup)',
+        file,
+        source: 'migrated',
+        before,
+        after,
+        diff: createUnifiedDiff(before, after, diffLabels(file)),
+      };
+      this.writeEntry(entry);
+      migrated.push(summarize(entry));
+    });
+
+    // Migrated entries describe history that is already applied
+    const applied = index.entries.slice(0, index.position);
+    const undone = index.entries.slice(index.position);
+    index.entries = [...applied, ...migrated]
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+      .concat(undone);
+    index.position = applied.length + migrated.length;
+
+    this.applyRetention(index);
+    this.saveIndex(index);
+
+    for (const backup of backups) {
+      rmSync(join(this.openclawDir, backup.name), { force: true });
+    }
+
+    logger.debug(`Migrated ${migrated.length} loose backup file(s) into the journal`);
+    return migrated.length;
+  }
+
+  /**
+   * Drop the oldest applied entries beyond the retention limits.
+   * The most recent applied entry is always kept so it can be undone.
+   * @param {Object} index
+   * @returns {number} Number of entries pruned
+   */
+  applyRetention(index) {
+    const { maxEntries, maxAgeDays } = this.getRetention();
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let pruned = 0;
+
+    while (index.position > 1) {
+      const oldest = index.entries[0];
+      const tooMany = index.entries.length > maxEntries;
+      const tooOld = Date.parse(oldest.timestamp) < cutoff;
+      if (!tooMany && !tooOld) break;
+
+      index.entries.shift();
+      index.position -= 1;
+      this.removeEntryFile(oldest.id);
+      pruned++;
+    }
+
+    return pruned;
+  }
+
+  /**
+   * @returns {{maxEntries: number, maxAgeDays: number}}
+   */
+  getRetention() {
+    if (this.retention) {
+      return { ...DEFAULT_RETENTION, ...this.retention };
+    }
+    return {
+      maxEntries: configManager.get('journal.maxEntries', DEFAULT_RETENTION.maxEntries),
+      maxAgeDays: configManager.get('journal.maxAgeDays', DEFAULT_RETENTION.maxAgeDays),
+    };
+  }
+
+  /**
+   * Read the index, migrating any loose backup files first.
+   * @returns {{version: number, position: number, entries: Array<Object>}}
+   */
+  loadIndex() {
+    try {
+      this.migrateLooseBackups();
+    } catch (error) {
+      logger.warn(`Could not migrate old config backups: ${error.message}`);
+    }
+    return this.readIndexFile();
+  }
+
+  readIndexFile() {
+    if (!existsSync(this.indexPath)) {
+      return { version: 1, position: 0, entries: [] };
+    }
+    const index = JSON.parse(readFileSync(this.indexPath, 'utf-8'));
+    return {
+      version: index.version || 1,
+      position: Math.min(index.position ?? index.entries.length, index.entries.length),
+      entries: index.entries || [],
+    };
+  }
+
+  saveIndex(index) {
+    this.ensureDirs();
+    atomicWriteFileSync(this.indexPath, `${JSON.stringify(index, null, 2)}\n`, { mode: 0o600 });
+  }
+
+  readEntry(id) {
+    return JSON.parse(readFileSync(join(this.entriesDir, `${id}.json`), 'utf-8'));
+  }
+
+  writeEntry(entry) {
+    this.ensureDirs();
+    atomicWriteFileSync(join(this.entriesDir, `${entry.id}.json`), `${JSON.stringify(entry, null, 2)}\n`, { mode: 0o600 });
+  }
+
+  removeEntryFile(id) {
+    rmSync(join(this.entriesDir, `${id}.json`), { force: true });
+  }
+
+  ensureDirs() {
+    if (!existsSync(this.entriesDir)) {
+      mkdirSync(this.entriesDir, { recursive: true, mode: 0o700 });
+    }
+  }
+
+  /**
+   * Entry ids are millisecond timestamps, bumped on collision, so they sort
+   * chronologically.
+   */
+  nextId(index, time, pending = []) {
+    const taken = new Set([...index.entries, ...pending].map(e => e.id));
+    let candidate = time;
+    while (taken.has(String(candidate)) || existsSync(join(this.entriesDir, `${candidate}.json`))) {
+      candidate++;
+    }
+    return String(candidate);
+  }
+
+  /**
+   * @returns {string|null} The file's current content
+   */
+  assertUnchanged(file, expected, message, options) {
+    const current = existsSync(file) ? readFileSync(file, 'utf-8') : null;
+    if (!options.force && current !== expected) {
+      throw new JournalConflictError(message);
+    }
+    return current;
+  }
+}
+
+/**
+ * The command line that triggered a write, e.g. "openclaw-easyset config set gateway.port 19000"
+ * @returns {string}
+ */
+export function describeCommand() {
+  const args = process.argv.slice(2);
+  return args.length > 0 ? `openclaw-easyset ${args.join(' ')}` : 'openclaw-easyset';
+}
+
+function summarize(entry) {
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    command: entry.command,
+    file: entry.file,
+    source: entry.source,
+  };
+}
+
+/**
+ * Set each path that still holds its secret value to the replacement,
+ * keeping the rest of the text as it was. Text that does not parse is
+ * returned unchanged.
+ */
+function redactContent(text, secrets) {
+  if (typeof text !== 'string') return text;
+  let config;
+  let format = 'json';
+  try {
+    config = JSON.parse(text);
+  } catch {
+    try {
+      config = JSON5.parse(text);
+      format = 'json5';
+    } catch {
+      return text;
+    }
+  }
+
+  const redacted = structuredClone(config);
+  let changed = false;
+  for (const { path, value, ref } of secrets) {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), redacted);
+    const key = keys[keys.length - 1];
+    if (parent && typeof parent === 'object' && parent[key] === value) {
+      parent[key] = ref;
+      changed = true;
+    }
+  }
+  if (!changed) return text;
+
+  try {
+    return updateConfigText(text, config, redacted, { format });
+  } catch (error) {
+    logger.debug(`Rewriting a journal entry in full: ${error.message}`);
+    const serialized = format === 'json5' ? JSON5.stringify(redacted, null, 2) : JSON.stringify(redacted, null, 2);
+    return `${serialized}\n`;
+  }
+}
+
+/**
+ * Replace whole arguments equal to a secret value
+ */
+function redactCommand(command, secrets) {
+  return secrets.reduce((result, { value, ref }) => {
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return result.replace(new RegExp(`(^| )${escaped}(?= |$)`, 'g'), (match, space) => `${space}${ref}`);
+  }, command);
+}
+
+function diffLabels(file) {
+  const name = basename(file);
+  return { fromFile: `a/${name}`, toFile: `b/${name}` };
+}
+
+function writeContent(file, content, expectedHash) {
+  if (content === null) {
+    rmSync(file, { force: true });
+  } else {
+    atomicWriteFileSync(file, content, { mode: 0o600, expectedHash });
+  }
+}
+
+export default new ConfigJournal();
@@ -0,0 +1,263 @@
+/**
+ * OpenClaw Config Migrations
+ * Ordered, reversible migrations for keys OpenClaw renamed between releases.
+ * Each migration is tagged with the OpenClaw version that introduced the new
+ * shape; `meta.lastTouchedVersion` decides which shape the installed OpenClaw
+ * understands, and readers get the newest shape via normalizeOpenClawConfig.
+ * @module core/config-migrations
+ */
+
+/**
+ * Migration registry, oldest first. `up` moves a config to the new shape,
+ * `down` moves it back; both mutate the config and return a description of
+ * each change they made (an empty array means nothing to do).
+ * @type {Array<{id: string, version: string, description: string, up: (config: Object) => string[], down: (config: Object) => string[]}>}
+ */
+export const MIGRATIONS = [
+  {
+    id: 'agent-model-fallbacks',
+    version: '2025.12.1',
+    description: 'agents.defaults.fallbackModel → agents.defaults.model.fallbacks',
+    up(config) {
+      const defaults = config.agents?.defaults;
+      if (!isObject(defaults) || defaults.fallbackModel === undefined) return [];
+
+      const model = isObject(defaults.model) ? defaults.model : { primary: defaults.model };
+      if (model.primary === undefined) delete model.primary;
+      const fallbacks = Array.isArray(model.fallbacks) ? model.fallbacks : [];
+      if (!fallbacks.includes(defaults.fallbackModel)) {
+        fallbacks.unshift(defaults.fallbackModel);
+      }
+      model.fallbacks = fallbacks;
+      defaults.model = model;
+      delete defaults.fallbackModel;
+      return ['agents.defaults.fallbackModel → agents.defaults.model.fallbacks'];
+    },
+    down(config) {
+      const defaults = config.agents?.defaults;
+      if (!isObject(defaults) || !isObject(defaults.model) || !Array.isArray(defaults.model.fallbacks)) return [];
+
+      const [first, ...dropped] = defaults.model.fallbacks;
+      const changes = ['agents.defaults.model.fallbacks → agents.defaults.fallbackModel'];
+      if (first !== undefined) defaults.fallbackModel = first;
+      if (dropped.length > 0) {
+        changes.push(`dropped extra fallbacks (older OpenClaw supports one): ${dropped.join(', ')}`);
+      }
+      delete defaults.model.fallbacks;
+
+      const keys = Object.keys(defaults.model);
+      if (keys.length === 0) {
+        delete defaults.model;
+      } else if (keys.length === 1 && keys[0] === 'primary') {
+        defaults.model = defaults.model.primary;
+      }
+      return changes;
+    },
+  },
+  {
+    id: 'channel-dm-policy',
+    version: '2026.1.5',
+    description: 'channels.<name>.dm.policy → channels.<name>.dmPolicy',
+    up(config) {
+      const changes = [];
+      for (const [name, channel] of channelEntries(config)) {
+        if (!isObject(channel.dm) || channel.dm.policy === undefined) continue;
+
+        if (channel.dmPolicy === undefined) {
+          channel.dmPolicy = channel.dm.policy;
+          changes.push(`channels.${name}.dm.policy → channels.${name}.dmPolicy`);
+        } else {
+          changes.push(`channels.${name}.dm.policy removed (dmPolicy already set)`);
+        }
+        delete channel.dm.policy;
+        if (Object.keys(channel.dm).length === 0) delete channel.dm;
+      }
+      return changes;
+    },
+    down(config) {
+      const changes = [];
+      for (const [name, channel] of channelEntries(config)) {
+        if (channel.dmPolicy === undefined) continue;
+
+        channel.dm = isObject(channel.dm) ? channel.dm : {};
+        channel.dm.policy = channel.dmPolicy;
+        delete channel.dmPolicy;
+        changes.push(`channels.${name}.dmPolicy → channels.${name}.dm.policy`);
+      }
+      return changes;
+    },
+  },
+  {
+    id: 'gmail-enabled',
+    version: '2026.2.1',
+    description: 'channels.gmail.watchEnabled → channels.gmail.enabled',
+    up(config) {
+      const gmail = config.channels?.gmail;
+      if (!isObject(gmail) || gmail.watchEnabled === undefined) return [];
+      // Both keys, as older EasySet releases wrote them, suit every OpenClaw
+      if (gmail.enabled === gmail.watchEnabled) return [];
+
+      if (gmail.enabled === undefined) {
+        gmail.enabled = gmail.watchEnabled;
+      }
+      delete gmail.watchEnabled;
+      return ['channels.gmail.watchEnabled → channels.gmail.enabled'];
+    },
+    down(config) {
+      const gmail = config.channels?.gmail;
+      if (!isObject(gmail) || gmail.enabled === undefined) return [];
+      if (gmail.enabled === gmail.watchEnabled) return [];
+
+      gmail.watchEnabled = gmail.enabled;
+      delete gmail.enabled;
+      return ['channels.gmail.enabled → channels.gmail.watchEnabled'];
+    },
+  },
+];
+
+/** Generation of a fully migrated config */
+export const LATEST_GENERATION = MIGRATIONS.length;
+
+/**
+ * Compare calendar versions such as "2026.1.29" (a "v" prefix and
+ * pre-release suffixes are ignored).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative, zero or positive
+ */
+export function compareVersions(a, b) {
+  const parse = v => String(v).replace(/^v/, '').split(/[-+]/)[0].split('.').map(n => parseInt(n, 10) || 0);
+  const left = parse(a);
+  const right = parse(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Generation the config is currently in: the number of leading migrations
+ * with nothing left to migrate.
+ * @param {Object} config
+ * @returns {number}
+ */
+export function detectGeneration(config) {
+  const index = MIGRATIONS.findIndex(migration => migration.up(structuredClone(config || {})).length > 0);
+  return index === -1 ? LATEST_GENERATION : index;
+}
+
+/**
+ * Generation the installed OpenClaw understands, from meta.lastTouchedVersion.
+ * Configs without a version are assumed to be current.
+ * @param {Object} config
+ * @returns {number}
+ */
+export function targetGeneration(config) {
+  const version = config?.meta?.lastTouchedVersion;
+  if (!version || !/^v?\d+(\.\d+)*/.test(version)) return LATEST_GENERATION;
+  return MIGRATIONS.filter(migration => compareVersions(migration.version, version) <= 0).length;
+}
+
+/**
+ * Work out which migrations would run to bring `config` to a generation.
+ * Nothing is changed; each step lists the changes it would make.
+ * @param {Object} config
+ * @param {{to?: number}} [options] - Target generation (default: targetGeneration(config))
+ * @returns {{from: number, to: number, steps: Array<{id: string, version: string, description: string, direction: 'up'|'down', changes: string[]}>}}
+ */
+export function planMigrations(config, options = {}) {
+  const to = options.to ?? targetGeneration(config);
+  if (!Number.isInteger(to) || to < 0 || to > LATEST_GENERATION) {
+    throw new Error(`Unknown config generation ${to} (valid: 0-${LATEST_GENERATION})`);
+  }
+
+  const working = structuredClone(config || {});
+  const from = detectGeneration(working);
+  const steps = [];
+  if (from === to) return { from, to, steps };
+
+  // Undo newer shapes first (newest migration first), then apply older ones
+  for (let i = LATEST_GENERATION - 1; i >= to; i--) {
+    const changes = MIGRATIONS[i].down(working);
+    if (changes.length > 0) steps.push(describeStep(MIGRATIONS[i], 'down', changes));
+  }
+  for (let i = 0; i < to; i++) {
+    const changes = MIGRATIONS[i].up(working);
+    if (changes.length > 0) steps.push(describeStep(MIGRATIONS[i], 'up', changes));
+  }
+
+  return { from, to, steps };
+}
+
+/**
+ * Run the planned migrations against `config` in place.
+ * @param {Object} config
+ * @param {{to?: number}} [options]
+ * @returns {{from: number, to: number, steps: Array<Object>}} The applied plan
+ */
+export function migrateConfig(config, options = {}) {
+  const plan = planMigrations(config, options);
+  for (const step of plan.steps) {
+    MIGRATIONS.find(m => m.id === step.id)[step.direction](config);
+  }
+  return plan;
+}
+
+/**
+ * Generation to write a config back in: the older of the layout it is in
+ * and the layout the installed OpenClaw understands, so a write neither
+ * migrates the file nor adds keys OpenClaw does not know.
+ * @param {Object} config
+ * @returns {number}
+ */
+export function layoutGeneration(config) {
+  return Math.min(detectGeneration(config), targetGeneration(config));
+}
+
+/**
+ * Move a config in the newest shape back to an older generation, in place.
+ * @param {Object} config - As returned by normalizeOpenClawConfig
+ * @param {number} generation
+ * @returns {Object} config
+ */
+export function restoreLayout(config, generation) {
+  for (let i = LATEST_GENERATION - 1; i >= generation; i--) {
+    MIGRATIONS[i].down(config);
+  }
+  return config;
+}
+
+/**
+ * Copy of `config` in the newest shape, for code that only reads it.
+ * @param {Object|null} config
+ * @returns {Object|null}
+ */
+export function normalizeOpenClawConfig(config) {
+  if (!isObject(config)) return config;
+  const normalized = structuredClone(config);
+  for (const migration of MIGRATIONS) {
+    migration.up(normalized);
+  }
+  return normalized;
+}
+
+function describeStep(migration, direction, changes) {
+  return {
+    id: migration.id,
+    version: migration.version,
+    description: migration.description,
+    direction,
+    changes,
+  };
+}
+
+function channelEntries(config) {
+  const channels = config.channels;
+  if (!isObject(channels)) return [];
+  return Object.entries(channels).filter(([, channel]) => isObject(channel));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,356 @@
+/**
+ * OpenClaw Config Schema
+ * Versioned JSON Schema for ~/.openclaw/openclaw.json and a small validator
+ * that reports readable, path-level errors before anything is written.
+ * @module core/config-schema
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const DM_POLICIES = ['pairing', 'allowlist', 'open', 'disabled'];
+
+/**
+ * Schema shared by every channel entry under channels.*
+ */
+const CHANNEL_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    dmPolicy: { type: 'string', enum: DM_POLICIES },
+    dm: {
+      type: 'object',
+      properties: {
+        policy: { type: 'string', enum: DM_POLICIES },
+      },
+    },
+    allowFrom: { type: 'array', items: { type: ['string', 'number'] } },
+  },
+};
+
+/**
+ * JSON Schema (draft 2020-12 subset) for openclaw.json.
+ * Sections EasySet writes to are strict about unknown keys; everything else
+ * is left open so newer OpenClaw keys do not trip validation.
+ */
+export const OPENCLAW_CONFIG_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `https://github.com/jennofrie/Openclaw-EasySet/schemas/openclaw-config.v${SCHEMA_VERSION}.json`,
+  title: 'OpenClaw configuration',
+  type: 'object',
+  properties: {
+    meta: {
+      type: 'object',
+      properties: {
+        lastTouchedVersion: { type: 'string' },
+        lastTouchedAt: { type: 'string' },
+      },
+    },
+    gateway: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        mode: { type: 'string', enum: ['local', 'remote'] },
+        bind: { type: 'string', minLength: 1 },
+        customBindHost: { type: 'string' },
+        auth: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            mode: { type: 'string', enum: ['token', 'password', 'none'] },
+            token: { type: 'string', minLength: 1 },
+            password: { type: 'string', minLength: 1 },
+            allowTailscale: { type: 'boolean' },
+          },
+        },
+        trustedProxies: { type: 'array', items: { type: 'string', minLength: 1 } },
+        controlUi: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            basePath: { type: 'string' },
+            allowInsecureAuth: { type: 'boolean' },
+            dangerouslyDisableDeviceAuth: { type: 'boolean' },
+          },
+        },
+        tailscale: {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', enum: ['off', 'serve', 'funnel'] },
+            resetOnExit: { type: 'boolean' },
+          },
+        },
+        remote: { type: 'object' },
+        reload: { type: 'object' },
+        http: { type: 'object' },
+        nodes: { type: 'object' },
+      },
+    },
+    channels: {
+      type: 'object',
+      additionalProperties: CHANNEL_SCHEMA,
+      properties: {
+        telegram: {
+          ...CHANNEL_SCHEMA,
+          properties: {
+            ...CHANNEL_SCHEMA.properties,
+            botToken: { type: 'string', minLength: 1 },
+            chatId: { type: ['string', 'integer'] },
+          },
+        },
+        gmail: {
+          ...CHANNEL_SCHEMA,
+          properties: {
+            ...CHANNEL_SCHEMA.properties,
+            watchEnabled: { type: 'boolean' },
+          },
+        },
+        webchat: {
+          ...CHANNEL_SCHEMA,
+          properties: {
+            ...CHANNEL_SCHEMA.properties,
+            port: { type: 'integer', minimum: 1, maximum: 65535 },
+          },
+        },
+      },
+    },
+    plugins: {
+      type: 'object',
+      properties: {
+        entries: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              config: { type: 'object' },
+            },
+          },
+        },
+        slots: { type: 'object', additionalProperties: { type: 'string' } },
+        allow: { type: 'array', items: { type: 'string' } },
+        deny: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    agents: {
+      type: 'object',
+      properties: {
+        defaults: {
+          type: 'object',
+          properties: {
+            model: {
+              anyOf: [
+                { type: 'string', minLength: 1 },
+                {
+                  type: 'object',
+                  properties: {
+                    primary: { type: 'string', minLength: 1 },
+                    fallbacks: { type: 'array', items: { type: 'string' } },
+                  },
+                },
+              ],
+            },
+            fallbackModel: { type: 'string' },
+            maxConcurrent: { type: 'integer', minimum: 1 },
+            workspace: { type: 'string' },
+          },
+        },
+      },
+    },
+    auth: {
+      type: 'object',
+      properties: {
+        profiles: { type: ['object', 'array'] },
+        order: { type: 'object' },
+      },
+    },
+    security: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        pairing: { type: 'boolean' },
+        webhookVerification: { type: 'boolean' },
+        trustedProxies: { type: 'array', items: { type: 'string', minLength: 1 } },
+        rateLimiting: { type: 'boolean' },
+        apiKeyRotation: { type: 'boolean' },
+        ipAllowlist: { type: 'boolean' },
+        auditLogging: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+/**
+ * Thrown when a config write is rejected by the schema.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array<{path: string, message: string}>} errors
+   */
+  constructor(errors) {
+    const lines = errors.map(e => `  ${e.path || '(root)'}: ${e.message}`);
+    super(`openclaw.json failed schema validation:\n${lines.join('\n')}\nRe-run with --force to write anyway.`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a config object against the OpenClaw schema.
+ * @param {Object} config
+ * @param {Object} [schema=OPENCLAW_CONFIG_SCHEMA]
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateOpenClawConfig(config, schema = OPENCLAW_CONFIG_SCHEMA) {
+  const errors = [];
+  validateNode(config, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors for console output.
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string[]}
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(e => `${e.path || '(root)'}: ${e.message}`);
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) {
+      const expected = schema.anyOf.map(option => describeType(option.type)).join(' or ');
+      errors.push({ path, message: `expected ${expected}, got ${describeValue(value)}` });
+    }
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${describeType(schema.type)}, got ${describeValue(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path,
+      message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${describeValue(value)}`,
+    });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(path, key);
+      if (key in properties) {
+        validateNode(child, properties[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(properties));
+        errors.push({
+          path: childPath,
+          message: suggestion ? `unknown key (did you mean "${suggestion}"?)` : 'unknown key',
+        });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, childPath, errors);
+      }
+    }
+  }
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((t) => {
+    switch (t) {
+      case 'object': return isPlainObject(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+function describeType(type) {
+  if (!type) return 'any value';
+  return Array.isArray(type) ? type.join(' or ') : type;
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') return `string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 37)}...` : value)}`;
+  if (typeof value === 'object') return 'object';
+  return `${typeof value} ${String(value)}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Suggest the closest known key for a typo (Levenshtein distance <= 2).
+ */
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= 2 ? best : null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      prev = temp;
+    }
+  }
+  return row[b.length];
+}
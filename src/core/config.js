@@ -44,6 +44,35 @@ const DEFAULT_CONFIG = {
     pairing: true,
     webhookVerification: true,
   },
+  journal: {
+    maxEntries: 100,
+    maxAgeDays: 90,
+  },
+  secrets: {
+    defaultStore: 'env',
+  },
+  backup: {
+    store: 'chunks',
+    compression: 'gzip',
+    scopes: ['config', 'credentials'],
+    retention: {
+      keepLast: 10,
+      keepDaily: 7,
+      keepWeekly: 4,
+      keepMonthly: 6,
+      pruneOnCreate: false,
+    },
+    protectedLabels: ['pre-restore'],
+    destinations: {},
+    defaultDestination: null,
+  },
+  monitor: {
+    interval: '60s',
+    confirmRuns: 2,
+    flapThreshold: 4,
+    flapWindow: 10,
+    alerts: {},
+  },
 };
 
 /**
@@ -0,0 +1,242 @@
+/**
+ * Diff Utilities
+ * Line-based unified diffs and RFC 6902 JSON Patch generation.
+ * @module core/diff
+ */
+
+import chalk from 'chalk';
+
+/**
+ * Create a unified diff between two texts.
+ * @param {string|null} oldText - Previous content (null for a new file)
+ * @param {string|null} newText - New content (null for a deleted file)
+ * @param {{fromFile?: string, toFile?: string, context?: number}} [options]
+ * @returns {string} Unified diff, or '' when the texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+
+  if (oldText === newText) return '';
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const script = diffLines(oldLines, newLines);
+  const hunks = buildHunks(script, context);
+
+  const header = [
+    `--- ${oldText === null ? '/dev/null' : fromFile}`,
+    `+++ ${newText === null ? '/dev/null' : toFile}`,
+  ];
+
+  const body = [];
+  for (const hunk of hunks) {
+    body.push(`@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`);
+    for (const line of hunk.lines) {
+      body.push(`${line.type}${line.text}`);
+    }
+  }
+
+  return `${[...header, ...body].join('\n')}\n`;
+}
+
+/**
+ * Colour a unified diff for terminal output.
+ * @param {string} diff
+ * @returns {string}
+ */
+export function colorizeDiff(diff) {
+  return diff.split('\n').map((line) => {
+    if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Create an RFC 6902 JSON Patch that turns `before` into `after`.
+ * @param {*} before
+ * @param {*} after
+ * @param {string} [basePath=''] - JSON Pointer prefix
+ * @returns {Array<{op: string, path: string, value?: *}>}
+ */
+export function createJsonPatch(before, after, basePath = '') {
+  const ops = [];
+  buildPatch(before, after, basePath, ops);
+  return ops;
+}
+
+/**
+ * Escape a key for use in a JSON Pointer (RFC 6901).
+ * @param {string|number} key
+ * @returns {string}
+ */
+export function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function buildPatch(before, after, path, ops) {
+  if (deepEqual(before, after)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      if (!(key in after) || after[key] === undefined) {
+        ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+      }
+    }
+    for (const [key, value] of Object.entries(after)) {
+      if (value === undefined) continue;
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!(key in before) || before[key] === undefined) {
+        ops.push({ op: 'add', path: childPath, value });
+      } else {
+        buildPatch(before[key], value, childPath, ops);
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) {
+      buildPatch(before[i], after[i], `${path}/${i}`, ops);
+    }
+    for (let i = common; i < after.length; i++) {
+      ops.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+    }
+    for (let i = before.length - 1; i >= common; i--) {
+      ops.push({ op: 'remove', path: `${path}/${i}` });
+    }
+    return;
+  }
+
+  ops.push({ op: 'replace', path, value: after });
+}
+
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * LCS-based edit script over lines. Common prefix/suffix are trimmed first
+ * so typical config edits stay cheap.
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix
+    && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const script = oldLines.slice(0, prefix).map(text => ({ type: ' ', text }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      script.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || table[i + 1][j] >= table[i][j + 1])) {
+      script.push({ type: '-', text: a[i] });
+      i++;
+    } else {
+      script.push({ type: '+', text: b[j] });
+      j++;
+    }
+  }
+  script.push(...oldLines.slice(oldLines.length - suffix).map(text => ({ type: ' ', text })));
+
+  return script;
+}
+
+function buildHunks(script, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailingContext = 0;
+
+  script.forEach((entry, index) => {
+    if (entry.type !== ' ') {
+      if (!current) {
+        const lead = [];
+        for (let k = Math.max(0, index - context); k < index; k++) {
+          lead.push(script[k]);
+        }
+        current = {
+          oldStart: oldLine - lead.length,
+          newStart: newLine - lead.length,
+          oldCount: lead.length,
+          newCount: lead.length,
+          lines: [...lead],
+        };
+      }
+      current.lines.push(entry);
+      if (entry.type === '-') current.oldCount++;
+      else current.newCount++;
+      trailingContext = 0;
+    } else if (current) {
+      const nextChange = script.slice(index + 1, index + 1 + context * 2).some(e => e.type !== ' ');
+      if (trailingContext < context || nextChange) {
+        current.lines.push(entry);
+        current.oldCount++;
+        current.newCount++;
+        trailingContext++;
+      }
+      if (!nextChange && trailingContext >= context) {
+        hunks.push(current);
+        current = null;
+        trailingContext = 0;
+      }
+    }
+
+    if (entry.type !== '+') oldLine++;
+    if (entry.type !== '-') newLine++;
+  });
+
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+function formatRange(start, count) {
+  const begin = count === 0 ? start - 1 : start;
+  return count === 1 ? `${begin}` : `${begin},${count}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+    const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+  }
+  return false;
+}
@@ -4,11 +4,13 @@
  * @module core/docker-manager
  */
 
-import { platform, homedir } from 'os';
-import { join } from 'path';
+import { platform } from 'os';
+import { join, dirname } from 'path';
 import { existsSync, mkdirSync, writeFileSync, readFileSync } from 'fs';
 import { executeCommand, commandExists } from './utils.js';
 import logger from './logger.js';
+import changePreview from './change-preview.js';
+import instances from './instances.js';
 
 /**
  * Docker Manager Class
@@ -16,10 +18,30 @@ import logger from './logger.js';
 class DockerManager {
   constructor() {
     this.platform = platform();
-    this.containerName = 'openclaw-gateway';
     this.imageName = 'openclaw/openclaw:latest';
   }
 
+  /** Container name of the active instance */
+  get containerName() {
+    return instances.current().containerName;
+  }
+
+  /** docker-compose.yml of the active instance */
+  get composePath() {
+    return join(instances.current().home, 'docker', 'docker-compose.yml');
+  }
+
+  /**
+   * docker-compose invocation for the active instance. Other instances get
+   * their own project name, since every compose file lives in a "docker" directory.
+   * @returns {string}
+   */
+  composeCommand() {
+    const instance = instances.current();
+    const project = instance.isDefault ? '' : ` -p ${instance.containerName}`;
+    return `docker-compose -f "${this.composePath}"${project}`;
+  }
+
   /**
    * Check if Docker is installed
    * @returns {Promise<boolean>} Docker availability
@@ -151,14 +173,15 @@ class DockerManager {
    * @returns {string} Docker compose content
    */
   generateDockerCompose(config = {}) {
-    const home = homedir();
-    const port = config.port || 18789;
+    const instance = instances.current();
+    const home = instance.home.replace(/\\/g, '/');
+    const port = config.port || instance.port;
     const webchatPort = config.webchatPort || 3000;
     
     return `version: '3.8'
 
 services:
-  openclaw-gateway:
+  ${this.containerName}:
     image: ${this.imageName}
     container_name: ${this.containerName}
     restart: unless-stopped
@@ -166,8 +189,8 @@ services:
       - "${port}:${port}"
       - "${webchatPort}:3000"
     volumes:
-      - ${home.replace(/\\/g, '/')}/.openclaw:/home/node/.openclaw
-      - ${home.replace(/\\/g, '/')}/.openclaw/workspace:/home/node/.openclaw/workspace
+      - ${home}:/home/node/.openclaw
+      - ${home}/workspace:/home/node/.openclaw/workspace
     environment:
       - NODE_ENV=production
       - OPENCLAW_PORT=${port}
@@ -231,17 +254,17 @@ CMD ["openclaw", "gateway", "start"]
    */
   async install(options = {}) {
     const { dryRun = false, config = {} } = options;
-    const home = homedir();
-    const dockerDir = join(home, '.openclaw', 'docker');
+    const composePath = this.composePath;
+    const dockerDir = dirname(composePath);
     
     logger.info('Installing OpenClaw via Docker...');
     
-    // Check Docker is available
-    if (!await this.isDockerInstalled()) {
+    // Check Docker is available (a dry-run only renders files)
+    if (!dryRun && !await this.isDockerInstalled()) {
       throw new Error('Docker is not installed. Please install Docker first.');
     }
     
-    if (!await this.isDockerRunning()) {
+    if (!dryRun && !await this.isDockerRunning()) {
       throw new Error('Docker is not running. Please start Docker Desktop.');
     }
     
@@ -256,10 +279,9 @@ CMD ["openclaw", "gateway", "start"]
       
       // Generate docker-compose.yml
       const composeContent = this.generateDockerCompose(config);
-      const composePath = join(dockerDir, 'docker-compose.yml');
       
       if (dryRun) {
-        logger.info('[DRY-RUN] Would create docker-compose.yml');
+        changePreview.recordFile(composePath, composeContent);
         logger.info('[DRY-RUN] Would run: docker-compose up -d');
         return { success: true, simulated: true };
       }
@@ -273,7 +295,7 @@ CMD ["openclaw", "gateway", "start"]
       
       // Start container
       logger.info('Starting OpenClaw container...');
-      await executeCommand(`docker-compose -f "${composePath}" up -d`);
+      await executeCommand(`${this.composeCommand()} up -d`);
       
       // Verify container is running
       const status = await this.getStatus();
@@ -287,7 +309,7 @@ CMD ["openclaw", "gateway", "start"]
         containerName: this.containerName,
         composePath,
         ports: {
-          gateway: config.port || 18789,
+          gateway: config.port || instances.current().port,
           webchat: config.webchatPort || 3000
         }
       };
@@ -304,8 +326,7 @@ CMD ["openclaw", "gateway", "start"]
    */
   async uninstall(options = {}) {
     const { dryRun = false, removeData = false } = options;
-    const home = homedir();
-    const composePath = join(home, '.openclaw', 'docker', 'docker-compose.yml');
+    const composePath = this.composePath;
     
     logger.info('Uninstalling OpenClaw Docker installation...');
     
@@ -320,7 +341,7 @@ CMD ["openclaw", "gateway", "start"]
     try {
       // Stop and remove container
       if (existsSync(composePath)) {
-        await executeCommand(`docker-compose -f "${composePath}" down`);
+        await executeCommand(`${this.composeCommand()} down`);
       } else {
         await executeCommand(`docker stop ${this.containerName}`).catch(() => {});
         await executeCommand(`docker rm ${this.containerName}`).catch(() => {});
@@ -438,11 +459,8 @@ CMD ["openclaw", "gateway", "start"]
       await executeCommand(`docker pull ${this.imageName}`);
       
       // Recreate container
-      const home = homedir();
-      const composePath = join(home, '.openclaw', 'docker', 'docker-compose.yml');
-      
-      if (existsSync(composePath)) {
-        await executeCommand(`docker-compose -f "${composePath}" up -d --force-recreate`);
+      if (existsSync(this.composePath)) {
+        await executeCommand(`${this.composeCommand()} up -d --force-recreate`);
       } else {
         await this.stop();
         await executeCommand(`docker rm ${this.containerName}`);
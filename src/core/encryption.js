@@ -0,0 +1,73 @@
+/**
+ * Encryption helpers
+ * AES-256-GCM with keys derived by scrypt from a passphrase, or read from
+ * a 32-byte key file.
+ * @module core/encryption
+ */
+
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from 'crypto';
+
+export const CIPHER = 'aes-256-gcm';
+export const KEY_LENGTH = 32;
+
+/** scrypt cost parameters, stored alongside the ciphertext */
+export const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * Thrown when ciphertext cannot be decrypted (wrong key or tampered data).
+ */
+export class DecryptionError extends Error {
+  constructor(message = 'Decryption failed: wrong passphrase/key or corrupted data') {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+/**
+ * Derive a 256-bit key from a passphrase.
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @param {{N: number, r: number, p: number}} [params]
+ * @returns {Buffer}
+ */
+export function deriveKey(passphrase, salt, params = SCRYPT_PARAMS) {
+  return scryptSync(passphrase, salt, KEY_LENGTH, { ...params, maxmem: 256 * params.N * params.r });
+}
+
+/**
+ * Encrypt a buffer.
+ * @param {Buffer} plaintext
+ * @param {Buffer} key - 32-byte key
+ * @returns {{iv: Buffer, tag: Buffer, data: Buffer}}
+ */
+export function encrypt(plaintext, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+/**
+ * Decrypt a buffer produced by encrypt().
+ * @param {{iv: Buffer, tag: Buffer, data: Buffer}} box
+ * @param {Buffer} key
+ * @returns {Buffer}
+ * @throws {DecryptionError}
+ */
+export function decrypt(box, key) {
+  try {
+    const decipher = createDecipheriv(CIPHER, key, box.iv);
+    decipher.setAuthTag(box.tag);
+    return Buffer.concat([decipher.update(box.data), decipher.final()]);
+  } catch {
+    throw new DecryptionError();
+  }
+}
+
+/**
+ * Generate a random key (for key files).
+ * @returns {Buffer}
+ */
+export function generateKey() {
+  return randomBytes(KEY_LENGTH);
+}
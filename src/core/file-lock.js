@@ -0,0 +1,299 @@
+/**
+ * File locking and atomic writes.
+ * Advisory `<file>.lock` files serialize read-modify-write cycles between
+ * EasySet processes; writes go through a temp file that is fsynced and
+ * renamed over the target so a crash never leaves a truncated file.
+ * @module core/file-lock
+ */
+
+import {
+  openSync, closeSync, writeSync, fsyncSync, renameSync, readFileSync,
+  existsSync, statSync, chmodSync, unlinkSync, realpathSync,
+} from 'fs';
+import { dirname, basename, join } from 'path';
+import { hostname } from 'os';
+import { createHash } from 'crypto';
+import logger from './logger.js';
+
+/** How long to wait for another process to release a lock */
+export const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+
+/** Locks older than this are considered abandoned, when their owner cannot be checked */
+export const DEFAULT_STALE_LOCK_MS = 30000;
+
+const RETRY_DELAY_MS = 50;
+
+/** Locks held by this process: lock path -> hold count */
+const heldLocks = new Map();
+
+/**
+ * Thrown when a lock cannot be acquired in time.
+ */
+export class FileLockError extends Error {
+  /**
+   * @param {string} file - File the lock protects
+   * @param {Object|null} owner - Contents of the lock file, if readable
+   */
+  constructor(file, owner) {
+    const holder = owner ? ` (held by pid ${owner.pid} on ${owner.host} since ${owner.createdAt})` : '';
+    super(`Timed out waiting for the lock on ${file}${holder}. `
+      + `If no other openclaw-easyset is running, delete ${lockPathFor(file)}.`);
+    this.name = 'FileLockError';
+    this.file = file;
+    this.owner = owner;
+  }
+}
+
+/**
+ * Thrown when a file changed between being read and being written.
+ */
+export class FileChangedError extends Error {
+  /**
+   * @param {string} file
+   */
+  constructor(file) {
+    super(`${file} was changed by another process while it was being updated. `
+      + 'Nothing was written; re-run the command to apply your change on top of the new content.');
+    this.name = 'FileChangedError';
+    this.file = file;
+  }
+}
+
+/**
+ * SHA-256 of file content; `null` stands for a missing file.
+ * @param {string|Buffer|null} content
+ * @returns {string|null}
+ */
+export function hashContent(content) {
+  if (content === null || content === undefined) return null;
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash a file's current content.
+ * @param {string} file
+ * @returns {string|null} Hex digest, or null if the file does not exist
+ */
+export function hashFile(file) {
+  return existsSync(file) ? hashContent(readFileSync(file)) : null;
+}
+
+/**
+ * Run `fn` while holding the advisory lock for `file`.
+ * Locks are re-entrant within a process.
+ * @template T
+ * @param {string} file
+ * @param {() => T} fn
+ * @param {{timeout?: number, staleAfter?: number}} [options]
+ * @returns {T}
+ */
+export function withFileLock(file, fn, options = {}) {
+  const release = acquireLock(file, options);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Acquire the advisory lock for `file`, waiting for other holders and
+ * breaking locks whose owner is gone (see isStale).
+ * @param {string} file
+ * @param {{timeout?: number, staleAfter?: number}} [options]
+ * @returns {() => void} Release function
+ */
+export function acquireLock(file, options = {}) {
+  const { timeout = DEFAULT_LOCK_TIMEOUT_MS, staleAfter = DEFAULT_STALE_LOCK_MS } = options;
+  const lockPath = lockPathFor(file);
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return () => releaseLock(lockPath);
+  }
+
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      const fd = openSync(lockPath, 'wx', 0o600);
+      try {
+        writeSync(fd, JSON.stringify({
+          pid: process.pid,
+          host: hostname(),
+          createdAt: new Date().toISOString(),
+        }));
+      } finally {
+        closeSync(fd);
+      }
+      heldLocks.set(lockPath, 1);
+      return () => releaseLock(lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = readLockOwner(lockPath);
+    if (isStale(lockPath, owner, staleAfter)) {
+      logger.warn(`Removing stale lock ${lockPath}${owner ? ` (pid ${owner.pid})` : ''}`);
+      try {
+        unlinkSync(lockPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new FileLockError(file, owner);
+    }
+    sleep(RETRY_DELAY_MS);
+  }
+}
+
+/**
+ * Write `content` to `file` atomically: write a temp file in the same
+ * directory, fsync it and rename it over the target. Symlinks are followed
+ * and the existing file's permissions are kept.
+ * With `expectedHash` the current content is re-checked right before the
+ * rename (`null` means the file must not exist yet).
+ * @param {string} file
+ * @param {string|Buffer} content
+ * @param {{mode?: number, expectedHash?: string|null}} [options]
+ */
+export function atomicWriteFileSync(file, content, options = {}) {
+  const target = resolveTarget(file);
+  const dir = dirname(target);
+  const tempPath = join(dir, `.${basename(target)}.${process.pid}.${Date.now()}.tmp`);
+  const mode = existsSync(target) ? statSync(target).mode & 0o777 : (options.mode ?? 0o644);
+
+  const fd = openSync(tempPath, 'wx', mode);
+  try {
+    try {
+      writeSync(fd, typeof content === 'string' ? Buffer.from(content, 'utf-8') : content);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    // openSync's mode is filtered by the umask; keep the original permissions exactly
+    if (process.platform !== 'win32') chmodSync(tempPath, mode);
+
+    if (options.expectedHash !== undefined && hashFile(target) !== options.expectedHash) {
+      throw new FileChangedError(file);
+    }
+
+    renameWithRetry(tempPath, target);
+  } catch (error) {
+    try {
+      unlinkSync(tempPath);
+    } catch {
+      // Already renamed or never created
+    }
+    throw error;
+  }
+
+  syncDirectory(dir);
+}
+
+/**
+ * @param {string} file
+ * @returns {string}
+ */
+export function lockPathFor(file) {
+  return `${resolveTarget(file)}.lock`;
+}
+
+function releaseLock(lockPath) {
+  const count = heldLocks.get(lockPath);
+  if (count === undefined) return;
+  if (count > 1) {
+    heldLocks.set(lockPath, count - 1);
+    return;
+  }
+  heldLocks.delete(lockPath);
+  try {
+    unlinkSync(lockPath);
+  } catch (error) {
+    logger.debug(`Could not remove lock ${lockPath}: ${error.message}`);
+  }
+}
+
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A lock on this host is stale when its owner process is gone, however
+ * long it has been held (a restore can take minutes). Locks from other
+ * hosts and unreadable lock files (a crash between create and write) cannot
+ * be checked that way; they are stale once older than `staleAfter`, judged
+ * by createdAt or the file's mtime.
+ */
+function isStale(lockPath, owner, staleAfter) {
+  if (owner?.pid && owner.host === hostname()) {
+    // Our own pid without a held lock: left behind by an earlier process with the same pid
+    return owner.pid === process.pid || !isProcessAlive(owner.pid);
+  }
+
+  let createdAt;
+  try {
+    createdAt = owner?.createdAt ? Date.parse(owner.createdAt) : statSync(lockPath).mtimeMs;
+  } catch {
+    // Released while we looked
+    return false;
+  }
+  return Date.now() - createdAt > staleAfter;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+function resolveTarget(file) {
+  try {
+    return realpathSync(file);
+  } catch {
+    return file;
+  }
+}
+
+function renameWithRetry(from, to) {
+  // Windows refuses to replace a file another process has open; retry briefly
+  for (let attempt = 0; ; attempt++) {
+    try {
+      renameSync(from, to);
+      return;
+    } catch (error) {
+      if (process.platform !== 'win32' || attempt >= 10 || !['EPERM', 'EACCES', 'EBUSY'].includes(error.code)) {
+        throw error;
+      }
+      sleep(RETRY_DELAY_MS);
+    }
+  }
+}
+
+function syncDirectory(dir) {
+  if (process.platform === 'win32') return;
+  try {
+    const fd = openSync(dir, 'r');
+    try {
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+  } catch (error) {
+    logger.debug(`Could not fsync ${dir}: ${error.message}`);
+  }
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
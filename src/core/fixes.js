@@ -0,0 +1,295 @@
+/**
+ * Fixes
+ * Typed repair actions attached to health-check results. A fix has a kind,
+ * a description, a risk level and parameters; applicable kinds know how to
+ * apply, verify and revert themselves, so `doctor --fix` can show a plan,
+ * confirm by risk, record what it did in the fix log and undo it later.
+ * @module core/fixes
+ */
+
+import {
+  existsSync, readFileSync, statSync, chmodSync, mkdirSync, rmdirSync, readdirSync,
+} from 'fs';
+import { join, dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { executeCommand } from './utils.js';
+import { withFileLock, atomicWriteFileSync } from './file-lock.js';
+import instances from './instances.js';
+
+/** Risk levels, lowest first; `doctor --fix` confirms each level separately */
+export const FIX_RISKS = ['low', 'medium', 'high'];
+
+/** Entries kept in the fix log */
+const MAX_LOG_ENTRIES = 200;
+
+const execAsync = promisify(exec);
+
+/**
+ * Thrown when a fix cannot be applied or reverted.
+ */
+export class FixError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'FixError';
+  }
+}
+
+/**
+ * What each kind does. apply() returns the state revert() needs; all three
+ * take the fix's params, so a fix can be rebuilt from the log.
+ */
+const FIX_KINDS = {
+  chmod: {
+    apply({ file, mode }) {
+      const before = statSync(file).mode & 0o777;
+      chmodSync(file, mode);
+      return { mode: before };
+    },
+    verify({ file, mode }) {
+      return existsSync(file) && (statSync(file).mode & 0o777) === mode;
+    },
+    revert({ file }, before) {
+      chmodSync(file, before.mode);
+    },
+  },
+  mkdir: {
+    apply({ dir }) {
+      // The first directory created, so revert removes only what this made
+      return { created: mkdirSync(dir, { recursive: true }) ?? null };
+    },
+    verify({ dir }) {
+      return existsSync(dir) && statSync(dir).isDirectory();
+    },
+    revert({ dir }, before) {
+      if (!before.created) return;
+      for (let current = dir; current.startsWith(before.created); current = dirname(current)) {
+        if (!existsSync(current)) continue;
+        if (readdirSync(current).length > 0) {
+          throw new FixError(`${current} is no longer empty`);
+        }
+        rmdirSync(current);
+        if (current === before.created) break;
+      }
+    },
+  },
+  command: {
+    async apply({ command }) {
+      await executeCommand(command);
+      return {};
+    },
+    async verify({ verify }) {
+      if (!verify) return true;
+      // Not executeCommand: a failing verify command is an answer, not an error
+      try {
+        await execAsync(verify);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    async revert({ undo }) {
+      if (!undo) throw new FixError('This fix cannot be undone');
+      await executeCommand(undo);
+    },
+  },
+  // Instructions for the user; nothing to apply
+  manual: null,
+  // A check's own fixer: applied by the health checker, which holds the
+  // check; nothing to rebuild or undo from the log
+  fixer: null,
+};
+
+/**
+ * A repair action
+ * @typedef {Object} Fix
+ * @property {'chmod'|'mkdir'|'command'|'manual'|'fixer'} kind
+ * @property {string} description - What it does, e.g. "chmod 600 ~/.openclaw/.env"
+ * @property {'low'|'medium'|'high'} risk
+ * @property {Object} params - Kind-specific
+ * @property {() => Promise<Object>} [apply] - Returns the state to revert with
+ * @property {() => Promise<boolean>} [verify] - Whether the problem is gone
+ * @property {(before: Object) => Promise<void>} [revert]
+ */
+
+/**
+ * Build a fix of a registered kind (also rebuilds fixes from the fix log)
+ * @param {string} kind
+ * @param {Object} params
+ * @param {{description: string, risk?: string}} info
+ * @returns {Fix}
+ */
+export function createFix(kind, params, info) {
+  if (!(kind in FIX_KINDS)) throw new FixError(`Unknown fix kind: ${kind}`);
+  const risk = info.risk || 'low';
+  if (!FIX_RISKS.includes(risk)) throw new FixError(`Unknown risk level: ${risk}`);
+
+  const fix = { kind, description: info.description, risk, params };
+  const actions = FIX_KINDS[kind];
+  if (actions) {
+    // Not enumerable, so results stay plain data in JSON output
+    Object.defineProperties(fix, {
+      apply: { value: async () => actions.apply(params) },
+      verify: { value: async () => actions.verify(params) },
+      revert: { value: async before => actions.revert(params, before) },
+    });
+  }
+  return fix;
+}
+
+/**
+ * Set a file's permission bits
+ * @param {string} file
+ * @param {number} [mode=0o600]
+ * @returns {Fix}
+ */
+export function chmodFix(file, mode = 0o600) {
+  return createFix('chmod', { file, mode }, { description: `chmod ${mode.toString(8)} ${file}`, risk: 'low' });
+}
+
+/**
+ * Create a directory and its parents
+ * @param {string} dir
+ * @returns {Fix}
+ */
+export function mkdirFix(dir) {
+  return createFix('mkdir', { dir }, { description: `mkdir -p ${dir}`, risk: 'low' });
+}
+
+/**
+ * Run a shell command
+ * @param {Object} options
+ * @param {string} options.command
+ * @param {string} [options.undo] - Command that reverses it
+ * @param {string} [options.verify] - Command that exits 0 once the problem is gone
+ * @param {string} [options.description] - Default: the command
+ * @param {'low'|'medium'|'high'} [options.risk='medium']
+ * @returns {Fix}
+ */
+export function commandFix(options) {
+  return createFix('command', { command: options.command, undo: options.undo || null, verify: options.verify || null }, {
+    description: options.description || options.command,
+    risk: options.risk || 'medium',
+  });
+}
+
+/**
+ * Something the user has to do
+ * @param {string} description
+ * @returns {Fix}
+ */
+export function manualFix(description) {
+  return createFix('manual', {}, { description, risk: 'low' });
+}
+
+/** Fix builders handed to checks as ctx.fix */
+export const FIX_BUILDERS = {
+  chmod: chmodFix,
+  mkdir: mkdirFix,
+  command: commandFix,
+  manual: manualFix,
+};
+
+/**
+ * Whether `doctor --fix` can apply a fix
+ * @param {Fix|null} fix
+ * @returns {boolean}
+ */
+export function isApplicable(fix) {
+  return Boolean(fix && typeof fix.apply === 'function');
+}
+
+/**
+ * Record of the fixes doctor applied, per instance
+ */
+export class FixLog {
+  /**
+   * Without an explicit file the log follows the active instance.
+   * @param {{file?: string}} [options]
+   */
+  constructor(options = {}) {
+    this.fixedFile = options.file || null;
+  }
+
+  get file() {
+    return this.fixedFile || join(instances.current().stateDir, 'fix-log.json');
+  }
+
+  /**
+   * @returns {Object[]} Oldest first
+   */
+  list() {
+    if (!existsSync(this.file)) return [];
+    try {
+      return JSON.parse(readFileSync(this.file, 'utf-8')).entries || [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.list().find(entry => entry.id === id);
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} entry - check, result, fix, status, before, verified, error
+   * @returns {Object} The stored entry, with id and time
+   */
+  record(entry) {
+    const stored = { id: randomBytes(4).toString('hex'), at: new Date().toISOString(), ...entry };
+    this.update((entries) => {
+      entries.push(stored);
+    });
+    return stored;
+  }
+
+  /**
+   * Change a stored entry
+   * @param {string} id
+   * @param {Object} changes
+   */
+  amend(id, changes) {
+    this.update((entries) => {
+      const entry = entries.find(e => e.id === id);
+      if (entry) Object.assign(entry, changes);
+    });
+  }
+
+  /**
+   * Undo an applied fix.
+   * @param {string} id
+   * @returns {Promise<Object>} The entry
+   * @throws {FixError}
+   */
+  async revert(id) {
+    const entry = this.get(id);
+    if (!entry) throw new FixError(`No fix ${id} in the fix log`);
+    if (entry.status !== 'applied') throw new FixError(`Fix ${id} is ${entry.status}, not applied`);
+
+    const fix = createFix(entry.fix.kind, entry.fix.params, entry.fix);
+    if (!isApplicable(fix)) throw new FixError(`Fix ${id} cannot be undone`);
+    await fix.revert(entry.before);
+    this.amend(id, { status: 'reverted', revertedAt: new Date().toISOString() });
+    return { ...entry, status: 'reverted' };
+  }
+
+  update(fn) {
+    mkdirSync(dirname(this.file), { recursive: true });
+    withFileLock(this.file, () => {
+      const entries = this.list();
+      fn(entries);
+      atomicWriteFileSync(this.file, `${JSON.stringify({ entries: entries.slice(-MAX_LOG_ENTRIES) }, null, 2)}\n`, { mode: 0o600 });
+    });
+  }
+}
+
+export default new FixLog();
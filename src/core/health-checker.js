@@ -1,322 +1,839 @@
 /**
  * Health Checker Module
- * Comprehensive diagnostics for OpenClaw installation
+ * Comprehensive diagnostics for OpenClaw installation. The built-in checks
+ * below are registered in a CheckRegistry together with the site checks in
+ * ~/.openclaw-easyset/checks.
  * @module core/health-checker
  */
 
-import { existsSync, readFileSync, statSync, readdirSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
+import {
+  existsSync, readFileSync, statSync, readdirSync,
+} from 'fs';
+import { join, basename } from 'path';
+import { homedir, platform, userInfo } from 'os';
+import { isDeepStrictEqual } from 'util';
 import chalk from 'chalk';
 import { commandExists, executeCommand, formatBytes } from './utils.js';
 import serviceManager from './service-manager.js';
+import crossPlatformServiceManager from '../services/service-manager.js';
 import logger from './logger.js';
-import { loadOpenClawConfig, OPENCLAW_CONFIG } from './openclaw-config.js';
-
-const OPENCLAW_DIR = join(homedir(), '.openclaw');
-const OPENCLAW_ENV = join(OPENCLAW_DIR, '.env');
-const MEMORY_DIR = join(OPENCLAW_DIR, 'memory');
-const WORKSPACE_DIR = join(OPENCLAW_DIR, 'workspace');
-const LOGS_DIR = join(OPENCLAW_DIR, 'logs');
-const CRON_FILE = join(OPENCLAW_DIR, 'cron', 'jobs.json');
-const CREDENTIALS_DIR = join(OPENCLAW_DIR, 'credentials');
+import { loadOpenClawConfig } from './openclaw-config.js';
+import instances from './instances.js';
+import { validateOpenClawConfig, formatValidationErrors } from './config-schema.js';
+import { planMigrations } from './config-migrations.js';
+import { loadEffectiveConfig, FragmentError } from './config-fragments.js';
+import {
+  findSecrets, findInlineSecrets, isSecretRef, resolveSecret,
+} from './secrets.js';
+import { CheckRegistry, CHECK_CATEGORIES, USER_CHECKS_DIR } from './check-registry.js';
+import { countStatuses } from './reporters.js';
+import fixLog, {
+  FIX_RISKS, FIX_BUILDERS, chmodFix, mkdirFix, commandFix, manualFix, createFix, isApplicable,
+} from './fixes.js';
 
 /**
  * A single health check result
  * @typedef {Object} CheckResult
+ * @property {string} check - Id of the check that reported it
  * @property {string} name - Check name
  * @property {string} category - Category (config, services, connectivity, security, storage)
  * @property {'pass'|'warn'|'fail'} status
  * @property {string} message - Human-readable result
- * @property {string|null} fix - Suggested fix command or action
+ * @property {import('./fixes.js').Fix|null} fix - How to repair it
+ * @property {string} [target] - File or service the result is about
  */
 
+const CATEGORY_LABELS = {
+  config: 'Configuration',
+  services: 'Services',
+  connectivity: 'Connectivity',
+  storage: 'Storage & Data',
+  security: 'Security',
+  tools: 'Tools',
+  logs: 'Logs',
+};
+
 class HealthChecker {
   constructor() {
     this.results = [];
+    /** Ids of the checks the last runAll ran (not skipped for a failed dependency) */
+    this.ranChecks = [];
+    this.platform = platform();
+    this.registry = new CheckRegistry();
+    for (const check of BUILTIN_CHECKS) {
+      this.registry.register(check);
+    }
+    this.userChecks = null;
   }
 
   /**
-   * Run all health checks
-   * @returns {Promise<Array<CheckResult>>}
+   * Register the checks in ~/.openclaw-easyset/checks (once)
+   * @returns {Promise<{loaded: string[], errors: Array<{file: string, message: string}>}>}
    */
-  async runAll() {
-    this.results = [];
+  loadUserChecks() {
+    this.userChecks ??= this.registry.loadDirectory(USER_CHECKS_DIR);
+    return this.userChecks;
+  }
+
+  /**
+   * Every registered check, built-in and user-defined
+   * @returns {Promise<Array<Object>>}
+   */
+  async listChecks() {
+    await this.loadUserChecks();
+    return this.registry.list().map(check => ({
+      id: check.id,
+      category: check.category,
+      description: check.description || '',
+      dependsOn: check.dependsOn,
+      platforms: check.platforms || null,
+      source: check.source,
+    }));
+  }
 
-    await this.checkConfig();
-    await this.checkServices();
-    await this.checkConnectivity();
-    await this.checkStorage();
-    await this.checkCredentials();
-    await this.checkChannelSecurityPolicies();
-    await this.checkTools();
-    await this.checkLogs();
+  /**
+   * Run health checks, by default all of them
+   * @param {Object} [options]
+   * @param {string[]} [options.only] - Check ids
+   * @param {string[]} [options.skip] - Check ids
+   * @param {string[]} [options.category] - Categories
+   * @returns {Promise<Array<CheckResult>>}
+   */
+  async runAll(options = {}) {
+    const { errors } = await this.loadUserChecks();
+    const checks = this.registry.select({ ...options, platform: this.platform });
+    const skipped = new Set();
+    this.results = await this.registry.run(checks, this.context(), { skipped });
+    this.ranChecks = checks.map(check => check.id).filter(id => !skipped.has(id));
+
+    if (!options.only?.length) {
+      this.ranChecks.push('user-checks');
+      for (const error of errors) {
+        this.results.push({
+          check: 'user-checks',
+          name: 'Custom Checks',
+          category: 'config',
+          status: 'warn',
+          message: `${basename(error.file)} not loaded: ${error.message}`,
+          fix: manualFix(`Fix or remove ${error.file}`),
+          target: error.file,
+        });
+      }
+    }
 
+    const unresolved = this.registry.unresolvedDependencies()
+      .filter(check => !options.only?.length || options.only.includes(check.id));
+    for (const check of unresolved) {
+      const file = check.source === 'built-in' ? null : join(USER_CHECKS_DIR, check.source);
+      this.results.push({
+        check: 'user-checks',
+        name: 'Custom Checks',
+        category: 'config',
+        status: 'warn',
+        message: `${check.id} never runs: it depends on unknown check(s) ${check.missing.join(', ')}`,
+        fix: manualFix(`Fix dependsOn of ${check.id}${file ? ` in ${file}` : ''} (see doctor --list-checks)`),
+        ...(file ? { target: file } : {}),
+      });
+    }
+    if (unresolved.length > 0 && options.only?.length) this.ranChecks.push('user-checks');
     return this.results;
   }
 
   /**
-   * Add a check result
+   * What checks get: the active instance and its config, loaded once per run
+   * @returns {Object}
+   */
+  context() {
+    const instance = instances.current();
+    let loaded;
+    return {
+      instance,
+      platform: this.platform,
+      config: () => (loaded ??= loadOpenClawConfig({ optional: false })).config,
+    };
+  }
+
+  /**
+   * Whether --fix can repair a result
+   * @param {CheckResult} result
+   * @returns {boolean}
+   */
+  isFixable(result) {
+    return result.status !== 'pass' && (isApplicable(result.fix) || this.fixerFix(result) !== null);
+  }
+
+  /**
+   * The fixer of the check that reported a failing result, as a fix
+   * @param {CheckResult} result
+   * @returns {import('./fixes.js').Fix|null}
+   */
+  fixerFix(result) {
+    const check = this.registry.get(result.check);
+    if (!check?.fixer || result.status !== 'fail') return null;
+
+    const fix = createFix('fixer', { check: check.id }, {
+      description: `${check.id} fixer${result.fix ? `: ${result.fix.description}` : ''}`,
+      risk: 'medium',
+    });
+    Object.defineProperties(fix, {
+      apply: {
+        value: async () => {
+          await check.fixer(result, { ...this.context(), fix: FIX_BUILDERS });
+          return {};
+        },
+      },
+      // Fixed once the check no longer reports the result as failing
+      verify: {
+        value: async () => {
+          const again = await this.registry.run([check], this.context());
+          return !again.some(r => r.name === result.name && (r.target || null) === (result.target || null) && r.status === 'fail');
+        },
+      },
+    });
+    return fix;
+  }
+
+  /**
+   * Counts and health score of the last run
+   * @returns {{passCount: number, warnCount: number, failCount: number, score: number}}
+   */
+  summarize() {
+    const { pass, warn, fail } = countStatuses(this.results);
+    const total = pass + warn + fail;
+    return {
+      passCount: pass,
+      warnCount: warn,
+      failCount: fail,
+      score: total > 0 ? Math.round((pass / total) * 100) : 0,
+    };
+  }
+
+  /**
+   * The last run's results as report items
+   * @returns {Array<import('./reporters.js').ReportItem>}
    */
-  addResult(name, category, status, message, fix = null) {
-    this.results.push({ name, category, status, message, fix });
+  toReportItems() {
+    return this.results.map(r => ({
+      id: r.check,
+      name: r.name,
+      category: r.category,
+      status: r.status,
+      message: r.message,
+      fix: r.fix ? r.fix.description : null,
+      target: r.target || null,
+      description: this.registry.get(r.check)?.description || r.name,
+    }));
   }
 
-  // --- Configuration Checks ---
+  /**
+   * Print formatted results grouped by category
+   */
+  printResults() {
+    const extra = [...new Set(this.results.map(r => r.category))].filter(cat => !CHECK_CATEGORIES.includes(cat));
+    const categories = [...CHECK_CATEGORIES, ...extra];
+
+    for (const cat of categories) {
+      const catResults = this.results.filter(r => r.category === cat);
+      if (catResults.length === 0) continue;
+
+      console.log(chalk.bold(`\n  ${CATEGORY_LABELS[cat] || cat}`));
+
+      for (const r of catResults) {
+        let icon, color;
+        if (r.status === 'pass') {
+          icon = chalk.green('✓');
+          color = chalk.white;
+        } else if (r.status === 'warn') {
+          icon = chalk.yellow('⚠');
+          color = chalk.yellow;
+        } else {
+          icon = chalk.red('✗');
+          color = chalk.red;
+        }
 
-  async checkConfig() {
-    // Check openclaw.json exists
-    if (!existsSync(OPENCLAW_CONFIG)) {
-      this.addResult('OpenClaw Config', 'config', 'fail',
-        'openclaw.json not found', 'Run: openclaw setup');
-      return;
+        console.log(`    ${icon} ${chalk.bold(r.name)}: ${color(r.message)}`);
+        if (r.fix) {
+          console.log(chalk.gray(`      Fix: ${r.fix.description}`));
+        }
+      }
     }
 
-    // Check it's valid JSON
-    try {
-      const { config } = loadOpenClawConfig({ optional: false });
-      this.addResult('Config Valid JSON', 'config', 'pass', 'openclaw.json is valid');
+    // Summary
+    const summary = this.summarize();
+    const { passCount, warnCount, failCount, score } = summary;
+    console.log(chalk.bold('\n  Summary'));
+    console.log(`    ${chalk.green(`${passCount} passed`)}, ${chalk.yellow(`${warnCount} warnings`)}, ${chalk.red(`${failCount} failed`)} (${this.results.length} total)`);
 
-      // Check essential sections exist
-      const agentModel = config.agents?.defaults?.model;
+    let scoreColor = chalk.green;
+    if (score < 60) scoreColor = chalk.red;
+    else if (score < 80) scoreColor = chalk.yellow;
+    console.log(`    Health Score: ${scoreColor(`${score}%`)}`);
+
+    return summary;
+  }
+
+  /**
+   * The fixes --fix can apply to the last run's results, lowest risk first
+   * @returns {Array<{result: CheckResult, fix: import('./fixes.js').Fix}>}
+   */
+  planFixes() {
+    return this.results
+      .filter(result => this.isFixable(result))
+      .map(result => ({ result, fix: isApplicable(result.fix) ? result.fix : this.fixerFix(result) }))
+      .sort((a, b) => FIX_RISKS.indexOf(a.fix.risk) - FIX_RISKS.indexOf(b.fix.risk));
+  }
+
+  /**
+   * Apply and verify fixes, record them in the fix log, then re-run the
+   * checks they belong to.
+   * @param {Array<{result: CheckResult, fix: import('./fixes.js').Fix}>} plan - From planFixes()
+   * @param {import('./fixes.js').FixLog} [log]
+   * @returns {Promise<Array<Object>>} Fix log entries; recheck is the status the check reports now
+   */
+  async applyFixes(plan, log = fixLog) {
+    const entries = [];
+    for (const { result, fix } of plan) {
+      const entry = {
+        check: result.check,
+        name: result.name,
+        target: result.target || null,
+        fix: { ...fix },
+        status: 'applied',
+        before: null,
+        verified: false,
+      };
+      try {
+        entry.before = await fix.apply();
+        entry.verified = await fix.verify();
+      } catch (error) {
+        logger.debug(`Fix for ${result.check} failed: ${error.message}`);
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+      entries.push(log.record(entry));
+    }
+
+    if (entries.length > 0) {
+      const before = this.results;
+      const affected = [...new Set(entries.map(entry => entry.check))];
+      const rechecked = await this.runAll({ only: affected });
+      for (const entry of entries) {
+        const now = rechecked.find(r => r.check === entry.check && r.name === entry.name
+          && (r.target || null) === entry.target);
+        // A result that is no longer reported counts as resolved
+        entry.recheck = now ? now.status : 'pass';
+        log.amend(entry.id, { recheck: entry.recheck });
+      }
+
+      // Keep the other results, with the re-run checks' results in place of their old ones
+      this.results = before.flatMap((result, index) => {
+        if (!affected.includes(result.check)) return [result];
+        const first = before.findIndex(r => r.check === result.check) === index;
+        return first ? rechecked.filter(r => r.check === result.check) : [];
+      });
+    }
+    return entries;
+  }
+}
+
+// --- Configuration Checks ---
+
+const CONFIG_DEPENDENCY = ['config.file'];
+
+/** Restarts after which a running service is reported as unstable */
+const RESTART_WARNING = 3;
+
+/** @type {import('./check-registry.js').CheckDefinition[]} */
+const BUILTIN_CHECKS = [
+  {
+    id: 'config.file',
+    category: 'config',
+    description: 'openclaw.json exists and parses',
+    run(ctx) {
+      if (!existsSync(ctx.instance.configPath)) {
+        ctx.fail('OpenClaw Config', 'openclaw.json not found', 'Run: openclaw setup', ctx.instance.configPath);
+        return;
+      }
+      try {
+        ctx.config();
+        ctx.pass('Config Valid JSON', 'openclaw.json is valid');
+      } catch (error) {
+        ctx.fail('Config Valid JSON', `openclaw.json is corrupted: ${error.message}`,
+          `Restore from backup: cp ${ctx.instance.configPath}.bak ${ctx.instance.configPath}`, ctx.instance.configPath);
+      }
+    },
+  },
+  {
+    id: 'config.schema',
+    category: 'config',
+    description: 'openclaw.json matches the schema EasySet enforces on writes',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const validation = validateOpenClawConfig(ctx.config());
+      if (validation.valid) {
+        ctx.pass('Config Schema', 'openclaw.json matches the config schema');
+      } else {
+        const shown = formatValidationErrors(validation.errors).slice(0, 3);
+        const more = validation.errors.length > shown.length
+          ? ` (+${validation.errors.length - shown.length} more)`
+          : '';
+        ctx.fail('Config Schema',
+          `${validation.errors.length} schema error(s): ${shown.join('; ')}${more}`,
+          `Correct the listed keys in ${ctx.instance.configPath}`, ctx.instance.configPath);
+      }
+    },
+  },
+  {
+    id: 'config.migrations',
+    category: 'config',
+    description: 'The key layout matches what the installed OpenClaw expects',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const migrationPlan = planMigrations(ctx.config());
+      if (migrationPlan.steps.length === 0) {
+        ctx.pass('Config Migrations',
+          `Config generation ${migrationPlan.from} matches the installed OpenClaw`);
+      } else {
+        ctx.warn('Config Migrations',
+          `${migrationPlan.steps.length} pending migration(s): ${migrationPlan.steps.map(step => step.id).join(', ')}`,
+          'Run: openclaw-easyset config migrate');
+      }
+    },
+  },
+  {
+    id: 'config.fragments',
+    category: 'config',
+    description: 'conf.d fragments are valid and rendered into openclaw.json',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      // conf.d fragments only reach OpenClaw once rendered into openclaw.json
+      try {
+        const effective = loadEffectiveConfig();
+        if (effective.fragments.length === 0) return;
+
+        if (isDeepStrictEqual(effective.config, ctx.config())) {
+          ctx.pass('Config Fragments',
+            `${effective.fragments.length} conf.d fragment(s) rendered into openclaw.json`);
+        } else {
+          ctx.warn('Config Fragments',
+            `${effective.fragments.length} conf.d fragment(s) not yet rendered into openclaw.json`,
+            'Run: openclaw-easyset config render');
+        }
+      } catch (error) {
+        if (!(error instanceof FragmentError)) throw error;
+        ctx.fail('Config Fragments', error.message, `Fix or remove ${error.file}`, error.file);
+      }
+    },
+  },
+  {
+    id: 'config.model',
+    category: 'config',
+    description: 'A default agent model is set',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const agentModel = ctx.config().agents?.defaults?.model;
       const modelStr = typeof agentModel === 'object' ? agentModel.primary : agentModel;
       if (modelStr) {
-        this.addResult('Agent Model', 'config', 'pass',
-          `Default model: ${modelStr}`);
+        ctx.pass('Agent Model', `Default model: ${modelStr}`);
       } else {
-        this.addResult('Agent Model', 'config', 'warn',
-          'No default agent model configured', 'Set agents.defaults.model in openclaw.json');
+        ctx.warn('Agent Model', 'No default agent model configured', 'Set agents.defaults.model in openclaw.json');
       }
-
-      // Check plugins
-      const pluginEntries = config.plugins?.entries || {};
+    },
+  },
+  {
+    id: 'config.plugins',
+    category: 'config',
+    description: 'At least one plugin is enabled',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const pluginEntries = ctx.config().plugins?.entries || {};
       const enabledCount = Object.values(pluginEntries).filter(p => p.enabled).length;
-      this.addResult('Plugins', 'config', enabledCount > 0 ? 'pass' : 'warn',
-        `${enabledCount} plugin(s) enabled`,
+      const report = enabledCount > 0 ? ctx.pass : ctx.warn;
+      report('Plugins', `${enabledCount} plugin(s) enabled`,
         enabledCount === 0 ? 'Run: openclaw-easyset configure plugins' : null);
-
-      // Check channels
-      const channels = [];
-      if (config.channels?.telegram?.enabled) channels.push('telegram');
-      if (config.channels?.imessage?.enabled) channels.push('imessage');
-      if (config.channels?.whatsapp?.enabled) channels.push('whatsapp');
-      if (config.channels?.discord?.enabled) channels.push('discord');
-      if (config.channels?.slack?.enabled) channels.push('slack');
-      this.addResult('Channels', 'config', channels.length > 0 ? 'pass' : 'warn',
-        channels.length > 0 ? `Active: ${channels.join(', ')}` : 'No channels enabled');
-
-      // Check gateway config
-      if (config.gateway?.port) {
-        this.addResult('Gateway Config', 'config', 'pass',
-          `Port ${config.gateway.port}, mode: ${config.gateway.mode || 'local'}`);
+    },
+  },
+  {
+    id: 'config.channels',
+    category: 'config',
+    description: 'At least one channel is enabled',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const config = ctx.config();
+      const channels = ['telegram', 'imessage', 'whatsapp', 'discord', 'slack']
+        .filter(channel => config.channels?.[channel]?.enabled);
+      if (channels.length > 0) {
+        ctx.pass('Channels', `Active: ${channels.join(', ')}`);
       } else {
-        this.addResult('Gateway Config', 'config', 'warn', 'Gateway not configured');
+        ctx.warn('Channels', 'No channels enabled');
       }
-
-    } catch (error) {
-      this.addResult('Config Valid JSON', 'config', 'fail',
-        `openclaw.json is corrupted: ${error.message}`,
-        'Restore from backup: cp ~/.openclaw/openclaw.json.bak ~/.openclaw/openclaw.json');
-    }
-
-    // Check .env file
-    if (existsSync(OPENCLAW_ENV)) {
-      this.addResult('Environment File', 'config', 'pass', '.env file present');
-    } else {
-      this.addResult('Environment File', 'config', 'warn',
-        '.env file not found', 'Copy from template: cp ~/.openclaw/.env.template ~/.openclaw/.env');
-    }
-  }
+    },
+  },
+  {
+    id: 'config.gateway',
+    category: 'config',
+    description: 'The gateway port is configured',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const { gateway } = ctx.config();
+      if (gateway?.port) {
+        ctx.pass('Gateway Config', `Port ${gateway.port}, mode: ${gateway.mode || 'local'}`);
+      } else {
+        ctx.warn('Gateway Config', 'Gateway not configured');
+      }
+    },
+  },
+  {
+    id: 'config.env',
+    category: 'config',
+    description: '.env exists',
+    run(ctx) {
+      const { envFile } = ctx.instance;
+      if (existsSync(envFile)) {
+        ctx.pass('Environment File', '.env file present');
+      } else {
+        ctx.warn('Environment File', '.env file not found', `Copy from template: cp ${envFile}.template ${envFile}`, envFile);
+      }
+    },
+  },
 
   // --- Service Checks ---
 
-  async checkServices() {
-    const statuses = await serviceManager.getAllStatuses();
+  {
+    id: 'services.launchd',
+    category: 'services',
+    description: 'The launchd services of the instance are running',
+    platforms: ['darwin'],
+    async run(ctx) {
+      const statuses = await serviceManager.getAllStatuses();
+
+      if (statuses.length === 0) {
+        ctx.warn('LaunchD Services', 'No OpenClaw services found in LaunchAgents');
+        return;
+      }
 
-    if (statuses.length === 0) {
-      this.addResult('LaunchD Services', 'services', 'warn',
-        'No OpenClaw services found in LaunchAgents');
-      return;
-    }
+      for (const svc of statuses) {
+        if (svc.running) {
+          ctx.pass(svc.description, `Running (PID: ${svc.pid})`, null, svc.label);
+        } else {
+          ctx.fail(svc.description,
+            Number.isNaN(svc.exitCode) || svc.exitCode === null ? 'Not running' : `Not running (last exit status ${svc.exitCode})`,
+            launchdLoadFix(svc.label), svc.label);
+        }
+      }
+    },
+  },
+
+  {
+    id: 'services.systemd',
+    category: 'services',
+    description: 'The gateway systemd user unit is running, stable and enabled at boot',
+    platforms: ['linux'],
+    async run(ctx) {
+      const unit = `${ctx.instance.serviceName}.service`;
+      const details = await crossPlatformServiceManager.getSystemdUnitDetails(unit);
+      if (!details) {
+        ctx.warn('Gateway Service', 'No systemd user manager available (systemctl --user)');
+        return;
+      }
+      if (!details.installed) {
+        ctx.warn('Gateway Service', `${unit} is not installed`, 'Run: openclaw-easyset service install', unit);
+        return;
+      }
 
-    for (const svc of statuses) {
-      if (svc.running) {
-        this.addResult(svc.description, 'services', 'pass',
-          `Running (PID: ${svc.pid})`);
+      const exit = details.lastExitStatus ? `, last exit status ${details.lastExitStatus}` : '';
+      if (!details.active) {
+        ctx.fail('Gateway Service', `${unit} is ${details.state}${exit}`, commandFix({
+          command: `systemctl --user start ${unit}`,
+          undo: `systemctl --user stop ${unit}`,
+          verify: `systemctl --user is-active --quiet ${unit}`,
+          risk: 'medium',
+        }), unit);
+      } else if (details.restarts >= RESTART_WARNING) {
+        ctx.warn('Gateway Service', `Running (PID: ${details.pid}), restarted ${details.restarts} time(s)${exit}`,
+          `Check: journalctl --user -u ${unit}`, unit);
       } else {
-        this.addResult(svc.description, 'services', 'fail',
-          'Not running',
-          `Run: launchctl load ~/Library/LaunchAgents/${svc.label}.plist`);
+        ctx.pass('Gateway Service', `Running (PID: ${details.pid}), restarts: ${details.restarts}`, null, unit);
       }
-    }
-  }
-
-  // --- Connectivity Checks ---
 
-  async checkConnectivity() {
-    // Gateway HTTP check
-    const gateway = await serviceManager.checkGatewayHealth();
-    if (gateway.responding) {
-      this.addResult('Gateway HTTP', 'connectivity', 'pass',
-        `Responding on port 18789 (HTTP ${gateway.statusCode})`);
-    } else {
-      this.addResult('Gateway HTTP', 'connectivity', 'fail',
-        'Gateway not responding on port 18789',
-        'Check: openclaw-easyset doctor --fix');
-    }
+      const user = userInfo().username;
+      if (!details.enabled) {
+        ctx.warn('Gateway Autostart', `${unit} is ${details.unitFileState}, not started at boot`, commandFix({
+          command: `systemctl --user enable ${unit}`,
+          undo: `systemctl --user disable ${unit}`,
+          verify: `systemctl --user is-enabled --quiet ${unit}`,
+          risk: 'low',
+        }), unit);
+      } else if (!details.linger) {
+        ctx.warn('Gateway Autostart', 'Enabled, but starts only once you log in (lingering is off)', commandFix({
+          command: `loginctl enable-linger ${user}`,
+          undo: `loginctl disable-linger ${user}`,
+          verify: `loginctl show-user ${user} --property=Linger | grep -qx Linger=yes`,
+          risk: 'medium',
+        }), unit);
+      } else {
+        ctx.pass('Gateway Autostart', 'Enabled at boot', null, unit);
+      }
+    },
+  },
+  {
+    id: 'services.task-scheduler',
+    category: 'services',
+    description: 'The gateway scheduled task is running and enabled',
+    platforms: ['win32'],
+    async run(ctx) {
+      const { taskName } = ctx.instance;
+      const task = await crossPlatformServiceManager.getWindowsTaskDetails(taskName);
+      if (!task.installed) {
+        ctx.warn('Gateway Task', `Scheduled task ${taskName} not found`, 'Run: openclaw-easyset service install', taskName);
+        return;
+      }
 
-    // Internet connectivity
-    try {
-      await executeCommand('curl -s -o /dev/null -w "%{http_code}" https://api.anthropic.com 2>/dev/null');
-      this.addResult('Internet Access', 'connectivity', 'pass', 'Can reach external APIs');
-    } catch {
-      this.addResult('Internet Access', 'connectivity', 'warn',
-        'Cannot reach external APIs');
-    }
-  }
+      if (!task.enabled) {
+        ctx.fail('Gateway Task', `${taskName} is disabled`, commandFix({
+          command: `schtasks /change /tn "${taskName}" /enable`,
+          undo: `schtasks /change /tn "${taskName}" /disable`,
+          verify: `schtasks /query /tn "${taskName}" /fo LIST | findstr /c:"Ready" /c:"Running"`,
+          risk: 'low',
+        }), taskName);
+        return;
+      }
 
-  // --- Storage Checks ---
+      const lastResult = task.lastResult === null ? '' : `, last result ${formatTaskResult(task.lastResult)}`;
+      if (task.running) {
+        ctx.pass('Gateway Task', `Running${task.trigger ? ` (${task.trigger})` : ''}`, null, taskName);
+      } else {
+        ctx.fail('Gateway Task', `${task.status || 'Not running'}${lastResult}`, commandFix({
+          command: `schtasks /run /tn "${taskName}"`,
+          undo: `schtasks /end /tn "${taskName}"`,
+          verify: `schtasks /query /tn "${taskName}" /fo LIST | findstr /c:"Running"`,
+          risk: 'medium',
+        }), taskName);
+      }
+    },
+  },
 
-  async checkStorage() {
-    // Workspace directory
-    if (existsSync(WORKSPACE_DIR)) {
-      this.addResult('Workspace', 'storage', 'pass', 'Workspace directory exists');
-    } else {
-      this.addResult('Workspace', 'storage', 'fail',
-        'Workspace directory missing', 'Run: mkdir -p ~/.openclaw/workspace');
-    }
+  // --- Connectivity Checks ---
 
-    // Memory database
-    const mainSqlite = join(MEMORY_DIR, 'main.sqlite');
-    if (existsSync(mainSqlite)) {
+  {
+    id: 'connectivity.gateway',
+    category: 'connectivity',
+    description: 'The gateway answers HTTP on its port',
+    async run(ctx) {
+      const { port } = ctx.instance;
+      const gateway = await serviceManager.checkGatewayHealth(port);
+      if (gateway.responding) {
+        ctx.pass('Gateway HTTP', `Responding on port ${port} (HTTP ${gateway.statusCode})`);
+      } else {
+        ctx.fail('Gateway HTTP', `Gateway not responding on port ${port}`, 'Check: openclaw-easyset doctor --fix');
+      }
+    },
+  },
+  {
+    id: 'connectivity.internet',
+    category: 'connectivity',
+    description: 'External APIs are reachable',
+    async run(ctx) {
       try {
-        const stat = statSync(mainSqlite);
-        this.addResult('Memory Database', 'storage', 'pass',
-          `main.sqlite: ${formatBytes(stat.size)}`);
+        await executeCommand('curl -s -o /dev/null -w "%{http_code}" https://api.anthropic.com 2>/dev/null');
+        ctx.pass('Internet Access', 'Can reach external APIs');
       } catch {
-        this.addResult('Memory Database', 'storage', 'pass', 'main.sqlite exists');
+        ctx.warn('Internet Access', 'Cannot reach external APIs');
       }
-    } else {
-      this.addResult('Memory Database', 'storage', 'warn',
-        'Memory database not found (will be created on first use)');
-    }
+    },
+  },
 
-    // LanceDB vector store
-    const lanceDir = join(MEMORY_DIR, 'lancedb');
-    if (existsSync(lanceDir)) {
-      this.addResult('Vector Store', 'storage', 'pass', 'LanceDB directory exists');
-    } else {
-      this.addResult('Vector Store', 'storage', 'warn',
-        'LanceDB not initialized',
-        'Run: openclaw-easyset configure plugins (enable memory-lancedb)');
-    }
+  // --- Storage Checks ---
 
-    // Cron jobs
-    if (existsSync(CRON_FILE)) {
+  {
+    id: 'storage.workspace',
+    category: 'storage',
+    description: 'The workspace directory exists',
+    run(ctx) {
+      const { workspaceDir } = ctx.instance;
+      if (existsSync(workspaceDir)) {
+        ctx.pass('Workspace', 'Workspace directory exists');
+      } else {
+        ctx.fail('Workspace', 'Workspace directory missing', mkdirFix(workspaceDir), workspaceDir);
+      }
+    },
+  },
+  {
+    id: 'storage.memory',
+    category: 'storage',
+    description: 'The memory database exists',
+    run(ctx) {
+      const mainSqlite = join(ctx.instance.home, 'memory', 'main.sqlite');
+      if (existsSync(mainSqlite)) {
+        try {
+          ctx.pass('Memory Database', `main.sqlite: ${formatBytes(statSync(mainSqlite).size)}`);
+        } catch {
+          ctx.pass('Memory Database', 'main.sqlite exists');
+        }
+      } else {
+        ctx.warn('Memory Database', 'Memory database not found (will be created on first use)');
+      }
+    },
+  },
+  {
+    id: 'storage.vector-store',
+    category: 'storage',
+    description: 'The LanceDB vector store is initialized',
+    run(ctx) {
+      if (existsSync(join(ctx.instance.home, 'memory', 'lancedb'))) {
+        ctx.pass('Vector Store', 'LanceDB directory exists');
+      } else {
+        ctx.warn('Vector Store', 'LanceDB not initialized',
+          'Run: openclaw-easyset configure plugins (enable memory-lancedb)');
+      }
+    },
+  },
+  {
+    id: 'storage.cron',
+    category: 'storage',
+    description: 'cron/jobs.json is readable',
+    run(ctx) {
+      const { cronFile } = ctx.instance;
+      if (!existsSync(cronFile)) {
+        ctx.warn('Cron Jobs', 'No cron jobs configured');
+        return;
+      }
       try {
-        const cronData = JSON.parse(readFileSync(CRON_FILE, 'utf-8'));
+        const cronData = JSON.parse(readFileSync(cronFile, 'utf-8'));
         const jobList = Array.isArray(cronData) ? cronData : (cronData.jobs || []);
         const activeJobs = jobList.filter(j => j.enabled !== false);
-        this.addResult('Cron Jobs', 'storage', 'pass',
-          `${activeJobs.length} active cron job(s)`);
+        ctx.pass('Cron Jobs', `${activeJobs.length} active cron job(s)`);
       } catch {
-        this.addResult('Cron Jobs', 'storage', 'warn', 'Cron jobs file is corrupted');
+        ctx.warn('Cron Jobs', 'Cron jobs file is corrupted', null, cronFile);
       }
-    } else {
-      this.addResult('Cron Jobs', 'storage', 'warn', 'No cron jobs configured');
-    }
-
-    // Disk space check
-    try {
-      const { stdout } = await executeCommand(`df -k "${OPENCLAW_DIR}" | tail -1`);
-      const parts = stdout.trim().split(/\s+/);
-      if (parts.length >= 4) {
-        const availKB = parseInt(parts[3], 10);
-        const availBytes = availKB * 1024;
-        const status = availBytes > 1024 * 1024 * 1024 ? 'pass' : 'warn';
-        this.addResult('Disk Space', 'storage', status,
-          `${formatBytes(availBytes)} available`,
-          status === 'warn' ? 'Free up disk space (< 1GB remaining)' : null);
-      }
-    } catch { /* skip */ }
-  }
+    },
+  },
+  {
+    id: 'storage.disk',
+    category: 'storage',
+    description: 'At least 1 GB is free on the instance disk',
+    platforms: ['linux', 'darwin'],
+    async run(ctx) {
+      try {
+        const { stdout } = await executeCommand(`df -k "${ctx.instance.home}" | tail -1`);
+        const parts = stdout.trim().split(/\s+/);
+        if (parts.length >= 4) {
+          const availBytes = parseInt(parts[3], 10) * 1024;
+          const report = availBytes > 1024 * 1024 * 1024 ? ctx.pass : ctx.warn;
+          report('Disk Space', `${formatBytes(availBytes)} available`,
+            report === ctx.warn ? 'Free up disk space (< 1GB remaining)' : null);
+        }
+      } catch { /* skip */ }
+    },
+  },
 
   // --- Credential/Security Checks ---
 
-  async checkCredentials() {
-    if (!existsSync(OPENCLAW_CONFIG)) return;
-
-    try {
-      const { config } = loadOpenClawConfig({ optional: false });
-
-      // Check auth profiles
-      const profiles = config.auth?.profiles || {};
+  {
+    id: 'security.auth-profiles',
+    category: 'security',
+    description: 'Auth profiles are configured',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const profiles = ctx.config().auth?.profiles || {};
       const profileCount = Array.isArray(profiles) ? profiles.length : Object.keys(profiles).length;
       if (profileCount > 0) {
-        this.addResult('Auth Profiles', 'security', 'pass',
-          `${profileCount} auth profile(s) configured`);
+        ctx.pass('Auth Profiles', `${profileCount} auth profile(s) configured`);
       } else {
-        this.addResult('Auth Profiles', 'security', 'warn',
-          'No auth profiles', 'Run: openclaw auth add');
+        ctx.warn('Auth Profiles', 'No auth profiles', 'Run: openclaw auth add');
       }
-
-      // Check gateway auth token
-      if (config.gateway?.auth?.token || config.gateway?.auth?.password) {
-        const secret = config.gateway.auth.token || config.gateway.auth.password;
-        const tokenLen = secret.length;
-        this.addResult('Gateway Auth', 'security', tokenLen >= 24 ? 'pass' : 'warn',
-          tokenLen >= 24 ? 'Gateway auth configured (strong)' : 'Gateway auth secret may be weak',
-          tokenLen < 24 ? 'Use a longer gateway token/password' : null);
-      } else {
-        this.addResult('Gateway Auth', 'security', 'fail',
-          'No gateway auth secret found', 'Run: openclaw doctor --generate-gateway-token');
+    },
+  },
+  {
+    id: 'security.secrets',
+    category: 'security',
+    description: 'Secrets are stored as references, and the references resolve',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const config = ctx.config();
+      const inlineSecrets = findInlineSecrets(config);
+      if (inlineSecrets.length > 0) {
+        ctx.warn('Inline Secrets',
+          `${inlineSecrets.length} plaintext secret(s) in openclaw.json: ${inlineSecrets.map(s => s.path).join(', ')}`,
+          'Run: openclaw-easyset secrets migrate');
       }
-
-      // Check credentials directory
-      if (existsSync(CREDENTIALS_DIR)) {
-        const credFiles = readdirSync(CREDENTIALS_DIR).filter(f => f.endsWith('.json'));
-        this.addResult('Credentials', 'security', 'pass',
-          `${credFiles.length} credential file(s)`);
+      const unresolved = findSecrets(config).filter(s => isSecretRef(s.value) && !canResolve(s.value));
+      if (unresolved.length > 0) {
+        ctx.fail('Secret References',
+          `Unresolvable secret reference(s): ${unresolved.map(s => `${s.path} (${s.value})`).join(', ')}`,
+          'Run: openclaw-easyset secrets list');
       }
-
-      // Check config file permissions
-      try {
-        const stat = statSync(OPENCLAW_CONFIG);
-        const mode = stat.mode & 0o777;
-        if (mode & 0o077) {
-          this.addResult('Config Permissions', 'security', 'warn',
-            `openclaw.json is world-readable (${mode.toString(8)})`,
-            'Run: chmod 600 ~/.openclaw/openclaw.json');
+    },
+  },
+  {
+    id: 'security.gateway-auth',
+    category: 'security',
+    description: 'The gateway has a strong auth token or password',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const auth = ctx.config().gateway?.auth;
+      if (auth?.token || auth?.password) {
+        const ref = auth.token || auth.password;
+        const tokenLen = canResolve(ref) ? String(resolveSecret(ref)).length : 0;
+        if (tokenLen >= 24) {
+          ctx.pass('Gateway Auth', 'Gateway auth configured (strong)');
         } else {
-          this.addResult('Config Permissions', 'security', 'pass',
-            'Config file has restricted permissions');
+          ctx.warn('Gateway Auth', 'Gateway auth secret may be weak', 'Use a longer gateway token/password');
         }
-      } catch { /* skip */ }
-
-      // Check .env file permissions
-      if (existsSync(OPENCLAW_ENV)) {
-        try {
-          const stat = statSync(OPENCLAW_ENV);
-          const mode = stat.mode & 0o777;
-          if (mode & 0o077) {
-            this.addResult('.env Permissions', 'security', 'warn',
-              `.env file is world-readable (${mode.toString(8)})`,
-              'Run: chmod 600 ~/.openclaw/.env');
-          } else {
-            this.addResult('.env Permissions', 'security', 'pass',
-              '.env file has restricted permissions');
-          }
-        } catch { /* skip */ }
+      } else {
+        ctx.fail('Gateway Auth', 'No gateway auth secret found', 'Run: openclaw doctor --generate-gateway-token');
+      }
+    },
+  },
+  {
+    id: 'security.credentials',
+    category: 'security',
+    description: 'Credential files',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      const { credentialsDir } = ctx.instance;
+      if (existsSync(credentialsDir)) {
+        const credFiles = readdirSync(credentialsDir).filter(f => f.endsWith('.json'));
+        ctx.pass('Credentials', `${credFiles.length} credential file(s)`);
+      }
+    },
+  },
+  {
+    id: 'security.config-permissions',
+    category: 'security',
+    description: 'openclaw.json is not readable by other users',
+    dependsOn: CONFIG_DEPENDENCY,
+    platforms: ['linux', 'darwin'],
+    run(ctx) {
+      checkPermissions(ctx, ctx.instance.configPath, 'Config Permissions',
+        'openclaw.json is world-readable', 'Config file has restricted permissions');
+    },
+  },
+  {
+    id: 'security.env-permissions',
+    category: 'security',
+    description: '.env is not readable by other users',
+    dependsOn: CONFIG_DEPENDENCY,
+    platforms: ['linux', 'darwin'],
+    run(ctx) {
+      if (!existsSync(ctx.instance.envFile)) return;
+      checkPermissions(ctx, ctx.instance.envFile, '.env Permissions',
+        '.env file is world-readable', '.env file has restricted permissions');
+    },
+  },
+  {
+    id: 'security.channel-policies',
+    category: 'security',
+    description: 'WhatsApp, Discord and Slack DMs are not open to everyone',
+    dependsOn: CONFIG_DEPENDENCY,
+    run(ctx) {
+      let config;
+      try {
+        ({ config } = loadEffectiveConfig({ normalize: true }));
+      } catch {
+        // Fragment errors are already reported by config.fragments
+        return;
       }
-
-    } catch { /* config parse failed, already reported */ }
-  }
-
-  async checkChannelSecurityPolicies() {
-    if (!existsSync(OPENCLAW_CONFIG)) return;
-
-    try {
-      const { config } = loadOpenClawConfig({ optional: false });
       const channels = config.channels || {};
       const audited = [
         { key: 'whatsapp', label: 'WhatsApp' },
@@ -328,10 +845,9 @@ class HealthChecker {
         const ch = channels[item.key];
         if (!isChannelEnabled(ch)) continue;
 
-        const policy = ch.dmPolicy || ch.dm?.policy || 'default';
+        const policy = ch.dmPolicy || 'default';
         if (policy === 'open') {
-          this.addResult(`${item.label} DM Policy`, 'security', 'warn',
-            'dmPolicy is open',
+          ctx.warn(`${item.label} DM Policy`, 'dmPolicy is open',
             `Set channels.${item.key}.dmPolicy to pairing or allowlist`);
           continue;
         }
@@ -339,199 +855,128 @@ class HealthChecker {
         if (policy === 'allowlist') {
           const allowFrom = Array.isArray(ch.allowFrom) ? ch.allowFrom : [];
           if (allowFrom.length === 0) {
-            this.addResult(`${item.label} DM Policy`, 'security', 'warn',
-              'allowlist policy is set but allowFrom is empty',
+            ctx.warn(`${item.label} DM Policy`, 'allowlist policy is set but allowFrom is empty',
               `Add trusted ids to channels.${item.key}.allowFrom`);
           } else {
-            this.addResult(`${item.label} DM Policy`, 'security', 'pass',
-              `allowlist active (${allowFrom.length} trusted id(s))`);
+            ctx.pass(`${item.label} DM Policy`, `allowlist active (${allowFrom.length} trusted id(s))`);
           }
           continue;
         }
 
-        this.addResult(`${item.label} DM Policy`, 'security', 'pass',
-          `dmPolicy: ${policy}`);
+        ctx.pass(`${item.label} DM Policy`, `dmPolicy: ${policy}`);
       }
-    } catch {
-      // Config parse failures are already covered in checkConfig.
-    }
-  }
+    },
+  },
 
   // --- Tool Checks ---
 
-  async checkTools() {
-    const tools = [
-      { name: 'openclaw', required: true, label: 'OpenClaw CLI' },
-      { name: 'node', required: true, label: 'Node.js' },
-      { name: 'npm', required: true, label: 'npm' },
-      { name: 'git', required: false, label: 'Git' },
-      { name: 'gog', required: false, label: 'Google Workspace CLI' },
-      { name: 'imsg', required: false, label: 'iMessage CLI' },
-    ];
-
-    for (const tool of tools) {
-      const exists = await commandExists(tool.name);
-      if (exists) {
-        this.addResult(tool.label, 'tools', 'pass', 'Installed');
-      } else if (tool.required) {
-        this.addResult(tool.label, 'tools', 'fail',
-          'Not installed (required)',
-          `Install ${tool.name}`);
-      } else {
-        this.addResult(tool.label, 'tools', 'warn',
-          'Not installed (optional)');
-      }
-    }
-  }
+  {
+    id: 'tools.commands',
+    category: 'tools',
+    description: 'Required and optional commands are installed',
+    async run(ctx) {
+      const tools = [
+        { name: 'openclaw', required: true, label: 'OpenClaw CLI' },
+        { name: 'node', required: true, label: 'Node.js' },
+        { name: 'npm', required: true, label: 'npm' },
+        { name: 'git', required: false, label: 'Git' },
+        { name: 'gog', required: false, label: 'Google Workspace CLI' },
+        { name: 'imsg', required: false, label: 'iMessage CLI' },
+      ];
+
+      const installed = await Promise.all(tools.map(tool => commandExists(tool.name)));
+      tools.forEach((tool, index) => {
+        if (installed[index]) {
+          ctx.pass(tool.label, 'Installed');
+        } else if (tool.required) {
+          ctx.fail(tool.label, 'Not installed (required)', `Install ${tool.name}`);
+        } else {
+          ctx.warn(tool.label, 'Not installed (optional)');
+        }
+      });
+    },
+  },
 
   // --- Log Checks ---
 
-  async checkLogs() {
-    if (!existsSync(LOGS_DIR)) {
-      this.addResult('Log Directory', 'logs', 'warn', 'Log directory missing');
-      return;
-    }
+  {
+    id: 'logs.gateway',
+    category: 'logs',
+    description: 'The gateway error log is small and ends without errors',
+    run(ctx) {
+      const { logsDir } = ctx.instance;
+      if (!existsSync(logsDir)) {
+        ctx.warn('Log Directory', 'Log directory missing', null, logsDir);
+        return;
+      }
 
-    // Check gateway error log for recent errors
-    const errLog = join(LOGS_DIR, 'gateway.err.log');
-    if (existsSync(errLog)) {
+      // Check gateway error log for recent errors
+      const errLog = join(logsDir, 'gateway.err.log');
+      if (!existsSync(errLog)) return;
       try {
         const stat = statSync(errLog);
         if (stat.size > 10 * 1024 * 1024) {
-          this.addResult('Gateway Error Log', 'logs', 'warn',
-            `Error log is large: ${formatBytes(stat.size)}`,
-            'Consider rotating: > ~/.openclaw/logs/gateway.err.log');
+          ctx.warn('Gateway Error Log', `Error log is large: ${formatBytes(stat.size)}`,
+            `Consider rotating: > ${errLog}`, errLog);
         } else if (stat.size > 0) {
           // Check last few lines for recent errors
-          const content = readFileSync(errLog, 'utf-8');
-          const lines = content.trim().split('\n');
-          const lastLine = lines[lines.length - 1] || '';
-          const hasRecentError = lastLine.toLowerCase().includes('error') ||
-            lastLine.toLowerCase().includes('fatal');
-
-          this.addResult('Gateway Error Log', 'logs',
-            hasRecentError ? 'warn' : 'pass',
-            hasRecentError
-              ? `Recent errors detected (${formatBytes(stat.size)})`
-              : `${formatBytes(stat.size)}, no recent errors`);
+          const lines = readFileSync(errLog, 'utf-8').trim().split('\n');
+          const lastLine = (lines[lines.length - 1] || '').toLowerCase();
+          const hasRecentError = lastLine.includes('error') || lastLine.includes('fatal');
+          if (hasRecentError) {
+            ctx.warn('Gateway Error Log', `Recent errors detected (${formatBytes(stat.size)})`, null, errLog);
+          } else {
+            ctx.pass('Gateway Error Log', `${formatBytes(stat.size)}, no recent errors`);
+          }
         } else {
-          this.addResult('Gateway Error Log', 'logs', 'pass', 'No errors');
+          ctx.pass('Gateway Error Log', 'No errors');
         }
       } catch { /* skip */ }
-    }
-  }
-
-  /**
-   * Print formatted results grouped by category
-   */
-  printResults() {
-    const categories = ['config', 'services', 'connectivity', 'storage', 'security', 'tools', 'logs'];
-    const categoryLabels = {
-      config: 'Configuration',
-      services: 'Services',
-      connectivity: 'Connectivity',
-      storage: 'Storage & Data',
-      security: 'Security',
-      tools: 'Tools',
-      logs: 'Logs',
-    };
-
-    let passCount = 0;
-    let warnCount = 0;
-    let failCount = 0;
-
-    for (const cat of categories) {
-      const catResults = this.results.filter(r => r.category === cat);
-      if (catResults.length === 0) continue;
+    },
+  },
+];
 
-      console.log(chalk.bold(`\n  ${categoryLabels[cat] || cat}`));
-
-      for (const r of catResults) {
-        let icon, color;
-        if (r.status === 'pass') {
-          icon = chalk.green('✓');
-          color = chalk.white;
-          passCount++;
-        } else if (r.status === 'warn') {
-          icon = chalk.yellow('⚠');
-          color = chalk.yellow;
-          warnCount++;
-        } else {
-          icon = chalk.red('✗');
-          color = chalk.red;
-          failCount++;
-        }
+export default new HealthChecker();
 
-        console.log(`    ${icon} ${chalk.bold(r.name)}: ${color(r.message)}`);
-        if (r.fix) {
-          console.log(chalk.gray(`      Fix: ${r.fix}`));
-        }
-      }
+function checkPermissions(ctx, file, name, openMessage, closedMessage) {
+  try {
+    const mode = statSync(file).mode & 0o777;
+    if (mode & 0o077) {
+      ctx.warn(name, `${openMessage} (${mode.toString(8)})`, chmodFix(file, 0o600), file);
+    } else {
+      ctx.pass(name, closedMessage);
     }
+  } catch { /* skip */ }
+}
 
-    // Summary
-    const total = passCount + warnCount + failCount;
-    console.log(chalk.bold('\n  Summary'));
-    console.log(`    ${chalk.green(`${passCount} passed`)}, ${chalk.yellow(`${warnCount} warnings`)}, ${chalk.red(`${failCount} failed`)} (${total} total)`);
-
-    const score = total > 0 ? Math.round((passCount / total) * 100) : 0;
-    let scoreColor = chalk.green;
-    if (score < 60) scoreColor = chalk.red;
-    else if (score < 80) scoreColor = chalk.yellow;
-    console.log(`    Health Score: ${scoreColor(`${score}%`)}`);
-
-    return { passCount, warnCount, failCount, score };
-  }
-
-  /**
-   * Auto-fix common issues
-   * @returns {Promise<Array<{check: string, action: string, success: boolean}>>}
-   */
-  async autoFix() {
-    const fixes = [];
-
-    for (const result of this.results) {
-      if (result.status !== 'fail' && result.status !== 'warn') continue;
-      if (!result.fix) continue;
+function launchdLoadFix(label) {
+  const plist = join(homedir(), 'Library', 'LaunchAgents', `${label}.plist`);
+  return commandFix({
+    command: `launchctl load "${plist}"`,
+    undo: `launchctl unload "${plist}"`,
+    verify: `launchctl list "${label}"`,
+    description: `launchctl load ${plist}`,
+    risk: 'medium',
+  });
+}
 
-      // Only auto-fix safe operations
-      if (result.fix.startsWith('Run: chmod')) {
-        try {
-          const cmd = result.fix.replace('Run: ', '');
-          await executeCommand(cmd);
-          fixes.push({ check: result.name, action: cmd, success: true });
-        } catch (error) {
-          fixes.push({ check: result.name, action: result.fix, success: false });
-        }
-      } else if (result.fix.startsWith('Run: mkdir')) {
-        try {
-          const cmd = result.fix.replace('Run: ', '');
-          await executeCommand(cmd);
-          fixes.push({ check: result.name, action: cmd, success: true });
-        } catch (error) {
-          fixes.push({ check: result.name, action: result.fix, success: false });
-        }
-      } else if (result.fix.startsWith('Run: launchctl load')) {
-        try {
-          const cmd = result.fix.replace('Run: ', '');
-          await executeCommand(cmd);
-          fixes.push({ check: result.name, action: cmd, success: true });
-        } catch (error) {
-          fixes.push({ check: result.name, action: result.fix, success: false });
-        }
-      }
-    }
+function formatTaskResult(code) {
+  // Task Scheduler reports HRESULTs as signed decimals
+  return code > 9 || code < 0 ? `0x${(code >>> 0).toString(16)}` : String(code);
+}
 
-    return fixes;
+function canResolve(value) {
+  try {
+    resolveSecret(value);
+    return true;
+  } catch {
+    return false;
   }
 }
 
-export default new HealthChecker();
-
 function isChannelEnabled(channelConfig) {
   if (!channelConfig || typeof channelConfig !== 'object') return false;
   if (channelConfig.enabled === true) return true;
-  if (channelConfig.watchEnabled === true) return true;
   if (channelConfig.botToken) return true;
   return false;
 }
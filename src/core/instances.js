@@ -0,0 +1,297 @@
+/**
+ * Instance Registry
+ * Several OpenClaw assistants can run on one host, each with its own home
+ * directory, gateway port, service label and container. Every path and name
+ * EasySet uses is resolved from the active instance:
+ *   1. --instance <name> (registered in ~/.openclaw-easyset/instances.json)
+ *   2. OPENCLAW_HOME (a registered instance's home, or an ad-hoc one)
+ *   3. the default instance (~/.openclaw, port 18789)
+ * @module core/instances
+ */
+
+import {
+  existsSync, readFileSync, mkdirSync, statSync,
+} from 'fs';
+import { join, resolve, basename, dirname } from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+import JSON5 from 'json5';
+import { atomicWriteFileSync, withFileLock } from './file-lock.js';
+
+export const DEFAULT_INSTANCE = 'default';
+export const DEFAULT_PORT = 18789;
+export const EASYSET_DIR = join(homedir(), '.openclaw-easyset');
+export const INSTANCES_FILE = join(EASYSET_DIR, 'instances.json');
+
+/** Gap between the gateway ports of new instances (each also uses a few ports above its own) */
+const PORT_STEP = 20;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Thrown for instance names that are not registered or not valid.
+ */
+export class InstanceError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'InstanceError';
+  }
+}
+
+/**
+ * Instance Registry Class
+ */
+export class InstanceRegistry {
+  /**
+   * @param {{file?: string}} [options]
+   */
+  constructor(options = {}) {
+    this.file = options.file || INSTANCES_FILE;
+    this.active = null;
+    this.cached = null;
+  }
+
+  /**
+   * Every known instance: the default one, registered ones and an
+   * unregistered OPENCLAW_HOME.
+   * @returns {Array<Object>} Resolved instances
+   */
+  list() {
+    const registered = this.read().instances;
+    const instances = [this.resolveInstance(DEFAULT_INSTANCE, registered[DEFAULT_INSTANCE] || {})];
+
+    for (const name of Object.keys(registered).sort()) {
+      if (name !== DEFAULT_INSTANCE) {
+        instances.push(this.resolveInstance(name, registered[name]));
+      }
+    }
+
+    const envHome = process.env.OPENCLAW_HOME;
+    if (envHome && !instances.some(instance => instance.home === resolve(envHome))) {
+      instances.push(this.fromHome(envHome));
+    }
+    return instances;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object} Resolved instance
+   * @throws {InstanceError}
+   */
+  get(name) {
+    const instance = this.list().find(i => i.name === name);
+    if (!instance) {
+      const known = this.list().map(i => i.name).join(', ');
+      throw new InstanceError(`Unknown instance "${name}" (known: ${known}). Add it with: openclaw-easyset instances add ${name}`);
+    }
+    return instance;
+  }
+
+  /**
+   * The instance commands operate on. Cached until the selection, the
+   * registry file (written by this or any other process) or the instance's
+   * openclaw.json changes.
+   * @returns {Object} Resolved instance
+   */
+  current() {
+    const key = `${this.active || ''}\0${process.env.OPENCLAW_HOME || ''}`;
+    if (this.cached?.key === key && this.cached.stamp === this.stamp(this.cached.instance)) {
+      return this.cached.instance;
+    }
+    const instance = this.select();
+    this.cached = { key, stamp: this.stamp(instance), instance };
+    return instance;
+  }
+
+  stamp(instance) {
+    return `${modifiedAt(this.file)}:${modifiedAt(instance.configPath)}`;
+  }
+
+  select() {
+    if (this.active) {
+      return this.get(this.active);
+    }
+    const envHome = process.env.OPENCLAW_HOME;
+    if (envHome) {
+      return this.list().find(i => i.home === resolve(envHome));
+    }
+    return this.resolveInstance(DEFAULT_INSTANCE, this.read().instances[DEFAULT_INSTANCE] || {});
+  }
+
+  /**
+   * Select the active instance (the global --instance option).
+   * @param {string|null} name
+   */
+  use(name) {
+    if (name) this.get(name);
+    this.active = name || null;
+  }
+
+  /**
+   * Run `fn` with another instance active, then switch back.
+   * @template T
+   * @param {string} name
+   * @param {() => Promise<T>|T} fn
+   * @returns {Promise<T>}
+   */
+  async withInstance(name, fn) {
+    const previous = this.active;
+    this.use(name);
+    try {
+      return await fn();
+    } finally {
+      this.active = previous;
+    }
+  }
+
+  /**
+   * Register an instance. The home defaults to ~/.openclaw-<name> (the
+   * layout of `openclaw --profile <name>`) and the port to the next free slot.
+   * @param {string} name
+   * @param {{home?: string, port?: number}} [options]
+   * @returns {Object} Resolved instance
+   */
+  add(name, options = {}) {
+    if (!NAME_PATTERN.test(name) || name === DEFAULT_INSTANCE) {
+      throw new InstanceError(`Invalid instance name "${name}" (lowercase letters, digits and dashes; not "${DEFAULT_INSTANCE}")`);
+    }
+
+    return this.update((data) => {
+      if (data.instances[name]) {
+        throw new InstanceError(`Instance "${name}" already exists`);
+      }
+
+      const taken = this.list().map(i => i.port);
+      const port = options.port ?? nextFreePort(taken);
+      if (taken.includes(port)) {
+        throw new InstanceError(`Port ${port} is already used by another instance`);
+      }
+
+      const home = resolve(options.home || join(homedir(), `.openclaw-${name}`));
+      if (this.list().some(i => i.home === home)) {
+        throw new InstanceError(`${home} already belongs to another instance`);
+      }
+
+      data.instances[name] = { home, port };
+      return this.resolveInstance(name, data.instances[name]);
+    });
+  }
+
+  /**
+   * Unregister an instance. Its files are left alone.
+   * @param {string} name
+   * @returns {boolean} True if it was registered
+   */
+  remove(name) {
+    if (name === DEFAULT_INSTANCE) {
+      throw new InstanceError('The default instance cannot be removed');
+    }
+    return this.update((data) => {
+      if (!data.instances[name]) return false;
+      delete data.instances[name];
+      return true;
+    });
+  }
+
+  /**
+   * Build the full set of paths and names for an instance. The port is the
+   * one its openclaw.json sets, else the one assigned at registration.
+   * @param {string} name
+   * @param {{home?: string, port?: number}} entry
+   * @returns {Object}
+   */
+  resolveInstance(name, entry) {
+    const isDefault = name === DEFAULT_INSTANCE;
+    const home = resolve(entry.home || (isDefault ? join(homedir(), '.openclaw') : join(homedir(), `.openclaw-${name}`)));
+    const stateDir = isDefault ? EASYSET_DIR : join(EASYSET_DIR, 'instances', name);
+    const suffix = isDefault ? '' : `-${name}`;
+
+    return {
+      name,
+      isDefault,
+      registered: true,
+      home,
+      port: readConfiguredPort(home) ?? entry.port ?? DEFAULT_PORT,
+      configPath: join(home, 'openclaw.json'),
+      envFile: join(home, '.env'),
+      logsDir: join(home, 'logs'),
+      credentialsDir: join(home, 'credentials'),
+      workspaceDir: join(home, 'workspace'),
+      skillsDir: join(home, 'workspace', 'skills'),
+      cronFile: join(home, 'cron', 'jobs.json'),
+      serviceDir: join(home, 'service'),
+      stateDir,
+      backupDir: join(stateDir, 'backups'),
+      journalDir: join(stateDir, 'journal'),
+      serviceName: `openclaw-gateway${suffix}`,
+      serviceLabel: isDefault ? 'ai.openclaw.gateway' : `ai.openclaw.gateway.${name}`,
+      taskName: isDefault ? 'OpenClawGateway' : `OpenClawGateway-${name}`,
+      containerName: `openclaw-gateway${suffix}`,
+    };
+  }
+
+  /**
+   * Ad-hoc instance for an OPENCLAW_HOME that is not registered. Its name
+   * carries a hash of the path, so homes with the same directory name get
+   * their own state and services, and none of them is taken for the default.
+   * @param {string} home
+   * @returns {Object}
+   */
+  fromHome(home) {
+    const absolute = resolve(home);
+    const slug = basename(absolute).toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/^-+/, '').slice(0, 23) || 'custom';
+    const name = `${slug}-${createHash('sha256').update(absolute).digest('hex').slice(0, 8)}`;
+    return {
+      ...this.resolveInstance(name, { home: absolute }),
+      registered: false,
+    };
+  }
+
+  read() {
+    if (!existsSync(this.file)) {
+      return { version: 1, instances: {} };
+    }
+    const data = JSON.parse(readFileSync(this.file, 'utf-8'));
+    return { version: data.version || 1, instances: data.instances || {} };
+  }
+
+  update(mutator) {
+    mkdirSync(dirname(this.file), { recursive: true });
+    return withFileLock(this.file, () => {
+      const data = this.read();
+      const result = mutator(data);
+      atomicWriteFileSync(this.file, `${JSON.stringify(data, null, 2)}\n`);
+      this.cached = null;
+      return result;
+    });
+  }
+}
+
+function nextFreePort(taken) {
+  let port = DEFAULT_PORT;
+  while (taken.includes(port)) {
+    port += PORT_STEP;
+  }
+  return port;
+}
+
+function modifiedAt(file) {
+  try {
+    return statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+function readConfiguredPort(home) {
+  try {
+    const config = JSON5.parse(readFileSync(join(home, 'openclaw.json'), 'utf-8'));
+    return Number.isInteger(config.gateway?.port) ? config.gateway.port : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+export default new InstanceRegistry();
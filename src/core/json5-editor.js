@@ -0,0 +1,515 @@
+/**
+ * JSON5 Editor
+ * Concrete-syntax-tree editing for JSON/JSON5 config files. Only the nodes
+ * that actually change are rewritten, so comments, trailing commas, key order
+ * and formatting everywhere else stay byte-for-byte identical.
+ * @module core/json5-editor
+ */
+
+import JSON5 from 'json5';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const SCALAR_END = /[\s,\]}/]/;
+
+/**
+ * Parse JSON/JSON5 text into a tree of nodes carrying source offsets.
+ * Object nodes have `members` ({key, keyStart, value, start, end, comma});
+ * array nodes have `items` ({value, start, end, comma}).
+ * @param {string} text
+ * @returns {Object} Root node
+ */
+export function parseDocument(text) {
+  let pos = 0;
+
+  const fail = (message) => new Error(`${message} at offset ${pos}`);
+
+  function skipTrivia() {
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (/\s/.test(ch) || ch === '\uFEFF') {
+        pos++;
+      } else if (ch === '/' && text[pos + 1] === '/') {
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      } else if (ch === '/' && text[pos + 1] === '*') {
+        const close = text.indexOf('*/', pos + 2);
+        if (close === -1) throw fail('Unterminated comment');
+        pos = close + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function skipString() {
+    const quote = text[pos++];
+    while (pos < text.length && text[pos] !== quote) {
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    if (pos >= text.length) throw fail('Unterminated string');
+    pos++;
+  }
+
+  function parseValue() {
+    const ch = text[pos];
+    if (ch === '{') return parseObject();
+    if (ch === '[') return parseArray();
+
+    const start = pos;
+    if (ch === '"' || ch === '\'') {
+      skipString();
+      return { type: 'string', start, end: pos, quote: ch };
+    }
+
+    while (pos < text.length && !SCALAR_END.test(text[pos])) pos++;
+    if (pos === start) throw fail(`Unexpected character ${JSON.stringify(ch ?? 'EOF')}`);
+    const raw = text.slice(start, pos);
+    const type = raw === 'true' || raw === 'false' ? 'boolean' : raw === 'null' ? 'null' : 'number';
+    return { type, start, end: pos };
+  }
+
+  function parseObject() {
+    const node = { type: 'object', start: pos, end: null, members: [] };
+    pos++;
+    skipTrivia();
+
+    while (text[pos] !== '}') {
+      if (pos >= text.length) throw fail('Unterminated object');
+
+      const keyStart = pos;
+      let key;
+      let quoted = false;
+      if (text[pos] === '"' || text[pos] === '\'') {
+        skipString();
+        key = JSON5.parse(text.slice(keyStart, pos));
+        quoted = true;
+      } else {
+        while (pos < text.length && /[A-Za-z0-9_$\u0080-\uFFFF]/.test(text[pos])) pos++;
+        if (pos === keyStart) throw fail('Expected object key');
+        key = text.slice(keyStart, pos);
+      }
+
+      skipTrivia();
+      if (text[pos] !== ':') throw fail('Expected \':\'');
+      pos++;
+      skipTrivia();
+
+      const value = parseValue();
+      const member = { key, quoted, keyStart, value, start: keyStart, end: value.end, comma: null };
+      skipTrivia();
+      if (text[pos] === ',') {
+        member.comma = pos;
+        pos++;
+        skipTrivia();
+      } else if (text[pos] !== '}') {
+        throw fail('Expected \',\' or \'}\'');
+      }
+      node.members.push(member);
+    }
+
+    pos++;
+    node.end = pos;
+    return node;
+  }
+
+  function parseArray() {
+    const node = { type: 'array', start: pos, end: null, items: [] };
+    pos++;
+    skipTrivia();
+
+    while (text[pos] !== ']') {
+      if (pos >= text.length) throw fail('Unterminated array');
+
+      const value = parseValue();
+      const item = { value, start: value.start, end: value.end, comma: null };
+      skipTrivia();
+      if (text[pos] === ',') {
+        item.comma = pos;
+        pos++;
+        skipTrivia();
+      } else if (text[pos] !== ']') {
+        throw fail('Expected \',\' or \']\'');
+      }
+      node.items.push(item);
+    }
+
+    pos++;
+    node.end = pos;
+    return node;
+  }
+
+  skipTrivia();
+  const root = parseValue();
+  skipTrivia();
+  if (pos < text.length) throw fail('Unexpected content after document');
+  return root;
+}
+
+/**
+ * Rewrite config source text so it represents `after`, touching only the
+ * nodes that differ from `before`.
+ * @param {string} text - Current file contents (parses to `before`)
+ * @param {Object} before - Parsed value of `text`
+ * @param {Object} after - Desired value
+ * @param {{format?: 'json'|'json5'}} [options]
+ * @returns {string} Updated text
+ */
+export function updateConfigText(text, before, after, options = {}) {
+  const { format = 'json' } = options;
+
+  if (!isPlainObject(before) || !isPlainObject(after)) {
+    throw new Error('Only object documents can be edited in place');
+  }
+
+  const operations = [];
+  collectOperations(before, after, [], operations);
+
+  let output = text;
+  for (const operation of operations) {
+    const root = parseDocument(output);
+    const style = detectStyle(output, root, format);
+    output = applyOperation(output, root, operation, style);
+  }
+
+  const check = format === 'json' ? JSON.parse(output) : JSON5.parse(output);
+  if (!deepEqual(check, normalize(after))) {
+    throw new Error('In-place edit did not produce the expected document');
+  }
+
+  return output;
+}
+
+/**
+ * Work out the minimal set of path operations that turn `before` into `after`.
+ */
+function collectOperations(before, after, path, operations) {
+  for (const key of Object.keys(before)) {
+    if (!(key in after) || after[key] === undefined) {
+      operations.push({ op: 'remove', path: [...path, key] });
+    }
+  }
+
+  for (const [key, value] of Object.entries(after)) {
+    if (value === undefined) continue;
+    const childPath = [...path, key];
+
+    if (!(key in before)) {
+      operations.push({ op: 'insert', path: childPath, value });
+      continue;
+    }
+
+    const previous = before[key];
+    if (deepEqual(previous, normalize(value))) continue;
+
+    if (isPlainObject(previous) && isPlainObject(value)) {
+      collectOperations(previous, value, childPath, operations);
+    } else if (Array.isArray(previous) && Array.isArray(value)
+      && value.length > previous.length
+      && previous.every((item, i) => deepEqual(item, normalize(value[i])))) {
+      operations.push({ op: 'append', path: childPath, values: value.slice(previous.length) });
+    } else {
+      operations.push({ op: 'replace', path: childPath, value });
+    }
+  }
+}
+
+function applyOperation(text, root, operation, style) {
+  const parentPath = operation.path.slice(0, -1);
+  const key = operation.path[operation.path.length - 1];
+  const parent = findNode(root, parentPath);
+
+  if (operation.op === 'insert') {
+    return insertItem(text, parent, parent.members, style,
+      (indent, inline) => `${formatKey(key, style)}: ${serialize(operation.value, style, indent, inline)}`);
+  }
+
+  const index = findMemberIndex(parent, key);
+  const member = parent.members[index];
+
+  if (operation.op === 'remove') {
+    return removeMember(text, parent, index);
+  }
+
+  if (operation.op === 'append') {
+    let output = text;
+    for (const value of operation.values) {
+      const node = findNode(parseDocument(output), operation.path);
+      output = insertItem(output, node, node.items, style,
+        (indent, inline) => serialize(value, style, indent, inline));
+    }
+    return output;
+  }
+
+  const indent = lineIndentAt(text, member.start);
+  const previous = member.value;
+  const wasInlineContainer = (previous.members?.length || previous.items?.length)
+    && !text.slice(previous.start, previous.end).includes('\n');
+  const inline = wasInlineContainer || !onOwnLine(text, member.start);
+  return splice(text, member.value.start, member.value.end,
+    serialize(operation.value, style, indent, inline));
+}
+
+function findNode(root, path) {
+  let node = root;
+  for (const key of path) {
+    if (node.type !== 'object') {
+      throw new Error(`Cannot descend into ${node.type} at ${path.join('.')}`);
+    }
+    node = node.members[findMemberIndex(node, key)].value;
+  }
+  return node;
+}
+
+function findMemberIndex(objectNode, key) {
+  for (let i = objectNode.members.length - 1; i >= 0; i--) {
+    if (objectNode.members[i].key === key) return i;
+  }
+  throw new Error(`Key not found: ${key}`);
+}
+
+/**
+ * Insert a new member/item at the end of an object or array, following the
+ * surrounding layout (one-per-line vs inline) and trailing-comma style.
+ */
+function insertItem(text, container, items, style, makeEntry) {
+  const containerIndent = lineIndentAt(text, container.start);
+  const close = container.end - 1;
+
+  if (items.length === 0) {
+    const interior = text.slice(container.start + 1, close);
+    const inner = containerIndent + style.indentUnit;
+    const entry = `${makeEntry(inner, false)}${style.trailingCommas ? ',' : ''}`;
+    if (/^\s*$/.test(interior)) {
+      const open = text[container.start];
+      return splice(text, container.start, container.end,
+        `${open}\n${inner}${entry}\n${containerIndent}${text[close]}`);
+    }
+    // Container only holds comments: add the entry after them.
+    const insertAt = container.start + 1 + interior.trimEnd().length;
+    return splice(text, insertAt, insertAt, `\n${inner}${entry}`);
+  }
+
+  const last = items[items.length - 1];
+  const multiline = text.slice(container.start, last.start).includes('\n');
+
+  if (!multiline) {
+    const entry = makeEntry(containerIndent, true);
+    if (last.comma !== null) {
+      return splice(text, last.comma + 1, last.comma + 1, ` ${entry},`);
+    }
+    return splice(text, last.end, last.end, `, ${entry}`);
+  }
+
+  const indent = lineIndentAt(text, last.start);
+  const entry = makeEntry(indent, false);
+
+  if (last.comma !== null) {
+    const at = endOfLineAfter(text, last.comma + 1);
+    return splice(text, at, at, `\n${indent}${entry},`);
+  }
+
+  const at = endOfLineAfter(text, last.end);
+  const withEntry = splice(text, at, at, `\n${indent}${entry}`);
+  return splice(withEntry, last.end, last.end, ',');
+}
+
+function removeMember(text, container, index) {
+  const member = container.members[index];
+  const previous = index > 0 ? container.members[index - 1] : null;
+
+  if (!onOwnLine(text, member.start)) {
+    if (member.comma !== null) {
+      let end = member.comma + 1;
+      while (text[end] === ' ' || text[end] === '\t') end++;
+      return splice(text, member.start, end, '');
+    }
+    if (previous && previous.comma !== null) {
+      return splice(text, previous.comma, member.end, '');
+    }
+    return splice(text, member.start, member.end, '');
+  }
+
+  let end = member.comma !== null ? member.comma + 1 : member.end;
+  let next = end;
+  while (text[next] === ' ' || text[next] === '\t') next++;
+  let output;
+  if (next < text.length && text[next] !== '\n' && text[next] !== '\r' && !text.startsWith('//', next)) {
+    // Another member or a comment follows on the same line: it takes over
+    // the removed member's indentation
+    output = splice(text, member.start, next, '');
+  } else {
+    end = endOfLineAfter(text, end);
+    if (text[end] === '\r') end++;
+    if (text[end] === '\n') end++;
+    output = splice(text, lineStart(text, member.start), end, '');
+  }
+  if (member.comma === null && previous && previous.comma !== null) {
+    return splice(output, previous.comma, previous.comma + 1, '');
+  }
+  return output;
+}
+
+/**
+ * Serialize a new value using the document's indentation and quoting style.
+ * `inline` keeps containers on one line for single-line contexts.
+ */
+function serialize(value, style, indent, inline = false) {
+  if (value === null || value === undefined) return 'null';
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (inline) {
+      return `[${value.map(item => serialize(item, style, indent, true)).join(', ')}]`;
+    }
+    const inner = indent + style.indentUnit;
+    const items = value.map(item => `${inner}${serialize(item, style, inner)}`);
+    return `[\n${items.join(',\n')}${style.trailingCommas ? ',' : ''}\n${indent}]`;
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return '{}';
+    if (inline) {
+      const members = entries.map(([k, v]) => `${formatKey(k, style)}: ${serialize(v, style, indent, true)}`);
+      return `{ ${members.join(', ')} }`;
+    }
+    const inner = indent + style.indentUnit;
+    const members = entries.map(([k, v]) => `${inner}${formatKey(k, style)}: ${serialize(v, style, inner)}`);
+    return `{\n${members.join(',\n')}${style.trailingCommas ? ',' : ''}\n${indent}}`;
+  }
+
+  if (typeof value === 'string') {
+    return quoteString(value, style.json ? '"' : style.quote);
+  }
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return style.json ? 'null' : String(value);
+  }
+
+  return String(value);
+}
+
+function formatKey(key, style) {
+  if (style.json || style.quoteKeys || !IDENTIFIER.test(key)) {
+    return quoteString(key, style.json ? '"' : style.quote);
+  }
+  return key;
+}
+
+function quoteString(str, quote) {
+  const json = JSON.stringify(str);
+  if (quote === '"') return json;
+  const body = json.slice(1, -1).replace(/\\"/g, '"').replace(/'/g, '\\\'');
+  return `'${body}'`;
+}
+
+/**
+ * Infer indentation, quoting and trailing-comma conventions from the file.
+ */
+function detectStyle(text, root, format) {
+  const json = format === 'json';
+  let singleQuotes = 0;
+  let doubleQuotes = 0;
+  let quotedKeys = 0;
+  let bareKeys = 0;
+  let trailingCommas = false;
+
+  const visit = (node) => {
+    if (node.type === 'string') {
+      if (node.quote === '\'') singleQuotes++;
+      else doubleQuotes++;
+    }
+    const items = node.members || node.items || [];
+    for (const item of items) {
+      if (node.members) {
+        if (item.quoted) quotedKeys++;
+        else bareKeys++;
+        const quote = text[item.keyStart];
+        if (quote === '\'') singleQuotes++;
+        else if (quote === '"') doubleQuotes++;
+      }
+      visit(item.value);
+    }
+    const last = items[items.length - 1];
+    if (last && last.comma !== null && text.slice(node.start, last.start).includes('\n')) {
+      trailingCommas = true;
+    }
+  };
+  visit(root);
+
+  const indentMatch = text.match(/\n([ \t]+)\S/);
+
+  return {
+    json,
+    indentUnit: indentMatch ? indentMatch[1] : '  ',
+    quote: singleQuotes > doubleQuotes ? '\'' : '"',
+    quoteKeys: json || quotedKeys > bareKeys,
+    trailingCommas: !json && trailingCommas,
+  };
+}
+
+function splice(text, start, end, replacement) {
+  return text.slice(0, start) + replacement + text.slice(end);
+}
+
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function lineIndentAt(text, offset) {
+  const start = lineStart(text, offset);
+  const match = text.slice(start, offset).match(/^[ \t]*/);
+  return match ? match[0] : '';
+}
+
+function onOwnLine(text, offset) {
+  return /^[ \t]*$/.test(text.slice(lineStart(text, offset), offset));
+}
+
+/**
+ * Position of the end of the current line when only whitespace or a line
+ * comment follows `offset`; otherwise `offset` itself.
+ */
+function endOfLineAfter(text, offset) {
+  let pos = offset;
+  while (text[pos] === ' ' || text[pos] === '\t') pos++;
+  if (text[pos] === '/' && text[pos + 1] === '/') {
+    while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++;
+    return pos;
+  }
+  if (pos >= text.length || text[pos] === '\n' || text[pos] === '\r') {
+    return pos;
+  }
+  return offset;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Drop `undefined` members the same way a JSON round-trip would.
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(item => (item === undefined ? null : normalize(item)));
+  if (isPlainObject(value)) {
+    const output = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child !== undefined) output[key] = normalize(child);
+    }
+    return output;
+  }
+  return value;
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => key in b && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
@@ -145,6 +145,14 @@ class Logger {
     logger.level = level;
   }
 
+  /**
+   * Send console log lines to stderr, so stdout carries only a report
+   */
+  useStderr() {
+    const transport = logger.transports.find(t => t instanceof winston.transports.Console);
+    transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+  }
+
   /**
    * Get log directory path
    * @returns {string} Log directory path
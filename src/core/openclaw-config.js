@@ -4,13 +4,34 @@
  * @module core/openclaw-config
  */
 
-import { existsSync, readFileSync, writeFileSync, copyFileSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
+import { existsSync, readFileSync } from 'fs';
 import JSON5 from 'json5';
+import logger from './logger.js';
+import { validateOpenClawConfig, ConfigValidationError } from './config-schema.js';
+import { updateConfigText } from './json5-editor.js';
+import changePreview from './change-preview.js';
+import { normalizeOpenClawConfig, layoutGeneration, restoreLayout } from './config-migrations.js';
+import configJournal from './config-journal.js';
+import instances from './instances.js';
+import {
+  withFileLock, atomicWriteFileSync, hashContent, FileChangedError,
+} from './file-lock.js';
 
-export const OPENCLAW_DIR = join(homedir(), '.openclaw');
-export const OPENCLAW_CONFIG = join(OPENCLAW_DIR, 'openclaw.json');
+/**
+ * Home directory of the active instance (~/.openclaw by default).
+ * @returns {string}
+ */
+export function getOpenClawDir() {
+  return instances.current().home;
+}
+
+/**
+ * openclaw.json of the active instance.
+ * @returns {string}
+ */
+export function getOpenClawConfigPath() {
+  return instances.current().configPath;
+}
 
 /**
  * Parse config text as JSON first, then JSON5.
@@ -26,76 +47,185 @@ export function parseOpenClawConfig(raw) {
 }
 
 /**
- * Load ~/.openclaw/openclaw.json.
- * @param {{optional?: boolean}} [options]
- * @returns {{config: Object|null, raw: string|null, format: 'json'|'json5'|null, exists: boolean}}
+ * Load openclaw.json of the active instance (~/.openclaw/openclaw.json by default).
+ * `staged` reads the content an earlier --dry-run step would have written.
+ * `hash` identifies the content read; pass it back as `expectedHash` when
+ * saving to refuse the write if the file changed in between.
+ * `normalize` returns the config in the newest key layout (see
+ * config-migrations); use it for reading only, never for writing back.
+ * @param {{optional?: boolean, staged?: boolean, normalize?: boolean}} [options]
+ * @returns {{config: Object|null, raw: string|null, format: 'json'|'json5'|null, exists: boolean, hash: string|null}}
  */
 export function loadOpenClawConfig(options = {}) {
-  const { optional = true } = options;
+  const { optional = true, staged = false, normalize = false } = options;
+  const shape = config => (normalize ? normalizeOpenClawConfig(config) : config);
+  const file = getOpenClawConfigPath();
 
-  if (!existsSync(OPENCLAW_CONFIG)) {
+  const pending = staged ? changePreview.pendingContent(file) : undefined;
+  if (typeof pending === 'string') {
+    const parsed = parseOpenClawConfig(pending);
+    return { config: shape(parsed.config), raw: pending, format: parsed.format, exists: true, hash: hashContent(pending) };
+  }
+
+  if (!existsSync(file)) {
     if (optional) {
-      return { config: null, raw: null, format: null, exists: false };
+      return { config: null, raw: null, format: null, exists: false, hash: null };
     }
-    throw new Error(`OpenClaw config not found at ${OPENCLAW_CONFIG}`);
+    throw new Error(`OpenClaw config not found at ${file}`);
   }
 
-  const raw = readFileSync(OPENCLAW_CONFIG, 'utf-8');
+  const raw = readFileSync(file, 'utf-8');
   const parsed = parseOpenClawConfig(raw);
 
   return {
-    config: parsed.config,
+    config: shape(parsed.config),
     raw,
     format: parsed.format,
     exists: true,
+    hash: hashContent(raw),
   };
 }
 
 /**
- * Write config to ~/.openclaw/openclaw.json as stable JSON.
+ * Write config to openclaw.json of the active instance.
+ * The config is checked against the schema first; pass `force` to write anyway.
+ * An existing file is edited in place so comments and formatting survive;
+ * `format` only applies when the file is created. With `backup` the change is
+ * recorded in the config journal (see `undo`). With `dryRun` the new text
+ * is staged in the change preview and nothing is written.
+ * The write holds the config lock and is atomic. With `expectedHash` (from
+ * `loadOpenClawConfig`) it fails with FileChangedError if the file no longer
+ * matches what the caller read.
  * @param {Object} config
- * @param {{backup?: boolean}} [options]
- * @returns {{path: string, backupPath: string|null}}
+ * @param {{backup?: boolean, format?: 'json'|'json5', force?: boolean, dryRun?: boolean, expectedHash?: string|null}} [options]
+ * @returns {{path: string, journalId: string|null, hash: string|null}}
  */
 export function saveOpenClawConfig(config, options = {}) {
-  const { backup = false, format = 'json' } = options;
-  let backupPath = null;
+  const { backup = false, format = 'json', force = false, dryRun = false, expectedHash } = options;
+
+  assertValidConfig(config, force);
+  const file = getOpenClawConfigPath();
+
+  if (dryRun) {
+    const { raw } = loadOpenClawConfig({ staged: true });
+    changePreview.recordFile(file, serializeOpenClawConfig(config, raw, format));
+    return { path: file, journalId: null, hash: null };
+  }
+
+  return withFileLock(file, () => {
+    const previous = readCurrentText(expectedHash);
+    return writeConfigText(serializeOpenClawConfig(config, previous, format), previous, { backup });
+  });
+}
+
+/**
+ * Write hand-edited config text verbatim after checking that it parses
+ * and validates. Locking and `expectedHash` work as in saveOpenClawConfig.
+ * @param {string} raw
+ * @param {{backup?: boolean, force?: boolean, dryRun?: boolean, expectedHash?: string|null}} [options]
+ * @returns {{path: string, journalId: string|null, hash: string|null, config: Object}}
+ */
+export function saveOpenClawConfigText(raw, options = {}) {
+  const { backup = false, force = false, dryRun = false, expectedHash } = options;
+
+  const { config } = parseOpenClawConfig(raw);
+  assertValidConfig(config, force);
+  const file = getOpenClawConfigPath();
 
-  if (backup && existsSync(OPENCLAW_CONFIG)) {
-    backupPath = `${OPENCLAW_CONFIG}.easyset-backup.${Date.now()}`;
-    copyFileSync(OPENCLAW_CONFIG, backupPath);
+  if (dryRun) {
+    changePreview.recordFile(file, raw);
+    return { path: file, journalId: null, hash: null, config };
   }
 
-  const serialized = format === 'json5'
+  const result = withFileLock(file, () => (
+    writeConfigText(raw, readCurrentText(expectedHash), { backup })
+  ));
+  return { ...result, config };
+}
+
+/**
+ * Render config text, editing `existingRaw` in place when possible.
+ * @param {Object} config
+ * @param {string|null} existingRaw
+ * @param {'json'|'json5'} [format='json'] - Format for newly created files
+ * @returns {string}
+ */
+export function serializeOpenClawConfig(config, existingRaw, format = 'json') {
+  let outputFormat = format;
+
+  if (existingRaw !== null && existingRaw !== undefined) {
+    try {
+      const previous = parseOpenClawConfig(existingRaw);
+      outputFormat = previous.format;
+      return updateConfigText(existingRaw, previous.config, config, { format: previous.format });
+    } catch (error) {
+      logger.debug(`Rewriting openclaw.json in full: ${error.message}`);
+    }
+  }
+
+  const serialized = outputFormat === 'json5'
     ? JSON5.stringify(config, null, 2)
     : JSON.stringify(config, null, 2);
-  writeFileSync(OPENCLAW_CONFIG, `${serialized}\n`, 'utf-8');
+  return `${serialized}\n`;
+}
 
-  return {
-    path: OPENCLAW_CONFIG,
-    backupPath,
-  };
+/**
+ * Parse a command-line value into a typed config value.
+ * Numbers, booleans, null, arrays and objects use JSON5 syntax; anything
+ * that does not parse is kept as a plain string.
+ * @param {string} raw
+ * @param {{string?: boolean}} [options] - `string` skips parsing
+ * @returns {*}
+ */
+export function parseConfigValue(raw, options = {}) {
+  if (options.string) return raw;
+  try {
+    return JSON5.parse(raw);
+  } catch {
+    return raw;
+  }
 }
 
 /**
  * Update config using targeted path operations and preserve original format.
+ * In `dryRun` mode the mutator runs against an in-memory copy that includes
+ * any changes staged earlier in the same run. Otherwise the whole
+ * read-modify-write runs under the config lock; `expectedHash` makes it
+ * fail if the file no longer matches an earlier read.
+ * With `normalized` the mutator sees the newest key layout (see
+ * config-migrations) and the result is written back in the layout of the
+ * file's generation, or older if the installed OpenClaw needs it; without
+ * it the mutator edits the file's keys as they are.
  * @param {(config: Object, tools: Object) => void} mutator
- * @param {{backup?: boolean, create?: boolean}} [options]
- * @returns {{config: Object, path: string, backupPath: string|null, format: 'json'|'json5'}}
+ * @param {{backup?: boolean, create?: boolean, force?: boolean, dryRun?: boolean, expectedHash?: string|null, normalized?: boolean}} [options]
+ * @returns {{config: Object, path: string, journalId: string|null, format: 'json'|'json5'}}
  */
 export function updateOpenClawConfig(mutator, options = {}) {
-  const { backup = false, create = false } = options;
+  if (options.dryRun) {
+    return applyUpdate(mutator, options);
+  }
+  return withFileLock(getOpenClawConfigPath(), () => applyUpdate(mutator, options));
+}
 
-  let loaded;
-  if (existsSync(OPENCLAW_CONFIG)) {
-    loaded = loadOpenClawConfig({ optional: false });
-  } else if (create) {
-    loaded = { config: {}, format: 'json', exists: false };
-  } else {
-    throw new Error(`OpenClaw config not found at ${OPENCLAW_CONFIG}`);
+function applyUpdate(mutator, options) {
+  const {
+    backup = false, create = false, force = false, dryRun = false, normalized = false,
+  } = options;
+
+  const file = getOpenClawConfigPath();
+  let loaded = loadOpenClawConfig({ staged: dryRun });
+  if (!dryRun && options.expectedHash !== undefined && loaded.hash !== options.expectedHash) {
+    throw new FileChangedError(file);
+  }
+  if (!loaded.exists) {
+    if (!create) {
+      throw new Error(`OpenClaw config not found at ${file}`);
+    }
+    loaded = { config: {}, format: 'json', exists: false, hash: null };
   }
 
-  const config = loaded.config || {};
+  const generation = normalized ? layoutGeneration(loaded.config || {}) : null;
+  const config = normalized ? normalizeOpenClawConfig(loaded.config || {}) : loaded.config || {};
   const tools = {
     get: (path, defaultValue = undefined) => getPath(config, path, defaultValue),
     set: (path, value) => setPath(config, path, value),
@@ -105,21 +235,89 @@ export function updateOpenClawConfig(mutator, options = {}) {
   };
 
   mutator(config, tools);
+  if (normalized) restoreLayout(config, generation);
 
   const writeResult = saveOpenClawConfig(config, {
     backup,
+    force,
+    dryRun,
     format: loaded.format || 'json',
+    expectedHash: loaded.hash,
   });
 
   return {
     config,
     path: writeResult.path,
-    backupPath: writeResult.backupPath,
+    journalId: writeResult.journalId,
     format: loaded.format || 'json',
   };
 }
 
-function getPath(target, path, defaultValue = undefined) {
+/**
+ * Refuse a config that fails schema validation, unless forced
+ * @param {Object} config
+ * @param {boolean} force - Only warn
+ * @throws {ConfigValidationError}
+ */
+export function assertValidConfig(config, force) {
+  const validation = validateOpenClawConfig(config);
+  if (!validation.valid) {
+    if (!force) {
+      throw new ConfigValidationError(validation.errors);
+    }
+    logger.warn(`Writing openclaw.json with ${validation.errors.length} schema error(s) (--force)`);
+  }
+}
+
+/**
+ * Read the current file (caller holds the lock), checking it against the
+ * hash the caller loaded it with.
+ * @param {string|null|undefined} expectedHash
+ * @returns {string|null}
+ */
+function readCurrentText(expectedHash) {
+  const file = getOpenClawConfigPath();
+  const current = existsSync(file) ? readFileSync(file, 'utf-8') : null;
+  if (expectedHash !== undefined && hashContent(current) !== expectedHash) {
+    throw new FileChangedError(file);
+  }
+  return current;
+}
+
+/**
+ * Atomically replace the file (caller holds the lock). The hash of
+ * `previous` is re-checked right before the rename, which catches writers
+ * that do not take the lock, such as the OpenClaw gateway.
+ */
+function writeConfigText(text, previous, { backup }) {
+  const file = getOpenClawConfigPath();
+  let journalId = null;
+
+  atomicWriteFileSync(file, text, { mode: 0o600, expectedHash: hashContent(previous) });
+
+  if (backup && previous !== text) {
+    try {
+      journalId = configJournal.record({ file, before: previous, after: text }).id;
+    } catch (error) {
+      logger.warn(`Could not record config journal entry: ${error.message}`);
+    }
+  }
+
+  return {
+    path: file,
+    journalId,
+    hash: hashContent(text),
+  };
+}
+
+/**
+ * Read a dotted path (e.g. "channels.telegram.botToken") from a config object.
+ * @param {Object} target
+ * @param {string} path
+ * @param {*} [defaultValue]
+ * @returns {*}
+ */
+export function getPath(target, path, defaultValue = undefined) {
   const keys = splitPath(path);
   let current = target;
 
@@ -133,7 +331,13 @@ function getPath(target, path, defaultValue = undefined) {
   return current;
 }
 
-function setPath(target, path, value) {
+/**
+ * Set a dotted path, creating intermediate objects.
+ * @param {Object} target
+ * @param {string} path
+ * @param {*} value
+ */
+export function setPath(target, path, value) {
   const keys = splitPath(path);
   let current = target;
 
@@ -163,7 +367,12 @@ function pushUniquePath(target, path, value) {
   setPath(target, path, array);
 }
 
-function removePath(target, path) {
+/**
+ * Delete a dotted path if it exists.
+ * @param {Object} target
+ * @param {string} path
+ */
+export function removePath(target, path) {
   const keys = splitPath(path);
   if (keys.length === 0) return;
 
@@ -179,21 +388,38 @@ function removePath(target, path) {
   delete current[keys[keys.length - 1]];
 }
 
-function splitPath(path) {
+/**
+ * Split a dotted config path into keys.
+ * @param {string} path
+ * @returns {string[]}
+ */
+export function splitPath(path) {
   if (!path || typeof path !== 'string') {
     return [];
   }
   return path.split('.').map(s => s.trim()).filter(Boolean);
 }
 
-function deepMerge(target, source) {
-  const output = { ...target };
+/**
+ * Merge `source` into a copy of `target`. Objects merge recursively; arrays
+ * and scalars from `source` replace what `target` had, and an object from
+ * `source` replaces a `target` value that is not an object.
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object}
+ */
+export function deepMerge(target, source) {
+  const output = isMergeable(target) ? { ...target } : {};
   for (const key in source) {
-    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-      output[key] = deepMerge(target[key] || {}, source[key]);
+    if (isMergeable(source[key])) {
+      output[key] = deepMerge(output[key], source[key]);
     } else {
       output[key] = source[key];
     }
   }
   return output;
 }
+
+function isMergeable(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
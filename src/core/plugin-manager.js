@@ -4,11 +4,13 @@
  * @module core/plugin-manager
  */
 
-import { existsSync, copyFileSync } from 'fs';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import logger from './logger.js';
-import { OPENCLAW_CONFIG, loadOpenClawConfig, saveOpenClawConfig } from './openclaw-config.js';
+import { getOpenClawConfigPath, loadOpenClawConfig, saveOpenClawConfig } from './openclaw-config.js';
+import { ConfigValidationError } from './config-schema.js';
+import { FileChangedError } from './file-lock.js';
+import { promptSecretStorage } from './secrets.js';
 
 /**
  * Plugin Manager
@@ -16,21 +18,24 @@ import { OPENCLAW_CONFIG, loadOpenClawConfig, saveOpenClawConfig } from './openc
 class PluginManager {
   constructor() {
     this.config = null;
+    this.configHash = undefined;
   }
 
   /**
    * Load and parse the openclaw.json config
+   * @param {Object} [options] - Options (dryRun: include staged dry-run changes)
    * @returns {Object|null} Parsed config or null if not found
    */
-  loadOpenClawConfig() {
+  loadOpenClawConfig(options = {}) {
     try {
-      if (!existsSync(OPENCLAW_CONFIG)) {
-        logger.warn(`OpenClaw config not found at ${OPENCLAW_CONFIG}`);
+      const { config, exists, hash } = loadOpenClawConfig({ staged: options.dryRun });
+      if (!exists) {
+        logger.warn(`OpenClaw config not found at ${getOpenClawConfigPath()}`);
         return null;
       }
 
-      const { config } = loadOpenClawConfig({ optional: false });
       this.config = config;
+      this.configHash = options.dryRun ? undefined : hash;
       logger.debug('OpenClaw config loaded successfully');
       return this.config;
     } catch (error) {
@@ -40,39 +45,28 @@ class PluginManager {
   }
 
   /**
-   * Create a timestamped backup of openclaw.json
-   * @returns {string|null} Backup file path or null on failure
-   */
-  backupConfig() {
-    try {
-      if (!existsSync(OPENCLAW_CONFIG)) {
-        logger.warn('No config file to backup');
-        return null;
-      }
-
-      const timestamp = Date.now();
-      const backupPath = `${OPENCLAW_CONFIG}.easyset-backup.${timestamp}`;
-      copyFileSync(OPENCLAW_CONFIG, backupPath);
-      logger.debug(`Config backed up to ${backupPath}`);
-      return backupPath;
-    } catch (error) {
-      logger.error('Failed to backup config', error);
-      return null;
-    }
-  }
-
-  /**
-   * Write config back to openclaw.json
+   * Write config back to openclaw.json (recorded in the config journal).
+   * Saving the loaded config fails if openclaw.json changed since it was read.
    * @param {Object} config - Config object to save
+   * @param {Object} [options] - Options (force, dryRun)
    * @returns {boolean} True on success
    */
-  saveOpenClawConfig(config) {
+  saveOpenClawConfig(config, options = {}) {
     try {
-      saveOpenClawConfig(config);
+      const { hash } = saveOpenClawConfig(config, {
+        backup: true,
+        force: options.force,
+        dryRun: options.dryRun,
+        expectedHash: config === this.config ? this.configHash : undefined,
+      });
       this.config = config;
+      this.configHash = options.dryRun ? undefined : hash;
       logger.debug('OpenClaw config saved successfully');
       return true;
     } catch (error) {
+      if (error instanceof ConfigValidationError || error instanceof FileChangedError) {
+        console.log(chalk.red(`  ${error.message.split('\n').join('\n  ')}`));
+      }
       logger.error('Failed to save OpenClaw config', error);
       return false;
     }
@@ -200,7 +194,7 @@ class PluginManager {
   async runPluginWizard(options = {}) {
     const result = { plugins: [], skipped: [], errors: [] };
 
-    const config = this.loadOpenClawConfig();
+    const config = this.loadOpenClawConfig({ dryRun: options.dryRun });
     if (!config) {
       if (options.dryRun) {
         console.log(chalk.gray('  [dry-run] Would configure plugins (no openclaw.json found)'));
@@ -241,18 +235,17 @@ class PluginManager {
       try {
         const lanceConfig = await this.promptLancedbConfig(options);
 
-        if (options.dryRun) {
-          console.log(chalk.gray('    [dry-run] Would enable memory-lancedb'));
-          result.plugins.push({ name: 'memory-lancedb', action: 'dry-run' });
-        } else {
-          const validation = this.validatePluginConfig('memory-lancedb', lanceConfig);
-          if (validation.valid) {
-            this.enablePlugin('memory-lancedb', lanceConfig, 'memory');
+        const validation = this.validatePluginConfig('memory-lancedb', lanceConfig);
+        if (validation.valid) {
+          this.enablePlugin('memory-lancedb', lanceConfig, 'memory');
+          if (options.dryRun) {
+            result.plugins.push({ name: 'memory-lancedb', action: 'dry-run' });
+          } else {
             result.plugins.push({ name: 'memory-lancedb', action: 'enabled' });
             logger.success('Memory LanceDB configured');
-          } else {
-            result.errors.push(...validation.errors);
           }
+        } else {
+          result.errors.push(...validation.errors);
         }
       } catch (error) {
         result.errors.push(`Memory LanceDB setup failed: ${error.message}`);
@@ -290,18 +283,17 @@ class PluginManager {
       try {
         const llmConfig = await this.promptLlmTaskConfig(options);
 
-        if (options.dryRun) {
-          console.log(chalk.gray('    [dry-run] Would enable llm-task'));
-          result.plugins.push({ name: 'llm-task', action: 'dry-run' });
-        } else {
-          const validation = this.validatePluginConfig('llm-task', llmConfig);
-          if (validation.valid) {
-            this.enablePlugin('llm-task', llmConfig);
+        const validation = this.validatePluginConfig('llm-task', llmConfig);
+        if (validation.valid) {
+          this.enablePlugin('llm-task', llmConfig);
+          if (options.dryRun) {
+            result.plugins.push({ name: 'llm-task', action: 'dry-run' });
+          } else {
             result.plugins.push({ name: 'llm-task', action: 'enabled' });
             logger.success('LLM Task configured');
-          } else {
-            result.errors.push(...validation.errors);
           }
+        } else {
+          result.errors.push(...validation.errors);
         }
       } catch (error) {
         result.errors.push(`LLM Task setup failed: ${error.message}`);
@@ -310,10 +302,11 @@ class PluginManager {
       result.skipped.push('llm-task');
     }
 
-    // Save config if changes were made and not dry-run
-    if (!options.dryRun && result.plugins.length > 0) {
-      this.backupConfig();
-      this.saveOpenClawConfig(this.config);
+    // Save config if changes were made (dry-run stages the change for the preview)
+    if (result.plugins.length > 0) {
+      if (!this.saveOpenClawConfig(this.config, { force: options.force, dryRun: options.dryRun })) {
+        result.errors.push('openclaw.json was not saved');
+      }
     }
 
     return result;
@@ -325,10 +318,17 @@ class PluginManager {
    * @returns {Promise<Object>} Plugin config
    */
   async promptLancedbConfig(options) {
+    const storeApiKey = apiKey => promptSecretStorage(apiKey, {
+      path: 'plugins.entries.memory-lancedb.config.embedding.apiKey',
+      name: 'OPENAI_API_KEY',
+      yes: options.yes,
+      dryRun: options.dryRun,
+    });
+
     if (options.yes) {
       return {
         embedding: {
-          apiKey: process.env.OPENAI_API_KEY || '',
+          apiKey: await storeApiKey(process.env.OPENAI_API_KEY || ''),
           model: 'text-embedding-3-small',
         },
         autoCapture: true,
@@ -371,7 +371,7 @@ class PluginManager {
 
     return {
       embedding: {
-        apiKey: answers.apiKey,
+        apiKey: await storeApiKey(answers.apiKey),
         model: answers.model,
       },
       autoCapture: answers.autoCapture,
@@ -0,0 +1,281 @@
+/**
+ * Reporters
+ * Renders check results (from `doctor` and `security --audit`) as JSON,
+ * JUnit XML, SARIF 2.1.0, Markdown or HTML, writes them to stdout or a
+ * file, and decides whether the results should fail the run (--fail-on).
+ * @module core/reporters
+ */
+
+import { readFileSync, mkdirSync } from 'fs';
+import { join, dirname, extname, isAbsolute } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { atomicWriteFileSync } from './file-lock.js';
+
+export const REPORT_FORMATS = ['json', 'junit', 'sarif', 'markdown', 'html'];
+
+/** --fail-on levels: the lowest status that fails the run */
+export const FAIL_ON_LEVELS = ['warn', 'fail'];
+
+/** Format implied by an --output file extension */
+const EXTENSION_FORMATS = {
+  '.json': 'json',
+  '.xml': 'junit',
+  '.sarif': 'sarif',
+  '.md': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+};
+
+const STATUS_ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
+
+const packageJson = JSON.parse(
+  readFileSync(join(dirname(fileURLToPath(import.meta.url)), '../../package.json'), 'utf-8'),
+);
+
+/**
+ * Thrown for unusable --format/--output combinations.
+ */
+export class ReportError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ReportError';
+  }
+}
+
+/**
+ * One checked item
+ * @typedef {Object} ReportItem
+ * @property {string} id - Rule id, e.g. security.env-permissions
+ * @property {string} name
+ * @property {string} category
+ * @property {'pass'|'warn'|'fail'} status
+ * @property {string} message
+ * @property {string|null} fix - What to do about it
+ * @property {string|null} target - File (absolute path) or service the item is about
+ * @property {string} [description] - What the rule checks
+ * @property {string} [severity] - high, medium or low, where the source has one
+ */
+
+/**
+ * Results of one run, one suite per instance
+ * @typedef {Object} Report
+ * @property {string} tool - doctor or security-audit
+ * @property {string} title
+ * @property {string} generatedAt - ISO timestamp
+ * @property {Array<{name: string, items: ReportItem[], summary: Object}>} suites - summary
+ *   has pass, warn and fail counts, a score in percent and optionally a grade
+ */
+
+/**
+ * Count the statuses of report items
+ * @param {ReportItem[]} items
+ * @returns {{pass: number, warn: number, fail: number}}
+ */
+export function countStatuses(items) {
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  for (const item of items) counts[item.status]++;
+  return counts;
+}
+
+/**
+ * Whether the report has results at or above the --fail-on level
+ * @param {Report} report
+ * @param {'warn'|'fail'} [failOn] - No level never fails
+ * @returns {boolean}
+ */
+export function shouldFail(report, failOn) {
+  if (!failOn) return false;
+  const failing = failOn === 'warn' ? ['warn', 'fail'] : ['fail'];
+  return report.suites.some(suite => suite.items.some(item => failing.includes(item.status)));
+}
+
+/**
+ * The format to write: --format, else the --output extension
+ * @param {{format?: string, output?: string}} options
+ * @returns {string|null} null for the human-readable console output
+ * @throws {ReportError}
+ */
+export function resolveFormat(options) {
+  if (options.format) return options.format;
+  if (!options.output) return null;
+  const format = EXTENSION_FORMATS[extname(options.output).toLowerCase()];
+  if (!format) {
+    throw new ReportError(`Cannot tell the report format from ${options.output} (use --format ${REPORT_FORMATS.join('|')})`);
+  }
+  return format;
+}
+
+/**
+ * @param {Report} report
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {{failOn?: string}} [options] - JUnit reports warnings as failures with --fail-on warn
+ * @returns {string}
+ */
+export function renderReport(report, format, options = {}) {
+  switch (format) {
+    case 'json': return `${JSON.stringify(report, null, 2)}\n`;
+    case 'junit': return renderJUnit(report, options);
+    case 'sarif': return `${JSON.stringify(renderSarif(report), null, 2)}\n`;
+    case 'markdown': return renderMarkdown(report);
+    case 'html': return renderHtml(report);
+    default: throw new ReportError(`Unknown report format "${format}" (use ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Render a report to --output, or to stdout without one.
+ * @param {Report} report
+ * @param {{format: string, output?: string, failOn?: string}} options
+ */
+export function writeReport(report, options) {
+  const content = renderReport(report, options.format, options);
+  if (options.output) {
+    mkdirSync(dirname(options.output), { recursive: true });
+    atomicWriteFileSync(options.output, content);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+function renderJUnit(report, options) {
+  const warnFails = options.failOn === 'warn';
+  const suites = report.suites.map((suite) => {
+    const failures = suite.items.filter(item => item.status === 'fail' || (warnFails && item.status === 'warn')).length;
+    const cases = suite.items.map((item) => {
+      const attributes = `classname="${xml(`${report.tool}.${item.category}`)}" name="${xml(`${item.name} (${item.id})`)}"`;
+      if (item.status === 'pass') return `    <testcase ${attributes}/>`;
+
+      const details = [item.message, item.fix && `Fix: ${item.fix}`, item.target && `Target: ${item.target}`]
+        .filter(Boolean).join('\n');
+      const body = item.status === 'fail' || warnFails
+        ? `<failure type="${item.status === 'fail' ? 'failure' : 'warning'}" message="${xml(item.message)}">${xml(details)}</failure>`
+        : `<system-out>${xml(`Warning: ${details}`)}</system-out>`;
+      return `    <testcase ${attributes}>\n      ${body}\n    </testcase>`;
+    });
+    return `  <testsuite name="${xml(suite.name)}" tests="${suite.items.length}" failures="${failures}" errors="0" skipped="0" timestamp="${report.generatedAt}">
+${cases.join('\n')}
+  </testsuite>`;
+  });
+
+  const total = report.suites.reduce((sum, suite) => sum + suite.items.length, 0);
+  const failures = report.suites.reduce((sum, suite) => sum
+    + suite.items.filter(item => item.status === 'fail' || (warnFails && item.status === 'warn')).length, 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${xml(report.title)}" tests="${total}" failures="${failures}" errors="0">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+function renderSarif(report) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: report.suites.map((suite) => {
+      const rules = [...new Map(suite.items.map(item => [item.id, {
+        id: item.id,
+        name: item.id,
+        shortDescription: { text: item.description || item.name },
+        properties: { category: item.category },
+      }])).values()];
+
+      return {
+        tool: {
+          driver: {
+            name: packageJson.name,
+            version: packageJson.version,
+            informationUri: packageJson.homepage,
+            rules,
+          },
+        },
+        automationDetails: { id: `${report.tool}/${suite.name}/` },
+        results: suite.items.filter(item => item.status !== 'pass').map((item) => {
+          const result = {
+            ruleId: item.id,
+            ruleIndex: rules.findIndex(rule => rule.id === item.id),
+            level: item.status === 'fail' ? 'error' : 'warning',
+            message: { text: `${item.name}: ${item.message}${item.fix ? ` (fix: ${item.fix})` : ''}` },
+            properties: { category: item.category, fix: item.fix },
+          };
+          if (item.severity) result.properties.severity = item.severity;
+          if (item.target) {
+            result.locations = [isAbsolute(item.target)
+              ? { physicalLocation: { artifactLocation: { uri: pathToFileURL(item.target).href } } }
+              : { logicalLocations: [{ name: item.target, kind: 'resource' }] }];
+          }
+          return result;
+        }),
+      };
+    }),
+  };
+}
+
+function renderMarkdown(report) {
+  const lines = [`# ${report.title}`, '', `Generated ${report.generatedAt}`];
+  for (const suite of report.suites) {
+    lines.push('', `## ${suite.name}`, '', `**${summaryText(suite.summary)}**`, '');
+    lines.push('| | Check | Result | Fix |', '|---|---|---|---|');
+    for (const item of suite.items) {
+      const target = item.target ? ` (\`${item.target}\`)` : '';
+      lines.push(`| ${STATUS_ICONS[item.status]} | ${md(item.name)} \`${item.id}\` | ${md(item.message)}${md(target)} | ${md(item.fix || '')} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function renderHtml(report) {
+  const suites = report.suites.map(suite => `  <h2>${html(suite.name)}</h2>
+  <p class="summary">${html(summaryText(suite.summary))}</p>
+  <table>
+    <thead><tr><th></th><th>Check</th><th>Result</th><th>Fix</th></tr></thead>
+    <tbody>
+${suite.items.map(item => `      <tr class="${item.status}"><td>${STATUS_ICONS[item.status]}</td><td>${html(item.name)}<br><code>${html(item.id)}</code></td><td>${html(item.message)}${item.target ? `<br><code>${html(item.target)}</code>` : ''}</td><td>${html(item.fix || '')}</td></tr>`).join('\n')}
+    </tbody>
+  </table>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${html(report.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    tr.warn { background: #fff8e1; }
+    tr.fail { background: #fdecea; }
+    code { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>${html(report.title)}</h1>
+  <p>Generated ${html(report.generatedAt)}</p>
+${suites.join('\n')}
+</body>
+</html>
+`;
+}
+
+function summaryText(summary) {
+  const score = summary.score === undefined ? '' : `, score ${summary.score}%${summary.grade ? ` (${summary.grade})` : ''}`;
+  return `${summary.pass} passed, ${summary.warn} warnings, ${summary.fail} failed${score}`;
+}
+
+function xml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function html(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function md(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
@@ -0,0 +1,310 @@
+/**
+ * S3 Client
+ * The handful of S3 calls backup destinations need (list, get, put and
+ * multipart uploads), signed with AWS Signature Version 4. Works against
+ * AWS and S3-compatible stores such as MinIO; no SDK required.
+ * @module core/s3-client
+ */
+
+import { createHash, createHmac } from 'crypto';
+
+/**
+ * Thrown for S3 error responses.
+ */
+export class S3Error extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - S3 error code (e.g. NoSuchKey)
+   * @param {string} message
+   */
+  constructor(status, code, message) {
+    super(`S3 ${code || status}: ${message}`);
+    this.name = 'S3Error';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Connection settings
+ * @typedef {Object} S3Options
+ * @property {string} bucket
+ * @property {string} accessKeyId
+ * @property {string} secretAccessKey
+ * @property {string} [region='us-east-1']
+ * @property {string} [endpoint] - e.g. http://localhost:9000 for MinIO (default: AWS)
+ * @property {boolean} [pathStyle] - bucket in the path rather than the host name (default: true with a custom endpoint)
+ * @property {string} [sessionToken]
+ */
+
+export class S3Client {
+  /**
+   * @param {S3Options} options
+   */
+  constructor(options) {
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.sessionToken = options.sessionToken;
+    this.endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    this.pathStyle = options.pathStyle ?? Boolean(options.endpoint);
+  }
+
+  /**
+   * List the objects under a prefix (all pages).
+   * @param {string} [prefix]
+   * @returns {Promise<Array<{key: string, size: number, modified: Date}>>}
+   */
+  async listObjects(prefix = '') {
+    const objects = [];
+    let token;
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (token) query['continuation-token'] = token;
+      const xml = await (await this.request('GET', '', { query })).text();
+      for (const item of xmlElements(xml, 'Contents')) {
+        objects.push({
+          key: xmlValue(item, 'Key'),
+          size: Number(xmlValue(item, 'Size')),
+          modified: new Date(xmlValue(item, 'LastModified')),
+        });
+      }
+      token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (token);
+    return objects;
+  }
+
+  /**
+   * Open an object for reading. A store that ignores the range sends the
+   * whole object, so check `start` before appending the body to earlier bytes.
+   * @param {string} key
+   * @param {{start?: number}} [options] - Read from this byte offset on
+   * @returns {Promise<{body: ReadableStream<Uint8Array>, start: number}>} The
+   *   body and the offset it starts at (0 when the range was ignored)
+   */
+  async getObject(key, options = {}) {
+    const headers = options.start ? { range: `bytes=${options.start}-` } : {};
+    const response = await this.request('GET', key, { headers });
+    if (response.status !== 206) return { body: response.body, start: 0 };
+
+    const range = /^bytes (\d+)-/.exec(response.headers.get('content-range') || '');
+    if (!range || Number(range[1]) !== options.start) {
+      await response.body?.cancel();
+      throw new S3Error(206, null, `Unexpected Content-Range ${response.headers.get('content-range')} for bytes=${options.start}-`);
+    }
+    return { body: response.body, start: options.start };
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} body
+   */
+  async putObject(key, body) {
+    await this.request('PUT', key, { body });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<string>} Upload ID
+   */
+  async createMultipartUpload(key) {
+    const xml = await (await this.request('POST', key, { query: { uploads: '' } })).text();
+    return xmlValue(xml, 'UploadId');
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} uploadId
+   * @param {number} partNumber - 1-based
+   * @param {Buffer} body
+   * @returns {Promise<string>} ETag
+   */
+  async uploadPart(key, uploadId, partNumber, body) {
+    const response = await this.request('PUT', key, { query: { partNumber: String(partNumber), uploadId }, body });
+    return response.headers.get('etag');
+  }
+
+  /**
+   * Parts of an unfinished upload that the store already has
+   * @param {string} key
+   * @param {string} uploadId
+   * @returns {Promise<Array<{partNumber: number, etag: string, size: number}>>}
+   */
+  async listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+    do {
+      const query = { uploadId };
+      if (marker) query['part-number-marker'] = marker;
+      const xml = await (await this.request('GET', key, { query })).text();
+      for (const item of xmlElements(xml, 'Part')) {
+        parts.push({
+          partNumber: Number(xmlValue(item, 'PartNumber')),
+          etag: xmlValue(item, 'ETag'),
+          size: Number(xmlValue(item, 'Size')),
+        });
+      }
+      marker = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextPartNumberMarker') : null;
+    } while (marker);
+    return parts;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} uploadId
+   * @param {Array<{partNumber: number, etag: string}>} parts
+   */
+  async completeMultipartUpload(key, uploadId, parts) {
+    const body = Buffer.from(`<CompleteMultipartUpload>${[...parts]
+      .sort((a, b) => a.partNumber - b.partNumber)
+      .map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${escapeXml(part.etag)}</ETag></Part>`)
+      .join('')}</CompleteMultipartUpload>`);
+    const xml = await (await this.request('POST', key, { query: { uploadId }, body })).text();
+    // S3 can report a failed completion with status 200
+    if (xml.includes('<Error>')) {
+      throw new S3Error(200, xmlValue(xml, 'Code'), xmlValue(xml, 'Message'));
+    }
+  }
+
+  /**
+   * Send a signed request.
+   * @param {string} method
+   * @param {string} key - Object key ('' for the bucket)
+   * @param {{query?: Object<string, string>, headers?: Object<string, string>, body?: Buffer}} [options]
+   * @returns {Promise<Response>}
+   * @throws {S3Error}
+   */
+  async request(method, key, options = {}) {
+    const url = this.urlFor(key, options.query || {});
+    const headers = signRequest({
+      method,
+      url,
+      headers: options.headers || {},
+      body: options.body,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      sessionToken: this.sessionToken,
+    });
+
+    // fetch sets Host itself, from the same URL
+    const { host, ...sent } = headers;
+    const response = await fetch(url, { method, headers: sent, body: options.body });
+    if (!response.ok) {
+      const text = await response.text();
+      throw new S3Error(response.status, xmlValue(text, 'Code'), xmlValue(text, 'Message') || response.statusText);
+    }
+    return response;
+  }
+
+  urlFor(key, query) {
+    const url = new URL(this.endpoint);
+    const path = key ? `/${key.split('/').map(uriEncode).join('/')}` : '/';
+    if (this.pathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}${path === '/' ? '' : path}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = path;
+    }
+    url.search = canonicalQuery(query);
+    return url;
+  }
+}
+
+/**
+ * Sign a request with AWS Signature Version 4 (S3 flavour: the path is
+ * not double-encoded and the payload hash is sent in x-amz-content-sha256).
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {URL} request.url - Path and query already encoded
+ * @param {Object<string, string>} request.headers
+ * @param {Buffer} [request.body]
+ * @param {string} request.region
+ * @param {string} request.accessKeyId
+ * @param {string} request.secretAccessKey
+ * @param {string} [request.sessionToken]
+ * @param {Date} [request.date]
+ * @returns {Object<string, string>} The headers to send, Authorization included
+ */
+export function signRequest(request) {
+  const date = request.date || new Date();
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256(request.body || '');
+
+  const headers = {
+    ...Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: request.url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  if (request.sessionToken) headers['x-amz-security-token'] = request.sessionToken;
+
+  const names = Object.keys(headers).sort();
+  const canonical = [
+    request.method,
+    request.url.pathname,
+    request.url.search.replace(/^\?/, ''),
+    ...names.map(name => `${name}:${headers[name]}`),
+    '',
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${request.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+  let key = `AWS4${request.secretAccessKey}`;
+  for (const part of [day, request.region, 's3', 'aws4_request']) {
+    key = hmac(key, part);
+  }
+  const signature = hmac(key, stringToSign).toString('hex');
+
+  headers.authorization = `AWS4-HMAC-SHA256 Credential=${request.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+  return headers;
+}
+
+/**
+ * Query string in SigV4 canonical form: sorted and RFC 3986-encoded
+ * @param {Object<string, string>} query
+ * @returns {string}
+ */
+export function canonicalQuery(query) {
+  return Object.entries(query)
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+function xmlElements(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+}
+
+function xmlValue(xml, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? unescapeXml(match[1]) : null;
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
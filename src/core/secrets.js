@@ -0,0 +1,445 @@
+/**
+ * Secret References
+ * Keeps tokens and API keys out of openclaw.json by storing them elsewhere
+ * and writing a reference in their place:
+ *   ${env:NAME}    - variable in ~/.openclaw/.env (or the process environment)
+ *   ${file:path}   - file contents; relative paths are under ~/.openclaw
+ *   ${vault:NAME}  - entry in the local encrypted vault (~/.openclaw/secrets.vault)
+ * Paths are those of the active instance; ~/.openclaw is the default one.
+ * @module core/secrets
+ */
+
+import { existsSync, readFileSync, mkdirSync } from 'fs';
+import { join, dirname, isAbsolute } from 'path';
+import { homedir } from 'os';
+import inquirer from 'inquirer';
+import logger from './logger.js';
+import configManager from './config.js';
+import changePreview from './change-preview.js';
+import { atomicWriteFileSync, withFileLock } from './file-lock.js';
+import {
+  deriveKey, encrypt, decrypt, generateKey, SCRYPT_PARAMS, CIPHER,
+} from './encryption.js';
+import instances from './instances.js';
+
+/** Environment variable holding the vault passphrase (instead of the key file) */
+export const VAULT_PASSPHRASE_ENV = 'OPENCLAW_VAULT_PASSPHRASE';
+
+/** Where a secret can be kept; `inline` leaves it in openclaw.json */
+export const SECRET_STORES = ['env', 'file', 'vault', 'inline'];
+
+const REF_PATTERN = /^\$\{(env|file|vault):([^}]+)\}$/;
+const SECRET_KEY_PATTERN = /(token|password|secret|apiKey|api_key)$/i;
+const REDACTED = '********';
+
+/**
+ * Thrown when a reference points at a secret that cannot be found.
+ */
+export class SecretResolutionError extends Error {
+  /**
+   * @param {string} ref
+   * @param {string} reason
+   */
+  constructor(ref, reason) {
+    super(`Cannot resolve ${ref}: ${reason}`);
+    this.name = 'SecretResolutionError';
+    this.ref = ref;
+  }
+}
+
+/**
+ * Parse a secret reference.
+ * @param {*} value
+ * @returns {{type: 'env'|'file'|'vault', name: string}|null} null for anything else
+ */
+export function parseSecretRef(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(REF_PATTERN);
+  return match ? { type: match[1], name: match[2].trim() } : null;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSecretRef(value) {
+  return parseSecretRef(value) !== null;
+}
+
+/**
+ * @param {'env'|'file'|'vault'} type
+ * @param {string} name
+ * @returns {string}
+ */
+export function formatSecretRef(type, name) {
+  return `\${${type}:${name}}`;
+}
+
+/**
+ * Resolve a config value. Plain values are returned unchanged.
+ * @param {*} value
+ * @returns {*}
+ * @throws {SecretResolutionError}
+ */
+export function resolveSecret(value) {
+  const ref = parseSecretRef(value);
+  if (!ref) return value;
+
+  switch (ref.type) {
+    case 'env': {
+      const fromFile = readEnvFile()[ref.name];
+      const resolved = fromFile ?? process.env[ref.name];
+      if (resolved === undefined) {
+        throw new SecretResolutionError(value, `${ref.name} is not set in ${instances.current().envFile} or the environment`);
+      }
+      return resolved;
+    }
+    case 'file': {
+      const path = resolveSecretPath(ref.name);
+      if (!existsSync(path)) {
+        throw new SecretResolutionError(value, `${path} does not exist`);
+      }
+      return readFileSync(path, 'utf-8').replace(/\r?\n$/, '');
+    }
+    case 'vault': {
+      const resolved = secretVault.get(ref.name);
+      if (resolved === undefined) {
+        throw new SecretResolutionError(value, `${ref.name} is not in the vault`);
+      }
+      return resolved;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Store a secret and return the value to write into openclaw.json.
+ * With `dryRun` nothing is written; the change is staged in the preview
+ * with the secret redacted.
+ * @param {'env'|'file'|'vault'|'inline'} store
+ * @param {string} name - Variable / file / vault entry name
+ * @param {string} value
+ * @param {{dryRun?: boolean}} [options]
+ * @returns {string} Reference (or the value itself for `inline`)
+ */
+export function storeSecret(store, name, value, options = {}) {
+  const { dryRun = false } = options;
+
+  switch (store) {
+    case 'inline':
+      return value;
+    case 'env':
+      setEnvVar(name, value, { dryRun });
+      return formatSecretRef('env', name);
+    case 'file': {
+      const relative = `secrets/${name.toLowerCase().replace(/_/g, '-')}`;
+      const path = resolveSecretPath(relative);
+      if (dryRun) {
+        changePreview.recordFile(path, `${REDACTED}\n`);
+      } else {
+        mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+        atomicWriteFileSync(path, `${value}\n`, { mode: 0o600 });
+      }
+      return formatSecretRef('file', relative);
+    }
+    case 'vault':
+      if (!dryRun) {
+        secretVault.set(name, value);
+      }
+      return formatSecretRef('vault', name);
+    default:
+      throw new Error(`Unknown secret store: ${store} (valid: ${SECRET_STORES.join(', ')})`);
+  }
+}
+
+/**
+ * Find plaintext secrets in a config: string values under keys ending in
+ * token, password, secret or apiKey that are not already references.
+ * @param {Object} config
+ * @returns {Array<{path: string, value: string}>}
+ */
+export function findInlineSecrets(config) {
+  return findSecrets(config).filter(secret => !isSecretRef(secret.value));
+}
+
+/**
+ * Whether a config key holds a secret (token, password, secret, apiKey).
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * Find every secret-looking value (inline or reference).
+ * @param {Object} config
+ * @returns {Array<{path: string, value: string}>}
+ */
+export function findSecrets(config) {
+  const found = [];
+  const walk = (node, path) => {
+    if (!node || typeof node !== 'object') return;
+    for (const [key, value] of Object.entries(node)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (typeof value === 'string' && value !== '' && isSecretKey(key)) {
+        found.push({ path: childPath, value });
+      } else if (value && typeof value === 'object') {
+        walk(value, childPath);
+      }
+    }
+  };
+  walk(config, '');
+  return found;
+}
+
+/**
+ * Environment-variable style name for a config path,
+ * e.g. channels.telegram.botToken -> TELEGRAM_BOT_TOKEN.
+ * @param {string} path
+ * @returns {string}
+ */
+export function secretNameFor(path) {
+  const skipped = new Set(['channels', 'plugins', 'entries', 'config']);
+  return path.split('.')
+    .filter(part => !skipped.has(part))
+    .map(part => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2'))
+    .join('_')
+    .replace(/[^A-Za-z0-9_]/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Ask where a secret entered in a wizard should be kept and store it.
+ * `yes` uses the default store (secrets.defaultStore in
+ * ~/.openclaw-easyset/config.json, `env` unless changed).
+ * @param {string} value
+ * @param {{path: string, name?: string, yes?: boolean, dryRun?: boolean}} options
+ * @returns {Promise<string>} Value to write into openclaw.json
+ */
+export async function promptSecretStorage(value, options) {
+  if (!value) return value;
+
+  const name = options.name || secretNameFor(options.path);
+  let store = configManager.get('secrets.defaultStore', 'env');
+
+  if (!options.yes) {
+    const { home, envFile } = instances.current();
+    ({ store } = await inquirer.prompt([{
+      type: 'list',
+      name: 'store',
+      message: 'Where should this secret be stored?',
+      choices: [
+        { name: `${envFile} as ${name} (recommended)`, value: 'env' },
+        { name: `Encrypted vault (${join(home, 'secrets.vault')})`, value: 'vault' },
+        { name: `Separate file under ${join(home, 'secrets')}/`, value: 'file' },
+        { name: 'Inline in openclaw.json (plaintext)', value: 'inline' },
+      ],
+      default: store,
+    }]));
+  }
+
+  return storeSecret(store, name, value, { dryRun: options.dryRun });
+}
+
+/**
+ * Parse the active instance's .env (KEY=value lines, optional `export`, quotes).
+ * @param {string} [file]
+ * @returns {Object<string, string>}
+ */
+export function readEnvFile(file = instances.current().envFile) {
+  if (!existsSync(file)) return {};
+  return parseEnv(readFileSync(file, 'utf-8'));
+}
+
+/**
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseEnv(text) {
+  const vars = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+    let value = match[2].trim();
+    if (/^"(.*)"$/.test(value)) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else if (/^'(.*)'$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    vars[match[1]] = value;
+  }
+  return vars;
+}
+
+/**
+ * Add or replace one variable in an .env text, keeping every other line.
+ * @param {string} text
+ * @param {string} name
+ * @param {string} value
+ * @returns {string}
+ */
+export function upsertEnv(text, name, value) {
+  const line = `${name}=${quoteEnvValue(value)}`;
+  const lines = text === '' ? [] : text.replace(/\n$/, '').split('\n');
+  const pattern = new RegExp(`^\\s*(?:export\\s+)?${name}\\s*=`);
+  const index = lines.findIndex(l => pattern.test(l));
+
+  if (index === -1) {
+    lines.push(line);
+  } else {
+    lines[index] = line;
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function setEnvVar(name, value, { dryRun }) {
+  const { home, envFile } = instances.current();
+  const update = () => {
+    const current = existsSync(envFile) ? readFileSync(envFile, 'utf-8') : '';
+    const existing = parseEnv(current)[name];
+    if (existing !== undefined && existing !== value) {
+      logger.warn(`Replacing the existing ${name} in ${envFile}`);
+    }
+
+    if (dryRun) {
+      // Stage a redacted copy so the preview never prints secrets
+      const pending = changePreview.pendingContent(envFile);
+      changePreview.recordFile(envFile, upsertEnv(pending ?? redactEnv(current), name, REDACTED));
+      return;
+    }
+    atomicWriteFileSync(envFile, upsertEnv(current, name, value), { mode: 0o600 });
+  };
+
+  if (dryRun) {
+    update();
+    return;
+  }
+  mkdirSync(home, { recursive: true });
+  withFileLock(envFile, update);
+}
+
+function redactEnv(text) {
+  return text.replace(/^(\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*\s*=).*$/gm, `$1${REDACTED}`);
+}
+
+function quoteEnvValue(value) {
+  if (/^[A-Za-z0-9_./:@+=,-]*$/.test(value)) return value;
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function resolveSecretPath(path) {
+  if (path.startsWith('~/')) return join(homedir(), path.slice(2));
+  return isAbsolute(path) ? path : join(instances.current().home, path);
+}
+
+/**
+ * Local encrypted vault: a JSON file holding one AES-256-GCM encrypted
+ * map of name -> secret. The key comes from OPENCLAW_VAULT_PASSPHRASE
+ * (scrypt) when set, otherwise from a random key file created on first use.
+ * Without explicit paths the vault is <instance home>/secrets.vault and the
+ * key file sits in the instance's EasySet state directory.
+ */
+export class SecretVault {
+  /**
+   * @param {{file?: string, keyFile?: string}} [options]
+   */
+  constructor(options = {}) {
+    this.fixedFile = options.file || null;
+    this.fixedKeyFile = options.keyFile || null;
+  }
+
+  get file() {
+    return this.fixedFile || join(instances.current().home, 'secrets.vault');
+  }
+
+  get keyFile() {
+    return this.fixedKeyFile || join(instances.current().stateDir, 'vault.key');
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string|undefined}
+   */
+  get(name) {
+    return this.read()[name];
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} value
+   */
+  set(name, value) {
+    withFileLock(this.file, () => {
+      const secrets = this.read();
+      secrets[name] = value;
+      this.write(secrets);
+    });
+  }
+
+  /**
+   * @returns {string[]} Entry names
+   */
+  list() {
+    return Object.keys(this.read());
+  }
+
+  read() {
+    if (!existsSync(this.file)) return {};
+    const vault = JSON.parse(readFileSync(this.file, 'utf-8'));
+    const key = this.getKey(vault, false);
+    const box = {
+      iv: Buffer.from(vault.iv, 'base64'),
+      tag: Buffer.from(vault.tag, 'base64'),
+      data: Buffer.from(vault.data, 'base64'),
+    };
+    return JSON.parse(decrypt(box, key).toString('utf-8'));
+  }
+
+  write(secrets) {
+    const existing = existsSync(this.file) ? JSON.parse(readFileSync(this.file, 'utf-8')) : {};
+    const usePassphrase = Boolean(process.env[VAULT_PASSPHRASE_ENV]);
+    const header = usePassphrase
+      ? { kdf: 'scrypt', salt: existing.kdf === 'scrypt' ? existing.salt : generateKey().toString('base64'), scrypt: SCRYPT_PARAMS }
+      : { kdf: 'keyfile' };
+    const key = this.getKey(header, true);
+    const box = encrypt(Buffer.from(JSON.stringify(secrets), 'utf-8'), key);
+
+    mkdirSync(dirname(this.file), { recursive: true });
+    atomicWriteFileSync(this.file, `${JSON.stringify({
+      version: 1,
+      cipher: CIPHER,
+      ...header,
+      iv: box.iv.toString('base64'),
+      tag: box.tag.toString('base64'),
+      data: box.data.toString('base64'),
+    }, null, 2)}\n`, { mode: 0o600 });
+  }
+
+  getKey(header, create) {
+    if (header.kdf === 'scrypt') {
+      const passphrase = process.env[VAULT_PASSPHRASE_ENV];
+      if (!passphrase) {
+        throw new Error(`The vault is passphrase-protected; set ${VAULT_PASSPHRASE_ENV}`);
+      }
+      return deriveKey(passphrase, Buffer.from(header.salt, 'base64'), header.scrypt);
+    }
+
+    if (existsSync(this.keyFile)) {
+      return Buffer.from(readFileSync(this.keyFile, 'utf-8').trim(), 'base64');
+    }
+    if (!create) {
+      throw new Error(`Vault key not found at ${this.keyFile}`);
+    }
+    const key = generateKey();
+    mkdirSync(dirname(this.keyFile), { recursive: true, mode: 0o700 });
+    atomicWriteFileSync(this.keyFile, `${key.toString('base64')}\n`, { mode: 0o600, expectedHash: null });
+    logger.info(`Created vault key ${this.keyFile}; keep a copy, the vault cannot be opened without it`);
+    return key;
+  }
+}
+
+export const secretVault = new SecretVault();
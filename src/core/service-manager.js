@@ -10,38 +10,57 @@ import { homedir } from 'os';
 import chalk from 'chalk';
 import { executeCommand, createSpinner } from './utils.js';
 import logger from './logger.js';
+import instances from './instances.js';
 
 const LAUNCH_AGENTS_DIR = join(homedir(), 'Library', 'LaunchAgents');
-const OPENCLAW_LOGS_DIR = join(homedir(), '.openclaw', 'logs');
 
 /**
- * Known OpenClaw service definitions
+ * Known OpenClaw service definitions of an instance. Labels of non-default
+ * instances carry the instance name as a suffix (ai.openclaw.gateway.<name>).
+ * @param {Object} instance - Resolved instance
+ * @returns {Object}
  */
-const KNOWN_SERVICES = {
-  gateway: {
-    label: 'ai.openclaw.gateway',
-    plist: 'ai.openclaw.gateway.plist',
-    description: 'OpenClaw Gateway',
-    logFile: 'gateway.log',
-    errLogFile: 'gateway.err.log',
-    port: 18789,
-  },
-  'gmail-watch': {
-    label: 'ai.openclaw.gmail-watch',
-    plist: 'ai.openclaw.gmail-watch.plist',
-    description: 'Gmail Watch Webhook',
-    logFile: 'gmail-watch.log',
-    errLogFile: 'gmail-watch.err.log',
-  },
-};
+function knownServices(instance) {
+  const suffix = instance.isDefault ? '' : `.${instance.name}`;
+  return {
+    gateway: {
+      label: instance.serviceLabel,
+      plist: `${instance.serviceLabel}.plist`,
+      description: 'OpenClaw Gateway',
+      logFile: 'gateway.log',
+      errLogFile: 'gateway.err.log',
+      port: instance.port,
+    },
+    'gmail-watch': {
+      label: `ai.openclaw.gmail-watch${suffix}`,
+      plist: `ai.openclaw.gmail-watch${suffix}.plist`,
+      description: 'Gmail Watch Webhook',
+      logFile: 'gmail-watch.log',
+      errLogFile: 'gmail-watch.err.log',
+    },
+  };
+}
+
+/**
+ * Name of the instance a launchd label belongs to
+ * @param {string} label
+ * @param {Array<Object>} known - All instances
+ * @returns {string}
+ */
+function instanceOfLabel(label, known) {
+  const owner = known.find(i => !i.isDefault && label.endsWith(`.${i.name}`));
+  return owner ? owner.name : known[0].name;
+}
 
 class ServiceManager {
   /**
-   * Discover all OpenClaw launchd services
+   * Discover the OpenClaw launchd services of the active instance
    * @returns {Array<Object>} Array of discovered services
    */
   discoverServices() {
     const services = [];
+    const instance = instances.current();
+    const known = Object.entries(knownServices(instance));
 
     if (!existsSync(LAUNCH_AGENTS_DIR)) {
       logger.debug('LaunchAgents directory not found');
@@ -52,19 +71,23 @@ class ServiceManager {
       const files = readdirSync(LAUNCH_AGENTS_DIR);
       const openclawPlists = files.filter(f => f.startsWith('ai.openclaw.') && f.endsWith('.plist'));
 
+      const allInstances = instances.list();
+
       for (const plistFile of openclawPlists) {
         const label = plistFile.replace('.plist', '');
-        const shortName = label.replace('ai.openclaw.', '');
-        const known = Object.values(KNOWN_SERVICES).find(s => s.label === label);
+        if (instanceOfLabel(label, allInstances) !== instance.name) continue;
+
+        const [shortName, service] = known.find(([, s]) => s.label === label)
+          || [label.replace('ai.openclaw.', ''), null];
 
         services.push({
           label,
           shortName,
           plistPath: join(LAUNCH_AGENTS_DIR, plistFile),
-          description: known?.description || shortName,
-          logFile: known?.logFile || null,
-          errLogFile: known?.errLogFile || null,
-          port: known?.port || null,
+          description: service?.description || shortName,
+          logFile: service?.logFile || null,
+          errLogFile: service?.errLogFile || null,
+          port: service?.port || null,
         });
       }
     } catch (error) {
@@ -81,7 +104,8 @@ class ServiceManager {
    */
   async getServiceStatus(label) {
     try {
-      const { stdout } = await executeCommand(`launchctl list | grep "${label}"`);
+      // Match the label column exactly so ai.openclaw.gateway does not match ai.openclaw.gateway.<name>
+      const { stdout } = await executeCommand(`launchctl list | awk -v label="${label}" '$3 == label'`);
       const parts = stdout.trim().split(/\s+/);
 
       if (parts.length >= 3) {
@@ -194,10 +218,10 @@ class ServiceManager {
 
   /**
    * Check if the gateway is responding on its port
-   * @param {number} [port=18789] - Gateway port
+   * @param {number} [port] - Gateway port (defaults to the active instance's)
    * @returns {Promise<{responding: boolean, statusCode: number|null}>}
    */
-  async checkGatewayHealth(port = 18789) {
+  async checkGatewayHealth(port = instances.current().port) {
     try {
       const { stdout } = await executeCommand(
         `curl -s -o /dev/null -w "%{http_code}" http://127.0.0.1:${port}/health 2>/dev/null || echo "000"`,
@@ -219,10 +243,11 @@ class ServiceManager {
    * @returns {string} Log content
    */
   getRecentLogs(shortName, lines = 20) {
-    const known = KNOWN_SERVICES[shortName];
+    const instance = instances.current();
+    const known = knownServices(instance)[shortName];
     if (!known) return '';
 
-    const logPath = join(OPENCLAW_LOGS_DIR, known.logFile);
+    const logPath = join(instance.logsDir, known.logFile);
     if (!existsSync(logPath)) return '';
 
     try {
@@ -241,10 +266,11 @@ class ServiceManager {
    * @returns {string} Error log content
    */
   getRecentErrors(shortName, lines = 20) {
-    const known = KNOWN_SERVICES[shortName];
+    const instance = instances.current();
+    const known = knownServices(instance)[shortName];
     if (!known?.errLogFile) return '';
 
-    const logPath = join(OPENCLAW_LOGS_DIR, known.errLogFile);
+    const logPath = join(instance.logsDir, known.errLogFile);
     if (!existsSync(logPath)) return '';
 
     try {
@@ -262,21 +288,22 @@ class ServiceManager {
    */
   getLogSizes() {
     const sizes = {};
-    if (!existsSync(OPENCLAW_LOGS_DIR)) return sizes;
+    const { logsDir } = instances.current();
+    if (!existsSync(logsDir)) return sizes;
 
     try {
       const { statSync } = require('fs');
-      const files = readdirSync(OPENCLAW_LOGS_DIR);
+      const files = readdirSync(logsDir);
       for (const file of files) {
         try {
-          const stat = require('fs').statSync(join(OPENCLAW_LOGS_DIR, file));
+          const stat = require('fs').statSync(join(logsDir, file));
           sizes[file] = stat.size;
         } catch { /* skip */ }
       }
     } catch {
       // Fallback for ESM
       try {
-        const files = readdirSync(OPENCLAW_LOGS_DIR);
+        const files = readdirSync(logsDir);
         sizes._count = files.length;
       } catch { /* skip */ }
     }
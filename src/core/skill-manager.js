@@ -1,18 +1,16 @@
 /**
  * Skill Manager Module
- * Discovers and manages skills from ~/.openclaw/workspace/skills/
+ * Discovers and manages skills from <instance home>/workspace/skills/
  * @module core/skill-manager
  */
 
 import { existsSync, readdirSync, readFileSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { commandExists } from './utils.js';
 import logger from './logger.js';
-
-const SKILLS_DIR = join(homedir(), '.openclaw', 'workspace', 'skills');
+import instances from './instances.js';
 
 /**
  * Skill category mappings
@@ -39,18 +37,19 @@ class SkillManager {
    */
   async discoverSkills() {
     this.skills = [];
+    const { skillsDir } = instances.current();
 
-    if (!existsSync(SKILLS_DIR)) {
-      logger.warn(`Skills directory not found: ${SKILLS_DIR}`);
+    if (!existsSync(skillsDir)) {
+      logger.warn(`Skills directory not found: ${skillsDir}`);
       return this.skills;
     }
 
     try {
-      const entries = readdirSync(SKILLS_DIR, { withFileTypes: true });
+      const entries = readdirSync(skillsDir, { withFileTypes: true });
       const skillDirs = entries.filter(e => e.isDirectory());
 
       for (const dir of skillDirs) {
-        const skillPath = join(SKILLS_DIR, dir.name);
+        const skillPath = join(skillsDir, dir.name);
         const skillMdPath = join(skillPath, 'SKILL.md');
 
         if (!existsSync(skillMdPath)) {
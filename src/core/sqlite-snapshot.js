@@ -0,0 +1,113 @@
+/**
+ * SQLite snapshots
+ * Copies a database that may be open in the gateway without tearing it:
+ * `VACUUM INTO` via node:sqlite where available (Node 22.5+), otherwise the
+ * online backup API of the `sqlite3` command (`.backup`). A raw file copy
+ * could catch a half-written page or miss what is still in the WAL.
+ * @module core/sqlite-snapshot
+ */
+
+import { mkdtempSync, readFileSync, rmSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { spawnSync } from 'child_process';
+
+const SQLITE_MAGIC = Buffer.from('SQLite format 3\0', 'latin1');
+
+/** Journal files that belong to a database and are never copied on their own */
+export const SQLITE_COMPANION_PATTERN = /-(wal|shm|journal)$/;
+
+/**
+ * Thrown when a database cannot be snapshotted.
+ */
+export class SqliteSnapshotError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SqliteSnapshotError';
+  }
+}
+
+/**
+ * Whether data starts with the SQLite header.
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+export function isSqliteData(data) {
+  return data.length >= SQLITE_MAGIC.length && data.subarray(0, SQLITE_MAGIC.length).equals(SQLITE_MAGIC);
+}
+
+/**
+ * Whether a file starts with the SQLite header.
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function isSqliteFile(file) {
+  const header = Buffer.alloc(SQLITE_MAGIC.length);
+  let fd;
+  try {
+    fd = openSync(file, 'r');
+    readSync(fd, header, 0, header.length, 0);
+    return isSqliteData(header);
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+/**
+ * Take a consistent copy of a live database.
+ * @param {string} file
+ * @returns {Buffer} The database contents
+ * @throws {SqliteSnapshotError}
+ */
+export function snapshotSqlite(file) {
+  const dir = mkdtempSync(join(tmpdir(), 'easyset-sqlite-'));
+  const target = join(dir, 'snapshot.sqlite');
+  try {
+    const sqlite = loadNodeSqlite();
+    if (sqlite) {
+      const db = new sqlite.DatabaseSync(file, { readOnly: true });
+      try {
+        db.prepare('VACUUM INTO ?').run(target);
+      } finally {
+        db.close();
+      }
+    } else {
+      runSqlite3(file, target);
+    }
+    return readFileSync(target);
+  } catch (error) {
+    if (error instanceof SqliteSnapshotError) throw error;
+    throw new SqliteSnapshotError(`Cannot snapshot ${file}: ${error.message}`);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function loadNodeSqlite() {
+  try {
+    return process.getBuiltinModule?.('node:sqlite') || null;
+  } catch {
+    // Unknown module, or still behind --experimental-sqlite
+    return null;
+  }
+}
+
+function runSqlite3(file, target) {
+  const result = spawnSync('sqlite3', ['-readonly', file, `.backup '${target.replace(/'/g, "''")}'`], {
+    encoding: 'utf-8',
+    timeout: 120000,
+  });
+  if (result.error) {
+    throw new SqliteSnapshotError(result.error.code === 'ENOENT'
+      ? `Backing up ${file} needs Node 22.5+ or the sqlite3 command`
+      : `sqlite3 failed: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new SqliteSnapshotError(`sqlite3 failed on ${file}: ${(result.stderr || '').trim()}`);
+  }
+}
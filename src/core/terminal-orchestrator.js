@@ -10,6 +10,7 @@ import { join } from 'path';
 import { existsSync, writeFileSync, unlinkSync } from 'fs';
 import { executeCommand, commandExists } from './utils.js';
 import logger from './logger.js';
+import instances from './instances.js';
 
 /**
  * Terminal Orchestrator Class
@@ -272,7 +273,7 @@ end tell
       },
       {
         title: '🔧 OpenClaw - Gateway Logs',
-        command: 'echo "=== Gateway Logs ===" && echo "Waiting for gateway to start..." && tail -f ~/.openclaw/logs/gateway.log 2>/dev/null || echo "No logs yet..."',
+        command: `echo "=== Gateway Logs ===" && echo "Waiting for gateway to start..." && tail -f "${join(instances.current().logsDir, 'gateway.log')}" 2>/dev/null || echo "No logs yet..."`,
         workingDir
       }
     ];
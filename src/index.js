@@ -5,7 +5,7 @@
  * @module index
  */
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import { detectCommand } from './commands/detect.js';
 import { installCommand } from './commands/install.js';
@@ -17,7 +17,15 @@ import { securityCommand } from './commands/security.js';
 import { dockerCommand } from './commands/docker.js';
 import { serviceCommand } from './commands/service.js';
 import { skillsCommand } from './commands/skills.js';
+import { configCommand } from './commands/config.js';
+import { undoCommand, redoCommand, historyCommand } from './commands/journal.js';
+import { secretsCommand } from './commands/secrets.js';
+import { instancesCommand } from './commands/instances.js';
 import logger from './core/logger.js';
+import instances from './core/instances.js';
+import { DIFF_FORMATS } from './core/change-preview.js';
+import { SCHEDULE_INTERVALS } from './core/backup-schedule.js';
+import { REPORT_FORMATS, FAIL_ON_LEVELS } from './core/reporters.js';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -32,12 +40,35 @@ const packageJson = JSON.parse(
 
 const program = new Command();
 
+/**
+ * --diff-format option shared by every command that supports --dry-run
+ * @returns {Option}
+ */
+function diffFormatOption() {
+  return new Option('--diff-format <format>', 'Dry-run preview format')
+    .choices(DIFF_FORMATS)
+    .default('unified');
+}
+
+/**
+ * --format, --output and --fail-on, shared by doctor and security --audit
+ * @param {Command} command
+ * @returns {Command}
+ */
+function withReportOptions(command) {
+  return command
+    .addOption(new Option('--format <format>', 'Write a report instead of the console output').choices(REPORT_FORMATS))
+    .option('--output <file>', 'Write the report to a file (format from --format or the extension: .json, .xml, .sarif, .md, .html)')
+    .addOption(new Option('--fail-on <level>', 'Exit with status 1 if any result is at this level or worse').choices(FAIL_ON_LEVELS));
+}
+
 program
   .name('openclaw-easyset')
   .description('Automated OpenClaw setup and configuration tool')
   .version(packageJson.version, '-v, --version', 'Output the version number')
   .option('--verbose', 'Enable verbose logging')
   .option('--debug', 'Enable debug logging')
+  .option('--instance <name>', 'OpenClaw instance to operate on (default: OPENCLAW_HOME, else ~/.openclaw)')
   .hook('preAction', (thisCommand) => {
     const opts = thisCommand.opts();
     if (opts.debug) {
@@ -45,6 +76,18 @@ program
     } else if (opts.verbose) {
       logger.setLevel('verbose');
     }
+
+    try {
+      instances.use(opts.instance);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+    // Let the openclaw commands EasySet runs see the same instance
+    const instance = instances.current();
+    if (!instance.isDefault) {
+      process.env.OPENCLAW_HOME = instance.home;
+    }
   });
 
 // Detect command
@@ -61,7 +104,9 @@ program
   .description('Install and configure OpenClaw with guided 9-step wizard')
   .option('-m, --mode <type>', 'Installation mode (native|docker|auto)', 'auto')
   .option('--dry-run', 'Simulate installation without making changes')
+  .addOption(diffFormatOption())
   .option('--yes', 'Accept all defaults')
+  .option('--force', 'Write openclaw.json even if it fails schema validation')
   .action(installCommand);
 
 // Configure command
@@ -69,15 +114,31 @@ program
   .command('configure [section]')
   .description('Configure subsystems (sections: plugins, channels, skills, gog, security)')
   .option('--dry-run', 'Simulate changes without writing')
+  .addOption(diffFormatOption())
   .option('--yes', 'Accept all defaults')
+  .option('--force', 'Write openclaw.json even if it fails schema validation')
   .action(configureCommand);
 
 // Doctor command
-program
+withReportOptions(program
   .command('doctor')
   .description('Run comprehensive health checks and diagnostics')
-  .option('--fix', 'Auto-fix common issues')
+  .option('--fix', 'Show a fix plan, confirm each risk level, apply and re-check')
+  .option('--yes', 'fix: apply every fix without asking')
+  .option('--fix-log', 'Show the fixes doctor has applied')
+  .option('--revert-fix <id>', 'Undo a fix from the fix log')
   .option('--json', 'Output results as JSON')
+  .option('--all-instances', 'Check every registered instance')
+  .option('--only <ids>', 'Run only these checks (comma-separated ids; their dependencies run too)')
+  .option('--skip <ids>', 'Skip these checks and the checks that depend on them')
+  .option('--category <names>', 'Run only these categories (e.g. security,storage)')
+  .option('--list-checks', 'List the available checks, built-in and from ~/.openclaw-easyset/checks')
+  .option('--watch', 'Re-run the checks every --interval and alert on status changes until stopped')
+  .option('--interval <duration>', 'watch: time between runs, e.g. 30s, 5m (default: monitor.interval, 60s)')
+  .option('--alert <names>', 'watch: only these sinks from monitor.alerts (comma-separated; default: all)')
+  .option('--alert-command <command>', 'watch: also run this command per alert (event as JSON on stdin)')
+  .option('--alert-webhook <url>', 'watch: also POST each alert to this URL')
+  .option('--alert-channel <channel>', 'watch: also send each alert through this OpenClaw channel (telegram)'))
   .action(doctorCommand);
 
 // Status command
@@ -86,24 +147,45 @@ program
   .description('Show OpenClaw status dashboard')
   .option('-d, --detailed', 'Show detailed status including tools')
   .option('--json', 'Output as JSON')
+  .option('--all-instances', 'Show every registered instance')
   .action(statusCommand);
 
 // Backup command
 program
-  .command('backup [action]')
-  .description('Manage config backups (actions: create, list, restore)')
+  .command('backup [action] [args...]')
+  .description('Manage config backups (actions: create, list, restore [name], export <name> <file>, import <file>, prune, pin <name>, unpin <name>, verify [name], diff <a> [b], stats, push [name], pull <name>, schedule [status|remove|run])')
   .option('-l, --label <label>', 'Label for the backup')
   .option('-n, --name <name>', 'Backup name (for restore)')
+  .addOption(new Option('--store <type>', 'create: chunk store snapshot or single archive (default: backup.store, else chunks)').choices(['chunks', 'archive']))
+  .addOption(new Option('--compression <type>', 'create: archive compression (default: backup.compression, else gzip)').choices(['gzip', 'zstd']))
+  .option('--encrypt', 'create: encrypt with a passphrase (prompted, or OPENCLAW_BACKUP_PASSPHRASE)')
+  .option('--key-file <file>', 'create: encrypt with this key file (created if missing); restore, diff: decrypt with it')
+  .option('--prune', 'create: apply the retention policy afterwards')
+  .option('--scope <scopes>', 'create, schedule: config, credentials, memory, workspace or full (comma-separated, default: backup.scopes); restore: only these scopes')
+  .option('--only <paths>', 'restore: only these files or directories (comma-separated, e.g. openclaw.json,cron/jobs.json)')
+  .option('--exclude <paths>', 'restore: skip these files or directories (e.g. credentials)')
+  .option('--merge <paths>', 'restore: take only these config paths from the backup\'s openclaw.json (e.g. channels)')
+  .option('--dry-run', 'restore: show the files that would change; prune: show what would be deleted; schedule: show the unit files')
+  .addOption(diffFormatOption())
+  .option('--destination <name>', 'push, pull: destination from backup.destinations (default: backup.defaultDestination)')
+  .option('--remote [destination]', 'list: show the backups at a destination')
+  .addOption(new Option('--every <interval>', 'schedule: how often to back up').choices(SCHEDULE_INTERVALS).default('daily'))
+  .option('--at <time>', 'schedule: HH:MM (default 03:00; hourly: :MM; weekly: e.g. "mon 03:00")')
+  .option('--json', 'list --remote, push, prune, verify, diff, stats, schedule status: output as JSON')
+  .option('--all', 'verify: check every backup; push: push every backup the destination lacks')
+  .option('--force', 'restore: restore even if checksums do not match')
   .action(backupCommand);
 
 // Security command
-program
+withReportOptions(program
   .command('security')
   .description('Security audit and hardening')
-  .option('--audit', 'Run security audit')
+  .option('--audit', 'Run security audit (--format, --output and --fail-on apply to it)')
   .option('--profile <name>', 'Apply security profile (minimal, standard, hardened)')
   .option('--fix', 'Auto-fix security issues')
   .option('--dry-run', 'Simulate changes without writing')
+  .addOption(diffFormatOption())
+  .option('--force', 'Write openclaw.json even if it fails schema validation'))
   .action(securityCommand);
 
 // Docker command
@@ -111,6 +193,7 @@ program
   .command('docker [action]')
   .description('Manage Docker-based OpenClaw (actions: install, status, start, stop, restart, logs, update, uninstall)')
   .option('--dry-run', 'Simulate changes without writing')
+  .addOption(diffFormatOption())
   .option('--lines <n>', 'Number of log lines to show', '50')
   .action(dockerCommand);
 
@@ -119,6 +202,7 @@ program
   .command('service [action]')
   .description('Manage system service (actions: install, status, start, stop, restart, uninstall)')
   .option('--dry-run', 'Simulate changes without writing')
+  .addOption(diffFormatOption())
   .action(serviceCommand);
 
 // Skills command
@@ -126,12 +210,77 @@ program
   .command('skills [action]')
   .description('Browse and manage skills (actions: list, catalog, search, install, uninstall, update)')
   .option('--dry-run', 'Simulate changes without writing')
+  .addOption(diffFormatOption())
   .option('--name <name>', 'Skill name')
   .option('--query <query>', 'Search query')
   .option('--category <cat>', 'Filter by category')
   .option('--force', 'Force install/overwrite')
   .action(skillsCommand);
 
+// Config command
+program
+  .command('config <action> [path] [value]')
+  .description('Read or change openclaw.json keys (actions: get, set, unset, push, edit, migrate, render)')
+  .option('--json', 'Output as JSON')
+  .option('--string', 'Store the value as a string instead of parsing it')
+  .option('--explain', 'get: show which file (openclaw.json or conf.d/*) set each key')
+  .option('--output <file>', 'render: write the merged config here instead of openclaw.json (- for stdout)')
+  .option('--to <generation>', 'migrate: target generation or OpenClaw version (default: from meta.lastTouchedVersion)')
+  .option('--yes', 'migrate: apply without asking')
+  .option('--dry-run', 'Simulate changes without writing')
+  .addOption(diffFormatOption())
+  .option('--force', 'Write openclaw.json even if it fails schema validation')
+  .action(configCommand);
+
+// Secrets command
+program
+  .command('secrets [action]')
+  .description('List secrets in openclaw.json or move plaintext ones into references (actions: list, migrate)')
+  .addOption(new Option('--store <store>', 'Where migrate puts secrets').choices(['env', 'file', 'vault']))
+  .option('--json', 'Output as JSON (list)')
+  .option('--yes', 'Migrate without asking')
+  .option('--dry-run', 'Simulate changes without writing')
+  .addOption(diffFormatOption())
+  .option('--force', 'Write openclaw.json even if it fails schema validation')
+  .action(secretsCommand);
+
+// Instances command
+program
+  .command('instances [action] [name]')
+  .description('List, add or remove OpenClaw instances on this host (actions: list, add, remove)')
+  .option('--home <dir>', 'add: instance home (default: ~/.openclaw-<name>)')
+  .option('--port <port>', 'add: gateway port (default: next free port)')
+  .option('--scaffold', 'add: write IDENTITY.md and other workspace files')
+  .option('--emoji <emoji>', 'add: emoji for the scaffolded identity')
+  .option('--json', 'Output as JSON (list)')
+  .option('--dry-run', 'Show what add would do without writing')
+  .addOption(diffFormatOption())
+  .action(instancesCommand);
+
+// Undo / redo / history commands
+program
+  .command('undo')
+  .description('Revert the last recorded change to openclaw.json')
+  .option('--force', 'Undo even if openclaw.json was changed since')
+  .option('--dry-run', 'Show the change without writing')
+  .addOption(diffFormatOption())
+  .action(undoCommand);
+
+program
+  .command('redo')
+  .description('Re-apply the last undone change to openclaw.json')
+  .option('--force', 'Redo even if openclaw.json was changed since')
+  .option('--dry-run', 'Show the change without writing')
+  .addOption(diffFormatOption())
+  .action(redoCommand);
+
+program
+  .command('history [id]')
+  .description('List recorded openclaw.json changes, or show one entry')
+  .option('-n, --limit <n>', 'Number of entries to show')
+  .option('--json', 'Output as JSON')
+  .action(historyCommand);
+
 // Parse arguments
 program.parse(process.argv);
 
@@ -5,11 +5,40 @@
  * @module services/service-manager
  */
 
-import { platform, homedir } from 'os';
-import { join } from 'path';
+import { platform, homedir, userInfo } from 'os';
+import { join, dirname } from 'path';
 import { existsSync, mkdirSync, writeFileSync, unlinkSync, readFileSync } from 'fs';
 import { executeCommand, commandExists } from '../core/utils.js';
 import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
+import instances from '../core/instances.js';
+
+/** Task Scheduler day names, by Date#getDay() */
+const TASK_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SYSTEMD_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** Unit properties read by getSystemdUnitDetails */
+const SYSTEMD_PROPERTIES = [
+  'LoadState', 'ActiveState', 'SubState', 'UnitFileState', 'NRestarts', 'MainPID', 'ExecMainStatus', 'Result',
+];
+
+/**
+ * When a scheduled job runs, in local time
+ * @typedef {Object} CalendarSchedule
+ * @property {'hourly'|'daily'|'weekly'} every
+ * @property {number} minute
+ * @property {number} [hour] - daily and weekly
+ * @property {number} [weekday] - weekly; 0 is Sunday
+ */
+
+/**
+ * A command the service manager runs on a schedule
+ * @typedef {Object} ScheduledJob
+ * @property {string} id - Short name, e.g. backup
+ * @property {string} description
+ * @property {string[]} argv - Program and arguments
+ * @property {CalendarSchedule} schedule
+ */
 
 /**
  * Service Manager Class
@@ -17,8 +46,21 @@ import logger from '../core/logger.js';
 class ServiceManager {
   constructor() {
     this.platform = platform();
-    this.serviceName = 'openclaw-gateway';
-    this.serviceLabel = 'ai.openclaw.gateway';
+  }
+
+  /** systemd unit name of the active instance */
+  get serviceName() {
+    return instances.current().serviceName;
+  }
+
+  /** launchd label of the active instance */
+  get serviceLabel() {
+    return instances.current().serviceLabel;
+  }
+
+  /** Task Scheduler task name of the active instance */
+  get taskName() {
+    return instances.current().taskName;
   }
 
   /**
@@ -27,26 +69,27 @@ class ServiceManager {
    */
   getServicePaths() {
     const home = homedir();
+    const instance = instances.current();
     
     if (this.platform === 'win32') {
       return {
         type: 'task-scheduler',
-        taskName: 'OpenClawGateway',
-        xmlPath: join(home, '.openclaw', 'service', 'openclaw-task.xml'),
-        logPath: join(home, '.openclaw', 'logs')
+        taskName: instance.taskName,
+        xmlPath: join(instance.serviceDir, 'openclaw-task.xml'),
+        logPath: instance.logsDir
       };
     } else if (this.platform === 'darwin') {
       return {
         type: 'launchd',
-        plistPath: join(home, 'Library', 'LaunchAgents', `${this.serviceLabel}.plist`),
-        logPath: join(home, '.openclaw', 'logs')
+        plistPath: join(home, 'Library', 'LaunchAgents', `${instance.serviceLabel}.plist`),
+        logPath: instance.logsDir
       };
     } else {
       // Linux
       return {
         type: 'systemd',
-        servicePath: join(home, '.config', 'systemd', 'user', `${this.serviceName}.service`),
-        logPath: join(home, '.openclaw', 'logs')
+        servicePath: join(home, '.config', 'systemd', 'user', `${instance.serviceName}.service`),
+        logPath: instance.logsDir
       };
     }
   }
@@ -54,23 +97,39 @@ class ServiceManager {
   /**
    * Generate Windows Task Scheduler XML
    * @param {Object} config - Service configuration
+   * @param {string} [config.description]
+   * @param {string} [config.uri] - Task path below \\OpenClaw\\
+   * @param {string[]} [config.argv] - Program and arguments (default: openclaw gateway start)
+   * @param {CalendarSchedule} [config.schedule] - Run on this schedule instead of at logon
    * @returns {string} XML content
    */
   generateWindowsTaskXml(config = {}) {
-    const home = homedir().replace(/\\/g, '\\\\');
-    const nodePath = process.execPath.replace(/\\/g, '\\\\');
+    const instance = instances.current();
+    const workDir = instance.home.replace(/\\/g, '\\\\');
+    const {
+      description = 'OpenClaw Gateway Service - AI Assistant Backend',
+      uri = instance.isDefault ? 'Gateway' : `Gateway-${instance.name}`,
+      argv = ['openclaw', 'gateway', 'start'],
+      schedule,
+    } = config;
+    const [program, ...programArgs] = argv.map(arg => escapeXml(quoteWindowsArg(arg)));
+    // Tasks cannot set environment variables, so other instances go through cmd
+    const [command, args] = instance.isDefault
+      ? [program, programArgs.join(' ')]
+      : ['cmd.exe', `/c set "OPENCLAW_HOME=${instance.home}" &amp;&amp; ${[program, ...programArgs].join(' ')}`];
+    const triggers = schedule ? taskSchedulerTrigger(schedule) : `    <LogonTrigger>
+      <Enabled>true</Enabled>
+    </LogonTrigger>`;
     
     return `<?xml version="1.0" encoding="UTF-16"?>
 <Task version="1.4" xmlns="http://schemas.microsoft.com/windows/2004/02/mit/task">
   <RegistrationInfo>
-    <Description>OpenClaw Gateway Service - AI Assistant Backend</Description>
+    <Description>${description}</Description>
     <Author>OpenClaw</Author>
-    <URI>\\OpenClaw\\Gateway</URI>
+    <URI>\\OpenClaw\\${uri}</URI>
   </RegistrationInfo>
   <Triggers>
-    <LogonTrigger>
-      <Enabled>true</Enabled>
-    </LogonTrigger>
+${triggers}
   </Triggers>
   <Principals>
     <Principal id="Author">
@@ -105,9 +164,9 @@ class ServiceManager {
   </Settings>
   <Actions Context="Author">
     <Exec>
-      <Command>openclaw</Command>
-      <Arguments>gateway start</Arguments>
-      <WorkingDirectory>${home}\\.openclaw</WorkingDirectory>
+      <Command>${command}</Command>
+      <Arguments>${args}</Arguments>
+      <WorkingDirectory>${workDir}</WorkingDirectory>
     </Exec>
   </Actions>
 </Task>`;
@@ -116,45 +175,61 @@ class ServiceManager {
   /**
    * Generate macOS launchd plist
    * @param {Object} config - Service configuration
+   * @param {string} [config.label] - Job label (default: the gateway's)
+   * @param {string[]} [config.argv] - Program and arguments (default: openclaw gateway start)
+   * @param {string} [config.logName] - Log file name in the logs directory
+   * @param {CalendarSchedule} [config.schedule] - Run on this schedule instead of keeping the job alive
    * @returns {string} Plist content
    */
   generateMacOSPlist(config = {}) {
     const home = homedir();
-    const openclawPath = '/usr/local/bin/openclaw';
+    const instance = instances.current();
+    const instanceEnv = instance.isDefault ? '' : `
+        <key>OPENCLAW_HOME</key>
+        <string>${instance.home}</string>`;
+    const {
+      label = this.serviceLabel,
+      argv = ['/usr/local/bin/openclaw', 'gateway', 'start'],
+      logName = 'gateway',
+      schedule,
+    } = config;
+    const runs = schedule ? `    <key>StartCalendarInterval</key>
+    <dict>
+${Object.entries(launchdCalendarInterval(schedule)).map(([key, value]) => `        <key>${key}</key>
+        <integer>${value}</integer>`).join('\n')}
+    </dict>` : `    <key>RunAtLoad</key>
+    <true/>
+    <key>KeepAlive</key>
+    <dict>
+        <key>SuccessfulExit</key>
+        <false/>
+        <key>Crashed</key>
+        <true/>
+    </dict>`;
     
     return `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
 <plist version="1.0">
 <dict>
     <key>Label</key>
-    <string>${this.serviceLabel}</string>
+    <string>${label}</string>
     <key>ProgramArguments</key>
     <array>
-        <string>${openclawPath}</string>
-        <string>gateway</string>
-        <string>start</string>
+${argv.map(arg => `        <string>${escapeXml(arg)}</string>`).join('\n')}
     </array>
-    <key>RunAtLoad</key>
-    <true/>
-    <key>KeepAlive</key>
-    <dict>
-        <key>SuccessfulExit</key>
-        <false/>
-        <key>Crashed</key>
-        <true/>
-    </dict>
+${runs}
     <key>WorkingDirectory</key>
-    <string>${home}/.openclaw</string>
+    <string>${instance.home}</string>
     <key>StandardOutPath</key>
-    <string>${home}/.openclaw/logs/gateway.log</string>
+    <string>${instance.logsDir}/${logName}.log</string>
     <key>StandardErrorPath</key>
-    <string>${home}/.openclaw/logs/gateway-error.log</string>
+    <string>${instance.logsDir}/${logName}-error.log</string>
     <key>EnvironmentVariables</key>
     <dict>
         <key>PATH</key>
         <string>/usr/local/bin:/usr/bin:/bin:/usr/sbin:/sbin</string>
         <key>HOME</key>
-        <string>${home}</string>
+        <string>${home}</string>${instanceEnv}
     </dict>
     <key>ThrottleInterval</key>
     <integer>10</integer>
@@ -165,30 +240,62 @@ class ServiceManager {
   /**
    * Generate Linux systemd service file
    * @param {Object} config - Service configuration
+   * @param {string} [config.description]
+   * @param {string[]} [config.argv] - Program and arguments (default: openclaw gateway start)
+   * @param {string} [config.logName] - Log file name in the logs directory
+   * @param {boolean} [config.oneshot] - A job started by a timer rather than a long-running service
    * @returns {string} Service content
    */
   generateLinuxSystemdService(config = {}) {
     const home = homedir();
+    const instance = instances.current();
+    const instanceEnv = instance.isDefault ? '' : `Environment=OPENCLAW_HOME=${instance.home}\n`;
+    const {
+      description = instance.isDefault ? 'OpenClaw Gateway Service' : `OpenClaw Gateway Service (${instance.name})`,
+      argv = ['/usr/bin/openclaw', 'gateway', 'start'],
+      logName = 'gateway',
+      oneshot = false,
+    } = config;
     
     return `[Unit]
-Description=OpenClaw Gateway Service
+Description=${description}
 Documentation=https://docs.openclaw.ai
 After=network-online.target
 Wants=network-online.target
 
 [Service]
-Type=simple
-ExecStart=/usr/bin/openclaw gateway start
-WorkingDirectory=${home}/.openclaw
-Restart=on-failure
-RestartSec=10
-StandardOutput=append:${home}/.openclaw/logs/gateway.log
-StandardError=append:${home}/.openclaw/logs/gateway-error.log
+Type=${oneshot ? 'oneshot' : 'simple'}
+ExecStart=${argv.map(quoteSystemdArg).join(' ')}
+WorkingDirectory=${instance.home}
+${oneshot ? '' : 'Restart=on-failure\nRestartSec=10\n'}StandardOutput=append:${instance.logsDir}/${logName}.log
+StandardError=append:${instance.logsDir}/${logName}-error.log
 Environment=HOME=${home}
-Environment=PATH=/usr/local/bin:/usr/bin:/bin
-
+${instanceEnv}Environment=PATH=/usr/local/bin:/usr/bin:/bin
+${oneshot ? '' : `
 [Install]
 WantedBy=default.target
+`}`;
+  }
+
+  /**
+   * Generate the systemd timer that starts a oneshot service
+   * @param {Object} config
+   * @param {string} config.description
+   * @param {string} config.unit - Service unit name, without .service
+   * @param {CalendarSchedule} config.schedule
+   * @returns {string} Timer content
+   */
+  generateLinuxSystemdTimer(config) {
+    return `[Unit]
+Description=${config.description}
+
+[Timer]
+OnCalendar=${systemdOnCalendar(config.schedule)}
+Persistent=true
+Unit=${config.unit}.service
+
+[Install]
+WantedBy=timers.target
 `;
   }
 
@@ -235,7 +342,7 @@ WantedBy=default.target
     const xmlContent = this.generateWindowsTaskXml();
     
     // Create service directory
-    const serviceDir = join(homedir(), '.openclaw', 'service');
+    const { serviceDir } = instances.current();
     if (!existsSync(serviceDir)) {
       if (!dryRun) {
         mkdirSync(serviceDir, { recursive: true });
@@ -243,8 +350,8 @@ WantedBy=default.target
     }
     
     if (dryRun) {
-      logger.info('[DRY-RUN] Would create task XML:', paths.xmlPath);
-      logger.info('[DRY-RUN] Would run: schtasks /create /tn "OpenClawGateway" /xml ...');
+      changePreview.recordFile(paths.xmlPath, xmlContent);
+      logger.info(`[DRY-RUN] Would run: schtasks /create /tn "${paths.taskName}" /xml ...`);
       return { success: true, simulated: true };
     }
     
@@ -254,13 +361,13 @@ WantedBy=default.target
     
     // Register task
     try {
-      await executeCommand(`schtasks /create /tn "OpenClawGateway" /xml "${paths.xmlPath}" /f`);
+      await executeCommand(`schtasks /create /tn "${paths.taskName}" /xml "${paths.xmlPath}" /f`);
       logger.info('Windows Task Scheduler service installed');
       return { success: true, type: 'task-scheduler' };
     } catch (error) {
       // Try PowerShell alternative
       try {
-        await executeCommand(`powershell -Command "Register-ScheduledTask -Xml (Get-Content '${paths.xmlPath}' | Out-String) -TaskName 'OpenClawGateway' -Force"`);
+        await executeCommand(`powershell -Command "Register-ScheduledTask -Xml (Get-Content '${paths.xmlPath}' | Out-String) -TaskName '${paths.taskName}' -Force"`);
         logger.info('Windows Task Scheduler service installed (via PowerShell)');
         return { success: true, type: 'task-scheduler' };
       } catch (psError) {
@@ -279,7 +386,7 @@ WantedBy=default.target
     const plistContent = this.generateMacOSPlist();
     
     if (dryRun) {
-      logger.info('[DRY-RUN] Would create plist:', paths.plistPath);
+      changePreview.recordFile(paths.plistPath, plistContent);
       logger.info('[DRY-RUN] Would run: launchctl load ...');
       return { success: true, simulated: true };
     }
@@ -316,7 +423,7 @@ WantedBy=default.target
     }
     
     if (dryRun) {
-      logger.info('[DRY-RUN] Would create service file:', paths.servicePath);
+      changePreview.recordFile(paths.servicePath, serviceContent);
       logger.info('[DRY-RUN] Would run: systemctl --user enable/start ...');
       return { success: true, simulated: true };
     }
@@ -351,10 +458,10 @@ WantedBy=default.target
     try {
       if (this.platform === 'win32') {
         if (dryRun) {
-          logger.info('[DRY-RUN] Would delete task: OpenClawGateway');
+          logger.info(`[DRY-RUN] Would delete task: ${this.taskName}`);
           return { success: true, simulated: true };
         }
-        await executeCommand('schtasks /delete /tn "OpenClawGateway" /f');
+        await executeCommand(`schtasks /delete /tn "${this.taskName}" /f`);
         if (existsSync(paths.xmlPath)) {
           unlinkSync(paths.xmlPath);
         }
@@ -397,7 +504,7 @@ WantedBy=default.target
     
     try {
       if (this.platform === 'win32') {
-        await executeCommand('schtasks /run /tn "OpenClawGateway"');
+        await executeCommand(`schtasks /run /tn "${this.taskName}"`);
       } else if (this.platform === 'darwin') {
         await executeCommand(`launchctl start ${this.serviceLabel}`);
       } else {
@@ -421,7 +528,7 @@ WantedBy=default.target
     
     try {
       if (this.platform === 'win32') {
-        await executeCommand('schtasks /end /tn "OpenClawGateway"');
+        await executeCommand(`schtasks /end /tn "${this.taskName}"`);
       } else if (this.platform === 'darwin') {
         await executeCommand(`launchctl stop ${this.serviceLabel}`);
       } else {
@@ -453,14 +560,14 @@ WantedBy=default.target
   async getStatus() {
     try {
       if (this.platform === 'win32') {
-        const { stdout } = await executeCommand('schtasks /query /tn "OpenClawGateway" /fo LIST');
+        const { stdout } = await executeCommand(`schtasks /query /tn "${this.taskName}" /fo LIST`);
         const running = stdout.includes('Running');
         const installed = true;
         return { installed, running, type: 'task-scheduler' };
       } else if (this.platform === 'darwin') {
-        const { stdout } = await executeCommand(`launchctl list | grep ${this.serviceLabel}`);
+        const { stdout } = await executeCommand(`launchctl list | awk -v label="${this.serviceLabel}" '$3 == label'`);
         const installed = stdout.includes(this.serviceLabel);
-        const running = !stdout.startsWith('-');
+        const running = installed && !stdout.startsWith('-');
         return { installed, running, type: 'launchd' };
       } else {
         const { stdout } = await executeCommand(`systemctl --user is-active ${this.serviceName}`);
@@ -471,6 +578,363 @@ WantedBy=default.target
       return { installed: false, running: false, type: this.getServicePaths().type };
     }
   }
+
+  /**
+   * Names and file paths of a scheduled job of the active instance
+   * @param {string} id - Job name
+   * @returns {Object} Paths
+   */
+  getScheduledJobPaths(id) {
+    const home = homedir();
+    const instance = instances.current();
+    const suffix = instance.isDefault ? '' : `-${instance.name}`;
+
+    if (this.platform === 'win32') {
+      return {
+        type: 'task-scheduler',
+        name: `OpenClawEasySet-${id}${suffix}`,
+        xmlPath: join(instance.serviceDir, `easyset-${id}-task.xml`),
+      };
+    } else if (this.platform === 'darwin') {
+      const label = `ai.openclaw.easyset.${id}${instance.isDefault ? '' : `.${instance.name}`}`;
+      return {
+        type: 'launchd',
+        name: label,
+        plistPath: join(home, 'Library', 'LaunchAgents', `${label}.plist`),
+      };
+    } else {
+      const unit = `openclaw-easyset-${id}${suffix}`;
+      const systemdDir = join(home, '.config', 'systemd', 'user');
+      return {
+        type: 'systemd',
+        name: unit,
+        servicePath: join(systemdDir, `${unit}.service`),
+        timerPath: join(systemdDir, `${unit}.timer`),
+      };
+    }
+  }
+
+  /**
+   * Files that define a scheduled job on this platform
+   * @param {ScheduledJob} job
+   * @returns {Array<{path: string, content: string}>}
+   */
+  generateScheduledJobFiles(job) {
+    const paths = this.getScheduledJobPaths(job.id);
+    const logName = `easyset-${job.id}`;
+
+    if (this.platform === 'win32') {
+      return [{
+        path: paths.xmlPath,
+        content: this.generateWindowsTaskXml({
+          description: job.description, uri: paths.name, argv: job.argv, schedule: job.schedule,
+        }),
+      }];
+    } else if (this.platform === 'darwin') {
+      return [{
+        path: paths.plistPath,
+        content: this.generateMacOSPlist({
+          label: paths.name, argv: job.argv, logName, schedule: job.schedule,
+        }),
+      }];
+    } else {
+      return [
+        {
+          path: paths.servicePath,
+          content: this.generateLinuxSystemdService({
+            description: job.description, argv: job.argv, logName, oneshot: true,
+          }),
+        },
+        {
+          path: paths.timerPath,
+          content: this.generateLinuxSystemdTimer({
+            description: job.description, unit: paths.name, schedule: job.schedule,
+          }),
+        },
+      ];
+    }
+  }
+
+  /**
+   * Install (or replace) a scheduled job
+   * @param {ScheduledJob} job
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<Object>} Result
+   */
+  async installScheduledJob(job, options = {}) {
+    const { dryRun = false } = options;
+    const paths = this.getScheduledJobPaths(job.id);
+    const files = this.generateScheduledJobFiles(job);
+
+    logger.info(`Scheduling ${job.id} with ${paths.type}...`);
+
+    if (dryRun) {
+      for (const file of files) {
+        changePreview.recordFile(file.path, file.content);
+      }
+      return { success: true, simulated: true, type: paths.type, name: paths.name };
+    }
+
+    mkdirSync(instances.current().logsDir, { recursive: true });
+
+    for (const file of files) {
+      mkdirSync(dirname(file.path), { recursive: true });
+      writeFileSync(file.path, file.content, 'utf-8');
+      logger.debug(`Wrote ${file.path}`);
+    }
+
+    try {
+      if (this.platform === 'win32') {
+        await executeCommand(`schtasks /create /tn "${paths.name}" /xml "${paths.xmlPath}" /f`);
+      } else if (this.platform === 'darwin') {
+        await executeCommand(`launchctl unload "${paths.plistPath}"`).catch(() => {});
+        await executeCommand(`launchctl load -w "${paths.plistPath}"`);
+      } else {
+        await executeCommand('systemctl --user daemon-reload');
+        await executeCommand(`systemctl --user enable --now ${paths.name}.timer`);
+      }
+      logger.info(`Scheduled ${job.id} (${paths.name})`);
+      return { success: true, type: paths.type, name: paths.name };
+    } catch (error) {
+      // Leave nothing behind that looks installed
+      for (const file of files) {
+        if (existsSync(file.path)) {
+          unlinkSync(file.path);
+        }
+      }
+      throw new Error(`Failed to schedule ${job.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a scheduled job
+   * @param {string} id - Job name
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<Object>} Result
+   */
+  async uninstallScheduledJob(id, options = {}) {
+    const { dryRun = false } = options;
+    const paths = this.getScheduledJobPaths(id);
+    const files = [paths.xmlPath, paths.plistPath, paths.servicePath, paths.timerPath].filter(Boolean);
+
+    if (dryRun) {
+      logger.info(`[DRY-RUN] Would remove ${paths.name}`);
+      return { success: true, simulated: true };
+    }
+
+    if (this.platform === 'win32') {
+      await executeCommand(`schtasks /delete /tn "${paths.name}" /f`).catch(() => {});
+    } else if (this.platform === 'darwin') {
+      await executeCommand(`launchctl unload -w "${paths.plistPath}"`).catch(() => {});
+    } else {
+      await executeCommand(`systemctl --user disable --now ${paths.name}.timer`).catch(() => {});
+    }
+    for (const file of files) {
+      if (existsSync(file)) {
+        unlinkSync(file);
+      }
+    }
+    if (this.platform === 'linux') {
+      await executeCommand('systemctl --user daemon-reload').catch(() => {});
+    }
+
+    logger.info(`Removed scheduled ${id} (${paths.name})`);
+    return { success: true };
+  }
+
+  /**
+   * Whether a scheduled job is installed and enabled
+   * @param {string} id - Job name
+   * @returns {Promise<{installed: boolean, active: boolean, type: string, name: string}>}
+   */
+  async getScheduledJobStatus(id) {
+    const paths = this.getScheduledJobPaths(id);
+    const status = { installed: false, active: false, type: paths.type, name: paths.name };
+
+    try {
+      if (this.platform === 'win32') {
+        const { stdout } = await executeCommand(`schtasks /query /tn "${paths.name}" /fo LIST`);
+        status.installed = true;
+        status.active = !/Disabled/.test(stdout);
+      } else if (this.platform === 'darwin') {
+        status.installed = existsSync(paths.plistPath);
+        const { stdout } = await executeCommand(`launchctl list | awk -v label="${paths.name}" '$3 == label'`);
+        status.active = stdout.includes(paths.name);
+      } else {
+        status.installed = existsSync(paths.timerPath);
+        // is-active exits non-zero for inactive timers
+        const { stdout } = await executeCommand(`systemctl --user is-active ${paths.name}.timer || true`);
+        status.active = stdout.trim() === 'active';
+      }
+    } catch {
+      // Not registered, or the service manager is unavailable
+    }
+    return status;
+  }
+
+  /**
+   * State of a systemd user unit, from `systemctl --user show`
+   * @param {string} [unit] - Default: the gateway service of the active instance
+   * @returns {Promise<Object|null>} null when there is no systemd user manager
+   */
+  async getSystemdUnitDetails(unit = `${this.serviceName}.service`) {
+    // show exits 0 for unknown units; it fails only without a user manager
+    const { stdout } = await executeCommand(
+      `systemctl --user show ${unit} --property=${SYSTEMD_PROPERTIES.join(',')} 2>/dev/null || true`,
+    );
+    const properties = parseSystemdProperties(stdout);
+    if (!properties.LoadState) return null;
+
+    // Without lingering, user units start at login rather than at boot
+    const { stdout: linger } = await executeCommand(
+      `loginctl show-user "${userInfo().username}" --property=Linger 2>/dev/null || true`,
+    );
+
+    return {
+      unit,
+      installed: properties.LoadState === 'loaded',
+      active: properties.ActiveState === 'active',
+      state: properties.SubState ? `${properties.ActiveState} (${properties.SubState})` : properties.ActiveState,
+      unitFileState: properties.UnitFileState || null,
+      enabled: properties.UnitFileState === 'enabled',
+      linger: /^Linger=yes$/m.test(linger),
+      restarts: Number(properties.NRestarts) || 0,
+      pid: Number(properties.MainPID) || null,
+      lastExitStatus: properties.ExecMainStatus === undefined ? null : Number(properties.ExecMainStatus),
+      result: properties.Result || null,
+    };
+  }
+
+  /**
+   * State of a Task Scheduler task, from `schtasks /query /v`. Task Scheduler
+   * does not count restarts, so restarts is always null.
+   * @param {string} [taskName] - Default: the gateway task of the active instance
+   * @returns {Promise<Object>}
+   */
+  async getWindowsTaskDetails(taskName = this.taskName) {
+    const { stdout } = await executeCommand(`schtasks /query /tn "${taskName}" /v /fo LIST 2>nul || ver >nul`);
+    const fields = parseTaskList(stdout);
+    if (!fields.TaskName) return { taskName, installed: false };
+
+    const lastResult = fields['Last Result'] === undefined ? null : Number(fields['Last Result']);
+    return {
+      taskName,
+      installed: true,
+      running: fields.Status === 'Running',
+      status: fields.Status || null,
+      enabled: fields['Scheduled Task State'] !== 'Disabled',
+      trigger: fields['Schedule Type'] || null,
+      lastRun: fields['Last Run Time'] || null,
+      lastResult: Number.isNaN(lastResult) ? null : lastResult,
+      restarts: null,
+    };
+  }
+}
+
+/**
+ * Parse `systemctl show` output
+ * @param {string} output - KEY=value lines
+ * @returns {Object<string, string>}
+ */
+export function parseSystemdProperties(output) {
+  const properties = {};
+  for (const line of output.split('\n')) {
+    const index = line.indexOf('=');
+    if (index > 0) properties[line.slice(0, index)] = line.slice(index + 1).trim();
+  }
+  return properties;
+}
+
+/**
+ * Parse the first task of `schtasks /query /fo LIST` output
+ * @param {string} output - "Key: value" lines
+ * @returns {Object<string, string>}
+ */
+export function parseTaskList(output) {
+  const fields = {};
+  for (const line of output.split(/\r?\n/)) {
+    const match = /^([^:]+?):\s+(.*)$/.exec(line);
+    if (!match) continue;
+    // /v repeats HostName and TaskName for every matching task
+    if (match[1] === 'HostName' && fields.HostName) break;
+    fields[match[1]] = match[2].trim();
+  }
+  return fields;
+}
+
+/**
+ * systemd OnCalendar expression
+ * @param {CalendarSchedule} schedule
+ * @returns {string}
+ */
+function systemdOnCalendar(schedule) {
+  const minute = pad(schedule.minute);
+  if (schedule.every === 'hourly') return `*-*-* *:${minute}:00`;
+  const time = `${pad(schedule.hour)}:${minute}:00`;
+  return schedule.every === 'weekly' ? `${SYSTEMD_WEEKDAYS[schedule.weekday]} *-*-* ${time}` : `*-*-* ${time}`;
+}
+
+/**
+ * launchd StartCalendarInterval keys
+ * @param {CalendarSchedule} schedule
+ * @returns {Object<string, number>}
+ */
+function launchdCalendarInterval(schedule) {
+  if (schedule.every === 'hourly') return { Minute: schedule.minute };
+  const interval = { Hour: schedule.hour, Minute: schedule.minute };
+  return schedule.every === 'weekly' ? { Weekday: schedule.weekday, ...interval } : interval;
+}
+
+/**
+ * Task Scheduler trigger element
+ * @param {CalendarSchedule} schedule
+ * @returns {string}
+ */
+function taskSchedulerTrigger(schedule) {
+  const start = `2026-01-01T${pad(schedule.hour ?? 0)}:${pad(schedule.minute)}:00`;
+  if (schedule.every === 'hourly') {
+    return `    <TimeTrigger>
+      <Repetition>
+        <Interval>PT1H</Interval>
+        <StopAtDurationEnd>false</StopAtDurationEnd>
+      </Repetition>
+      <StartBoundary>${start}</StartBoundary>
+      <Enabled>true</Enabled>
+    </TimeTrigger>`;
+  }
+  const interval = schedule.every === 'weekly'
+    ? `      <ScheduleByWeek>
+        <DaysOfWeek>
+          <${TASK_WEEKDAYS[schedule.weekday]} />
+        </DaysOfWeek>
+        <WeeksInterval>1</WeeksInterval>
+      </ScheduleByWeek>`
+    : `      <ScheduleByDay>
+        <DaysInterval>1</DaysInterval>
+      </ScheduleByDay>`;
+  return `    <CalendarTrigger>
+      <StartBoundary>${start}</StartBoundary>
+      <Enabled>true</Enabled>
+${interval}
+    </CalendarTrigger>`;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function quoteSystemdArg(arg) {
+  return /[\s"\\]/.test(arg) ? `"${arg.replace(/(["\\])/g, '\\$1')}"` : arg;
+}
+
+function quoteWindowsArg(arg) {
+  return /[\s"]/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg;
 }
 
 export default new ServiceManager();
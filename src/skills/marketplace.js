@@ -4,11 +4,12 @@
  * @module skills/marketplace
  */
 
-import { homedir } from 'os';
-import { join, basename } from 'path';
+import { join, basename, relative } from 'path';
 import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync } from 'fs';
 import { executeCommand, commandExists } from '../core/utils.js';
 import logger from '../core/logger.js';
+import changePreview from '../core/change-preview.js';
+import instances from '../core/instances.js';
 import axios from 'axios';
 
 /**
@@ -22,11 +23,18 @@ const CLAWHUB_REGISTRY = 'https://clawhub.com/skills';
  */
 class SkillsMarketplace {
   constructor() {
-    this.skillsDir = join(homedir(), '.openclaw', 'workspace', 'skills');
     this.builtinSkillsDir = null; // Set after detecting OpenClaw install
     this.cache = new Map();
   }
 
+  /**
+   * Skills directory of the active instance
+   * @returns {string}
+   */
+  get skillsDir() {
+    return instances.current().skillsDir;
+  }
+
   /**
    * Initialize marketplace
    * @returns {Promise<void>}
@@ -327,8 +335,12 @@ class SkillsMarketplace {
       const skillPath = join(this.skillsDir, isGitUrl ? basename(skillName).replace('.git', '') : skillName);
 
       if (dryRun) {
-        logger.info(`[DRY-RUN] Would install skill '${skillName}' to ${skillPath}`);
-        return { success: true, simulated: true };
+        changePreview.recordDirectory(skillPath, {
+          action: 'create',
+          source: isGitUrl ? skillName : `ClawHub skill '${skillName}'`,
+          files: existsSync(skillPath) ? listSkillFiles(skillPath) : [],
+        });
+        return { success: true, simulated: true, path: skillPath };
       }
 
       if (isGitUrl) {
@@ -416,7 +428,7 @@ class SkillsMarketplace {
     }
 
     if (dryRun) {
-      logger.info(`[DRY-RUN] Would remove skill from ${skill.path}`);
+      changePreview.recordDirectory(skill.path, { action: 'remove', files: listSkillFiles(skill.path) });
       return { success: true, simulated: true };
     }
 
@@ -584,4 +596,21 @@ class SkillsMarketplace {
   }
 }
 
+/**
+ * List files under a skill directory (relative paths, .git excluded)
+ * @param {string} dir - Skill directory
+ * @returns {string[]}
+ */
+function listSkillFiles(dir) {
+  try {
+    return readdirSync(dir, { recursive: true, withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => relative(dir, join(entry.parentPath || entry.path, entry.name)))
+      .filter(file => !file.split(/[\\/]/).includes('.git'))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
 export default new SkillsMarketplace();
@@ -0,0 +1,109 @@
+import {
+  describe, test, expect, beforeAll, afterAll,
+} from '@jest/globals';
+import { createServer } from 'http';
+import {
+  mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  AlertError, createSink, sendAlerts, formatAlert,
+} from '../src/core/alerts.js';
+
+const event = {
+  kind: 'transition',
+  instance: 'default',
+  check: 'services.gateway',
+  name: 'Gateway Service',
+  target: null,
+  from: 'pass',
+  to: 'fail',
+  message: 'Not running',
+  at: '2026-01-01T00:00:00.000Z',
+};
+
+describe('alerts', () => {
+  const requests = [];
+  let server;
+  let url;
+  let dir;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString()) });
+        if (req.url.includes('broken')) {
+          res.statusCode = 500;
+          res.end('{"description":"Internal Server Error"}');
+          return;
+        }
+        res.end('{"ok":true}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+    dir = mkdtempSync(join(tmpdir(), 'easyset-alerts-'));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('formats events', () => {
+    expect(formatAlert(event)).toBe('❌ [default] Gateway Service: pass → fail — Not running');
+    expect(formatAlert({ ...event, kind: 'flapping', changes: 4 })).toContain('is flapping (4 status changes)');
+  });
+
+  test('validates sink definitions', () => {
+    expect(() => createSink({ type: 'pager' })).toThrow(AlertError);
+    expect(() => createSink({ type: 'command' })).toThrow('needs a command');
+    expect(() => createSink({ type: 'webhook', url: 'ftp://example.com' })).toThrow('http(s) url');
+    expect(() => createSink({ type: 'channel', channel: 'signal' })).toThrow('supported: telegram');
+  });
+
+  test('runs commands with the event in the environment and on stdin', async () => {
+    const out = join(dir, 'alert.txt');
+    const sink = createSink({ type: 'command', command: `echo "$EASYSET_ALERT_CHECK $EASYSET_ALERT_TO" > "${out}" && cat >> "${out}"` });
+    expect(await sendAlerts([sink], [event])).toEqual([]);
+
+    const [line, json] = readFileSync(out, 'utf-8').trim().split('\n');
+    expect(line).toBe('services.gateway fail');
+    expect(JSON.parse(json)).toEqual(event);
+  });
+
+  test('posts to webhooks and reports failed deliveries without throwing', async () => {
+    const ok = createSink({ type: 'webhook', url: `${url}/hook`, headers: { authorization: 'Bearer t' } });
+    const broken = createSink({ type: 'webhook', url: `${url}/broken` });
+    const failures = await sendAlerts([ok, broken, createSink({ type: 'command', command: 'exit 3' })], [event]);
+
+    expect(failures.map(failure => failure.error).sort()).toEqual(['HTTP 500 Internal Server Error', 'exited with 3']);
+    const hook = requests.find(request => request.url === '/hook');
+    expect(hook.headers.authorization).toBe('Bearer t');
+    expect(hook.body).toEqual({ text: formatAlert(event), event });
+  });
+
+  test('sends through the configured Telegram bot', async () => {
+    const home = join(dir, 'openclaw');
+    const saved = process.env.OPENCLAW_HOME;
+    process.env.OPENCLAW_HOME = home;
+    try {
+      mkdirSync(home, { recursive: true });
+      writeFileSync(join(home, 'openclaw.json'), JSON.stringify({ channels: { telegram: { botToken: '123:abc', chatId: '42' } } }));
+
+      const sink = createSink({ type: 'channel', channel: 'telegram', apiUrl: url });
+      expect(await sendAlerts([sink], [event])).toEqual([]);
+      const sent = requests.find(request => request.url === '/bot123:abc/sendMessage');
+      expect(sent.body).toMatchObject({ chat_id: '42', text: formatAlert(event) });
+    } finally {
+      if (saved === undefined) {
+        delete process.env.OPENCLAW_HOME;
+      } else {
+        process.env.OPENCLAW_HOME = saved;
+      }
+    }
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import { gzipSync } from 'zlib';
+import {
+  packTar,
+  unpackTar,
+  compress,
+  decompress,
+  compressionFor,
+  stripArchiveExtension,
+  ArchiveError,
+} from '../src/core/archive.js';
+
+describe('backup archives', () => {
+  test('round-trips files, modes and long paths through tar', () => {
+    const longPath = `${'nested/'.repeat(20)}file.json`;
+    const entries = unpackTar(packTar([
+      { path: 'openclaw.json', data: Buffer.from('{}'), mode: 0o600 },
+      { path: longPath, data: Buffer.from('x'.repeat(1000)) },
+      { path: 'empty', data: Buffer.alloc(0) },
+    ]));
+
+    expect(entries.map(entry => entry.path)).toEqual(['openclaw.json', longPath, 'empty']);
+    expect(entries[0].mode).toBe(0o600);
+    expect(entries[1].data.toString()).toBe('x'.repeat(1000));
+    expect(entries[2].data.length).toBe(0);
+  });
+
+  test('detects the compression from the content', () => {
+    const tar = packTar([{ path: 'a', data: Buffer.from('a') }]);
+
+    expect(decompress(compress(tar, 'gzip'))).toEqual(tar);
+    expect(() => decompress(Buffer.from('plain text'))).toThrow(ArchiveError);
+    expect(() => compress(tar, 'lz4')).toThrow(/Unknown compression/);
+  });
+
+  test('rejects corrupt and truncated archives', () => {
+    const tar = packTar([{ path: 'a', data: Buffer.alloc(2048, 1) }]);
+    const corrupt = Buffer.from(tar);
+    corrupt[10] ^= 0xff;
+
+    expect(() => unpackTar(corrupt)).toThrow(/Corrupt tar header/);
+    expect(() => unpackTar(tar.subarray(0, 1024))).toThrow(/truncated/);
+    expect(() => decompress(gzipSync(tar).subarray(0, 20))).toThrow(ArchiveError);
+  });
+
+  test('maps file names to compressions', () => {
+    expect(compressionFor('a.tar.gz')).toBe('gzip');
+    expect(compressionFor('a.tgz')).toBe('gzip');
+    expect(compressionFor('a.tar.zst')).toBe('zstd');
+    expect(compressionFor('a.zip')).toBeNull();
+    expect(stripArchiveExtension('2026-01-01_x.tar.zst')).toBe('2026-01-01_x');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, writeFileSync, statSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  encryptPayload,
+  decryptPayload,
+  createKeyFile,
+  readKeyFile,
+  BackupKeyError,
+} from '../src/core/backup-crypto.js';
+import { DecryptionError } from '../src/core/encryption.js';
+
+describe('backup encryption', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-backup-crypto-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('encrypts with a passphrase and records the scrypt parameters', () => {
+    const { encryption, data } = encryptPayload(Buffer.from('secret files'), { passphrase: 'correct horse' });
+
+    expect(encryption).toMatchObject({ cipher: 'aes-256-gcm', kdf: 'scrypt', scrypt: { N: 2 ** 15, r: 8, p: 1 } });
+    expect(data.toString()).not.toContain('secret');
+    expect(decryptPayload(data, encryption, { passphrase: 'correct horse' }).toString()).toBe('secret files');
+    expect(() => decryptPayload(data, encryption, { passphrase: 'wrong' })).toThrow(DecryptionError);
+    expect(() => decryptPayload(data, encryption, {})).toThrow(BackupKeyError);
+  });
+
+  test('encrypts with a key file and recognizes the wrong one', () => {
+    const keyFile = join(dir, 'backup.key');
+    const otherKey = join(dir, 'other.key');
+    createKeyFile(keyFile);
+    createKeyFile(otherKey);
+
+    const { encryption, data } = encryptPayload(Buffer.from('payload'), { keyFile });
+
+    expect(encryption.kdf).toBe('keyfile');
+    expect(encryption.keyFingerprint).toHaveLength(16);
+    expect(decryptPayload(data, encryption, { keyFile }).toString()).toBe('payload');
+    expect(() => decryptPayload(data, encryption, { keyFile: otherKey })).toThrow(/not the key/);
+    expect(() => decryptPayload(data, encryption, { passphrase: 'x' })).toThrow(/--key-file/);
+    if (process.platform !== 'win32') {
+      expect(statSync(keyFile).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('rejects files that are not keys', () => {
+    const file = join(dir, 'bad.key');
+    writeFileSync(file, 'not a key\n');
+
+    expect(() => readKeyFile(file)).toThrow(BackupKeyError);
+    expect(() => readKeyFile(join(dir, 'missing.key'))).toThrow(/not found/);
+  });
+});
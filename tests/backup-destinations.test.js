@@ -0,0 +1,58 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, mkdirSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { randomBytes } from 'crypto';
+import {
+  createDestination, copyResumable, DestinationError, LocalDestination,
+} from '../src/core/backup-destinations.js';
+
+describe('backup destinations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-destinations-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('builds drivers from config and rejects incomplete entries', () => {
+    expect(createDestination('nas', { type: 'local', path: dir })).toBeInstanceOf(LocalDestination);
+    expect(createDestination('box', { type: 'sftp', host: 'me@box', path: '/srv/backups' }).describe()).toBe('sftp://me@box/srv/backups');
+    expect(() => createDestination('box', { type: 'sftp', host: 'me@box' })).toThrow(/need path/);
+    expect(() => createDestination('s3', { type: 's3' })).toThrow(DestinationError);
+    expect(() => createDestination('x', { type: 'ftp' })).toThrow(/unknown type "ftp"/);
+    expect(() => createDestination('missing', undefined)).toThrow(/not configured/);
+  });
+
+  test('continues an interrupted copy from the partial file', () => {
+    const source = join(dir, 'backup.tar.gz');
+    const target = join(dir, 'out', 'backup.tar.gz');
+    const data = randomBytes(10000);
+    writeFileSync(source, data);
+    mkdirSync(join(dir, 'out'));
+    writeFileSync(`${target}.partial`, data.subarray(0, 4000));
+
+    expect(copyResumable(source, target)).toEqual({ resumedFrom: 4000 });
+    expect(readFileSync(target)).toEqual(data);
+    expect(existsSync(`${target}.partial`)).toBe(false);
+  });
+
+  test('local destinations list only complete archives', async () => {
+    const nas = createDestination('nas', { type: 'local', path: join(dir, 'nas') });
+    expect(await nas.list()).toEqual([]);
+
+    writeFileSync(join(dir, 'a.tar.gz'), 'archive');
+    await nas.upload(join(dir, 'a.tar.gz'), '2026-01-01T00-00-00.tar.gz');
+    writeFileSync(join(dir, 'nas', 'b.tar.gz.partial'), 'half');
+    writeFileSync(join(dir, 'nas', 'notes.txt'), '');
+
+    expect((await nas.list()).map(entry => [entry.file, entry.size])).toEqual([['2026-01-01T00-00-00.tar.gz', 7]]);
+    await nas.download('2026-01-01T00-00-00.tar.gz', join(dir, 'back.tar.gz'));
+    expect(readFileSync(join(dir, 'back.tar.gz'), 'utf-8')).toBe('archive');
+  });
+});
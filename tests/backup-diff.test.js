@@ -0,0 +1,65 @@
+import { describe, test, expect } from '@jest/globals';
+import { diffFileSets, maskSecrets, MASK } from '../src/core/backup-diff.js';
+
+const files = entries => new Map(Object.entries(entries).map(([path, text]) => [path, Buffer.from(text)]));
+
+describe('backup diff', () => {
+  test('sorts files into added, removed, changed and unchanged', () => {
+    const result = diffFileSets(
+      files({ 'openclaw.json': '{}', 'settings/tts.json': '{"voice":"a"}', '.env.template': 'A=\n' }),
+      files({ 'openclaw.json': '{}', 'settings/tts.json': '{"voice":"b"}', 'cron/jobs.json': '[]' }),
+    );
+
+    expect(result.added).toEqual(['cron/jobs.json']);
+    expect(result.removed).toEqual(['.env.template']);
+    expect(result.unchanged).toBe(1);
+    expect(result.changed).toHaveLength(1);
+    expect(result.changed[0]).toMatchObject({ path: 'settings/tts.json', kind: 'text' });
+    expect(result.changed[0].diff).toContain('+{"voice":"b"}');
+  });
+
+  test('compares config files key by key and masks secret values', () => {
+    const before = { gateway: { port: 18789, auth: { token: 'old-token' } }, channels: { telegram: { botToken: 'x' } } };
+    const after = { gateway: { port: 19000, auth: { token: 'new-token' } }, channels: { slack: { appToken: 'y', mode: 'socket' } } };
+    const [change] = diffFileSets(
+      files({ 'openclaw.json': JSON.stringify(before) }),
+      files({ 'openclaw.json': JSON.stringify(after, null, 2) }),
+    ).changed;
+
+    expect(change.kind).toBe('json');
+    expect(change.changes).toEqual([
+      { op: 'replace', path: '/gateway/port', from: 18789, to: 19000 },
+      { op: 'replace', path: '/gateway/auth/token', from: MASK, to: MASK },
+      { op: 'remove', path: '/channels/telegram', from: { botToken: MASK } },
+      { op: 'add', path: '/channels/slack', to: { appToken: MASK, mode: 'socket' } },
+    ]);
+  });
+
+  test('never shows .env or credential values', () => {
+    const { changed } = diffFileSets(
+      files({ '.env': 'KEEP=1\nCHANGED=a\nGONE=b\n', 'credentials/telegram.json': '{"token":"t1","chat":"c"}' }),
+      files({ '.env': 'KEEP=1\nCHANGED=z\nNEW=c\n', 'credentials/telegram.json': '{"token":"t2","chat":"c"}' }),
+    );
+
+    expect(changed[0]).toEqual({
+      path: '.env',
+      kind: 'env',
+      changes: [
+        { op: 'remove', path: 'GONE' },
+        { op: 'replace', path: 'CHANGED', from: MASK, to: MASK },
+        { op: 'add', path: 'NEW', to: MASK },
+      ],
+    });
+    expect(changed[1]).toEqual({
+      path: 'credentials/telegram.json',
+      kind: 'masked',
+      changes: [{ op: 'replace', path: '/token', from: MASK, to: MASK }],
+    });
+    expect(JSON.stringify(changed)).not.toMatch(/t1|t2|=a|=z/);
+  });
+
+  test('masks nested secrets by key name', () => {
+    expect(maskSecrets({ apiKey: 'k', list: [{ password: 'p' }], port: 1 }))
+      .toEqual({ apiKey: MASK, list: [{ password: MASK }], port: 1 });
+  });
+});
@@ -1,7 +1,12 @@
 import { describe, test, expect } from '@jest/globals';
-import { existsSync, rmSync, mkdirSync, writeFileSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
+import {
+  existsSync, rmSync, mkdirSync, writeFileSync, mkdtempSync, readFileSync,
+} from 'fs';
+import { join, dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { gzipSync } from 'zlib';
+import { homedir, tmpdir } from 'os';
+import { readArchive, writeArchive } from '../src/core/archive.js';
 
 describe('BackupManager', () => {
   let backupManager;
@@ -49,14 +54,346 @@ describe('BackupManager', () => {
     rmSync(result.path, { recursive: true, force: true });
   });
 
-  test('backup should contain metadata file', () => {
-    const result = backupManager.createBackup('meta-test');
+  test('backup should be a single archive with an embedded manifest', () => {
+    const result = backupManager.createBackup('meta-test', { store: 'archive' });
 
     expect(result.success).toBe(true);
-    const metaPath = `${result.path}/.backup-meta.json`;
-    expect(existsSync(metaPath)).toBe(true);
+    expect(result.path.endsWith('.tar.gz')).toBe(true);
+    const entries = readArchive(result.path);
+    const meta = JSON.parse(entries.find(entry => entry.path === '.backup-meta.json').data.toString());
+    expect(meta.label).toBe('meta-test');
+    expect(meta.manifest.map(file => file.path)).toContain('openclaw.json');
+    expect(entries.map(entry => entry.path)).toContain('openclaw.json');
 
     // Clean up
     rmSync(result.path, { recursive: true, force: true });
   });
+
+  test('reads legacy directory backups and exports them as archives', () => {
+    const name = '2000-01-01T00-00-00_legacy-test';
+    const legacy = join(backupManager.backupDir, name);
+    const dir = mkdtempSync(join(tmpdir(), 'easyset-export-'));
+    try {
+      mkdirSync(join(legacy, 'credentials'), { recursive: true });
+      writeFileSync(join(legacy, 'openclaw.json'), '{}');
+      writeFileSync(join(legacy, 'credentials', 'creds.json'), '{}');
+      writeFileSync(join(legacy, '.backup-meta.json'), JSON.stringify({ label: 'legacy-test', files: 2 }));
+
+      const listed = backupManager.listBackups().find(backup => backup.name === name);
+      expect(listed.kind).toBe('directory');
+      expect(backupManager.openBackup(name).entries.map(entry => entry.path).sort())
+        .toEqual(['credentials/creds.json', 'openclaw.json']);
+
+      const file = join(dir, 'moved.tar.gz');
+      expect(backupManager.exportBackup(name, file).files).toBe(2);
+      expect(readArchive(file).map(entry => entry.path)).toContain('credentials/creds.json');
+      expect(() => backupManager.exportBackup(name, join(dir, 'moved.zip'))).toThrow(/must end in/);
+    } finally {
+      rmSync(legacy, { recursive: true, force: true });
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('encrypts the files but keeps the manifest readable', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'easyset-encrypted-'));
+    const keyFile = join(dir, 'backup.key');
+    const result = backupManager.createBackup('encrypted-test', { encrypt: { keyFile } });
+    try {
+      expect(result.success).toBe(true);
+      expect(existsSync(keyFile)).toBe(true);
+
+      const meta = backupManager.readBackupMeta(result.name);
+      expect(meta.encryption).toMatchObject({ cipher: 'aes-256-gcm', kdf: 'keyfile' });
+      expect(readArchive(result.path).map(entry => entry.path)).toEqual(['.backup-meta.json', 'payload.tar.enc']);
+
+      expect(backupManager.openBackup(result.name, { keyFile }).entries.map(entry => entry.path)).toContain('openclaw.json');
+      expect(() => backupManager.openBackup(result.name)).toThrow(/--key-file/);
+      expect(backupManager.listBackups().find(backup => backup.name === result.name).encrypted).toBe(true);
+    } finally {
+      rmSync(result.path, { force: true });
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('pinned backups survive pruning', () => {
+    const pinned = backupManager.createBackup('pin-test');
+    const other = backupManager.createBackup('prune-test');
+    try {
+      expect(backupManager.setPinned(pinned.name, true)).toBe(true);
+      expect(backupManager.setPinned(pinned.name, true)).toBe(false);
+
+      const policy = { keepLast: 0, keepDaily: 0, keepWeekly: 0, keepMonthly: 0 };
+      const { deleted } = backupManager.pruneBackups({ dryRun: true, policy });
+      expect(deleted).toContain(other.name);
+      expect(deleted).not.toContain(pinned.name);
+      expect(existsSync(other.path)).toBe(true);
+    } finally {
+      backupManager.setPinned(pinned.name, false);
+      rmSync(pinned.path, { force: true });
+      rmSync(other.path, { force: true });
+    }
+  });
+
+  test('records checksums and refuses to restore a damaged backup', () => {
+    const result = backupManager.createBackup('verify-test', { store: 'archive' });
+    try {
+      const meta = backupManager.readBackupMeta(result.name);
+      expect(meta.manifest.every(file => /^[0-9a-f]{64}$/.test(file.sha256) && file.size >= 0)).toBe(true);
+      expect(backupManager.verifyBackup(result.name).status).toBe('ok');
+
+      // Same size, different content
+      const entries = readArchive(result.path).map(entry => (entry.path === 'openclaw.json'
+        ? { ...entry, data: Buffer.alloc(entry.data.length, 0x20) }
+        : entry));
+      writeArchive(result.path, entries);
+
+      const verified = backupManager.verifyBackup(result.name);
+      expect(verified.status).toBe('failed');
+      expect(verified.problems).toEqual([{ path: 'openclaw.json', problem: 'checksum mismatch' }]);
+
+      const restored = backupManager.restoreBackup(result.name);
+      expect(restored.success).toBe(false);
+      expect(restored.error).toMatch(/failed verification.*--force/);
+    } finally {
+      rmSync(result.path, { force: true });
+    }
+  });
+
+  test('plans selective and merging restores', () => {
+    const home = mkdtempSync(join(tmpdir(), 'easyset-restore-'));
+    try {
+      writeFileSync(join(home, 'openclaw.json'), JSON.stringify({ gateway: { port: 19000 }, channels: { slack: {} } }));
+      const backup = {
+        entries: [
+          { path: 'openclaw.json', data: Buffer.from(JSON.stringify({ gateway: { port: 18789 }, channels: { telegram: {} } })), mode: 0o600 },
+          { path: 'cron/jobs.json', data: Buffer.from('{"jobs":[]}'), mode: 0o644 },
+          { path: 'credentials/creds.json', data: Buffer.from('{}'), mode: 0o600 },
+          { path: '../outside.json', data: Buffer.from('{}'), mode: 0o644 },
+        ],
+      };
+      const instance = { home };
+
+      const all = backupManager.planRestore(backup, instance);
+      expect(all.map(file => [file.path, file.action])).toEqual([
+        ['openclaw.json', 'overwrite'],
+        ['cron/jobs.json', 'create'],
+        ['credentials/creds.json', 'create'],
+      ]);
+
+      const selected = backupManager.planRestore(backup, instance, { only: ['openclaw.json', 'credentials'], exclude: ['credentials/creds.json'] });
+      expect(selected.map(file => file.path)).toEqual(['openclaw.json']);
+
+      const merged = backupManager.planRestore(backup, instance, { merge: ['channels.*'] });
+      expect(merged.map(file => file.path)).toEqual(['openclaw.json']);
+      expect(JSON.parse(merged[0].text)).toEqual({ gateway: { port: 19000 }, channels: { telegram: {} } });
+      expect(merged[0].merged).toEqual(['channels']);
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  test('merged restores keep the current key layout and must validate', () => {
+    const home = mkdtempSync(join(tmpdir(), 'easyset-restore-'));
+    try {
+      writeFileSync(join(home, 'openclaw.json'), JSON.stringify({ channels: { telegram: { dmPolicy: 'pairing' } } }));
+      const backup = {
+        entries: [
+          {
+            path: 'openclaw.json',
+            data: Buffer.from(JSON.stringify({ gateway: { port: 'none' }, channels: { slack: { dm: { policy: 'open' } } } })),
+            mode: 0o600,
+          },
+        ],
+      };
+
+      const [merged] = backupManager.planRestore(backup, { home }, { merge: ['channels.slack'] });
+      expect(JSON.parse(merged.text)).toEqual({ channels: { telegram: { dmPolicy: 'pairing' }, slack: { dmPolicy: 'open' } } });
+
+      expect(() => backupManager.planRestore(backup, { home }, { merge: ['gateway'] })).toThrow(/schema validation/);
+      const [forced] = backupManager.planRestore(backup, { home }, { merge: ['gateway'], force: true });
+      expect(JSON.parse(forced.text).gateway).toEqual({ port: 'none' });
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  test('dry-run restores mask .env and credential values', async () => {
+    const { default: changePreview } = await import('../src/core/change-preview.js');
+    const home = mkdtempSync(join(tmpdir(), 'easyset-restore-'));
+    try {
+      writeFileSync(join(home, '.env'), 'OPENAI_API_KEY=sk-live-current\n');
+      const backup = {
+        entries: [
+          { path: '.env', data: Buffer.from('OPENAI_API_KEY=sk-live-old\nTELEGRAM_BOT_TOKEN=123:secret\n'), mode: 0o600 },
+          { path: 'credentials/creds.json', data: Buffer.from('{"token":"tok-secret"}'), mode: 0o600 },
+          { path: 'cron/jobs.json', data: Buffer.from('{"jobs":[]}'), mode: 0o644 },
+        ],
+      };
+
+      const files = backupManager.planRestore(backup, { home });
+      backupManager.previewRestore(files);
+      const staged = JSON.stringify(changePreview.toJson());
+      changePreview.reset();
+
+      expect(staged).toContain('jobs');
+      expect(staged).not.toMatch(/sk-live|123:secret|tok-secret/);
+      expect(files[0].masked).toEqual([
+        { op: 'replace', path: 'OPENAI_API_KEY', from: '********', to: '********' },
+        { op: 'add', path: 'TELEGRAM_BOT_TOKEN', to: '********' },
+      ]);
+      expect(JSON.stringify(files[1].masked)).not.toContain('tok-secret');
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  test('collects the selected scopes, honours .easysetignore and snapshots SQLite', () => {
+    const home = mkdtempSync(join(tmpdir(), 'easyset-scopes-'));
+    try {
+      for (const [path, text] of Object.entries({
+        'openclaw.json': '{}',
+        'settings/voice.json': '{}',
+        'credentials/telegram.json': '{}',
+        'workspace/IDENTITY.md': '# me',
+        'workspace/skills/web/SKILL.md': '# web',
+        'workspace/skills/web/node_modules/x.js': '',
+        'workspace/scratch/tmp.txt': '',
+        '.easysetignore': '# scratch space\nworkspace/scratch/\n',
+      })) {
+        mkdirSync(join(home, dirname(path)), { recursive: true });
+        writeFileSync(join(home, path), text);
+      }
+      const sqlite = spawnSync('sqlite3', [join(home, 'memory', 'main.sqlite'), 'CREATE TABLE m (v TEXT); INSERT INTO m VALUES (1);']);
+      const instance = { home };
+
+      expect(backupManager.collectFiles(instance, ['config', 'workspace']).map(entry => entry.path)).toEqual([
+        'openclaw.json',
+        '.easysetignore',
+        'settings/voice.json',
+        'workspace/IDENTITY.md',
+        'workspace/skills/web/SKILL.md',
+      ]);
+
+      if (sqlite.status === 0) {
+        const memory = backupManager.collectFiles(instance, ['memory']);
+        expect(memory.map(entry => entry.path)).toEqual(['memory/main.sqlite']);
+        expect(memory[0].data.subarray(0, 15).toString()).toBe('SQLite format 3');
+      }
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  test('snapshots share unchanged chunks and damaged chunks fail verification', () => {
+    const first = backupManager.createBackup('snapshot-a', { store: 'chunks' });
+    const second = backupManager.createBackup('snapshot-b', { store: 'chunks' });
+    try {
+      expect(first.path.endsWith('.snapshot.json')).toBe(true);
+      expect(second.newBytes).toBe(0);
+
+      const opened = backupManager.openBackup(second.name);
+      expect(opened.kind).toBe('snapshot');
+      expect(opened.entries.find(entry => entry.path === 'openclaw.json').data).toEqual(readFileSync(openclawConfig));
+      expect(backupManager.listBackups().find(backup => backup.name === second.name).kind).toBe('snapshot');
+      expect(backupManager.verifyBackup(second.name).status).toBe('ok');
+
+      const stats = backupManager.backupStats();
+      const stored = stats.backups.filter(backup => [first.name, second.name].includes(backup.name));
+      expect(stored.map(backup => backup.storedSize < backup.logicalSize + 4096)).toEqual([true, true]);
+
+      const meta = JSON.parse(readFileSync(second.path, 'utf-8'));
+      const hash = meta.manifest.find(file => file.path === 'openclaw.json').chunks[0];
+      const chunk = join(backupManager.storeDir, 'chunks', hash.slice(0, 2), hash);
+      const original = readFileSync(chunk);
+      writeFileSync(chunk, gzipSync('tampered'));
+      try {
+        const verified = backupManager.verifyBackup(second.name);
+        expect(verified.status).toBe('failed');
+        expect(verified.problems[0]).toEqual({ path: 'openclaw.json', problem: `chunk ${hash.slice(0, 12)} corrupt` });
+      } finally {
+        writeFileSync(chunk, original);
+      }
+    } finally {
+      rmSync(first.path, { force: true });
+      rmSync(second.path, { force: true });
+      backupManager.collectGarbage();
+    }
+  });
+
+  test('a forced restore of a snapshot with a missing chunk restores the intact files', async () => {
+    const { default: instances } = await import('../src/core/instances.js');
+    const home = mkdtempSync(join(tmpdir(), 'easyset-snapshot-'));
+    const saved = process.env.OPENCLAW_HOME;
+    process.env.OPENCLAW_HOME = home;
+    const { stateDir } = instances.current();
+    try {
+      mkdirSync(join(home, 'cron'));
+      writeFileSync(join(home, 'openclaw.json'), '{"gateway":{"port":18789}}');
+      writeFileSync(join(home, 'cron', 'jobs.json'), '{"jobs":[]}');
+      const snapshot = backupManager.createBackup('chunk-lost', { store: 'chunks' });
+
+      const meta = JSON.parse(readFileSync(snapshot.path, 'utf-8'));
+      const hash = meta.manifest.find(file => file.path === 'cron/jobs.json').chunks[0];
+      rmSync(join(backupManager.storeDir, 'chunks', hash.slice(0, 2), hash));
+      writeFileSync(join(home, 'openclaw.json'), '{"gateway":{"port":19000}}');
+      writeFileSync(join(home, 'cron', 'jobs.json'), '{"jobs":[1]}');
+
+      const refused = backupManager.restoreBackup(snapshot.name, { safetyBackup: false });
+      expect(refused.success).toBe(false);
+      expect(refused.error).toMatch(/cron\/jobs\.json: chunk .* missing.*--force/);
+      expect(backupManager.verifyBackup(snapshot.name).problems).toEqual([
+        { path: 'cron/jobs.json', problem: `chunk ${hash.slice(0, 12)} missing` },
+      ]);
+
+      const forced = backupManager.restoreBackup(snapshot.name, { safetyBackup: false, force: true });
+      expect(forced.success).toBe(true);
+      expect(readFileSync(join(home, 'openclaw.json'), 'utf-8')).toBe('{"gateway":{"port":18789}}');
+      expect(readFileSync(join(home, 'cron', 'jobs.json'), 'utf-8')).toBe('{"jobs":[1]}');
+    } finally {
+      if (saved === undefined) {
+        delete process.env.OPENCLAW_HOME;
+      } else {
+        process.env.OPENCLAW_HOME = saved;
+      }
+      rmSync(home, { recursive: true, force: true });
+      rmSync(stateDir, { recursive: true, force: true });
+    }
+  });
+
+  test('garbage collection keeps the chunks of remaining snapshots', () => {
+    const kept = backupManager.createBackup('gc-kept', { store: 'chunks' });
+    const dropped = backupManager.createBackup('gc-dropped', { store: 'chunks' });
+    try {
+      rmSync(dropped.path);
+      backupManager.collectGarbage();
+      expect(backupManager.verifyBackup(kept.name).status).toBe('ok');
+
+      rmSync(kept.path);
+      backupManager.collectGarbage();
+      expect(backupManager.backupStats().chunks.unreferenced).toBe(0);
+    } finally {
+      rmSync(kept.path, { force: true });
+      rmSync(dropped.path, { force: true });
+    }
+  });
+
+  test('imports an exported archive under its file name', () => {
+    const created = backupManager.createBackup('import-test');
+    const dir = mkdtempSync(join(tmpdir(), 'easyset-import-'));
+    let imported;
+    try {
+      const file = join(dir, 'from-laptop.tar.gz');
+      backupManager.exportBackup(created.name, file);
+
+      imported = backupManager.importBackup(file);
+      expect(imported.name).toBe('from-laptop');
+      expect(readFileSync(imported.path)).toEqual(readFileSync(file));
+      expect(backupManager.openBackup('from-laptop').meta.label).toBe('import-test');
+      expect(() => backupManager.importBackup(file)).toThrow(/already exists/);
+    } finally {
+      rmSync(created.path, { force: true });
+      if (imported) rmSync(imported.path, { force: true });
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
 });
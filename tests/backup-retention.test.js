@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import { planRetention, backupDate } from '../src/core/backup-retention.js';
+
+/** One backup per hour, newest first, starting at `start` (local time) */
+function hourlyBackups(count, start = new Date(2026, 2, 31, 23, 0, 0)) {
+  return Array.from({ length: count }, (_, i) => {
+    const created = new Date(start.getTime() - i * 60 * 60 * 1000);
+    return { name: `backup-${i}`, created: created.toISOString(), label: null };
+  });
+}
+
+function kept(decisions) {
+  return decisions.filter(decision => decision.keep).map(decision => decision.backup.name);
+}
+
+describe('backup retention', () => {
+  test('keeps the newest N', () => {
+    const decisions = planRetention(hourlyBackups(5), { keepLast: 2 });
+
+    expect(kept(decisions)).toEqual(['backup-0', 'backup-1']);
+    expect(decisions[0].reasons).toEqual(['last']);
+  });
+
+  test('keeps the newest backup of each day, week and month', () => {
+    // 24 backups a day for 70 days
+    const backups = hourlyBackups(24 * 70);
+    const decisions = planRetention(backups, { keepLast: 1, keepDaily: 3, keepWeekly: 2, keepMonthly: 3 });
+    const names = kept(decisions);
+
+    expect(names).toContain('backup-0');
+    expect(names).toContain('backup-24');
+    expect(names).toContain('backup-48');
+    expect(names.length).toBeLessThanOrEqual(1 + 3 + 2 + 3);
+    expect(decisions[0].reasons).toEqual(['last', 'daily', 'weekly', 'monthly']);
+    // The newest backup of February (the previous month) is the last one of Feb 28
+    const february = decisions.find(decision => decision.reasons.includes('monthly') && decision.backup.name !== 'backup-0');
+    expect(new Date(february.backup.created).getMonth()).toBe(1);
+    expect(new Date(february.backup.created).getDate()).toBe(28);
+  });
+
+  test('never prunes pinned, protected or undated backups', () => {
+    const backups = hourlyBackups(4);
+    backups[2].pinned = true;
+    backups[3].label = 'pre-restore';
+    backups.push({ name: 'my-backup', created: null, label: null });
+
+    const decisions = planRetention(backups, { keepLast: 1 });
+
+    expect(kept(decisions).sort()).toEqual(['backup-0', 'backup-2', 'backup-3', 'my-backup']);
+    expect(decisions.find(d => d.backup.name === 'backup-2').reasons).toEqual(['pinned']);
+    expect(decisions.find(d => d.backup.name === 'backup-3').reasons).toEqual(['protected']);
+    expect(decisions.find(d => d.backup.name === 'my-backup').reasons).toEqual(['undated']);
+  });
+
+  test('dates legacy backups by their name', () => {
+    expect(backupDate({ name: '2026-01-02T03-04-05_stable', created: null }).toISOString())
+      .toBe('2026-01-02T03:04:05.000Z');
+    expect(backupDate({ name: 'whatever', created: null })).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseSchedule, describeSchedule, nextRun, summarizeRuns, ScheduleError,
+} from '../src/core/backup-schedule.js';
+import serviceManager from '../src/services/service-manager.js';
+
+describe('backup schedule', () => {
+  test('parses --every and --at', () => {
+    expect(parseSchedule()).toEqual({ every: 'daily', hour: 3, minute: 0 });
+    expect(parseSchedule('daily', '23:45')).toEqual({ every: 'daily', hour: 23, minute: 45 });
+    expect(parseSchedule('hourly', ':15')).toEqual({ every: 'hourly', minute: 15 });
+    expect(parseSchedule('weekly', 'Monday 04:30')).toEqual({ every: 'weekly', hour: 4, minute: 30, weekday: 1 });
+    expect(parseSchedule('weekly')).toEqual({ every: 'weekly', hour: 3, minute: 0, weekday: 0 });
+
+    expect(() => parseSchedule('monthly')).toThrow(ScheduleError);
+    expect(() => parseSchedule('daily', '25:00')).toThrow(/Invalid time/);
+    expect(() => parseSchedule('daily', ':30')).toThrow(/Invalid time/);
+    expect(() => parseSchedule('daily', 'mon 03:00')).toThrow(/only applies to weekly/);
+    expect(() => parseSchedule('weekly', 'someday 03:00')).toThrow(/Unknown day/);
+  });
+
+  test('computes the next run in local time', () => {
+    const from = new Date(2026, 9, 19, 10, 30); // Monday
+    expect(nextRun({ every: 'hourly', minute: 15 }, from)).toEqual(new Date(2026, 9, 19, 11, 15));
+    expect(nextRun({ every: 'hourly', minute: 45 }, from)).toEqual(new Date(2026, 9, 19, 10, 45));
+    expect(nextRun({ every: 'daily', hour: 3, minute: 0 }, from)).toEqual(new Date(2026, 9, 20, 3, 0));
+    expect(nextRun({ every: 'daily', hour: 12, minute: 0 }, from)).toEqual(new Date(2026, 9, 19, 12, 0));
+    expect(nextRun({ every: 'weekly', hour: 3, minute: 0, weekday: 3 }, from)).toEqual(new Date(2026, 9, 21, 3, 0));
+    expect(nextRun({ every: 'weekly', hour: 9, minute: 0, weekday: 1 }, from)).toEqual(new Date(2026, 9, 26, 9, 0));
+    expect(describeSchedule({ every: 'weekly', hour: 9, minute: 5, weekday: 1 })).toBe('weekly on mon at 09:05');
+  });
+
+  test('summarizes the run history', () => {
+    const runs = [
+      { startedAt: '1', ok: false, error: 'disk full' },
+      { startedAt: '2', ok: true, backup: 'b2' },
+      { startedAt: '3', ok: false, error: 'a' },
+      { startedAt: '4', ok: false, error: 'b' },
+    ];
+    const summary = summarizeRuns(runs);
+
+    expect(summary.lastRun.startedAt).toBe('4');
+    expect(summary.lastSuccess.backup).toBe('b2');
+    expect(summary.consecutiveFailures).toBe(2);
+    expect(summary.failures).toHaveLength(3);
+    expect(summarizeRuns([])).toEqual({
+      lastRun: null, lastSuccess: null, consecutiveFailures: 0, failures: [],
+    });
+  });
+
+  test('service generators emit calendar triggers', () => {
+    const schedule = { every: 'weekly', hour: 4, minute: 30, weekday: 1 };
+    const argv = ['/usr/bin/node', '/opt/easy set/index.js', 'backup', 'schedule', 'run'];
+
+    const timer = serviceManager.generateLinuxSystemdTimer({ description: 'Backup', unit: 'openclaw-easyset-backup', schedule });
+    expect(timer).toContain('OnCalendar=Mon *-*-* 04:30:00');
+    expect(timer).toContain('Unit=openclaw-easyset-backup.service');
+    expect(serviceManager.generateLinuxSystemdTimer({ description: 'Backup', unit: 'x', schedule: { every: 'hourly', minute: 5 } }))
+      .toContain('OnCalendar=*-*-* *:05:00');
+
+    const unit = serviceManager.generateLinuxSystemdService({ description: 'Backup', argv, oneshot: true });
+    expect(unit).toContain('Type=oneshot');
+    expect(unit).toContain('ExecStart=/usr/bin/node "/opt/easy set/index.js" backup schedule run');
+    expect(unit).not.toContain('Restart=');
+    expect(unit).not.toContain('[Install]');
+
+    const plist = serviceManager.generateMacOSPlist({ label: 'ai.openclaw.easyset.backup', argv, schedule });
+    expect(plist).toMatch(/<key>StartCalendarInterval<\/key>\s*<dict>\s*<key>Weekday<\/key>\s*<integer>1<\/integer>\s*<key>Hour<\/key>\s*<integer>4<\/integer>/);
+    expect(plist).toContain('<string>/opt/easy set/index.js</string>');
+    expect(plist).not.toContain('KeepAlive');
+
+    const xml = serviceManager.generateWindowsTaskXml({ description: 'Backup', uri: 'Backup', argv, schedule });
+    expect(xml).toContain('<StartBoundary>2026-01-01T04:30:00</StartBoundary>');
+    expect(xml).toMatch(/<ScheduleByWeek>\s*<DaysOfWeek>\s*<Monday \/>/);
+    expect(xml).not.toContain('LogonTrigger');
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  resolveScopes, scopeOf, compileIgnore, DEFAULT_BACKUP_SCOPES,
+} from '../src/core/backup-scopes.js';
+
+describe('backup scopes', () => {
+  test('expands full and keeps a canonical order', () => {
+    expect(resolveScopes()).toEqual(DEFAULT_BACKUP_SCOPES);
+    expect(resolveScopes('workspace, config')).toEqual(['config', 'workspace']);
+    expect(resolveScopes(['full'])).toEqual(['config', 'credentials', 'memory', 'workspace']);
+    expect(() => resolveScopes('config,photos')).toThrow(/Unknown backup scope: photos/);
+  });
+
+  test('classifies paths', () => {
+    expect(scopeOf('openclaw.json')).toBe('config');
+    expect(scopeOf('settings/tts.json')).toBe('config');
+    expect(scopeOf('credentials/telegram.json')).toBe('credentials');
+    expect(scopeOf('memory/main.sqlite')).toBe('memory');
+    expect(scopeOf('workspace/skills/web/SKILL.md')).toBe('workspace');
+  });
+
+  test('matches gitignore-style rules', () => {
+    const ignored = compileIgnore([
+      '# comment',
+      '*.log',
+      'cache/',
+      '/workspace/tmp',
+      'workspace/**/drafts/*.md',
+      '!keep.log',
+    ]);
+
+    expect(ignored('logs/gateway.log')).toBe(true);
+    expect(ignored('workspace/keep.log')).toBe(false);
+    expect(ignored('workspace/skills/x/cache/data.json')).toBe(true);
+    expect(ignored('workspace/cache')).toBe(false);
+    expect(ignored('workspace/tmp/a.txt')).toBe(true);
+    expect(ignored('memory/workspace/tmp')).toBe(false);
+    expect(ignored('workspace/drafts/a.md')).toBe(true);
+    expect(ignored('workspace/a/b/drafts/c.md')).toBe(true);
+    expect(ignored('workspace/IDENTITY.md')).toBe(false);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test, expect } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CheckMonitor, MonitorError, parseInterval } from '../src/core/check-monitor.js';
+
+function withTempDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'easyset-monitor-'));
+  return Promise.resolve(fn(dir)).finally(() => rmSync(dir, { recursive: true, force: true }));
+}
+
+const gateway = status => ({
+  check: 'services.gateway', name: 'Gateway Service', category: 'services', status, message: `gateway ${status}`,
+});
+
+function run(monitor, statuses) {
+  return statuses.map(status => monitor.observe([gateway(status)], ['services.gateway']));
+}
+
+describe('check monitor', () => {
+  test('parses intervals', () => {
+    expect(parseInterval('60s')).toBe(60000);
+    expect(parseInterval('5m')).toBe(300000);
+    expect(parseInterval('1h')).toBe(3600000);
+    expect(parseInterval('90')).toBe(90000);
+    expect(() => parseInterval('1s')).toThrow(MonitorError);
+    expect(() => parseInterval('soon')).toThrow('Invalid interval');
+  });
+
+  test('alerts on confirmed transitions only, after a silent baseline', () => withTempDir((dir) => {
+    const monitor = new CheckMonitor({ file: join(dir, 'watch.json'), confirmRuns: 2 });
+    const events = run(monitor, ['fail', 'fail', 'pass', 'fail', 'pass', 'pass', 'pass']);
+
+    // The failing baseline and the one-run blip do not alert
+    expect(events.slice(0, 5).flat()).toEqual([]);
+    expect(events[5]).toEqual([expect.objectContaining({
+      kind: 'transition', check: 'services.gateway', from: 'fail', to: 'pass', message: 'gateway pass',
+    })]);
+    expect(events[6]).toEqual([]);
+  }));
+
+  test('keeps state across restarts', () => withTempDir((dir) => {
+    const file = join(dir, 'watch.json');
+    run(new CheckMonitor({ file, confirmRuns: 1 }), ['pass']);
+
+    const restarted = new CheckMonitor({ file, confirmRuns: 1 });
+    expect(run(restarted, ['fail'])[0]).toEqual([expect.objectContaining({ from: 'pass', to: 'fail' })]);
+    expect(restarted.problems()).toEqual([expect.objectContaining({ check: 'services.gateway', status: 'fail' })]);
+  }));
+
+  test('suppresses flapping results until they settle', () => withTempDir((dir) => {
+    const monitor = new CheckMonitor({
+      file: join(dir, 'watch.json'), confirmRuns: 1, flapThreshold: 3, flapWindow: 6,
+    });
+    const events = run(monitor, ['pass', 'fail', 'pass', 'fail', 'pass', 'fail', 'fail', 'fail']);
+
+    expect(events[1]).toEqual([expect.objectContaining({ kind: 'transition', to: 'fail' })]);
+    expect(events[2]).toEqual([expect.objectContaining({ kind: 'transition', to: 'pass' })]);
+    expect(events[3]).toEqual([expect.objectContaining({ kind: 'flapping', changes: 3 })]);
+    expect(events.slice(4, 7).flat()).toEqual([]);
+    expect(events[7]).toEqual([expect.objectContaining({ kind: 'settled', from: 'pass', to: 'fail' })]);
+  }));
+
+  test('treats results that disappear from a check that ran as passing', () => withTempDir((dir) => {
+    const monitor = new CheckMonitor({ file: join(dir, 'watch.json'), confirmRuns: 1 });
+    monitor.observe([gateway('pass')], ['services.gateway']);
+    expect(monitor.observe([gateway('fail')], ['services.gateway'])).toHaveLength(1);
+
+    // Skipped (not run): no news
+    expect(monitor.observe([], [])).toEqual([]);
+    expect(monitor.observe([], ['services.gateway'])).toEqual([expect.objectContaining({
+      from: 'fail', to: 'pass', message: 'No longer reported',
+    })]);
+  }));
+
+  test('starts results first seen after the baseline as passing', () => withTempDir((dir) => {
+    const monitor = new CheckMonitor({ file: join(dir, 'watch.json'), confirmRuns: 1 });
+    monitor.observe([gateway('pass')], ['services.gateway']);
+    const disk = {
+      check: 'storage.disk', name: 'Disk Space', category: 'storage', status: 'warn', message: '95% used',
+    };
+    expect(monitor.observe([gateway('pass'), disk], ['services.gateway', 'storage.disk'])).toEqual([
+      expect.objectContaining({ check: 'storage.disk', from: 'pass', to: 'warn' }),
+    ]);
+  }));
+});
@@ -0,0 +1,114 @@
+import { describe, test, expect } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { CheckRegistry, CheckDefinitionError } from '../src/core/check-registry.js';
+
+function registryWith(...checks) {
+  const registry = new CheckRegistry();
+  for (const check of checks) {
+    registry.register({ category: 'test', run: ctx => ctx.pass(check.id, 'ok'), ...check });
+  }
+  return registry;
+}
+
+const ids = checks => checks.map(check => check.id);
+
+describe('CheckRegistry', () => {
+  test('rejects invalid and duplicate definitions', () => {
+    const registry = registryWith({ id: 'a' });
+
+    expect(() => registry.register({ id: 'a', category: 'test', run() {} })).toThrow(/already exists/);
+    expect(() => registry.register({ id: 'Bad Id', category: 'test', run() {} })).toThrow(CheckDefinitionError);
+    expect(() => registry.register({ id: 'b', category: 'test' })).toThrow(/run\(\) function/);
+    expect(() => registry.register({ id: 'c', category: 'test', run() {}, platforms: ['beos'] })).toThrow(/platforms/);
+    expect(() => registry.register({ id: 'd', category: 'test', run() {}, fixer: 'chmod 600' })).toThrow(/fixer of check d must be a function/);
+  });
+
+  test('selects by id, category and platform, pulling in dependencies', () => {
+    const registry = registryWith(
+      { id: 'config.file' },
+      { id: 'config.schema', dependsOn: ['config.file'] },
+      { id: 'security.perms', category: 'security', dependsOn: ['config.file'], platforms: ['linux', 'darwin'] },
+      { id: 'tools.node', category: 'tools' },
+    );
+
+    expect(ids(registry.select())).toEqual(['config.file', 'config.schema', 'security.perms', 'tools.node']);
+    expect(ids(registry.select({ only: ['security.perms'] }))).toEqual(['config.file', 'security.perms']);
+    expect(ids(registry.select({ category: ['tools', 'security'] }))).toEqual(['config.file', 'security.perms', 'tools.node']);
+    expect(ids(registry.select({ skip: ['config.file'] }))).toEqual(['tools.node']);
+    expect(ids(registry.select({ platform: 'win32' }))).toEqual(['config.file', 'config.schema', 'tools.node']);
+    expect(() => registry.select({ only: ['nope'] })).toThrow(/Unknown check "nope"/);
+
+    const cyclic = registryWith({ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] });
+    expect(() => cyclic.select()).toThrow(/depend on each other/);
+  });
+
+  test('reports checks that depend on unknown ids', () => {
+    const registry = registryWith({ id: 'config.file' }, { id: 'site.nas', dependsOn: ['config.file', 'storage.workspce'] });
+
+    expect(ids(registry.select())).toEqual(['config.file']);
+    expect(registry.unresolvedDependencies()).toEqual([{ id: 'site.nas', source: 'built-in', missing: ['storage.workspce'] }]);
+  });
+
+  test('runs independent checks in parallel and skips dependents of failures', async () => {
+    const events = [];
+    const slow = (id, status = 'pass') => ({
+      id,
+      async run(ctx) {
+        events.push(`start ${id}`);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        events.push(`end ${id}`);
+        ctx[status](id, status);
+      },
+    });
+    const registry = registryWith(
+      slow('a'),
+      slow('b', 'fail'),
+      { ...slow('after-a'), dependsOn: ['a'] },
+      { ...slow('after-b'), dependsOn: ['b'] },
+      { id: 'broken', run() { throw new Error('boom'); } },
+    );
+
+    const results = await registry.run(registry.select(), {});
+
+    expect(events.slice(0, 2)).toEqual(['start a', 'start b']);
+    expect(events.indexOf('start after-a')).toBeGreaterThan(events.indexOf('end a'));
+    expect(events).not.toContain('start after-b');
+    expect(results.map(result => [result.check, result.status])).toEqual([
+      ['a', 'pass'], ['b', 'fail'], ['after-a', 'pass'], ['broken', 'fail'],
+    ]);
+    expect(results[3].message).toBe('Check failed to run: boom');
+    expect(results[0]).toEqual({
+      check: 'a', name: 'a', category: 'test', status: 'pass', message: 'pass', fix: null,
+    });
+  });
+
+  test('loads checks from a directory and reports broken modules', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'easyset-checks-'));
+    try {
+      writeFileSync(join(dir, 'site.mjs'), `export default [
+        { id: 'site.one', category: 'site', run: ctx => ctx.warn('One', 'not yet', 'do it') },
+        { id: 'site.two', category: 'site', dependsOn: ['site.one'], run: ctx => ctx.pass('Two', 'ok') },
+      ];\n`);
+      writeFileSync(join(dir, 'broken.mjs'), 'export default { id: "broken" };\n');
+      writeFileSync(join(dir, 'notes.txt'), 'ignored');
+
+      const registry = new CheckRegistry();
+      const { loaded, errors } = await registry.loadDirectory(dir);
+
+      expect(loaded).toEqual(['site.one', 'site.two']);
+      expect(errors).toHaveLength(1);
+      expect(errors[0].message).toMatch(/broken.mjs: check broken needs a category/);
+      expect(registry.get('site.one').source).toBe('site.mjs');
+
+      const results = await registry.run(registry.select({ only: ['site.two'] }), {});
+      expect(results.map(result => [result.name, result.status, result.fix?.description ?? null])).toEqual([
+        ['One', 'warn', 'do it'], ['Two', 'pass', null],
+      ]);
+      expect(results[0].fix.kind).toBe('manual');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  CHUNK_SIZE, putChunks, getChunks, listChunks, collectGarbage, chunkPath, ChunkError,
+} from '../src/core/chunk-store.js';
+
+describe('chunk store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-chunks-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('splits, deduplicates and reassembles content', () => {
+    const data = Buffer.concat([Buffer.alloc(CHUNK_SIZE, 1), Buffer.alloc(CHUNK_SIZE, 2), Buffer.from('tail')]);
+    const first = putChunks(dir, data, 'gzip');
+    expect(first.chunks).toHaveLength(3);
+    expect(first.written).toBe(3);
+
+    // Only the changed last chunk is new
+    const changed = Buffer.concat([data.subarray(0, 2 * CHUNK_SIZE), Buffer.from('new tail')]);
+    const second = putChunks(dir, changed, 'gzip');
+    expect(second.written).toBe(1);
+    expect(second.chunks.slice(0, 2)).toEqual(first.chunks.slice(0, 2));
+
+    expect(getChunks(dir, first.chunks)).toEqual(data);
+    expect(getChunks(dir, second.chunks)).toEqual(changed);
+    expect(getChunks(dir, putChunks(dir, Buffer.alloc(0), 'gzip').chunks)).toEqual(Buffer.alloc(0));
+    expect(listChunks(dir).size).toBe(5);
+  });
+
+  test('detects missing and corrupt chunks', () => {
+    const { chunks: [hash] } = putChunks(dir, Buffer.from('hello'), 'gzip');
+    writeFileSync(chunkPath(dir, hash), Buffer.from('not gzip'));
+    expect(() => getChunks(dir, [hash])).toThrow(ChunkError);
+    expect(() => getChunks(dir, ['0'.repeat(64)])).toThrow(/missing/);
+  });
+
+  test('collects unreferenced chunks', () => {
+    const keep = putChunks(dir, Buffer.from('keep'), 'gzip').chunks;
+    putChunks(dir, Buffer.from('drop'), 'gzip');
+
+    expect(collectGarbage(dir, new Set(keep), { dryRun: true }).deleted).toBe(1);
+    expect(listChunks(dir).size).toBe(2);
+
+    const result = collectGarbage(dir, new Set(keep));
+    expect(result.deleted).toBe(1);
+    expect(result.freedBytes).toBeGreaterThan(0);
+    expect([...listChunks(dir).keys()]).toEqual(keep);
+  });
+});
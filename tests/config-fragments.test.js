@@ -0,0 +1,181 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  listFragments,
+  loadFragments,
+  parseFragment,
+  mergeConfigSources,
+  explainPath,
+  loadEffectiveConfig,
+  saveRendered,
+  FragmentError,
+} from '../src/core/config-fragments.js';
+
+describe('config fragments', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-fragments-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists fragments in lexical order and skips other files', () => {
+    for (const name of ['20-b.yaml', '10-a.json5', '.hidden.json', 'notes.txt', '30-c.yml']) {
+      writeFileSync(join(dir, name), '{}');
+    }
+
+    expect(listFragments(dir).map(file => file.slice(dir.length + 1)))
+      .toEqual(['10-a.json5', '20-b.yaml', '30-c.yml']);
+    expect(listFragments(join(dir, 'missing'))).toEqual([]);
+  });
+
+  test('parses JSON5 and YAML fragments', () => {
+    expect(parseFragment('a.json5', '{ gateway: { port: 19000 }, // note\n }')).toEqual({ gateway: { port: 19000 } });
+    expect(parseFragment('b.yaml', 'gateway:\n  mode: local\n')).toEqual({ gateway: { mode: 'local' } });
+    expect(parseFragment('c.yaml', '')).toEqual({});
+    expect(() => parseFragment('d.json5', '{ broken')).toThrow(FragmentError);
+    expect(() => parseFragment('e.yaml', '- a\n- b\n')).toThrow(/top level must be an object/);
+  });
+
+  test('merges in order and records which file set each key', () => {
+    writeFileSync(join(dir, '10-gateway.json5'), '{ gateway: { port: 19000, auth: { mode: "token" } } }');
+    writeFileSync(join(dir, '20-override.yaml'), 'gateway:\n  port: 19100\nplugins:\n  allow: [a, b]\n');
+
+    const { config, provenance } = mergeConfigSources([
+      { file: 'openclaw.json', config: { gateway: { mode: 'local', port: 18789 }, plugins: { allow: ['x'] } } },
+      ...loadFragments(dir),
+    ]);
+
+    expect(config).toEqual({
+      gateway: { mode: 'local', port: 19100, auth: { mode: 'token' } },
+      plugins: { allow: ['a', 'b'] },
+    });
+    expect(provenance).toEqual({
+      'gateway.mode': 'openclaw.json',
+      'gateway.port': join(dir, '20-override.yaml'),
+      'gateway.auth.mode': join(dir, '10-gateway.json5'),
+      'plugins.allow': join(dir, '20-override.yaml'),
+    });
+  });
+
+  test('a scalar replacing an object takes over everything below it', () => {
+    const { config, provenance } = mergeConfigSources([
+      { file: 'a', config: { tools: { web: { enabled: true } } } },
+      { file: 'b', config: { tools: false } },
+      { file: 'c', config: { agents: {} } },
+    ]);
+
+    expect(config).toEqual({ tools: false, agents: {} });
+    expect(provenance).toEqual({ tools: 'b', agents: 'c' });
+  });
+
+  test('an object replacing a scalar or an array does not merge into it', () => {
+    const { config, provenance } = mergeConfigSources([
+      { file: 'a', config: { agents: { defaults: { model: 'gpt-4o' } }, plugins: { allow: ['x', 'y'] } } },
+      { file: 'b', config: { agents: { defaults: { model: { primary: 'claude', fallbacks: ['x'] } } }, plugins: { allow: { only: 'z' } } } },
+    ]);
+
+    expect(config).toEqual({
+      agents: { defaults: { model: { primary: 'claude', fallbacks: ['x'] } } },
+      plugins: { allow: { only: 'z' } },
+    });
+    expect(provenance).toEqual({
+      'agents.defaults.model.primary': 'b',
+      'agents.defaults.model.fallbacks': 'b',
+      'plugins.allow.only': 'b',
+    });
+  });
+
+  test('explains a path and everything below it', () => {
+    const provenance = { 'gateway.port': 'a', 'gateway.auth.mode': 'b', 'gateways.x': 'c' };
+
+    expect(explainPath(provenance, 'gateway')).toEqual([
+      { path: 'gateway.port', file: 'a' },
+      { path: 'gateway.auth.mode', file: 'b' },
+    ]);
+    expect(explainPath(provenance, 'gateway.port')).toEqual([{ path: 'gateway.port', file: 'a' }]);
+    expect(explainPath(provenance, 'missing')).toEqual([]);
+  });
+
+  test('loads the effective config of the active instance', () => {
+    const saved = process.env.OPENCLAW_HOME;
+    process.env.OPENCLAW_HOME = dir;
+    try {
+      writeFileSync(join(dir, 'openclaw.json'), '{ "gateway": { "port": 18789 } }');
+      mkdirSync(join(dir, 'conf.d'));
+      writeFileSync(join(dir, 'conf.d', '50-port.json'), '{ "gateway": { "port": 19000 } }');
+
+      const effective = loadEffectiveConfig({ optional: false });
+      expect(effective.config.gateway.port).toBe(19000);
+      expect(effective.fragments).toEqual([join(dir, 'conf.d', '50-port.json')]);
+      expect(effective.provenance['gateway.port']).toBe(join(dir, 'conf.d', '50-port.json'));
+    } finally {
+      if (saved === undefined) {
+        delete process.env.OPENCLAW_HOME;
+      } else {
+        process.env.OPENCLAW_HOME = saved;
+      }
+    }
+  });
+
+  test('deleting a fragment after a render removes its keys', () => {
+    const saved = process.env.OPENCLAW_HOME;
+    process.env.OPENCLAW_HOME = dir;
+    const render = () => {
+      const effective = loadEffectiveConfig({ optional: false });
+      writeFileSync(join(dir, 'openclaw.json'), JSON.stringify(effective.config));
+      saveRendered(effective);
+    };
+    try {
+      writeFileSync(join(dir, 'openclaw.json'), '{ "gateway": { "port": 18789 } }');
+      mkdirSync(join(dir, 'conf.d'));
+      writeFileSync(join(dir, 'conf.d', '10-tools.json5'), '{ tools: { profile: "coding" }, gateway: { port: 19000 } }');
+      render();
+      expect(loadEffectiveConfig().config).toEqual({ gateway: { port: 19000 }, tools: { profile: 'coding' } });
+
+      rmSync(join(dir, 'conf.d', '10-tools.json5'));
+      const effective = loadEffectiveConfig();
+      expect(effective.config).toEqual({ gateway: { port: 18789 } });
+      expect(explainPath(effective.provenance, 'tools')).toEqual([]);
+
+      render();
+      expect(loadEffectiveConfig().config).toEqual({ gateway: { port: 18789 } });
+      expect(existsSync(join(dir, 'conf.d', '.rendered.json'))).toBe(false);
+    } finally {
+      if (saved === undefined) {
+        delete process.env.OPENCLAW_HOME;
+      } else {
+        process.env.OPENCLAW_HOME = saved;
+      }
+    }
+  });
+
+  test('keeps rendered keys that were edited in openclaw.json since', () => {
+    const saved = process.env.OPENCLAW_HOME;
+    process.env.OPENCLAW_HOME = dir;
+    try {
+      writeFileSync(join(dir, 'openclaw.json'), '{}');
+      mkdirSync(join(dir, 'conf.d'));
+      writeFileSync(join(dir, 'conf.d', '10-tools.json5'), '{ tools: { profile: "coding" } }');
+      const effective = loadEffectiveConfig({ optional: false });
+      saveRendered(effective);
+
+      writeFileSync(join(dir, 'openclaw.json'), '{ "tools": { "profile": "full" } }');
+      rmSync(join(dir, 'conf.d', '10-tools.json5'));
+      expect(loadEffectiveConfig().config).toEqual({ tools: { profile: 'full' } });
+    } finally {
+      if (saved === undefined) {
+        delete process.env.OPENCLAW_HOME;
+      } else {
+        process.env.OPENCLAW_HOME = saved;
+      }
+    }
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ConfigJournal, JournalConflictError } from '../src/core/config-journal.js';
+
+describe('ConfigJournal', () => {
+  let root;
+  let openclawDir;
+  let configFile;
+  let journal;
+
+  function write(content, command = 'test') {
+    const before = readFileSync(configFile, 'utf-8');
+    writeFileSync(configFile, content);
+    return journal.record({ file: configFile, before, after: content, command });
+  }
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'easyset-journal-'));
+    openclawDir = join(root, '.openclaw');
+    configFile = join(openclawDir, 'openclaw.json');
+    journal = new ConfigJournal({
+      journalDir: join(root, 'journal'),
+      openclawDir,
+      retention: { maxEntries: 100, maxAgeDays: 90 },
+    });
+    mkdirSync(openclawDir);
+    writeFileSync(configFile, '{"v":0}\n');
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  test('records entries with command, diff and previous content', () => {
+    const entry = write('{"v":1}\n');
+
+    expect(entry.command).toBe('test');
+    expect(entry.before).toBe('{"v":0}\n');
+    expect(entry.diff).toContain('-{"v":0}');
+    expect(entry.diff).toContain('+{"v":1}');
+    expect(journal.history()).toHaveLength(1);
+  });
+
+  test('undo and redo move through history', () => {
+    write('{"v":1}\n');
+    write('{"v":2}\n');
+
+    journal.undo();
+    expect(readFileSync(configFile, 'utf-8')).toBe('{"v":1}\n');
+    journal.undo();
+    expect(readFileSync(configFile, 'utf-8')).toBe('{"v":0}\n');
+    expect(journal.undo()).toBeNull();
+
+    journal.redo();
+    expect(readFileSync(configFile, 'utf-8')).toBe('{"v":1}\n');
+    expect(journal.history().map(e => e.applied)).toEqual([false, true]);
+  });
+
+  test('a new write discards undone entries', () => {
+    write('{"v":1}\n');
+    journal.undo();
+    write('{"v":3}\n');
+
+    expect(journal.redo()).toBeNull();
+    expect(journal.history()).toHaveLength(1);
+  });
+
+  test('refuses to undo over outside edits unless forced', () => {
+    write('{"v":1}\n');
+    writeFileSync(configFile, '{"v":"hand edited"}\n');
+
+    expect(() => journal.undo()).toThrow(JournalConflictError);
+    journal.undo({ force: true });
+    expect(readFileSync(configFile, 'utf-8')).toBe('{"v":0}\n');
+  });
+
+  test('migrates loose backup files into the journal', () => {
+    const now = Date.now();
+    writeFileSync(join(openclawDir, `openclaw.json.easyset-backup.${now - 2000}`), '{"v":-2}\n');
+    writeFileSync(join(openclawDir, `openclaw.json.easyset-backup.pre-restore.${now - 1000}`), '{"v":-1}\n');
+
+    const history = journal.history();
+
+    expect(history).toHaveLength(2);
+    expect(history[1].command).toBe('(migrated backup)');
+    expect(history[0].command).toBe('(migrated pre-restore backup)');
+    expect(readdirSync(openclawDir)).toEqual(['openclaw.json']);
+
+    journal.undo({ force: true });
+    expect(readFileSync(configFile, 'utf-8')).toBe('{"v":-1}\n');
+  });
+
+  test('prunes migrated entries older than maxAgeDays', () => {
+    writeFileSync(join(openclawDir, 'openclaw.json.easyset-backup.1700000000000'), '{"v":-3}\n');
+    writeFileSync(join(openclawDir, `openclaw.json.easyset-backup.${Date.now() - 1000}`), '{"v":-1}\n');
+
+    expect(journal.history()).toHaveLength(1);
+  });
+
+  test('redacts values at config paths from stored entries', () => {
+    write('{"token":"s3cret"}\n');
+    journal.redact([{ path: 'token', value: 's3cret', ref: '${env:TOKEN}' }]);
+
+    const entry = journal.getEntry(journal.history()[0].id);
+    expect(entry.after).toBe('{"token":"${env:TOKEN}"}\n');
+    expect(entry.diff).not.toContain('s3cret');
+  });
+
+  test('redacts only the secret paths, JSON-escaped values included', () => {
+    write('{\n  // bot\n  "bot": {"token": "a\\"1"},\n  "port": 1,\n  "name": "a\\"1"\n}\n', 'openclaw-easyset config set bot.token a"1');
+    expect(journal.redact([
+      { path: 'bot.token', value: 'a"1', ref: '${env:BOT_TOKEN}' },
+      { path: 'port', value: '1', ref: '${env:PORT}' },
+    ])).toBe(1);
+
+    const entry = journal.getEntry(journal.history()[0].id);
+    expect(entry.after).toBe('{\n  // bot\n  "bot": {"token": "${env:BOT_TOKEN}"},\n  "port": 1,\n  "name": "a\\"1"\n}\n');
+    expect(entry.command).toBe('openclaw-easyset config set bot.token ${env:BOT_TOKEN}');
+    expect(entry.diff).toContain('+  "bot": {"token": "${env:BOT_TOKEN}"},');
+    expect(entry.diff).not.toContain('"token": "a\\"1"');
+  });
+
+  test('prunes the oldest entries beyond maxEntries', () => {
+    journal.retention = { maxEntries: 2 };
+    write('{"v":1}\n');
+    write('{"v":2}\n');
+    write('{"v":3}\n');
+
+    const history = journal.history();
+    expect(history).toHaveLength(2);
+    expect(readdirSync(join(root, 'journal', 'entries'))).toHaveLength(2);
+  });
+});
+
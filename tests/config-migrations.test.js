@@ -0,0 +1,130 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  MIGRATIONS,
+  LATEST_GENERATION,
+  compareVersions,
+  detectGeneration,
+  targetGeneration,
+  planMigrations,
+  migrateConfig,
+  normalizeOpenClawConfig,
+  layoutGeneration,
+  restoreLayout,
+} from '../src/core/config-migrations.js';
+
+const LEGACY = {
+  agents: { defaults: { model: 'anthropic/claude', fallbackModel: 'openai/gpt-4o' } },
+  channels: {
+    whatsapp: { enabled: true, dm: { policy: 'open' } },
+    gmail: { watchEnabled: true },
+  },
+};
+
+const CURRENT = {
+  agents: { defaults: { model: { primary: 'anthropic/claude', fallbacks: ['openai/gpt-4o'] } } },
+  channels: {
+    whatsapp: { enabled: true, dmPolicy: 'open' },
+    gmail: { enabled: true },
+  },
+};
+
+describe('config migrations', () => {
+  test('migrations are ordered by OpenClaw version', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    expect([...versions].sort(compareVersions)).toEqual(versions);
+  });
+
+  test('compares calendar versions numerically', () => {
+    expect(compareVersions('2026.1.10', '2026.1.9')).toBeGreaterThan(0);
+    expect(compareVersions('v2026.2.1', '2026.2.1-beta.1')).toBe(0);
+    expect(compareVersions('2025.12.1', '2026.1.0')).toBeLessThan(0);
+  });
+
+  test('detects the generation from the key layout', () => {
+    expect(detectGeneration(LEGACY)).toBe(0);
+    expect(detectGeneration(CURRENT)).toBe(LATEST_GENERATION);
+    expect(detectGeneration({})).toBe(LATEST_GENERATION);
+  });
+
+  test('targets the generation of meta.lastTouchedVersion', () => {
+    expect(targetGeneration({})).toBe(LATEST_GENERATION);
+    expect(targetGeneration({ meta: { lastTouchedVersion: '2025.11.30' } })).toBe(0);
+    expect(targetGeneration({ meta: { lastTouchedVersion: '2026.1.5' } })).toBe(2);
+  });
+
+  test('migrates a legacy config to the newest layout', () => {
+    const config = structuredClone(LEGACY);
+    const plan = migrateConfig(config);
+
+    expect(plan.steps.map(s => s.id)).toEqual(MIGRATIONS.map(m => m.id));
+    expect(plan.steps.every(s => s.direction === 'up')).toBe(true);
+    expect(config).toEqual(CURRENT);
+  });
+
+  test('migrations are reversible', () => {
+    const config = structuredClone(CURRENT);
+    const plan = migrateConfig(config, { to: 0 });
+
+    expect(plan.steps.map(s => s.direction)).toEqual(['down', 'down', 'down']);
+    expect(config).toEqual(LEGACY);
+  });
+
+  test('planning does not change the config', () => {
+    const config = structuredClone(LEGACY);
+    const plan = planMigrations(config, { to: 1 });
+
+    expect(plan.steps.map(s => s.id)).toEqual(['agent-model-fallbacks']);
+    expect(config).toEqual(LEGACY);
+  });
+
+  test('keeps dmPolicy when both layouts are present', () => {
+    const config = { channels: { telegram: { dmPolicy: 'pairing', dm: { policy: 'open', allowFrom: ['1'] } } } };
+    migrateConfig(config);
+
+    expect(config.channels.telegram).toEqual({ dmPolicy: 'pairing', dm: { allowFrom: ['1'] } });
+  });
+
+  test('normalizes a copy for readers', () => {
+    const normalized = normalizeOpenClawConfig(LEGACY);
+
+    expect(normalized).toEqual(CURRENT);
+    expect(LEGACY.channels.whatsapp.dm.policy).toBe('open');
+  });
+
+  test('leaves both gmail keys alone, as older EasySet releases wrote them', () => {
+    const config = {
+      meta: { lastTouchedVersion: '2026.1.29' },
+      channels: { gmail: { enabled: true, watchEnabled: true } },
+    };
+
+    expect(planMigrations(config).steps).toEqual([]);
+    expect(migrateConfig(structuredClone(config), { to: 0 }).steps).toEqual([]);
+    expect(normalizeOpenClawConfig(config)).toEqual(config);
+  });
+
+  test('plans nothing when the config is at the target generation', () => {
+    const config = { ...structuredClone(LEGACY), meta: { lastTouchedVersion: '2025.11.1' } };
+    expect(planMigrations(config)).toEqual({ from: 0, to: 0, steps: [] });
+  });
+
+  test('writes normalized edits back in the layout OpenClaw reads', () => {
+    const config = {
+      meta: { lastTouchedVersion: '2026.1.29' },
+      channels: { telegram: { dm: { policy: 'open' } } },
+    };
+    const generation = layoutGeneration(config);
+    const working = normalizeOpenClawConfig(config);
+    expect(working.channels.telegram.dmPolicy).toBe('open');
+
+    working.channels.telegram.dmPolicy = 'pairing';
+    working.channels.gmail = { enabled: true };
+    restoreLayout(working, generation);
+
+    // The file still uses dm.policy, so the write keeps that layout
+    expect(generation).toBe(1);
+    expect(working.channels).toEqual({
+      telegram: { dm: { policy: 'pairing' } },
+      gmail: { watchEnabled: true },
+    });
+  });
+});
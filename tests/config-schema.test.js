@@ -0,0 +1,74 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  validateOpenClawConfig,
+  ConfigValidationError,
+  SCHEMA_VERSION,
+  OPENCLAW_CONFIG_SCHEMA,
+} from '../src/core/config-schema.js';
+
+describe('OpenClaw config schema', () => {
+  test('schema is versioned', () => {
+    expect(SCHEMA_VERSION).toBeGreaterThanOrEqual(1);
+    expect(OPENCLAW_CONFIG_SCHEMA.$id).toContain(`v${SCHEMA_VERSION}`);
+  });
+
+  test('accepts a typical config', () => {
+    const result = validateOpenClawConfig({
+      meta: { lastTouchedVersion: '2026.2.1' },
+      gateway: { port: 18789, mode: 'local', bind: 'loopback', auth: { mode: 'token', token: 'abc' } },
+      channels: {
+        telegram: { enabled: true, botToken: '123:abc', chatId: '42', dmPolicy: 'allowlist', allowFrom: ['42'] },
+        whatsapp: { dmPolicy: 'pairing' },
+      },
+      plugins: { entries: { 'llm-task': { enabled: true, config: { defaultModel: 'x' } } }, slots: { memory: 'memory-lancedb' } },
+      agents: { defaults: { model: { primary: 'anthropic/claude', fallbacks: ['openai/gpt-4o'] } } },
+      auth: { profiles: { default: {} } },
+      security: { pairing: true, trustedProxies: ['127.0.0.1'] },
+      somethingNew: { anything: true },
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('reports unknown gateway keys with a suggestion', () => {
+    const result = validateOpenClawConfig({ gateway: { prot: 18789 } });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].path).toBe('gateway.prot');
+    expect(result.errors[0].message).toContain('did you mean "port"');
+  });
+
+  test('reports type and range errors with paths', () => {
+    const result = validateOpenClawConfig({
+      gateway: { port: '18789' },
+      channels: { webchat: { port: 70000 }, discord: { dmPolicy: 'everyone' } },
+      plugins: { entries: { 'memory-lancedb': { enabled: 'yes' } } },
+    });
+
+    const paths = result.errors.map(e => e.path);
+    expect(paths).toEqual(expect.arrayContaining([
+      'gateway.port',
+      'channels.webchat.port',
+      'channels.discord.dmPolicy',
+      'plugins.entries.memory-lancedb.enabled',
+    ]));
+    expect(result.errors.find(e => e.path === 'gateway.port').message).toContain('expected integer');
+  });
+
+  test('validates anyOf model shapes', () => {
+    expect(validateOpenClawConfig({ agents: { defaults: { model: 'anthropic/claude' } } }).valid).toBe(true);
+    expect(validateOpenClawConfig({ agents: { defaults: { model: 42 } } }).valid).toBe(false);
+  });
+
+  test('ConfigValidationError lists every path', () => {
+    const error = new ConfigValidationError([
+      { path: 'gateway.prot', message: 'unknown key' },
+      { path: 'gateway.port', message: 'expected integer' },
+    ]);
+
+    expect(error.errors).toHaveLength(2);
+    expect(error.message).toContain('gateway.prot: unknown key');
+    expect(error.message).toContain('--force');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createUnifiedDiff, createJsonPatch } from '../src/core/diff.js';
+import changePreview from '../src/core/change-preview.js';
+
+describe('createUnifiedDiff', () => {
+  test('returns an empty string for identical text', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+  });
+
+  test('emits a hunk with three lines of context', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9'].join('\n') + '\n';
+    const after = before.replace('5', 'five');
+
+    const diff = createUnifiedDiff(before, after, { fromFile: 'a/x', toFile: 'b/x' });
+
+    expect(diff).toBe([
+      '--- a/x',
+      '+++ b/x',
+      '@@ -2,7 +2,7 @@',
+      ' 2',
+      ' 3',
+      ' 4',
+      '-5',
+      '+five',
+      ' 6',
+      ' 7',
+      ' 8',
+      '',
+    ].join('\n'));
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    const changed = [...lines];
+    changed[1] = 'changed 2';
+    changed[18] = 'changed 19';
+
+    const diff = createUnifiedDiff(`${lines.join('\n')}\n`, `${changed.join('\n')}\n`);
+
+    expect(diff.match(/^@@/gm)).toHaveLength(2);
+  });
+
+  test('diffs new files against /dev/null', () => {
+    const diff = createUnifiedDiff(null, 'a\nb\n', { toFile: 'b/new' });
+
+    expect(diff).toBe('--- /dev/null\n+++ b/new\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+  });
+});
+
+describe('createJsonPatch', () => {
+  test('produces add, remove and replace operations', () => {
+    const patch = createJsonPatch(
+      { gateway: { port: 18789, bind: 'lan' }, channels: { telegram: { allowFrom: ['42'] } } },
+      { gateway: { port: 19000 }, channels: { telegram: { allowFrom: ['42', 'tg:42'] } }, security: { pairing: true } },
+    );
+
+    expect(patch).toEqual([
+      { op: 'remove', path: '/gateway/bind' },
+      { op: 'replace', path: '/gateway/port', value: 19000 },
+      { op: 'add', path: '/channels/telegram/allowFrom/1', value: 'tg:42' },
+      { op: 'add', path: '/security', value: { pairing: true } },
+    ]);
+  });
+
+  test('escapes JSON Pointer tokens', () => {
+    expect(createJsonPatch({}, { 'a/b': 1, 'c~d': 2 })).toEqual([
+      { op: 'add', path: '/a~1b', value: 1 },
+      { op: 'add', path: '/c~0d', value: 2 },
+    ]);
+  });
+});
+
+describe('ChangePreview', () => {
+  let dir;
+
+  afterEach(() => {
+    changePreview.reset();
+    if (dir) rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stacks repeated writes and never touches the file', () => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-preview-'));
+    const file = join(dir, 'config.json');
+    writeFileSync(file, '{"a":1}\n');
+
+    changePreview.recordFile(file, '{"a":2}\n');
+    changePreview.recordFile(file, '{"a":2,"b":true}\n');
+
+    expect(readFileSync(file, 'utf-8')).toBe('{"a":1}\n');
+    expect(changePreview.pendingContent(file)).toBe('{"a":2,"b":true}\n');
+    expect(changePreview.toJson().changes).toEqual([{
+      path: file,
+      type: 'file',
+      action: 'modify',
+      patch: [
+        { op: 'replace', path: '/a', value: 2 },
+        { op: 'add', path: '/b', value: true },
+      ],
+    }]);
+  });
+
+  test('describes new non-structured files as whole-document adds', () => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-preview-'));
+    const file = join(dir, 'openclaw.service');
+
+    changePreview.recordFile(file, '[Unit]\n');
+
+    expect(changePreview.toJson().changes[0]).toEqual({
+      path: file,
+      type: 'file',
+      action: 'create',
+      patch: [{ op: 'add', path: '', value: '[Unit]\n' }],
+    });
+  });
+});
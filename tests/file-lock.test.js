@@ -0,0 +1,104 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  mkdtempSync, writeFileSync, readFileSync, readdirSync, statSync, rmSync, existsSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir, hostname } from 'os';
+import {
+  atomicWriteFileSync,
+  acquireLock,
+  withFileLock,
+  hashContent,
+  lockPathFor,
+  FileLockError,
+  FileChangedError,
+} from '../src/core/file-lock.js';
+
+describe('file-lock', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-lock-'));
+    file = join(dir, 'openclaw.json');
+    writeFileSync(file, '{"v":0}\n', { mode: 0o600 });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeLock(owner) {
+    writeFileSync(lockPathFor(file), JSON.stringify(owner));
+  }
+
+  test('atomic writes replace content, keep permissions and leave no temp files', () => {
+    atomicWriteFileSync(file, '{"v":1}\n');
+
+    expect(readFileSync(file, 'utf-8')).toBe('{"v":1}\n');
+    expect(readdirSync(dir)).toEqual(['openclaw.json']);
+    if (process.platform !== 'win32') {
+      expect(statSync(file).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('refuses to write when the content hash no longer matches', () => {
+    const hash = hashContent('{"v":0}\n');
+    writeFileSync(file, '{"v":"gateway"}\n');
+
+    expect(() => atomicWriteFileSync(file, '{"v":1}\n', { expectedHash: hash }))
+      .toThrow(FileChangedError);
+    expect(readFileSync(file, 'utf-8')).toBe('{"v":"gateway"}\n');
+    expect(readdirSync(dir)).toEqual(['openclaw.json']);
+  });
+
+  test('treats a null expected hash as "file must not exist"', () => {
+    expect(() => atomicWriteFileSync(file, '{}', { expectedHash: null })).toThrow(FileChangedError);
+
+    const created = join(dir, 'new.json');
+    atomicWriteFileSync(created, '{}', { expectedHash: null });
+    expect(readFileSync(created, 'utf-8')).toBe('{}');
+  });
+
+  test('creates and removes the lock file, re-entrantly', () => {
+    const result = withFileLock(file, () => {
+      expect(existsSync(lockPathFor(file))).toBe(true);
+      withFileLock(file, () => {});
+      expect(existsSync(lockPathFor(file))).toBe(true);
+      return 42;
+    });
+
+    expect(result).toBe(42);
+    expect(existsSync(lockPathFor(file))).toBe(false);
+  });
+
+  test('times out while a live process holds the lock', () => {
+    writeLock({ pid: process.ppid, host: hostname(), createdAt: new Date().toISOString() });
+
+    expect(() => acquireLock(file, { timeout: 100 })).toThrow(FileLockError);
+    expect(existsSync(lockPathFor(file))).toBe(true);
+  });
+
+  test('breaks locks left by dead processes', () => {
+    writeLock({ pid: 2 ** 22 + 12345, host: hostname(), createdAt: new Date().toISOString() });
+
+    const release = acquireLock(file, { timeout: 100 });
+    expect(JSON.parse(readFileSync(lockPathFor(file), 'utf-8')).pid).toBe(process.pid);
+    release();
+  });
+
+  test('keeps an old lock while its owner on this host is alive', () => {
+    writeLock({ pid: process.ppid, host: hostname(), createdAt: new Date(Date.now() - 600000).toISOString() });
+
+    expect(() => acquireLock(file, { timeout: 100, staleAfter: 30000 })).toThrow(FileLockError);
+    expect(existsSync(lockPathFor(file))).toBe(true);
+  });
+
+  test('breaks locks from other hosts older than the stale threshold', () => {
+    writeLock({ pid: process.ppid, host: 'another-host', createdAt: new Date(Date.now() - 60000).toISOString() });
+
+    const release = acquireLock(file, { timeout: 100, staleAfter: 30000 });
+    release();
+    expect(existsSync(lockPathFor(file))).toBe(false);
+  });
+});
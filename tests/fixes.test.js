@@ -0,0 +1,95 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  mkdtempSync, writeFileSync, statSync, existsSync, rmSync, chmodSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  FixLog, FixError, chmodFix, mkdirFix, commandFix, manualFix, createFix, isApplicable,
+} from '../src/core/fixes.js';
+
+function withTempDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'easyset-fixes-'));
+  return Promise.resolve(fn(dir)).finally(() => rmSync(dir, { recursive: true, force: true }));
+}
+
+describe('fixes', () => {
+  test('chmod fixes apply, verify and revert', () => withTempDir(async (dir) => {
+    const file = join(dir, '.env');
+    writeFileSync(file, 'A=1\n');
+    chmodSync(file, 0o644);
+
+    const fix = chmodFix(file);
+    expect(fix).toMatchObject({ kind: 'chmod', risk: 'low', description: `chmod 600 ${file}` });
+    expect(JSON.parse(JSON.stringify(fix))).toEqual({
+      kind: 'chmod', description: `chmod 600 ${file}`, risk: 'low', params: { file, mode: 0o600 },
+    });
+    expect(await fix.verify()).toBe(false);
+
+    const before = await fix.apply();
+    expect(before).toEqual({ mode: 0o644 });
+    expect(statSync(file).mode & 0o777).toBe(0o600);
+    expect(await fix.verify()).toBe(true);
+
+    await fix.revert(before);
+    expect(statSync(file).mode & 0o777).toBe(0o644);
+  }));
+
+  test('mkdir fixes revert only the directories they created', () => withTempDir(async (dir) => {
+    const fix = mkdirFix(join(dir, 'a', 'b'));
+    const before = await fix.apply();
+    expect(await fix.verify()).toBe(true);
+
+    await fix.revert(before);
+    expect(existsSync(join(dir, 'a'))).toBe(false);
+    expect(existsSync(dir)).toBe(true);
+
+    const again = await fix.apply();
+    writeFileSync(join(dir, 'a', 'b', 'note'), 'x');
+    await expect(fix.revert(again)).rejects.toThrow(/no longer empty/);
+  }));
+
+  test('command fixes run their command, verify and undo commands', () => withTempDir(async (dir) => {
+    const marker = join(dir, 'marker');
+    const fix = commandFix({
+      command: `touch "${marker}"`, undo: `rm "${marker}"`, verify: `test -f "${marker}"`,
+    });
+    expect(fix.risk).toBe('medium');
+    expect(await fix.verify()).toBe(false);
+
+    const before = await fix.apply();
+    expect(existsSync(marker)).toBe(true);
+    expect(await fix.verify()).toBe(true);
+    await fix.revert(before);
+    expect(existsSync(marker)).toBe(false);
+
+    await expect(commandFix({ command: 'true' }).revert({})).rejects.toThrow(FixError);
+  }));
+
+  test('manual fixes are not applicable', () => {
+    expect(isApplicable(manualFix('Run: openclaw setup'))).toBe(false);
+    expect(isApplicable(null)).toBe(false);
+    expect(isApplicable(mkdirFix('/tmp/x'))).toBe(true);
+    expect(() => createFix('reboot', {}, { description: 'x' })).toThrow(/Unknown fix kind/);
+    expect(() => createFix('mkdir', { dir: '/x' }, { description: 'x', risk: 'extreme' })).toThrow(/Unknown risk/);
+  });
+
+  test('the fix log records fixes and reverts them', () => withTempDir(async (dir) => {
+    const log = new FixLog({ file: join(dir, 'state', 'fix-log.json') });
+    const target = join(dir, 'workspace');
+    const fix = mkdirFix(target);
+    const entry = log.record({
+      check: 'storage.workspace', name: 'Workspace', fix: { ...fix }, status: 'applied', before: await fix.apply(),
+    });
+    log.amend(entry.id, { recheck: 'pass' });
+
+    expect(log.list()).toEqual([expect.objectContaining({ id: entry.id, recheck: 'pass', fix: expect.objectContaining({ kind: 'mkdir' }) })]);
+    expect(statSync(log.file).mode & 0o777).toBe(0o600);
+
+    await log.revert(entry.id);
+    expect(existsSync(target)).toBe(false);
+    expect(log.get(entry.id).status).toBe('reverted');
+    await expect(log.revert(entry.id)).rejects.toThrow(/is reverted, not applied/);
+    await expect(log.revert('nope')).rejects.toThrow(/No fix nope/);
+  }));
+});
@@ -1,4 +1,10 @@
 import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  mkdtempSync, existsSync, readFileSync, writeFileSync, rmSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FixLog } from '../src/core/fixes.js';
 
 // We test the health checker by running it against the real system
 // These tests validate the check structure and output format
@@ -40,13 +46,49 @@ describe('HealthChecker', () => {
     expect(categories).toContain('tools');
   }, 30000);
 
-  test('fix field should be string or null', async () => {
+  test('fix field should be a typed fix or null', async () => {
     const results = await healthChecker.runAll();
 
     for (const result of results) {
       if (result.fix !== null) {
-        expect(typeof result.fix).toBe('string');
+        expect(['chmod', 'mkdir', 'command', 'manual']).toContain(result.fix.kind);
+        expect(['low', 'medium', 'high']).toContain(result.fix.risk);
+        expect(typeof result.fix.description).toBe('string');
       }
     }
   }, 30000);
+
+  test('runs only the selected checks', async () => {
+    const results = await healthChecker.runAll({ category: ['tools'] });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every(r => r.category === 'tools' && r.check === 'tools.commands')).toBe(true);
+
+    const checks = await healthChecker.listChecks();
+    expect(checks.map(c => c.id)).toEqual(expect.arrayContaining(['config.file', 'storage.workspace', 'logs.gateway']));
+  }, 30000);
+
+  test('applies the fixer of a check to its failing results', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'easyset-fixer-'));
+    const marker = join(dir, 'marker');
+    healthChecker.registry.register({
+      id: 'test.fixer',
+      category: 'test',
+      run: ctx => (existsSync(marker) ? ctx.pass('Marker', 'present') : ctx.fail('Marker', 'missing', 'Create the marker')),
+      fixer: result => writeFileSync(marker, result.name),
+    });
+    try {
+      await healthChecker.runAll({ only: ['test.fixer'] });
+      const plan = healthChecker.planFixes();
+      expect(plan.map(({ fix }) => [fix.kind, fix.risk, fix.description]))
+        .toEqual([['fixer', 'medium', 'test.fixer fixer: Create the marker']]);
+
+      const [entry] = await healthChecker.applyFixes(plan, new FixLog({ file: join(dir, 'fix-log.json') }));
+      expect(entry).toMatchObject({ check: 'test.fixer', status: 'applied', verified: true, recheck: 'pass' });
+      expect(readFileSync(marker, 'utf-8')).toBe('Marker');
+    } finally {
+      healthChecker.registry.checks.delete('test.fixer');
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
 });
@@ -0,0 +1,145 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  mkdtempSync, mkdirSync, writeFileSync, rmSync, utimesSync,
+} from 'fs';
+import { join } from 'path';
+import { tmpdir, homedir } from 'os';
+import {
+  InstanceRegistry,
+  InstanceError,
+  DEFAULT_PORT,
+  EASYSET_DIR,
+} from '../src/core/instances.js';
+
+describe('InstanceRegistry', () => {
+  let dir;
+  let registry;
+  let savedHome;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-instances-'));
+    registry = new InstanceRegistry({ file: join(dir, 'instances.json') });
+    savedHome = process.env.OPENCLAW_HOME;
+    delete process.env.OPENCLAW_HOME;
+  });
+
+  afterEach(() => {
+    if (savedHome === undefined) {
+      delete process.env.OPENCLAW_HOME;
+    } else {
+      process.env.OPENCLAW_HOME = savedHome;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resolves the default instance to ~/.openclaw', () => {
+    const instance = registry.current();
+
+    expect(instance.name).toBe('default');
+    expect(instance.home).toBe(join(homedir(), '.openclaw'));
+    expect(instance.configPath).toBe(join(homedir(), '.openclaw', 'openclaw.json'));
+    expect(instance.port).toBe(DEFAULT_PORT);
+    expect(instance.serviceName).toBe('openclaw-gateway');
+    expect(instance.serviceLabel).toBe('ai.openclaw.gateway');
+    expect(instance.backupDir).toBe(join(EASYSET_DIR, 'backups'));
+  });
+
+  test('adds instances with their own home, port and service names', () => {
+    const work = registry.add('work');
+    const lab = registry.add('lab', { home: join(dir, 'lab') });
+
+    expect(work.home).toBe(join(homedir(), '.openclaw-work'));
+    expect(work.port).toBe(DEFAULT_PORT + 20);
+    expect(lab.port).toBe(DEFAULT_PORT + 40);
+    expect(lab.home).toBe(join(dir, 'lab'));
+    expect(work.serviceName).toBe('openclaw-gateway-work');
+    expect(work.serviceLabel).toBe('ai.openclaw.gateway.work');
+    expect(work.taskName).toBe('OpenClawGateway-work');
+    expect(work.journalDir).toBe(join(EASYSET_DIR, 'instances', 'work', 'journal'));
+    expect(registry.list().map(i => i.name)).toEqual(['default', 'lab', 'work']);
+  });
+
+  test('rejects duplicate names, ports and homes', () => {
+    registry.add('work', { port: 19000 });
+
+    expect(() => registry.add('work')).toThrow(InstanceError);
+    expect(() => registry.add('other', { port: 19000 })).toThrow(/already used/);
+    expect(() => registry.add('other', { home: join(homedir(), '.openclaw') })).toThrow(/belongs to/);
+    expect(() => registry.add('Bad Name')).toThrow(/Invalid instance name/);
+    expect(() => registry.add('default')).toThrow(InstanceError);
+  });
+
+  test('switches instances with use() and withInstance()', async () => {
+    registry.add('work');
+
+    const seen = await registry.withInstance('work', () => registry.current().name);
+    expect(seen).toBe('work');
+    expect(registry.current().name).toBe('default');
+
+    registry.use('work');
+    expect(registry.current().name).toBe('work');
+    expect(() => registry.use('missing')).toThrow(/Unknown instance "missing"/);
+  });
+
+  test('treats an unregistered OPENCLAW_HOME as an ad-hoc instance', () => {
+    const home = join(dir, '.openclaw-test');
+    mkdirSync(home);
+    writeFileSync(join(home, 'openclaw.json'), '{ gateway: { port: 19555 } }');
+    process.env.OPENCLAW_HOME = home;
+
+    const instance = registry.current();
+    expect(instance.home).toBe(home);
+    expect(instance.registered).toBe(false);
+    expect(instance.port).toBe(19555);
+    expect(instance.configPath).toBe(join(home, 'openclaw.json'));
+    expect(instance.name).toMatch(/^openclaw-test-[0-9a-f]{8}$/);
+  });
+
+  test('gives ad-hoc homes with the same directory name their own names', () => {
+    const names = ['a', 'b'].map((parent) => {
+      process.env.OPENCLAW_HOME = join(dir, parent, 'default');
+      return registry.current();
+    });
+
+    expect(names[0].name).not.toBe(names[1].name);
+    expect(names[0].stateDir).not.toBe(names[1].stateDir);
+    expect(names[0].serviceName).not.toBe(names[1].serviceName);
+    expect(names.some(instance => instance.isDefault)).toBe(false);
+  });
+
+  test('caches the current instance until the selection, registry or config changes', () => {
+    const home = join(dir, 'lab');
+    mkdirSync(home);
+    writeFileSync(join(home, 'openclaw.json'), '{ gateway: { port: 19555 } }');
+    registry.add('lab', { home });
+    process.env.OPENCLAW_HOME = home;
+
+    const first = registry.current();
+    expect(first).toMatchObject({ name: 'lab', registered: true });
+    expect(registry.current()).toBe(first);
+
+    writeFileSync(join(home, 'openclaw.json'), '{ gateway: { port: 19600 } }');
+    utimesSync(join(home, 'openclaw.json'), new Date(), new Date(Date.now() + 1000));
+    expect(registry.current().port).toBe(19600);
+
+    registry.remove('lab');
+    expect(registry.current().registered).toBe(false);
+
+    // Registered by another process: only the file changes
+    writeFileSync(registry.file, JSON.stringify({ version: 1, instances: { lab: { home, port: 19620 } } }));
+    utimesSync(registry.file, new Date(), new Date(Date.now() + 2000));
+    expect(registry.current()).toMatchObject({ name: 'lab', registered: true });
+
+    delete process.env.OPENCLAW_HOME;
+    expect(registry.current().name).toBe('default');
+  });
+
+  test('matches OPENCLAW_HOME against registered instances', () => {
+    const work = registry.add('work', { home: join(dir, 'work') });
+    process.env.OPENCLAW_HOME = work.home;
+
+    expect(registry.current().name).toBe('work');
+    expect(registry.remove('work')).toBe(true);
+    expect(registry.remove('work')).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, test, expect } from '@jest/globals';
+import JSON5 from 'json5';
+import { parseDocument, updateConfigText } from '../src/core/json5-editor.js';
+
+const ANNOTATED = `// Main OpenClaw config
+{
+  // Gateway settings
+  gateway: {
+    port: 18789, // default port
+    bind: 'loopback',
+  },
+
+  /* channels live here */
+  channels: {
+    telegram: {
+      enabled: true,
+      allowFrom: ['42'],
+    },
+  },
+}
+`;
+
+function edit(text, mutate, format = 'json5') {
+  const before = JSON5.parse(text);
+  const after = JSON5.parse(text);
+  mutate(after);
+  return updateConfigText(text, before, after, { format });
+}
+
+describe('JSON5 editor', () => {
+  test('parses documents with comments and trailing commas', () => {
+    const root = parseDocument(ANNOTATED);
+
+    expect(root.type).toBe('object');
+    expect(root.members.map(m => m.key)).toEqual(['gateway', 'channels']);
+  });
+
+  test('returns the text unchanged when nothing changed', () => {
+    expect(edit(ANNOTATED, () => {})).toBe(ANNOTATED);
+  });
+
+  test('replaces a scalar without touching comments', () => {
+    const output = edit(ANNOTATED, (c) => { c.gateway.port = 19000; });
+
+    expect(output).toBe(ANNOTATED.replace('port: 18789,', 'port: 19000,'));
+  });
+
+  test('inserts keys following trailing-comma and quote style', () => {
+    const output = edit(ANNOTATED, (c) => {
+      c.gateway.mode = 'local';
+      c.security = { pairing: true };
+    });
+
+    expect(output).toContain("    bind: 'loopback',\n    mode: 'local',\n  },");
+    expect(output).toContain('  security: {\n    pairing: true,\n  },\n}');
+    expect(output).toContain('// default port');
+    expect(output).toContain('/* channels live here */');
+  });
+
+  test('appends to arrays for pushUnique-style changes', () => {
+    const output = edit(ANNOTATED, (c) => { c.channels.telegram.allowFrom.push('tg:42'); });
+
+    expect(JSON5.parse(output).channels.telegram.allowFrom).toEqual(['42', 'tg:42']);
+    expect(output).toContain("allowFrom: ['42', 'tg:42'],");
+  });
+
+  test('removes a member and its line', () => {
+    const output = edit(ANNOTATED, (c) => { delete c.gateway.bind; });
+
+    expect(output).not.toContain('bind');
+    expect(output).toContain('port: 18789, // default port\n  },');
+  });
+
+  test('keeps strict JSON valid', () => {
+    const text = '{\n  "gateway": {\n    "port": 18789\n  }\n}\n';
+    const output = edit(text, (c) => {
+      delete c.gateway.port;
+      c.gateway.bind = 'loopback';
+      c.channels = { webchat: { enabled: true } };
+    }, 'json');
+
+    expect(JSON.parse(output)).toEqual({
+      gateway: { bind: 'loopback' },
+      channels: { webchat: { enabled: true } },
+    });
+    expect(output).toBe('{\n  "gateway": {\n    "bind": "loopback"\n  },\n  "channels": {\n    "webchat": {\n      "enabled": true\n    }\n  }\n}\n');
+  });
+
+  test('removes the last member of a strict JSON object cleanly', () => {
+    const text = '{\n  "a": 1,\n  "b": 2\n}\n';
+    const output = edit(text, (c) => { delete c.b; }, 'json');
+
+    expect(output).toBe('{\n  "a": 1\n}\n');
+  });
+
+  test('keeps the indentation of a member that shared its line with the removed one', () => {
+    const text = '{\n  gateway: {\n    port: 1, /* x */ bind: \'loopback\',\n  },\n}\n';
+    const removed = edit(text, (c) => { delete c.gateway.port; });
+    expect(removed).toBe('{\n  gateway: {\n    /* x */ bind: \'loopback\',\n  },\n}\n');
+
+    const inserted = edit(removed, (c) => { c.gateway.mode = 'local'; });
+    expect(inserted).toBe('{\n  gateway: {\n    /* x */ bind: \'loopback\',\n    mode: \'local\',\n  },\n}\n');
+  });
+});
@@ -1,5 +1,10 @@
 import { describe, test, expect } from '@jest/globals';
-import { parseOpenClawConfig } from '../src/core/openclaw-config.js';
+import {
+  parseOpenClawConfig,
+  serializeOpenClawConfig,
+  parseConfigValue,
+  getPath,
+} from '../src/core/openclaw-config.js';
 
 describe('OpenClaw config helpers', () => {
   test('parses strict JSON config', () => {
@@ -23,4 +28,46 @@ describe('OpenClaw config helpers', () => {
     expect(parsed.format).toBe('json5');
     expect(parsed.config.gateway.port).toBe(18789);
   });
+
+  test('serializes edits in place so comments survive', () => {
+    const raw = `{
+  // OpenClaw config
+  gateway: {
+    port: 18789, // keep me
+  },
+}
+`;
+    const { config } = parseOpenClawConfig(raw);
+    config.gateway.bind = 'loopback';
+
+    const output = serializeOpenClawConfig(config, raw);
+
+    expect(output).toContain('// OpenClaw config');
+    expect(output).toContain('port: 18789, // keep me');
+    expect(parseOpenClawConfig(output).config.gateway.bind).toBe('loopback');
+  });
+
+  test('serializes new files as stable JSON', () => {
+    const output = serializeOpenClawConfig({ gateway: { port: 18789 } }, null);
+
+    expect(output).toBe('{\n  "gateway": {\n    "port": 18789\n  }\n}\n');
+  });
+
+  test('parses typed values from the command line', () => {
+    expect(parseConfigValue('18789')).toBe(18789);
+    expect(parseConfigValue('true')).toBe(true);
+    expect(parseConfigValue('null')).toBeNull();
+    expect(parseConfigValue("['a', 'b']")).toEqual(['a', 'b']);
+    expect(parseConfigValue('{ mode: "token" }')).toEqual({ mode: 'token' });
+    expect(parseConfigValue('loopback')).toBe('loopback');
+    expect(parseConfigValue('18789', { string: true })).toBe('18789');
+  });
+
+  test('reads dotted paths', () => {
+    const config = { channels: { telegram: { allowFrom: ['42'] } } };
+
+    expect(getPath(config, 'channels.telegram.allowFrom')).toEqual(['42']);
+    expect(getPath(config, 'channels.discord.enabled')).toBeUndefined();
+    expect(getPath(config, 'channels.discord', 'none')).toBe('none');
+  });
 });
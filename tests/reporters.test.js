@@ -0,0 +1,98 @@
+import { describe, test, expect } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  renderReport, writeReport, shouldFail, resolveFormat, countStatuses, ReportError,
+} from '../src/core/reporters.js';
+
+const items = [
+  {
+    id: 'config.file', name: 'Config Valid JSON', category: 'config', status: 'pass', message: 'openclaw.json is valid', fix: null, target: null,
+  },
+  {
+    id: 'security.env-permissions', name: '.env Permissions', category: 'security', status: 'warn', message: '.env file is world-readable (644)', fix: 'chmod 600 /home/a/.openclaw/.env', target: '/home/a/.openclaw/.env', description: '.env is not readable by other users',
+  },
+  {
+    id: 'services.systemd', name: 'Gateway Service', category: 'services', status: 'fail', message: 'inactive <dead> & "stopped" | 1', fix: null, target: 'openclaw-gateway.service',
+  },
+];
+
+const report = {
+  tool: 'doctor',
+  title: 'OpenClaw EasySet Health Check',
+  generatedAt: '2026-10-19T08:00:00.000Z',
+  suites: [{ name: 'default', items, summary: { ...countStatuses(items), score: 33 } }],
+};
+
+describe('reporters', () => {
+  test('--fail-on gates on warnings or failures', () => {
+    const passing = { ...report, suites: [{ ...report.suites[0], items: items.slice(0, 2) }] };
+    expect(shouldFail(report, undefined)).toBe(false);
+    expect(shouldFail(report, 'fail')).toBe(true);
+    expect(shouldFail(passing, 'fail')).toBe(false);
+    expect(shouldFail(passing, 'warn')).toBe(true);
+  });
+
+  test('takes the format from --format or the --output extension', () => {
+    expect(resolveFormat({})).toBeNull();
+    expect(resolveFormat({ format: 'junit', output: 'report.json' })).toBe('junit');
+    expect(resolveFormat({ output: 'out/doctor.sarif' })).toBe('sarif');
+    expect(resolveFormat({ output: 'report.XML' })).toBe('junit');
+    expect(() => resolveFormat({ output: 'report.txt' })).toThrow(ReportError);
+  });
+
+  test('renders JUnit with warnings as output or, with --fail-on warn, as failures', () => {
+    const xml = renderReport(report, 'junit');
+    expect(xml).toContain('<testsuites name="OpenClaw EasySet Health Check" tests="3" failures="1" errors="0">');
+    expect(xml).toContain('<testcase classname="doctor.config" name="Config Valid JSON (config.file)"/>');
+    expect(xml).toContain('<system-out>Warning: .env file is world-readable (644)');
+    expect(xml).toContain('message="inactive &lt;dead&gt; &amp; &quot;stopped&quot; | 1"');
+
+    const strict = renderReport(report, 'junit', { failOn: 'warn' });
+    expect(strict).toContain('failures="2"');
+    expect(strict).toContain('<failure type="warning" message=".env file is world-readable (644)">');
+  });
+
+  test('renders SARIF results with file and logical locations', () => {
+    const sarif = JSON.parse(renderReport(report, 'sarif'));
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['config.file', 'security.env-permissions', 'services.systemd']);
+    expect(run.tool.driver.rules[1].shortDescription.text).toBe('.env is not readable by other users');
+    expect(run.results).toHaveLength(2);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'security.env-permissions',
+      ruleIndex: 1,
+      level: 'warning',
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'file:///home/a/.openclaw/.env' } } }],
+    });
+    expect(run.results[1]).toMatchObject({
+      level: 'error',
+      locations: [{ logicalLocations: [{ name: 'openclaw-gateway.service', kind: 'resource' }] }],
+    });
+  });
+
+  test('renders Markdown and HTML with escaping', () => {
+    const markdown = renderReport(report, 'markdown');
+    expect(markdown).toContain('**1 passed, 1 warnings, 1 failed, score 33%**');
+    expect(markdown).toContain('| ❌ | Gateway Service `services.systemd` | inactive <dead> & "stopped" \\| 1');
+
+    const html = renderReport(report, 'html');
+    expect(html).toContain('<tr class="fail">');
+    expect(html).toContain('inactive &lt;dead&gt; &amp; &quot;stopped&quot; | 1');
+    expect(html).not.toContain('<dead>');
+  });
+
+  test('writes reports to --output', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'easyset-report-'));
+    try {
+      const output = join(dir, 'reports', 'doctor.json');
+      writeReport(report, { format: 'json', output });
+      expect(JSON.parse(readFileSync(output, 'utf-8'))).toEqual(report);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, writeFileSync, readFileSync, statSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  parseSecretRef,
+  formatSecretRef,
+  resolveSecret,
+  findInlineSecrets,
+  secretNameFor,
+  parseEnv,
+  upsertEnv,
+  SecretVault,
+  SecretResolutionError,
+  VAULT_PASSPHRASE_ENV,
+} from '../src/core/secrets.js';
+import { DecryptionError } from '../src/core/encryption.js';
+
+describe('secret references', () => {
+  test('parses and formats references', () => {
+    expect(parseSecretRef('${env:TELEGRAM_BOT_TOKEN}')).toEqual({ type: 'env', name: 'TELEGRAM_BOT_TOKEN' });
+    expect(parseSecretRef('${file:secrets/token}')).toEqual({ type: 'file', name: 'secrets/token' });
+    expect(parseSecretRef('${vault:KEY}')).toEqual({ type: 'vault', name: 'KEY' });
+    expect(parseSecretRef('plain-token')).toBeNull();
+    expect(parseSecretRef('${other:X}')).toBeNull();
+    expect(formatSecretRef('env', 'X')).toBe('${env:X}');
+  });
+
+  test('finds plaintext secrets but skips references', () => {
+    const config = {
+      gateway: { auth: { mode: 'token', token: 'abc' } },
+      channels: { telegram: { botToken: '${env:TELEGRAM_BOT_TOKEN}', chatId: '1' } },
+      plugins: { entries: { 'memory-lancedb': { config: { embedding: { apiKey: 'sk-1', model: 'm' } } } } },
+      agents: { defaults: { maxTokens: 100 } },
+    };
+
+    expect(findInlineSecrets(config)).toEqual([
+      { path: 'gateway.auth.token', value: 'abc' },
+      { path: 'plugins.entries.memory-lancedb.config.embedding.apiKey', value: 'sk-1' },
+    ]);
+  });
+
+  test('derives variable names from config paths', () => {
+    expect(secretNameFor('channels.telegram.botToken')).toBe('TELEGRAM_BOT_TOKEN');
+    expect(secretNameFor('gateway.auth.token')).toBe('GATEWAY_AUTH_TOKEN');
+    expect(secretNameFor('plugins.entries.memory-lancedb.config.embedding.apiKey'))
+      .toBe('MEMORY_LANCEDB_EMBEDDING_API_KEY');
+  });
+
+  test('resolves plain values, environment variables and files', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'easyset-secrets-'));
+    try {
+      const file = join(dir, 'token');
+      writeFileSync(file, 'from-file\n');
+      process.env.EASYSET_TEST_SECRET = 'from-env';
+
+      expect(resolveSecret('plain')).toBe('plain');
+      expect(resolveSecret('${env:EASYSET_TEST_SECRET}')).toBe('from-env');
+      expect(resolveSecret(`\${file:${file}}`)).toBe('from-file');
+      expect(() => resolveSecret('${env:EASYSET_TEST_MISSING}')).toThrow(SecretResolutionError);
+    } finally {
+      delete process.env.EASYSET_TEST_SECRET;
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('.env files', () => {
+  test('parses quotes, export and comments', () => {
+    expect(parseEnv('# comment\nexport A=1\nB="two words"\nC=\'x#y\'\nD=plain # note\n')).toEqual({
+      A: '1', B: 'two words', C: 'x#y', D: 'plain',
+    });
+  });
+
+  test('replaces one variable and keeps other lines', () => {
+    const text = '# keys\nA=1\nB=2\n';
+
+    expect(upsertEnv(text, 'B', 'new value')).toBe('# keys\nA=1\nB="new value"\n');
+    expect(upsertEnv(text, 'C', '3')).toBe('# keys\nA=1\nB=2\nC=3\n');
+    expect(parseEnv(upsertEnv('', 'Q', 'a"b\\c'))).toEqual({ Q: 'a"b\\c' });
+  });
+});
+
+describe('SecretVault', () => {
+  let dir;
+  let vault;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'easyset-vault-'));
+    vault = new SecretVault({ file: join(dir, 'secrets.vault'), keyFile: join(dir, 'vault.key') });
+  });
+
+  afterEach(() => {
+    delete process.env[VAULT_PASSPHRASE_ENV];
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores encrypted entries with a generated key file', () => {
+    vault.set('TOKEN', 'secret-value');
+    vault.set('OTHER', 'x');
+
+    expect(vault.get('TOKEN')).toBe('secret-value');
+    expect(vault.list()).toEqual(['TOKEN', 'OTHER']);
+    expect(readFileSync(join(dir, 'secrets.vault'), 'utf-8')).not.toContain('secret-value');
+    if (process.platform !== 'win32') {
+      expect(statSync(join(dir, 'vault.key')).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('uses the passphrase from the environment when set', () => {
+    process.env[VAULT_PASSPHRASE_ENV] = 'correct horse';
+    vault.set('TOKEN', 'secret-value');
+
+    expect(JSON.parse(readFileSync(join(dir, 'secrets.vault'), 'utf-8')).kdf).toBe('scrypt');
+    expect(vault.get('TOKEN')).toBe('secret-value');
+
+    process.env[VAULT_PASSPHRASE_ENV] = 'wrong';
+    expect(() => vault.get('TOKEN')).toThrow(DecryptionError);
+  });
+});
@@ -1,4 +1,5 @@
 import { describe, test, expect } from '@jest/globals';
+import { parseSystemdProperties, parseTaskList } from '../src/services/service-manager.js';
 
 describe('ServiceManager', () => {
   let serviceManager;
@@ -50,3 +51,34 @@ describe('ServiceManager', () => {
     expect(typeof health.responding).toBe('boolean');
   });
 });
+
+describe('service manager output parsing', () => {
+  test('parses systemctl show properties', () => {
+    const properties = parseSystemdProperties(
+      'LoadState=loaded\nActiveState=failed\nNRestarts=4\nExecMainStatus=203\nEnvironment=A=1 B=2\n',
+    );
+
+    expect(properties).toEqual({
+      LoadState: 'loaded', ActiveState: 'failed', NRestarts: '4', ExecMainStatus: '203', Environment: 'A=1 B=2',
+    });
+  });
+
+  test('parses the first task of schtasks /v output', () => {
+    const output = [
+      '', 'Folder: \\', 'HostName:                             PC',
+      'TaskName:                             \\OpenClawGateway',
+      'Status:                               Ready',
+      'Last Run Time:                        10/19/2026 8:00:00 AM',
+      'Last Result:                          -2147024894',
+      'Scheduled Task State:                 Enabled',
+      'Schedule Type:                        At logon time',
+      '', 'HostName:                             PC', 'TaskName:                             \\Other',
+    ].join('\r\n');
+
+    const fields = parseTaskList(output);
+    expect(fields.TaskName).toBe('\\OpenClawGateway');
+    expect(fields['Last Run Time']).toBe('10/19/2026 8:00:00 AM');
+    expect(Number(fields['Last Result'])).toBe(-2147024894);
+    expect(fields['Schedule Type']).toBe('At logon time');
+  });
+});